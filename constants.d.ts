@@ -0,0 +1,340 @@
+// Generated by `scripts/generate-constants.js` from `constants.js`, do not modify by hand.
+
+export declare const INTERFACE_IDS: {
+  ERC165: string;
+  ERC1271: string;
+  ERC20: string;
+  ERC223: string;
+  ERC721: string;
+  ERC721Metadata: string;
+  ERC777: string;
+  ERC1155: string;
+  ERC725X: string;
+  ERC725Y: string;
+  LSP0ERC725Account: string;
+  LSP1UniversalReceiver: string;
+  LSP6KeyManager: string;
+  LSP7DigitalAsset: string;
+  LSP8IdentifiableDigitalAsset: string;
+  LSP9Vault: string;
+  LSP11BasicSocialRecovery: string;
+  LSP14Ownable2Step: string;
+  LSP17Extendable: string;
+  LSP17Extension: string;
+};
+
+export declare const ERC1271_VALUES: {
+  MAGIC_VALUE: string;
+  FAIL_VALUE: string;
+};
+
+export declare const OPERATION_TYPES: {
+  CALL: number;
+  CREATE: number;
+  CREATE2: number;
+  STATICCALL: number;
+  DELEGATECALL: number;
+};
+
+export declare const SupportedStandards: {
+  LSP3UniversalProfile: { key: string; value: string };
+  LSP4DigitalAsset: { key: string; value: string };
+  LSP9Vault: { key: string; value: string };
+};
+
+export declare const ERC725YDataKeys: {
+  LSP1: {
+    LSP1UniversalReceiverDelegatePrefix: string;
+    LSP1UniversalReceiverDelegate: string;
+  };
+  LSP3: { SupportedStandards_LSP3: string; LSP3Profile: string };
+  LSP4: {
+    SupportedStandards_LSP4: string;
+    LSP4TokenName: string;
+    LSP4TokenSymbol: string;
+    LSP4Metadata: string;
+    LSP4CreatorsMap: string;
+    "LSP4Creators[]": { length: string; index: string };
+  };
+  LSP5: {
+    LSP5ReceivedAssetsMap: string;
+    "LSP5ReceivedAssets[]": { length: string; index: string };
+  };
+  LSP6: {
+    "AddressPermissions[]": { length: string; index: string };
+    AddressPermissionsPrefix: string;
+    "AddressPermissions:Permissions": string;
+    "AddressPermissions:AllowedERC725YDataKeys": string;
+    "AddressPermissions:AllowedCalls": string;
+  };
+  LSP8: { LSP8MetadataAddress: string; LSP8MetadataJSON: string };
+  LSP9: { SupportedStandards_LSP9: string };
+  LSP10: {
+    LSP10VaultsMap: string;
+    "LSP10Vaults[]": { length: string; index: string };
+  };
+  LSP12: {
+    LSP12IssuedAssetsMap: string;
+    "LSP12IssuedAssets[]": { length: string; index: string };
+  };
+  LSP17: { LSP17ExtensionPrefix: string };
+};
+
+export declare const BasicUPSetup_Schema: {
+  name: string;
+  key: string;
+  keyType: string;
+  valueContent: string;
+  valueType: string;
+}[];
+
+export declare const LSP1_Schema: {
+  name: string;
+  key: string;
+  keyType: string;
+  valueType: string;
+  valueContent: string;
+}[];
+
+export declare const LSP3_Schema: {
+  name: string;
+  key: string;
+  keyType: string;
+  valueType: string;
+  valueContent: string;
+}[];
+
+export declare const LSP4_Schema: {
+  name: string;
+  key: string;
+  keyType: string;
+  valueType: string;
+  valueContent: string;
+}[];
+
+export declare const LSP5_Schema: {
+  name: string;
+  key: string;
+  keyType: string;
+  valueType: string;
+  valueContent: string;
+}[];
+
+export declare const LSP6_Schema: {
+  name: string;
+  key: string;
+  keyType: string;
+  valueType: string;
+  valueContent: string;
+}[];
+
+export declare const LSP9_Schema: {
+  name: string;
+  key: string;
+  keyType: string;
+  valueType: string;
+  valueContent: string;
+}[];
+
+export declare const LSP10_Schema: {
+  name: string;
+  key: string;
+  keyType: string;
+  valueType: string;
+  valueContent: string;
+}[];
+
+export declare const LSP12_Schema: {
+  name: string;
+  key: string;
+  keyType: string;
+  valueType: string;
+  valueContent: string;
+}[];
+
+export declare const LSP17_Schema: {
+  name: string;
+  key: string;
+  keyType: string;
+  valueType: string;
+  valueContent: string;
+}[];
+
+export declare const LSP6_VERSION: number;
+
+export declare const ALL_PERMISSIONS: string;
+
+export declare const PERMISSIONS: {
+  CHANGEOWNER: string;
+  ADDCONTROLLER: string;
+  CHANGEPERMISSIONS: string;
+  ADDEXTENSIONS: string;
+  CHANGEEXTENSIONS: string;
+  ADDUNIVERSALRECEIVERDELEGATE: string;
+  CHANGEUNIVERSALRECEIVERDELEGATE: string;
+  REENTRANCY: string;
+  SUPER_TRANSFERVALUE: string;
+  TRANSFERVALUE: string;
+  SUPER_CALL: string;
+  CALL: string;
+  SUPER_STATICCALL: string;
+  STATICCALL: string;
+  SUPER_DELEGATECALL: string;
+  DELEGATECALL: string;
+  DEPLOY: string;
+  SUPER_SETDATA: string;
+  SETDATA: string;
+  ENCRYPT: string;
+  DECRYPT: string;
+  SIGN: string;
+};
+
+export declare const LSP1_TYPE_IDS: {
+  LSP0OwnershipTransferStarted: string;
+  LSP0OwnershipTransferred_SenderNotification: string;
+  LSP0OwnershipTransferred_RecipientNotification: string;
+  LSP7Tokens_SenderNotification: string;
+  LSP7Tokens_RecipientNotification: string;
+  LSP8Tokens_SenderNotification: string;
+  LSP8Tokens_RecipientNotification: string;
+  LSP9OwnershipTransferStarted: string;
+  LSP9OwnershipTransferred_SenderNotification: string;
+  LSP9OwnershipTransferred_RecipientNotification: string;
+  LSP14OwnershipTransferStarted: string;
+  LSP14OwnershipTransferred_SenderNotification: string;
+  LSP14OwnershipTransferred_RecipientNotification: string;
+};
+
+export declare const Errors: {
+  LSP1: {
+    "0xa5295345": { error: string; message: string };
+    "0x4c5e815a": { error: string; message: string };
+    "0x114b721a": { error: string; message: string };
+  };
+  LSP4: {
+    "0x85c169bd": { error: string; message: string };
+    "0x76755b38": { error: string; message: string };
+  };
+  LSP5: {
+    "0xecba7af8": { error: string; message: string };
+    "0x1c458e39": { error: string; message: string };
+    "0xe8a4fba0": { error: string; message: string };
+  };
+  LSP6: {
+    "0xf292052a": { error: string; message: string };
+    "0x3bdad6e6": { error: string; message: string };
+    "0x45147bce": { error: string; message: string };
+    "0x557ae079": { error: string; message: string };
+    "0x0f7d735b": { error: string; message: string };
+    "0xfc854579": { error: string; message: string };
+    "0xc9bd9eb9": { error: string; message: string };
+    "0x2ba8851c": { error: string; message: string };
+    "0xed7fa509": { error: string; message: string };
+    "0x4f0dfdda": { error: string; message: string };
+    "0x8f4afa38": { error: string; message: string };
+    "0x55a187db": { error: string; message: string };
+    "0xb4d50d21": { error: string; message: string };
+    "0x30a324ac": { error: string; message: string };
+    "0xa51868b6": { error: string; message: string };
+    "0x6cb60587": { error: string; message: string };
+    "0x6fd203c5": { error: string; message: string };
+    "0x80d6ebae": { error: string; message: string };
+    "0x3621bbcc": { error: string; message: string };
+    "0x187e77ab": { error: string; message: string };
+  };
+  LSP7: {
+    "0x08d47949": { error: string; message: string };
+    "0xf3a6b691": { error: string; message: string };
+    "0x6355e766": { error: string; message: string };
+    "0xd2d5ec30": { error: string; message: string };
+    "0xb9afb000": { error: string; message: string };
+    "0x263eee8d": { error: string; message: string };
+    "0xa608fbb6": { error: string; message: string };
+    "0x26c247f4": { error: string; message: string };
+    "0xdab75047": { error: string; message: string };
+  };
+  LSP7CappedSupply: {
+    "0xacf1d8c5": { error: string; message: string };
+    "0xeacbf0d1": { error: string; message: string };
+  };
+  LSP8: {
+    "0xae8f9a36": { error: string; message: string };
+    "0x5b271ea2": { error: string; message: string };
+    "0x1294d2a9": { error: string; message: string };
+    "0x9577b8b3": { error: string; message: string };
+    "0x24ecef4d": { error: string; message: string };
+    "0x5d67d6c1": { error: string; message: string };
+    "0x34c7b511": { error: string; message: string };
+    "0x93a83119": { error: string; message: string };
+    "0x4349776d": { error: string; message: string };
+    "0x03173137": { error: string; message: string };
+    "0x4aa31a8c": { error: string; message: string };
+    "0xa7626b68": { error: string; message: string };
+    "0x89fdad62": { error: string; message: string };
+  };
+  LSP8CappedSupply: {
+    "0x38d9fc30": { error: string; message: string };
+    "0xe8ba2291": { error: string; message: string };
+  };
+  LSP9: { "0x199611f1": { error: string; message: string } };
+  LSP10: {
+    "0x12ce1c39": { error: string; message: string };
+    "0x0fc1c4db": { error: string; message: string };
+    "0x76f9db1b": { error: string; message: string };
+  };
+  LSP11: {
+    "0x5560e16d": { error: string; message: string };
+    "0xd52858db": { error: string; message: string };
+    "0x3d8e524e": { error: string; message: string };
+    "0x27113777": { error: string; message: string };
+    "0xe3db80bd": { error: string; message: string };
+    "0x7f617002": { error: string; message: string };
+    "0xf78f0507": { error: string; message: string };
+    "0x6fa723c3": { error: string; message: string };
+    "0x0855380c": { error: string; message: string };
+  };
+  LSP14Ownable2Step: {
+    "0x8b9bf507": { error: string; message: string };
+    "0x43b248cd": { error: string; message: string };
+  };
+  LSP16UniversalFactory: {
+    "0x068c2f17": { error: string; message: string };
+    "0x02045484": { error: string; message: string };
+  };
+  LSP17ContractExtension: { "0xbb370b2b": { error: string; message: string } };
+};
+
+export declare const EventSignatures: {
+  ERC173: { OwnershipTransfered: string };
+  ERC725X: { ContractCreated: string; Executed: string };
+  ERC725Y: { DataChanged: string };
+  LSP0: { ValueReceived: string };
+  LSP1: { UniversalReceiver: string };
+  LSP6: { Executed: string };
+  LSP7: {
+    Transfer: string;
+    AuthorizedOperator: string;
+    RevokedOperator: string;
+  };
+  LSP8: {
+    Transfer: string;
+    AuthorizedOperator: string;
+    RevokedOperator: string;
+  };
+  LSP9: { ValueReceived: string };
+  LSP11: {
+    GuardianAdded: string;
+    GuardianRemoved: string;
+    GuardiansThresholdChanged: string;
+    SecretHashChanged: string;
+    SelectedNewController: string;
+    RecoveryProcessSuccessful: string;
+  };
+  Helpers: { ReceivedERC777: string };
+  LSP14Ownable2Step: {
+    OwnershipTransferStarted: string;
+    RenounceOwnershipStarted: string;
+    OwnershipRenounced: string;
+  };
+  LSP16UniversalFactory: { ContractCreated: string };
+};
@@ -1,11 +1,15 @@
 /**
  * Set of constants values as defined in each LUKSO Standards Proposals (LSPs).
  * @see https://github.com/lukso-network/LIPs/tree/main/LSPs
+ *
+ * The sections between `GENERATED:START` and `GENERATED:END` are generated from the Solidity contracts
+ * by `scripts/generate-constants.js` (as well as `constants.d.ts`). Edit the contracts instead.
  */
 
 // ERC165
 // ---------
 
+// GENERATED:START INTERFACE_IDS - run `npm run generate-constants` to update this section
 const INTERFACE_IDS = {
 	ERC165: '0x01ffc9a7',
 	ERC1271: '0x1626ba7e',
@@ -28,14 +32,17 @@ const INTERFACE_IDS = {
 	LSP17Extendable: '0xa918fa6b',
 	LSP17Extension: '0xcee78b40',
 };
+// GENERATED:END INTERFACE_IDS
 
 // ERC1271
 // ----------
 
+// GENERATED:START ERC1271_VALUES - run `npm run generate-constants` to update this section
 const ERC1271_VALUES = {
 	MAGIC_VALUE: '0x1626ba7e',
 	FAIL_VALUE: '0xffffffff',
 };
+// GENERATED:END ERC1271_VALUES
 
 // ERC725X
 // ----------
@@ -51,6 +58,7 @@ const OPERATION_TYPES = {
 // ERC725Y
 // ----------
 
+// GENERATED:START SupportedStandards - run `npm run generate-constants` to update this section
 const SupportedStandards = {
 	LSP3UniversalProfile: {
 		key: '0xeafec4d89fa9619884b60000abe425d64acd861a49b8ddf5c0b6962110481f38',
@@ -65,11 +73,13 @@ const SupportedStandards = {
 		value: '0x7c0334a1',
 	},
 };
+// GENERATED:END SupportedStandards
 
 /**
  * For more infos on the type of each keys
  * @see https://github.com/lukso-network/LIPs/blob/main/LSPs/LSP-2-ERC725YJSONSchema.md
  */
+// GENERATED:START ERC725YDataKeys - run `npm run generate-constants` to update this section
 const ERC725YDataKeys = {
 	LSP1: {
 		// bytes10(keccak256('LSP1UniversalReceiverDelegate')) + bytes2(0)
@@ -97,17 +107,17 @@ const ERC725YDataKeys = {
 		// keccak256('LSP4Metadata')
 		LSP4Metadata: '0x9afb95cacc9f95858ec44aa8c3b685511002e30ae54415823f406128b85b238e',
 
-		// LSP4CreatorsMap:<address>  + bytes2(0)
+		// bytes10(keccak256('LSP4CreatorsMap')) + bytes2(0)
 		LSP4CreatorsMap: '0x6de85eaf5d982b4e5da00000',
 
-		// keccak256('"LSP4Creators[]')
+		// keccak256('LSP4Creators[]')
 		'LSP4Creators[]': {
 			length: '0x114bd03b3a46d48759680d81ebb2b414fda7d030a7105a851867accf1c2352e7',
 			index: '0x114bd03b3a46d48759680d81ebb2b414',
 		},
 	},
 	LSP5: {
-		// LSP5ReceivedAssetsMap:<address>  + bytes2(0)
+		// bytes10(keccak256('LSP5ReceivedAssetsMap')) + bytes2(0)
 		LSP5ReceivedAssetsMap: '0x812c4334633eb816c80d0000',
 
 		// keccak256('LSP5ReceivedAssets[]')
@@ -123,22 +133,30 @@ const ERC725YDataKeys = {
 			index: '0xdf30dba06db6a30e65354d9a64c60986',
 		},
 
+		// bytes6(keccak256('AddressPermissions'))
 		AddressPermissionsPrefix: '0x4b80742de2bf',
 
-		// AddressPermissions:Permissions:<address>  + bytes2(0)
+		// bytes6(keccak256('AddressPermissions')) + bytes4(keccak256('Permissions')) + bytes2(0)
 		'AddressPermissions:Permissions': '0x4b80742de2bf82acb3630000',
 
-		// AddressPermissions:AllowedERC725YDataKeys:<address>  + bytes2(0)
+		// bytes6(keccak256('AddressPermissions')) + bytes4(keccak256('AllowedERC725YDataKeys')) + bytes2(0)
 		'AddressPermissions:AllowedERC725YDataKeys': '0x4b80742de2bf866c29110000',
 
-		// AddressPermissions:AllowedCalls:<address>  + bytes2(0)
+		// bytes6(keccak256('AddressPermissions')) + bytes4(keccak256('AllowedCalls')) + bytes2(0)
 		'AddressPermissions:AllowedCalls': '0x4b80742de2bf393a64c70000',
 	},
+	LSP8: {
+		// bytes10(keccak256('LSP8MetadataAddress')) + bytes2(0)
+		LSP8MetadataAddress: '0x73dcc7c3c4096cdc7f8a0000',
+
+		// bytes10(keccak256('LSP8MetadataJSON')) + bytes2(0)
+		LSP8MetadataJSON: '0x9a26b4060ae7f7d5e3cd0000',
+	},
 	LSP9: {
 		SupportedStandards_LSP9: SupportedStandards.LSP9Vault.key,
 	},
 	LSP10: {
-		// keccak256('LSP10VaultsMap') + bytes2(0)
+		// bytes10(keccak256('LSP10VaultsMap')) + bytes2(0)
 		LSP10VaultsMap: '0x192448c3c0f88c7f238c0000',
 
 		// keccak256('LSP10Vaults[]')
@@ -148,7 +166,7 @@ const ERC725YDataKeys = {
 		},
 	},
 	LSP12: {
-		// LSP12IssuedAssetsMap:<address>  + bytes2(0)
+		// bytes10(keccak256('LSP12IssuedAssetsMap')) + bytes2(0)
 		LSP12IssuedAssetsMap: '0x74ac2555c10b9349e78f0000',
 
 		// keccak256('LSP12IssuedAssets[]')
@@ -162,6 +180,7 @@ const ERC725YDataKeys = {
 		LSP17ExtensionPrefix: '0xcee78b4094da860110960000',
 	},
 };
+// GENERATED:END ERC725YDataKeys
 
 const BasicUPSetup_Schema = [
 	{
@@ -187,9 +206,196 @@ const BasicUPSetup_Schema = [
 	},
 ];
 
+/**
+ * ERC725Y JSON Schemas of the data keys defined by each LSP, in the same format as `BasicUPSetup_Schema`.
+ * The name and key of the Mapping / MappingWithGrouping data keys end with their dynamic part (e.g: `<address>`).
+ * @see https://github.com/lukso-network/LIPs/blob/main/LSPs/LSP-2-ERC725YJSONSchema.md
+ */
+const LSP1_Schema = [
+	{
+		name: 'LSP1UniversalReceiverDelegate',
+		key: ERC725YDataKeys.LSP1.LSP1UniversalReceiverDelegate,
+		keyType: 'Singleton',
+		valueType: 'address',
+		valueContent: 'Address',
+	},
+	{
+		name: 'LSP1UniversalReceiverDelegate:<bytes32>',
+		key: `${ERC725YDataKeys.LSP1.LSP1UniversalReceiverDelegatePrefix}<bytes32>`,
+		keyType: 'Mapping',
+		valueType: 'address',
+		valueContent: 'Address',
+	},
+];
+
+const LSP3_Schema = [
+	{
+		name: 'SupportedStandards:LSP3UniversalProfile',
+		key: SupportedStandards.LSP3UniversalProfile.key,
+		keyType: 'Mapping',
+		valueType: 'bytes4',
+		valueContent: SupportedStandards.LSP3UniversalProfile.value,
+	},
+	{
+		name: 'LSP3Profile',
+		key: ERC725YDataKeys.LSP3.LSP3Profile,
+		keyType: 'Singleton',
+		valueType: 'bytes',
+		valueContent: 'JSONURL',
+	},
+];
+
+const LSP4_Schema = [
+	{
+		name: 'SupportedStandards:LSP4DigitalAsset',
+		key: SupportedStandards.LSP4DigitalAsset.key,
+		keyType: 'Mapping',
+		valueType: 'bytes4',
+		valueContent: SupportedStandards.LSP4DigitalAsset.value,
+	},
+	{
+		name: 'LSP4TokenName',
+		key: ERC725YDataKeys.LSP4.LSP4TokenName,
+		keyType: 'Singleton',
+		valueType: 'string',
+		valueContent: 'String',
+	},
+	{
+		name: 'LSP4TokenSymbol',
+		key: ERC725YDataKeys.LSP4.LSP4TokenSymbol,
+		keyType: 'Singleton',
+		valueType: 'string',
+		valueContent: 'String',
+	},
+	{
+		name: 'LSP4Metadata',
+		key: ERC725YDataKeys.LSP4.LSP4Metadata,
+		keyType: 'Singleton',
+		valueType: 'bytes',
+		valueContent: 'JSONURL',
+	},
+	{
+		name: 'LSP4Creators[]',
+		key: ERC725YDataKeys.LSP4['LSP4Creators[]'].length,
+		keyType: 'Array',
+		valueType: 'address',
+		valueContent: 'Address',
+	},
+	{
+		name: 'LSP4CreatorsMap:<address>',
+		key: `${ERC725YDataKeys.LSP4.LSP4CreatorsMap}<address>`,
+		keyType: 'Mapping',
+		valueType: '(bytes4,bytes8)',
+		valueContent: '(Bytes4,Number)',
+	},
+];
+
+const LSP5_Schema = [
+	{
+		name: 'LSP5ReceivedAssets[]',
+		key: ERC725YDataKeys.LSP5['LSP5ReceivedAssets[]'].length,
+		keyType: 'Array',
+		valueType: 'address',
+		valueContent: 'Address',
+	},
+	{
+		name: 'LSP5ReceivedAssetsMap:<address>',
+		key: `${ERC725YDataKeys.LSP5.LSP5ReceivedAssetsMap}<address>`,
+		keyType: 'Mapping',
+		valueType: '(bytes4,bytes8)',
+		valueContent: '(Bytes4,Number)',
+	},
+];
+
+const LSP6_Schema = [
+	{
+		name: 'AddressPermissions[]',
+		key: ERC725YDataKeys.LSP6['AddressPermissions[]'].length,
+		keyType: 'Array',
+		valueType: 'address',
+		valueContent: 'Address',
+	},
+	{
+		name: 'AddressPermissions:Permissions:<address>',
+		key: `${ERC725YDataKeys.LSP6['AddressPermissions:Permissions']}<address>`,
+		keyType: 'MappingWithGrouping',
+		valueType: 'bytes32',
+		valueContent: 'BitArray',
+	},
+	{
+		name: 'AddressPermissions:AllowedCalls:<address>',
+		key: `${ERC725YDataKeys.LSP6['AddressPermissions:AllowedCalls']}<address>`,
+		keyType: 'MappingWithGrouping',
+		valueType: '(bytes4,address,bytes4)[CompactBytesArray]',
+		valueContent: '(Bytes4,Address,Bytes4)',
+	},
+	{
+		name: 'AddressPermissions:AllowedERC725YDataKeys:<address>',
+		key: `${ERC725YDataKeys.LSP6['AddressPermissions:AllowedERC725YDataKeys']}<address>`,
+		keyType: 'MappingWithGrouping',
+		valueType: 'bytes[CompactBytesArray]',
+		valueContent: 'Bytes',
+	},
+];
+
+const LSP9_Schema = [
+	{
+		name: 'SupportedStandards:LSP9Vault',
+		key: SupportedStandards.LSP9Vault.key,
+		keyType: 'Mapping',
+		valueType: 'bytes4',
+		valueContent: SupportedStandards.LSP9Vault.value,
+	},
+];
+
+const LSP10_Schema = [
+	{
+		name: 'LSP10Vaults[]',
+		key: ERC725YDataKeys.LSP10['LSP10Vaults[]'].length,
+		keyType: 'Array',
+		valueType: 'address',
+		valueContent: 'Address',
+	},
+	{
+		name: 'LSP10VaultsMap:<address>',
+		key: `${ERC725YDataKeys.LSP10.LSP10VaultsMap}<address>`,
+		keyType: 'Mapping',
+		valueType: '(bytes4,bytes8)',
+		valueContent: '(Bytes4,Number)',
+	},
+];
+
+const LSP12_Schema = [
+	{
+		name: 'LSP12IssuedAssets[]',
+		key: ERC725YDataKeys.LSP12['LSP12IssuedAssets[]'].length,
+		keyType: 'Array',
+		valueType: 'address',
+		valueContent: 'Address',
+	},
+	{
+		name: 'LSP12IssuedAssetsMap:<address>',
+		key: `${ERC725YDataKeys.LSP12.LSP12IssuedAssetsMap}<address>`,
+		keyType: 'Mapping',
+		valueType: '(bytes4,bytes8)',
+		valueContent: '(Bytes4,Number)',
+	},
+];
+
+const LSP17_Schema = [
+	{
+		name: 'LSP17Extension:<bytes4>',
+		key: `${ERC725YDataKeys.LSP17.LSP17ExtensionPrefix}<bytes4>`,
+		keyType: 'Mapping',
+		valueType: 'address',
+		valueContent: 'Address',
+	},
+];
+
 // LSP6
 // ----------
 
+// GENERATED:START LSP6 - run `npm run generate-constants` to update this section
 const LSP6_VERSION = 6;
 
 // All Permissions currently exclude REENTRANCY, DELEGATECALL and SUPER_DELEGATECALL for security
@@ -198,7 +404,7 @@ const ALL_PERMISSIONS = '0x00000000000000000000000000000000000000000000000000000
 // prettier-ignore
 const PERMISSIONS = {
 	CHANGEOWNER                      :"0x0000000000000000000000000000000000000000000000000000000000000001",
-	ADDCONTROLLER                   :"0x0000000000000000000000000000000000000000000000000000000000000002",
+	ADDCONTROLLER                    :"0x0000000000000000000000000000000000000000000000000000000000000002",
 	CHANGEPERMISSIONS                :"0x0000000000000000000000000000000000000000000000000000000000000004",
 	ADDEXTENSIONS                    :"0x0000000000000000000000000000000000000000000000000000000000000008",
 	CHANGEEXTENSIONS                 :"0x0000000000000000000000000000000000000000000000000000000000000010",
@@ -220,7 +426,9 @@ const PERMISSIONS = {
 	DECRYPT                          :"0x0000000000000000000000000000000000000000000000000000000000100000",
 	SIGN                             :"0x0000000000000000000000000000000000000000000000000000000000200000",
 }
+// GENERATED:END LSP6
 
+// GENERATED:START LSP1_TYPE_IDS - run `npm run generate-constants` to update this section
 const LSP1_TYPE_IDS = {
 	// keccak256('LSP0OwnershipTransferStarted')
 	LSP0OwnershipTransferStarted:
@@ -274,7 +482,9 @@ const LSP1_TYPE_IDS = {
 	LSP14OwnershipTransferred_RecipientNotification:
 		'0xe32c7debcb817925ba4883fdbfc52797187f28f73f860641dab1a68d9b32902c',
 };
+// GENERATED:END LSP1_TYPE_IDS
 
+// GENERATED:START Errors - run `npm run generate-constants` to update this section
 const Errors = {
 	LSP1: {
 		'0xa5295345': {
@@ -311,7 +521,7 @@ const Errors = {
 			message:
 				'LSP5: The index of the received assets cannot be registered if superior to uint64',
 		},
-		'0xe8a4fba': {
+		'0xe8a4fba0': {
 			error: 'ReceivedAssetsIndexSuperiorToUint128(uint256)',
 			message:
 				'LSP5: The index of the received assets cannot be registered if superior to uint128',
@@ -398,6 +608,11 @@ const Errors = {
 			error: 'InvalidPayload(bytes)',
 			message: 'LSP6: Invalid Payload',
 		},
+		'0x187e77ab': {
+			error: 'InvalidEncodedAllowedCalls(bytes)',
+			message:
+				'LSP6: Reverts when `allowedCallsValue` is not properly encoded as a bytes28[CompactBytesArray] (CompactBytesArray of bytes28 entries).',
+		},
 	},
 	LSP7: {
 		'0x08d47949': {
@@ -432,7 +647,7 @@ const Errors = {
 			error: 'LSP7NotifyTokenReceiverIsEOA(address)',
 			message: 'LSP7: token recipient is an Externally Owned Account.',
 		},
-		dab75047: {
+		'0xdab75047': {
 			error: 'LSP7TokenOwnerCannotBeOperator()',
 			message: 'LSP7: token owner cannot be an operator.',
 		},
@@ -512,13 +727,28 @@ const Errors = {
 		},
 	},
 	LSP9: {
-		'0x199611f': {
+		'0x199611f1': {
 			error: 'LSP1DelegateNotAllowedToSetDataKey(bytes32)',
 			message: 'The UniversalReceiverDelegate is not allowed to set this data key',
 		},
 	},
+	LSP10: {
+		'0x12ce1c39': {
+			error: 'InvalidLSP10ReceivedVaultsArrayLength(bytes,uint256)',
+			message:
+				"LSP10: Reverts when the value stored under the 'LSP10ReceivedVaults[]' data key is not valid.",
+		},
+		'0x0fc1c4db': {
+			error: 'VaultIndexSuperiorToUint64(uint256)',
+			message: 'LSP10: Reverts when the vault index is superior to uint64',
+		},
+		'0x76f9db1b': {
+			error: 'VaultIndexSuperiorToUint128(uint256)',
+			message: 'LSP10: Reverts when the vault index is superior to uint128',
+		},
+	},
 	LSP11: {
-		'0x5560e16': {
+		'0x5560e16d': {
 			error: 'CallerIsNotGuardian(address)',
 			message: 'LSP11: The caller is not a guardian',
 		},
@@ -567,6 +797,18 @@ const Errors = {
 			message: 'LSP14: Cannot transfer ownership to address(this)',
 		},
 	},
+	LSP16UniversalFactory: {
+		'0x068c2f17': {
+			error: 'CannotInitializeContract()',
+			message:
+				'LSP16: Reverts with this error when there is no revert reason bubbled up by the target contract when initializing',
+		},
+		'0x02045484': {
+			error: 'InvalidMsgValueDistribution()',
+			message:
+				'LSP16: Reverts when msg.value sent to {deployCreate2Init} function is not equal to the sum of the `initializeCalldataMsgValue` and `constructorMsgValue`',
+		},
+	},
 	LSP17ContractExtension: {
 		'0xbb370b2b': {
 			error: 'NoExtensionFoundForFunctionSelector(bytes4)',
@@ -575,6 +817,7 @@ const Errors = {
 		},
 	},
 };
+// GENERATED:END Errors
 
 const EventSignatures = {
 	ERC173: {
@@ -707,7 +950,7 @@ const EventSignatures = {
 		 *
 		 * signature = keccak256('Transfer(address,address,address,bytes32,bool,bytes)')
 		 */
-		Transfer: 'b333c813a7426a7a11e2b190cad52c44119421594b47f6f32ace6d8c7207b2bf',
+		Transfer: '0xb333c813a7426a7a11e2b190cad52c44119421594b47f6f32ace6d8c7207b2bf',
 		/**
 		 * event AuthorizedOperator(
 		 *     address indexed operator,
@@ -717,7 +960,7 @@ const EventSignatures = {
 		 *
 		 * signature = keccak256('AuthorizedOperator(address,address,bytes32)')
 		 */
-		AuthorizedOperator: '34b797fc5a526f7bf1d2b5de25f6564fd85ae364e3ee939aee7c1ac27871a988',
+		AuthorizedOperator: '0x34b797fc5a526f7bf1d2b5de25f6564fd85ae364e3ee939aee7c1ac27871a988',
 		/**
 		 * event RevokedOperator(
 		 *     address indexed operator,
@@ -727,7 +970,7 @@ const EventSignatures = {
 		 *
 		 * signature = keccak256('RevokedOperator(address,address,bytes32)')
 		 */
-		RevokedOperator: '17d5389f6ab6adb2647dfa0aa365c323d37adacc30b33a65310b6158ce1373d5',
+		RevokedOperator: '0x17d5389f6ab6adb2647dfa0aa365c323d37adacc30b33a65310b6158ce1373d5',
 	},
 	LSP9: {
 		/**
@@ -855,6 +1098,15 @@ module.exports = {
 	SupportedStandards,
 	ERC725YDataKeys,
 	BasicUPSetup_Schema,
+	LSP1_Schema,
+	LSP3_Schema,
+	LSP4_Schema,
+	LSP5_Schema,
+	LSP6_Schema,
+	LSP9_Schema,
+	LSP10_Schema,
+	LSP12_Schema,
+	LSP17_Schema,
 	LSP6_VERSION,
 	ALL_PERMISSIONS,
 	PERMISSIONS,
@@ -13,4 +13,76 @@ contract LSP2UtilsLibraryTester {
     function isCompactBytesArray(bytes memory data) public pure returns (bool) {
         return data.isCompactBytesArray();
     }
+
+    function generateSingletonKey(string memory keyName) public pure returns (bytes32) {
+        return LSP2Utils.generateSingletonKey(keyName);
+    }
+
+    function generateArrayKey(string memory keyName) public pure returns (bytes32) {
+        return LSP2Utils.generateArrayKey(keyName);
+    }
+
+    function generateArrayElementKeyAtIndex(bytes32 arrayKey, uint128 index)
+        public
+        pure
+        returns (bytes32)
+    {
+        return LSP2Utils.generateArrayElementKeyAtIndex(arrayKey, index);
+    }
+
+    function generateMappingKey(string memory firstWord, string memory lastWord)
+        public
+        pure
+        returns (bytes32)
+    {
+        return LSP2Utils.generateMappingKey(firstWord, lastWord);
+    }
+
+    function generateMappingKey(string memory firstWord, address addr)
+        public
+        pure
+        returns (bytes32)
+    {
+        return LSP2Utils.generateMappingKey(firstWord, addr);
+    }
+
+    function generateMappingKey(bytes10 keyPrefix, bytes20 bytes20Value)
+        public
+        pure
+        returns (bytes32)
+    {
+        return LSP2Utils.generateMappingKey(keyPrefix, bytes20Value);
+    }
+
+    function generateMappingWithGroupingKey(
+        string memory firstWord,
+        string memory secondWord,
+        address addr
+    ) public pure returns (bytes32) {
+        return LSP2Utils.generateMappingWithGroupingKey(firstWord, secondWord, addr);
+    }
+
+    function generateMappingWithGroupingKey(bytes10 keyPrefix, bytes20 bytes20Value)
+        public
+        pure
+        returns (bytes32)
+    {
+        return LSP2Utils.generateMappingWithGroupingKey(keyPrefix, bytes20Value);
+    }
+
+    function generateJSONURLValue(
+        string memory hashFunction,
+        string memory json,
+        string memory url
+    ) public pure returns (bytes memory) {
+        return LSP2Utils.generateJSONURLValue(hashFunction, json, url);
+    }
+
+    function generateASSETURLValue(
+        string memory hashFunction,
+        string memory assetBytes,
+        string memory url
+    ) public pure returns (bytes memory) {
+        return LSP2Utils.generateASSETURLValue(hashFunction, assetBytes, url);
+    }
 }
@@ -0,0 +1,90 @@
+/**
+ * Explain what a transaction sent to a Universal Profile, a Key Manager or an asset does (see `decodeCalldata(...)` in
+ * `tools/calldata.js`), e.g:
+ *  - `npm run decode-calldata -- 0x<calldata> --to <address> --target <address>`
+ *  - `npm run decode-calldata -- 0x<transactionHash> --json`
+ *
+ * Options:
+ *  - --to: the address called (e.g: the Key Manager).
+ *  - --target: the account linked to the Key Manager (default: read from the Key Manager for a transaction hash).
+ *  - --value: the native tokens sent, in wei.
+ *  - --json: print the decoded calls as JSON instead of a tree.
+ *
+ * Environment variables:
+ *  - RPC_URL: the node to fetch the transaction from (default: http://127.0.0.1:8545).
+ */
+const { ethers } = require('ethers');
+
+const { decodeCalldata, renderCalldata } = require('../tools/calldata');
+
+const { RPC_URL = 'http://127.0.0.1:8545' } = process.env;
+
+const USAGE =
+	'usage: node scripts/decode-calldata.js <calldata|transactionHash> [--to <address>] [--target <address>] [--value <wei>] [--json]';
+
+function parseArgs(args) {
+	const options = { json: false };
+	const positional = [];
+
+	for (let index = 0; index < args.length; index++) {
+		const arg = args[index];
+
+		if (arg === '--json') {
+			options.json = true;
+		} else if (['--to', '--target', '--value'].includes(arg)) {
+			if (args[index + 1] === undefined) throw new Error(USAGE);
+			options[arg.substring(2)] = args[++index];
+		} else {
+			positional.push(arg);
+		}
+	}
+
+	return { input: positional[0], ...options };
+}
+
+// the account linked to a Key Manager, or `null` if `address` is not a Key Manager
+async function getTarget(provider, address) {
+	try {
+		const keyManager = new ethers.Contract(
+			address,
+			['function target() view returns (address)'],
+			provider,
+		);
+		return await keyManager.target();
+	} catch (error) {
+		return null;
+	}
+}
+
+async function main() {
+	const { input, json, to, target, value } = parseArgs(process.argv.slice(2));
+
+	if (input === undefined || !ethers.utils.isHexString(input)) {
+		throw new Error(USAGE);
+	}
+
+	let transaction = { data: input, to, value };
+	let keyManagerTarget = target;
+
+	// a transaction hash (calldata are never 32 bytes long: 4 bytes of selector + 32 bytes words)
+	if (ethers.utils.isHexString(input, 32)) {
+		const provider = new ethers.providers.JsonRpcProvider(RPC_URL);
+		const fetched = await provider.getTransaction(input);
+
+		if (fetched === null) throw new Error(`transaction ${input} not found`);
+
+		transaction = { data: fetched.data, to: fetched.to, value: fetched.value };
+		if (keyManagerTarget === undefined && fetched.to !== null) {
+			keyManagerTarget = await getTarget(provider, fetched.to);
+		}
+	}
+
+	const decoded = decodeCalldata(transaction, { target: keyManagerTarget });
+
+	console.log(json ? JSON.stringify(decoded, null, 2) : renderCalldata(decoded));
+}
+
+main().catch((error) => {
+	console.error(error);
+	process.exit(1);
+});
@@ -0,0 +1,416 @@
+/**
+ * Generate the sections of `constants.js` that mirror the Solidity contracts, and `constants.d.ts`.
+ *
+ * - interface IDs, data keys, LSP1 type IDs, permissions... are read from the `*Constants.sol` files.
+ *   Values without a Solidity constant (e.g: ERC interface IDs) are derived from their preimages (`tools/preimages.js`).
+ * - custom errors are read from the error declarations of all the contracts. The messages already written
+ *   in `constants.js` are kept, new errors get the `@dev` comment of their declaration as message.
+ *
+ * Any Solidity constant that is not exported in `constants.js` makes the generation fail.
+ *
+ * Usage:
+ *   node scripts/generate-constants.js          update constants.js and constants.d.ts
+ *   node scripts/generate-constants.js --check  fail if constants.js or constants.d.ts are not up to date
+ */
+const fs = require('fs');
+const path = require('path');
+const prettier = require('prettier');
+const { ethers } = require('ethers');
+
+const { PREIMAGES, deriveConstants, listSolidityNames } = require('../tools/preimages');
+const { readSolidityConstants, readSolidityErrors } = require('../tools/solidity');
+const { verifyConstants } = require('../tools/verifyConstants');
+
+const CONSTANTS_PATH = path.join(__dirname, '..', 'constants.js');
+
+// Solidity constants deliberately not exported in constants.js
+const IGNORED_SOLIDITY_CONSTANTS = [
+	// selectors of the overloaded functions of the Key Manager, available from its ABI
+	'_LSP6_EXECUTE_SELECTOR',
+	'_LSP6_EXECUTE_BATCH_SELECTOR',
+	'_LSP6_EXECUTE_RELAYCALL_SELECTOR',
+	'_LSP6_EXECUTE_RELAYCALL_BATCH_SELECTOR',
+];
+
+// Solidity constants exported under a different name (other than the ones listed in `tools/preimages.js`)
+const SOLIDITY_CONSTANTS_RULES = [
+	{ regex: /^LSP6_VERSION$/, path: () => ['LSP6_VERSION'] },
+	{ regex: /^ALL_REGULAR_PERMISSIONS$/, path: () => ['ALL_PERMISSIONS'] },
+	{ regex: /^_PERMISSION_(\w+)$/, path: ([, name]) => ['PERMISSIONS', name] },
+	{ regex: /^_ERC1271_(\w+)VALUE$/, path: ([, name]) => ['ERC1271_VALUES', `${name}_VALUE`] },
+];
+
+/**
+ * Find where each Solidity constant is exported in `constants.js`.
+ *
+ * @returns {object} the path of each Solidity constant in `constants.js`, keyed by name.
+ */
+function mapSolidityConstants(solidityConstants) {
+	const paths = {};
+
+	Object.keys(PREIMAGES).forEach((group) => {
+		listSolidityNames(group).forEach(({ path: valuePath, solidity }) => {
+			paths[solidity] = valuePath;
+		});
+	});
+
+	const unknown = Object.entries(solidityConstants).filter(([name]) => {
+		if (paths[name] !== undefined || IGNORED_SOLIDITY_CONSTANTS.includes(name)) return false;
+
+		const rule = SOLIDITY_CONSTANTS_RULES.find(({ regex }) => regex.test(name));
+		if (rule === undefined) return true;
+
+		paths[name] = rule.path(name.match(rule.regex));
+		return false;
+	});
+
+	if (unknown.length > 0) {
+		const list = unknown.map(([name, { file }]) => `${name} (${file})`).join(', ');
+		throw new Error(
+			`generate-constants: no entry in constants.js for ${list}. Add its preimage in tools/preimages.js`,
+		);
+	}
+
+	return paths;
+}
+
+// Sections
+// ----------
+
+function quote(value) {
+	return `'${value}'`;
+}
+
+// objects are written on multiple lines, prettier keeps them this way
+function objectLiteral(entries, { separator = '\n' } = {}) {
+	return `{\n${entries.map((entry) => `${entry},`).join(separator)}\n}`;
+}
+
+function dataKeyComment({ keyType, name }) {
+	switch (keyType) {
+		case 'Mapping':
+			return `// bytes10(keccak256('${name}')) + bytes2(0)`;
+		case 'MappingWithGrouping': {
+			const [firstWord, secondWord] = name.split(':');
+			return secondWord === undefined
+				? `// bytes6(keccak256('${firstWord}'))`
+				: `// bytes6(keccak256('${firstWord}')) + bytes4(keccak256('${secondWord}')) + bytes2(0)`;
+		}
+		default:
+			return `// keccak256('${name}')`;
+	}
+}
+
+function generateSections({ values, errors }) {
+	const sections = {};
+
+	sections.INTERFACE_IDS = `const INTERFACE_IDS = ${objectLiteral(
+		Object.entries(values.INTERFACE_IDS).map(([name, id]) => `${name}: ${quote(id)}`),
+	)};`;
+
+	sections.ERC1271_VALUES = `const ERC1271_VALUES = ${objectLiteral(
+		Object.entries(values.ERC1271_VALUES).map(([name, value]) => `${name}: ${quote(value)}`),
+	)};`;
+
+	sections.SupportedStandards = `const SupportedStandards = ${objectLiteral(
+		Object.entries(values.SupportedStandards).map(
+			([name, { key, value }]) =>
+				`${name}: ${objectLiteral([`key: ${quote(key)}`, `value: ${quote(value)}`])}`,
+		),
+	)};`;
+
+	const dataKeysGroups = Object.entries(PREIMAGES.ERC725YDataKeys).map(([group, dataKeys]) => {
+		const entries = Object.entries(dataKeys).map(([name, preimage]) => {
+			const property = /^\w+$/.test(name) ? name : quote(name);
+			const value = values.ERC725YDataKeys[group][name];
+
+			switch (preimage.keyType) {
+				case 'SupportedStandards':
+					return `${property}: SupportedStandards.${preimage.name}.key`;
+				case 'Array':
+					return `${dataKeyComment(preimage)}
+					${property}: ${objectLiteral([`length: ${quote(value.length)}`, `index: ${quote(value.index)}`])}`;
+				default:
+					return `${dataKeyComment(preimage)}
+					${property}: ${quote(value)}`;
+			}
+		});
+
+		return `${group}: ${objectLiteral(entries, { separator: '\n\n' })}`;
+	});
+
+	sections.ERC725YDataKeys = `const ERC725YDataKeys = ${objectLiteral(dataKeysGroups)};`;
+
+	// `PERMISSIONS` keeps its values aligned, as in `LSP6Constants.sol`
+	const permissions = Object.entries(values.PERMISSIONS)
+		.map(([name, value]) => `\t${name.padEnd(33)}:"${value}",`)
+		.join('\n');
+
+	sections.LSP6 = `const LSP6_VERSION = ${values.LSP6_VERSION};
+
+	// All Permissions currently exclude REENTRANCY, DELEGATECALL and SUPER_DELEGATECALL for security
+	const ALL_PERMISSIONS = ${quote(values.ALL_PERMISSIONS)};
+
+	// prettier-ignore
+	const PERMISSIONS = {
+${permissions}
+}`;
+
+	sections.LSP1_TYPE_IDS = `const LSP1_TYPE_IDS = ${objectLiteral(
+		Object.entries(values.LSP1_TYPE_IDS).map(
+			([name, typeId]) => `// keccak256('${PREIMAGES.LSP1_TYPE_IDS[name].name}')
+			${name}: ${quote(typeId)}`,
+		),
+		{ separator: '\n\n' },
+	)};`;
+
+	const errorsGroups = Object.entries(errors).map(
+		([group, groupErrors]) =>
+			`${group}: ${objectLiteral(
+				groupErrors.map(
+					({ selector, signature, message }) =>
+						`${quote(selector)}: ${objectLiteral([
+							`error: ${quote(signature)}`,
+							`message: ${JSON.stringify(message)}`,
+						])}`,
+				),
+			)}`,
+	);
+
+	sections.Errors = `const Errors = ${objectLiteral(errorsGroups)};`;
+
+	return sections;
+}
+
+// Values
+// ----------
+
+function setAt(object, valuePath, value) {
+	const parent = valuePath
+		.slice(0, -1)
+		.reduce((node, key) => (node[key] = node[key] || {}), object);
+
+	parent[valuePath[valuePath.length - 1]] = value;
+}
+
+function getAt(object, valuePath) {
+	return valuePath.reduce((node, key) => (node === undefined ? undefined : node[key]), object);
+}
+
+/**
+ * Build the values of the generated sections: the Solidity constants when declared,
+ * or the values derived from their preimages otherwise.
+ */
+function buildValues(solidityConstants) {
+	const values = deriveConstants();
+	const paths = mapSolidityConstants(solidityConstants);
+
+	Object.entries(paths).forEach(([name, valuePath]) => {
+		const { value } = solidityConstants[name];
+		const derived = getAt(values, valuePath);
+
+		if (typeof derived !== 'string' || !ethers.utils.isHexString(value)) {
+			setAt(values, valuePath, value);
+			return;
+		}
+
+		// Solidity declares Mapping key prefixes without the trailing `bytes2(0)`
+		const padding = ethers.utils.hexDataLength(derived) - ethers.utils.hexDataLength(value);
+		setAt(
+			values,
+			valuePath,
+			padding > 0 ? ethers.utils.hexConcat([value, new Uint8Array(padding)]) : value,
+		);
+	});
+
+	return values;
+}
+
+function getStandardNumber(group) {
+	return Number(group.match(/^LSP(\d+)/)[1]);
+}
+
+/**
+ * Build the custom errors, grouped by standard. The errors already listed in `existingErrors`
+ * keep their group, their position and their message.
+ */
+function buildErrors(solidityErrors, existingErrors = {}) {
+	const existing = {};
+	Object.entries(existingErrors).forEach(([group, groupErrors]) => {
+		Object.values(groupErrors).forEach(({ error, message }, index) => {
+			existing[error.split('(')[0]] = { group, message, index };
+		});
+	});
+
+	const groups = {};
+	solidityErrors.forEach(({ name, signature, selector, description, file }) => {
+		const group =
+			existing[name] !== undefined
+				? existing[name].group
+				: path.basename(file).replace(/(Errors|Utils|InitAbstract)?\.sol$/, '');
+
+		let message;
+		if (existing[name] !== undefined) {
+			message = existing[name].message;
+		} else {
+			// keep only the first sentence of the NatSpec comment
+			const [text] = (description || name).split(/(?<=\.)\s/);
+			message = `LSP${getStandardNumber(group)}: ${text[0].toUpperCase()}${text.slice(1)}`;
+		}
+
+		groups[group] = groups[group] || [];
+		groups[group].push({
+			selector,
+			signature,
+			message,
+			index: existing[name] !== undefined ? existing[name].index : Infinity,
+		});
+	});
+
+	// keep the existing order, new groups and errors are added in order of the LSP numbers / declarations
+	const groupNames = Object.keys(groups).sort((a, b) => {
+		const existingGroups = Object.keys(existingErrors);
+		const numberDiff = getStandardNumber(a) - getStandardNumber(b);
+		if (numberDiff !== 0) return numberDiff;
+
+		const indexA = existingGroups.indexOf(a) === -1 ? Infinity : existingGroups.indexOf(a);
+		const indexB = existingGroups.indexOf(b) === -1 ? Infinity : existingGroups.indexOf(b);
+		return indexA - indexB;
+	});
+
+	return Object.fromEntries(
+		groupNames.map((group) => [
+			group,
+			groups[group]
+				.map((error, position) => ({ ...error, position }))
+				.sort((a, b) => a.index - b.index || a.position - b.position),
+		]),
+	);
+}
+
+// Files
+// ----------
+
+function replaceSection(source, name, content) {
+	const regex = new RegExp(
+		`(^// GENERATED:START ${name}\\b.*$)[\\s\\S]*?(^// GENERATED:END ${name}$)`,
+		'm',
+	);
+
+	if (!regex.test(source)) {
+		throw new Error(
+			`generate-constants: missing GENERATED:START / GENERATED:END ${name} markers`,
+		);
+	}
+
+	return source.replace(regex, (_, start, end) => `${start}\n${content}\n${end}`);
+}
+
+function evaluate(source) {
+	const module = { exports: {} };
+	new Function('module', 'exports', source)(module, module.exports);
+	return module.exports;
+}
+
+function toTypeScriptType(value) {
+	if (Array.isArray(value)) {
+		const types = [...new Set(value.map(toTypeScriptType))];
+		return types.length === 1 ? `${types[0]}[]` : `(${types.join(' | ')})[]`;
+	}
+
+	if (value !== null && typeof value === 'object') {
+		const properties = Object.entries(value).map(
+			([key, propertyValue]) =>
+				`${/^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key)}: ${toTypeScriptType(
+					propertyValue,
+				)};`,
+		);
+
+		return `{ ${properties.join(' ')} }`;
+	}
+
+	return typeof value;
+}
+
+function format(source, filepath) {
+	return prettier.format(source, { ...prettier.resolveConfig.sync(filepath), filepath });
+}
+
+/**
+ * Generate the content of `constants.js` and `constants.d.ts` from the Solidity contracts.
+ *
+ * @param {object} [options]
+ * @param {string} [options.contractsDir] the folder containing the Solidity contracts.
+ * @param {string} [options.constantsPath] the path of the `constants.js` file to update.
+ * @returns {object} the new content of each file, keyed by file path.
+ */
+function generateConstants(options = {}) {
+	const { contractsDir, constantsPath = CONSTANTS_PATH } = options;
+	const typesPath = constantsPath.replace(/\.js$/, '.d.ts');
+
+	const currentSource = fs.readFileSync(constantsPath, 'utf8');
+
+	const sections = generateSections({
+		values: buildValues(readSolidityConstants(contractsDir)),
+		errors: buildErrors(readSolidityErrors(contractsDir), evaluate(currentSource).Errors),
+	});
+
+	const source = format(
+		Object.entries(sections).reduce(
+			(result, [name, content]) => replaceSection(result, name, content),
+			currentSource,
+		),
+		constantsPath,
+	);
+
+	const constants = evaluate(source);
+
+	const mismatches = verifyConstants({ constants, contractsDir });
+	if (mismatches.length > 0) {
+		const list = mismatches
+			.map(({ path: valuePath, expected, actual, source: origin }) => {
+				return `${valuePath}: expected ${expected}, got ${actual} in ${origin}`;
+			})
+			.join('\n');
+
+		throw new Error(`generate-constants: values do not match their preimages\n${list}`);
+	}
+
+	const types = format(
+		`// Generated by \`scripts/generate-constants.js\` from \`constants.js\`, do not modify by hand.
+
+		${Object.entries(constants)
+			.map(([name, value]) => `export declare const ${name}: ${toTypeScriptType(value)};`)
+			.join('\n\n')}
+		`,
+		typesPath,
+	);
+
+	return { [constantsPath]: source, [typesPath]: types };
+}
+
+if (require.main === module) {
+	const isCheck = process.argv.includes('--check');
+
+	const outdated = Object.entries(generateConstants()).filter(
+		([file, content]) => !fs.existsSync(file) || fs.readFileSync(file, 'utf8') !== content,
+	);
+
+	outdated.forEach(([file, content]) => {
+		const fileName = path.relative(process.cwd(), file);
+
+		if (isCheck) {
+			console.error(`❌ ${fileName} is not up to date, run \`npm run generate-constants\``);
+		} else {
+			fs.writeFileSync(file, content);
+			console.log(`✏️  ${fileName} updated`);
+		}
+	});
+
+	if (isCheck && outdated.length > 0) process.exit(1);
+	if (outdated.length === 0) console.log('✅ constants.js and constants.d.ts are up to date');
+}
+
+module.exports = {
+	generateConstants,
+};
@@ -0,0 +1,31 @@
+/**
+ * Start a local relayer (see `tools/relayer.js`) that submits relay calls to a node, e.g: `npx hardhat node`.
+ *
+ * Environment variables:
+ *  - RPC_URL: the node to submit the relay calls to (default: http://127.0.0.1:8545).
+ *  - PORT: the port the relayer listens on (default: 3000).
+ *  - RELAYER_PRIVATE_KEY: the account paying for the gas (default: the first account unlocked on the node).
+ */
+const { ethers } = require('ethers');
+
+const { createRelayer } = require('../tools/relayer');
+
+const { RPC_URL = 'http://127.0.0.1:8545', PORT = 3000, RELAYER_PRIVATE_KEY } = process.env;
+
+async function main() {
+	const provider = new ethers.providers.JsonRpcProvider(RPC_URL);
+	const signer = RELAYER_PRIVATE_KEY
+		? new ethers.Wallet(RELAYER_PRIVATE_KEY, provider)
+		: provider.getSigner(0);
+
+	await createRelayer({ signer }).listen(Number(PORT));
+
+	console.log(
+		`🚀 relayer for ${RPC_URL} (paid by ${await signer.getAddress()}) listening on port ${PORT}`,
+	);
+}
+
+main().catch((error) => {
+	console.error(error);
+	process.exit(1);
+});
@@ -0,0 +1,42 @@
+/**
+ * Set up a Universal Profile controlled by a Key Manager from a JSON config (see `buildSetupPlan(...)` in
+ * `tools/profileSetup.js`), e.g: `npm run setup-profile -- ./profile.json --dry-run`.
+ *
+ * Environment variables:
+ *  - RPC_URL: the node to send the transactions to (default: http://127.0.0.1:8545).
+ *  - PRIVATE_KEY: the owner sending the transactions (default: the first account unlocked on the node).
+ */
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const { setupUniversalProfile, formatSetupPlan } = require('../tools/profileSetup');
+
+const { RPC_URL = 'http://127.0.0.1:8545', PRIVATE_KEY } = process.env;
+
+async function main() {
+	const args = process.argv.slice(2);
+	const dryRun = args.includes('--dry-run');
+	const [configPath] = args.filter((arg) => arg !== '--dry-run');
+
+	if (configPath === undefined) {
+		throw new Error('usage: node scripts/setup-universal-profile.js <config.json> [--dry-run]');
+	}
+
+	const config = JSON.parse(fs.readFileSync(path.resolve(configPath), 'utf8'));
+
+	const provider = new ethers.providers.JsonRpcProvider(RPC_URL);
+	const signer = PRIVATE_KEY ? new ethers.Wallet(PRIVATE_KEY, provider) : provider.getSigner(0);
+
+	const plan = await setupUniversalProfile(signer, config, { dryRun });
+
+	if (!dryRun) {
+		console.log(formatSetupPlan(plan));
+		console.log(`\n✅ Universal Profile set up at ${plan.addresses.universalProfile}`);
+	}
+}
+
+main().catch((error) => {
+	console.error(error);
+	process.exit(1);
+});
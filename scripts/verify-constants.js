@@ -0,0 +1,13 @@
+const { verifyConstants } = require('../tools/verifyConstants');
+
+const mismatches = verifyConstants();
+
+if (mismatches.length === 0) {
+	console.log('✅ constants.js and *Constants.sol match the preimages of every hash');
+} else {
+	mismatches.forEach(({ path, expected, actual, source }) => {
+		console.error(`❌ ${path}: expected ${expected}, got ${actual} in ${source}`);
+	});
+
+	process.exit(1);
+}
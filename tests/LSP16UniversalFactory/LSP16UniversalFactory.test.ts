@@ -23,6 +23,13 @@ import type { SignerWithAddress } from "@nomiclabs/hardhat-ethers/signers";
 
 import { provider, AddressOffset } from "../utils/helpers";
 
+import {
+  calculateAddress,
+  calculateProxyAddress,
+  buildDeployTransaction,
+  getContractsCreated,
+} from "../../tools/universalFactory";
+
 import { bytecode as UniversalProfileBytecode } from "../../artifacts/contracts/UniversalProfile.sol/UniversalProfile.json";
 import { bytecode as LSP6KeyManagerBytecode } from "../../artifacts/contracts/LSP6KeyManager/LSP6KeyManager.sol/LSP6KeyManager.json";
 import { bytecode as PayableContractBytecode } from "../../artifacts/contracts/Mocks/PayableContract.sol/PayableContract.json";
@@ -1188,5 +1195,133 @@ describe("UniversalFactory contract", () => {
         });
       });
     });
+
+    describe("when predicting the addresses with tools/universalFactory.js", () => {
+      const salt = ethers.utils.id("tools/universalFactory.js");
+
+      it("should calculate the same address as calculateAddress(...)", async () => {
+        const initializeCalldata =
+          implementationTester.interface.encodeFunctionData("initialize", [
+            context.accounts.deployer1.address,
+          ]);
+        const bytecodeHash = ethers.utils.keccak256(
+          ImplementationTesterBytecode
+        );
+
+        for (const initializable of [false, true]) {
+          expect(
+            calculateAddress(context.universalFactory.address, {
+              bytecodeHash,
+              providedSalt: salt,
+              initializable,
+              initializeCalldata,
+            })
+          ).to.equal(
+            await context.universalFactory.calculateAddress(
+              bytecodeHash,
+              salt,
+              initializable,
+              initializeCalldata
+            )
+          );
+        }
+      });
+
+      it("should calculate the same address as calculateProxyAddress(...)", async () => {
+        const initializeCalldata =
+          universalProfileBaseContract.interface.encodeFunctionData(
+            "initialize",
+            [context.accounts.deployer1.address]
+          );
+
+        for (const initializable of [false, true]) {
+          expect(
+            calculateProxyAddress(context.universalFactory.address, {
+              baseContract: universalProfileBaseContract.address,
+              providedSalt: salt,
+              initializable,
+              initializeCalldata,
+            })
+          ).to.equal(
+            await context.universalFactory.calculateProxyAddress(
+              universalProfileBaseContract.address,
+              salt,
+              initializable,
+              initializeCalldata
+            )
+          );
+        }
+      });
+
+      it("should deploy a payable contract at the address predicted, and find it in the receipt", async () => {
+        const { to, data, value, contractAddress } = buildDeployTransaction(
+          context.universalFactory.address,
+          {
+            bytecode: PayableContractBytecode,
+            providedSalt: salt,
+            initializeCalldata:
+              payableContract.interface.encodeFunctionData("payableTrue"),
+            constructorMsgValue: 100,
+            initializeCalldataMsgValue: 200,
+          }
+        );
+
+        const tx = await context.accounts.deployer1.sendTransaction({
+          to,
+          data,
+          value,
+        });
+        const receipt = await tx.wait();
+
+        expect(getContractsCreated(receipt)).to.deep.equal([
+          {
+            contractCreated: contractAddress,
+            providedSalt: salt,
+            initializable: true,
+            initializeCalldata:
+              payableContract.interface.encodeFunctionData("payableTrue"),
+            universalFactory: context.universalFactory.address,
+          },
+        ]);
+        expect(
+          (await provider.getBalance(contractAddress)).toNumber()
+        ).to.equal(300);
+      });
+
+      it("should deploy an initialized proxy at the address predicted, and find it in the receipt", async () => {
+        const initializeCalldata =
+          universalProfileBaseContract.interface.encodeFunctionData(
+            "initialize",
+            [context.accounts.deployer1.address]
+          );
+
+        const { to, data, value, contractAddress } = buildDeployTransaction(
+          context.universalFactory.address,
+          {
+            baseContract: universalProfileBaseContract.address,
+            providedSalt: salt,
+            initializeCalldata,
+          }
+        );
+
+        const tx = await context.accounts.deployer1.sendTransaction({
+          to,
+          data,
+          value,
+        });
+        const receipt = await tx.wait();
+
+        const [{ contractCreated }] = getContractsCreated(receipt, {
+          universalFactory: context.universalFactory.address,
+        });
+        expect(contractCreated).to.equal(contractAddress);
+
+        const universalProfile =
+          universalProfileBaseContract.attach(contractAddress);
+        expect(await universalProfile.owner()).to.equal(
+          context.accounts.deployer1.address
+        );
+      });
+    });
   });
 });
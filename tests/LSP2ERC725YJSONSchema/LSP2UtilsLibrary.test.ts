@@ -7,6 +7,15 @@ import {
 } from "../../types";
 
 import { abiCoder, encodeCompactBytesArray } from "../utils/helpers";
+import { ERC725YDataKeys } from "../../constants";
+import {
+  generateSingletonKey,
+  generateArrayKey,
+  generateArrayElementKeyAtIndex,
+  generateMappingKey,
+  generateMappingWithGroupingKey,
+} from "../../tools/dataKeys";
+import { encodeURLValue } from "../../tools/dataValues";
 
 describe("LSP2Utils", () => {
   let accounts: SignerWithAddress[];
@@ -270,4 +279,124 @@ describe("LSP2Utils", () => {
       });
     });
   });
+
+  describe("parity with the JS data keys generator (`tools/dataKeys.js`)", () => {
+    const address = "0xcafecafecafecafecafecafecafecafecafecafe";
+
+    it("`generateSingletonKey(...)` should return the same data key", async () => {
+      const expected = await lsp2Utils.generateSingletonKey("LSP3Profile");
+      expect(generateSingletonKey("LSP3Profile")).to.equal(expected);
+    });
+
+    it("`generateArrayKey(...)` should return the same data key", async () => {
+      const expected = await lsp2Utils.generateArrayKey("LSP12IssuedAssets[]");
+      expect(generateArrayKey("LSP12IssuedAssets[]")).to.equal(expected);
+    });
+
+    [0, 1, 255, 256, "0xffffffffffffffffffffffffffffffff"].forEach((index) => {
+      it(`\`generateArrayElementKeyAtIndex(...)\` should return the same data key for index ${index}`, async () => {
+        const arrayKey = ERC725YDataKeys.LSP12["LSP12IssuedAssets[]"].length;
+
+        const expected = await lsp2Utils.generateArrayElementKeyAtIndex(
+          arrayKey,
+          index
+        );
+        expect(generateArrayElementKeyAtIndex(arrayKey, index)).to.equal(
+          expected
+        );
+      });
+    });
+
+    it("`generateMappingKey(string,string)` should return the same data key", async () => {
+      const expected = await lsp2Utils["generateMappingKey(string,string)"](
+        "SupportedStandards",
+        "LSP3UniversalProfile"
+      );
+      expect(
+        generateMappingKey("SupportedStandards", "LSP3UniversalProfile")
+      ).to.equal(expected);
+    });
+
+    it("`generateMappingKey(string,address)` should return the same data key", async () => {
+      const expected = await lsp2Utils["generateMappingKey(string,address)"](
+        "LSP5ReceivedAssetsMap",
+        address
+      );
+      expect(generateMappingKey("LSP5ReceivedAssetsMap", address)).to.equal(
+        expected
+      );
+    });
+
+    it("`generateMappingKey(bytes10,bytes20)` should return the same data key", async () => {
+      const keyPrefix = ERC725YDataKeys.LSP10.LSP10VaultsMap.substring(0, 22);
+
+      const expected = await lsp2Utils["generateMappingKey(bytes10,bytes20)"](
+        keyPrefix,
+        address
+      );
+      expect(generateMappingKey(keyPrefix, address)).to.equal(expected);
+    });
+
+    it("`generateMappingWithGroupingKey(string,string,address)` should return the same data key", async () => {
+      const expected = await lsp2Utils[
+        "generateMappingWithGroupingKey(string,string,address)"
+      ]("AddressPermissions", "Permissions", address);
+      expect(
+        generateMappingWithGroupingKey(
+          "AddressPermissions",
+          "Permissions",
+          address
+        )
+      ).to.equal(expected);
+    });
+
+    it("`generateMappingWithGroupingKey(bytes10,bytes20)` should return the same data key", async () => {
+      const keyPrefix = ERC725YDataKeys.LSP6[
+        "AddressPermissions:AllowedCalls"
+      ].substring(0, 22);
+
+      const expected = await lsp2Utils[
+        "generateMappingWithGroupingKey(bytes10,bytes20)"
+      ](keyPrefix, address);
+      expect(generateMappingWithGroupingKey(keyPrefix, address)).to.equal(
+        expected
+      );
+    });
+  });
+
+  describe("parity with the JS values encoder (`tools/dataValues.js`)", () => {
+    const json = JSON.stringify({ LSP3Profile: { name: "Alice" } });
+    const url = "ipfs://QmbKvCVEePiDKxuouyty9bMsWBAxZDGr2jhxd4pLGLx95D";
+
+    it("`generateJSONURLValue(...)` should return the same value", async () => {
+      const expected = await lsp2Utils.generateJSONURLValue(
+        "keccak256(utf8)",
+        json,
+        url
+      );
+      expect(
+        encodeURLValue({ hashFunction: "keccak256(utf8)", json, url })
+      ).to.equal(expected);
+    });
+
+    it("`generateASSETURLValue(...)` should return the same value", async () => {
+      const expected = await lsp2Utils.generateASSETURLValue(
+        "keccak256(bytes)",
+        "image bytes",
+        url
+      );
+      expect(
+        encodeURLValue(
+          {
+            hashFunction: "keccak256(bytes)",
+            hash: ethers.utils.keccak256(
+              ethers.utils.toUtf8Bytes("image bytes")
+            ),
+            url,
+          },
+          "ASSETURL"
+        )
+      ).to.equal(expected);
+    });
+  });
 });
@@ -0,0 +1,424 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+
+import { createAssetClient } from "../../tools/assets";
+import { INTERFACE_IDS } from "../../constants";
+
+describe("assets", () => {
+  const address = (byte: string) =>
+    ethers.utils.getAddress("0x" + byte.repeat(20));
+
+  const [asset, owner, alice, bob, operator, eoa, contract, profile] = [
+    "a0",
+    "0f",
+    "a1",
+    "b0",
+    "0e",
+    "e0",
+    "c0",
+    "d0",
+  ].map(address);
+
+  const abi = new ethers.utils.Interface([
+    "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+    "function balanceOf(address tokenOwner) view returns (uint256)",
+    "function authorizedAmountFor(address operator, address tokenOwner) view returns (uint256)",
+    "function totalSupply() view returns (uint256)",
+    "function tokenSupplyCap() view returns (uint256)",
+    "function owner() view returns (address)",
+    "function tokenOwnerOf(bytes32 tokenId) view returns (address)",
+    "function getOperatorsOf(bytes32 tokenId) view returns (address[])",
+  ]);
+
+  /**
+   * `alice`, `bob`, `operator`, `owner` and `eoa` are EOAs, `contract` is a contract without LSP1 and
+   * `profile` a contract supporting LSP1. A call to a function not listed for an address reverts.
+   */
+  function createProvider(assetInterfaceId: string, results: object) {
+    const interfaces = {
+      [asset]: [assetInterfaceId],
+      [profile]: [INTERFACE_IDS.LSP1UniversalReceiver],
+      [contract]: [],
+    };
+
+    return {
+      _isProvider: true,
+      getCode: async (account: string) =>
+        interfaces[ethers.utils.getAddress(account)] ? "0x6080" : "0x",
+      call: async ({ to, data }: { to: string; data: string }) => {
+        const { name, args } = abi.parseTransaction({ data });
+        const target = ethers.utils.getAddress(to);
+
+        if (name === "supportsInterface" && interfaces[target]) {
+          return abi.encodeFunctionResult(name, [
+            interfaces[target].includes(args.interfaceId),
+          ]);
+        }
+
+        if (target !== asset || results[name] === undefined) {
+          throw new Error("execution reverted");
+        }
+
+        return abi.encodeFunctionResult(name, [results[name](...args)]);
+      },
+    };
+  }
+
+  const errorOf = (result) => ({
+    name: result.error.name,
+    args: result.error.args,
+  });
+
+  describe("LSP7", () => {
+    const balances = { [alice]: 100, [bob]: 10 };
+    const allowances = { [`${alice}:${operator}`]: 30 };
+
+    const provider = createProvider(INTERFACE_IDS.LSP7DigitalAsset, {
+      balanceOf: (account) => balances[account] || 0,
+      authorizedAmountFor: (spender, tokenOwner) =>
+        allowances[`${tokenOwner}:${spender}`] || 0,
+      totalSupply: () => 110,
+      tokenSupplyCap: () => 200,
+      owner: () => owner,
+    });
+
+    const token = createAssetClient({ asset, provider });
+
+    it("should detect the standard and build the calls", async () => {
+      const lsp7 = new ethers.utils.Interface([
+        "function transfer(address,address,uint256,bool,bytes)",
+        "function transferBatch(address[],address[],uint256[],bool[],bytes[])",
+        "function revokeOperator(address)",
+      ]);
+
+      expect(await token.getStandard()).to.equal("LSP7");
+      expect(
+        await token.buildTransfer({ from: alice, to: bob, amount: 5 })
+      ).to.deep.equal({
+        to: asset,
+        data: lsp7.encodeFunctionData("transfer", [alice, bob, 5, false, "0x"]),
+      });
+      expect(
+        await token.buildTransferBatch([
+          { from: alice, to: bob, amount: 5, force: true, data: "0xcafe" },
+          { from: bob, to: eoa, amount: 1 },
+        ])
+      ).to.deep.equal({
+        to: asset,
+        data: lsp7.encodeFunctionData("transferBatch", [
+          [alice, bob],
+          [bob, eoa],
+          [5, 1],
+          [true, false],
+          ["0xcafe", "0x"],
+        ]),
+      });
+      expect((await token.buildRevokeOperator({ operator })).data).to.equal(
+        lsp7.encodeFunctionData("revokeOperator", [operator])
+      );
+
+      await token.buildTransferBatch([]).then(
+        () => expect.fail("should have thrown"),
+        (error) =>
+          expect(error.message).to.equal("assets: no transfers to batch")
+      );
+      await token.buildTransfer({ from: alice, to: "0xcafe", amount: 1 }).then(
+        () => expect.fail("should have thrown"),
+        (error) => expect(error.message).to.equal("assets: invalid to 0xcafe")
+      );
+    });
+
+    it("should predict if the recipient can receive the tokens with `force = false`", async () => {
+      const toEOA = await token.previewTransfer({
+        from: alice,
+        to: eoa,
+        amount: 5,
+      });
+      expect(toEOA.status).to.equal("reverted");
+      expect(errorOf(toEOA)).to.deep.equal({
+        name: "LSP7NotifyTokenReceiverIsEOA",
+        args: [eoa],
+      });
+      expect(toEOA.recipients).to.deep.equal({
+        [eoa]: { address: eoa, isContract: false, supportsLSP1: false },
+      });
+      expect(toEOA.transaction).to.deep.equal(
+        await token.buildTransfer({ from: alice, to: eoa, amount: 5 })
+      );
+
+      const toContract = await token.previewTransfer({
+        from: alice,
+        to: contract,
+        amount: 5,
+      });
+      expect(errorOf(toContract)).to.deep.equal({
+        name: "LSP7NotifyTokenReceiverContractMissingLSP1Interface",
+        args: [contract],
+      });
+
+      expect(
+        await token.previewTransfer({
+          from: alice,
+          to: contract,
+          amount: 5,
+          force: true,
+        })
+      ).to.deep.include({ status: "ok" });
+      expect(
+        await token.previewTransfer({ from: alice, to: profile, amount: 5 })
+      ).to.deep.include({ status: "ok" });
+    });
+
+    it("should predict the balance and authorized amount errors", async () => {
+      expect(
+        errorOf(
+          await token.previewTransfer({ from: bob, to: profile, amount: 11 })
+        )
+      ).to.deep.equal({
+        name: "LSP7AmountExceedsBalance",
+        args: ["10", bob, "11"],
+      });
+
+      expect(
+        errorOf(
+          await token.previewTransfer(
+            { from: alice, to: profile, amount: 31 },
+            { caller: operator }
+          )
+        )
+      ).to.deep.equal({
+        name: "LSP7AmountExceedsAuthorizedAmount",
+        args: [alice, "30", operator, "31"],
+      });
+
+      // the second transfer spends the authorized amount left by the first one
+      const batch = await token.previewTransferBatch(
+        [
+          { from: alice, to: profile, amount: 20 },
+          { from: alice, to: bob, amount: 20, force: true },
+        ],
+        { caller: operator }
+      );
+      expect(batch).to.deep.include({ status: "reverted", index: 1 });
+      expect(errorOf(batch)).to.deep.equal({
+        name: "LSP7AmountExceedsAuthorizedAmount",
+        args: [alice, "10", operator, "20"],
+      });
+
+      expect(
+        errorOf(
+          await token.previewTransfer({ from: alice, to: alice, amount: 1 })
+        ).name
+      ).to.equal("LSP7CannotSendToSelf");
+    });
+
+    it("should predict the operator and mint errors", async () => {
+      expect(
+        await token.previewAuthorizeOperator(
+          { operator, amount: 50 },
+          { caller: alice }
+        )
+      ).to.deep.include({ status: "ok" });
+      expect(
+        errorOf(
+          await token.previewAuthorizeOperator(
+            { operator: alice, amount: 50 },
+            { caller: alice }
+          )
+        ).name
+      ).to.equal("LSP7TokenOwnerCannotBeOperator");
+      expect(
+        errorOf(
+          await token.previewRevokeOperator(
+            { operator: ethers.constants.AddressZero },
+            { caller: alice }
+          )
+        ).name
+      ).to.equal("LSP7CannotUseAddressZeroAsOperator");
+
+      // called by the owner of the asset by default
+      expect(
+        await token.previewMint({ to: profile, amount: 90 })
+      ).to.deep.include({ status: "ok" });
+      expect(
+        errorOf(await token.previewMint({ to: profile, amount: 91 })).name
+      ).to.equal("LSP7CappedSupplyCannotMintOverCap");
+      expect(
+        errorOf(
+          await token.previewMint({ to: profile, amount: 1 }, { caller: alice })
+        )
+      ).to.deep.equal({
+        name: "Error",
+        args: ["Ownable: caller is not the owner"],
+      });
+    });
+  });
+
+  describe("LSP8", () => {
+    const [first, second, unknown] = ["01", "02", "03"].map(
+      (byte) => "0x" + byte.repeat(32)
+    );
+    const owners = { [first]: alice, [second]: bob };
+    const operators = { [first]: [operator], [second]: [] };
+
+    const provider = createProvider(
+      INTERFACE_IDS.LSP8IdentifiableDigitalAsset,
+      {
+        tokenOwnerOf: (tokenId) => {
+          if (!owners[tokenId]) throw new Error("LSP8NonExistentTokenId");
+          return owners[tokenId];
+        },
+        getOperatorsOf: (tokenId) => operators[tokenId],
+        totalSupply: () => 2,
+        tokenSupplyCap: () => 3,
+        owner: () => owner,
+      }
+    );
+
+    const collection = createAssetClient({ asset, provider });
+
+    it("should predict the owner and operator errors of a transfer", async () => {
+      expect(await collection.getStandard()).to.equal("LSP8");
+
+      expect(
+        await collection.previewTransfer(
+          { from: alice, to: profile, tokenId: first },
+          { caller: operator }
+        )
+      ).to.deep.include({ status: "ok" });
+
+      expect(
+        errorOf(
+          await collection.previewTransfer({
+            from: alice,
+            to: profile,
+            tokenId: unknown,
+          })
+        )
+      ).to.deep.equal({ name: "LSP8NonExistentTokenId", args: [unknown] });
+
+      expect(
+        errorOf(
+          await collection.previewTransfer(
+            { from: bob, to: profile, tokenId: second },
+            { caller: operator }
+          )
+        )
+      ).to.deep.equal({
+        name: "LSP8NotTokenOperator",
+        args: [second, operator],
+      });
+
+      expect(
+        errorOf(
+          await collection.previewTransfer(
+            { from: bob, to: profile, tokenId: first },
+            { caller: operator }
+          )
+        )
+      ).to.deep.equal({
+        name: "LSP8NotTokenOwner",
+        args: [alice, first, bob],
+      });
+
+      expect(
+        errorOf(
+          await collection.previewTransfer({
+            from: alice,
+            to: eoa,
+            tokenId: first,
+          })
+        )
+      ).to.deep.equal({ name: "LSP8NotifyTokenReceiverIsEOA", args: [eoa] });
+
+      // the operators of the token are cleared by the first transfer
+      const batch = await collection.previewTransferBatch(
+        [
+          { from: alice, to: profile, tokenId: first },
+          { from: profile, to: alice, tokenId: first, force: true },
+        ],
+        { caller: operator }
+      );
+      expect(batch).to.deep.include({ status: "reverted", index: 1 });
+      expect(errorOf(batch)).to.deep.equal({
+        name: "LSP8NotTokenOperator",
+        args: [first, operator],
+      });
+    });
+
+    it("should predict the operator and mint errors", async () => {
+      expect(
+        errorOf(
+          await collection.previewAuthorizeOperator(
+            { operator, tokenId: first },
+            { caller: alice }
+          )
+        )
+      ).to.deep.equal({
+        name: "LSP8OperatorAlreadyAuthorized",
+        args: [operator, first],
+      });
+      expect(
+        errorOf(
+          await collection.previewRevokeOperator(
+            { operator, tokenId: second },
+            { caller: bob }
+          )
+        )
+      ).to.deep.equal({
+        name: "LSP8NonExistingOperator",
+        args: [operator, second],
+      });
+      expect(
+        errorOf(
+          await collection.previewAuthorizeOperator(
+            { operator, tokenId: second },
+            { caller: alice }
+          )
+        )
+      ).to.deep.equal({
+        name: "LSP8NotTokenOwner",
+        args: [bob, second, alice],
+      });
+
+      expect(
+        errorOf(await collection.previewMint({ to: profile, tokenId: first }))
+      ).to.deep.equal({ name: "LSP8TokenIdAlreadyMinted", args: [first] });
+      expect(
+        errorOf(
+          await collection.previewMint({ to: contract, tokenId: unknown })
+        )
+      ).to.deep.equal({
+        name: "LSP8NotifyTokenReceiverContractMissingLSP1Interface",
+        args: [contract],
+      });
+      expect(
+        await collection.previewMint({
+          to: contract,
+          tokenId: unknown,
+          force: true,
+        })
+      ).to.deep.include({ status: "ok" });
+    });
+
+    it("should predict a mint over the token supply cap", async () => {
+      const capped = createAssetClient({
+        asset,
+        standard: "LSP8",
+        provider: createProvider(INTERFACE_IDS.LSP8IdentifiableDigitalAsset, {
+          tokenOwnerOf: () => {
+            throw new Error("LSP8NonExistentTokenId");
+          },
+          totalSupply: () => 3,
+          tokenSupplyCap: () => 3,
+          owner: () => owner,
+        }),
+      });
+
+      expect(
+        errorOf(await capped.previewMint({ to: profile, tokenId: unknown }))
+          .name
+      ).to.equal("LSP8CappedSupplyCannotMintOverCap");
+    });
+  });
+});
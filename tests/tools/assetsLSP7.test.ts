@@ -0,0 +1,86 @@
+import { expect } from "chai";
+import { ethers } from "hardhat";
+
+import {
+  LSP7Mintable__factory,
+  TokenReceiverWithoutLSP1__factory,
+  UniversalProfile,
+} from "../../types";
+
+import { setupProfileWithKeyManagerWithURD } from "../utils/fixtures";
+
+import { createAssetClient } from "../../tools/assets";
+
+/**
+ * Preview the calls of an LSP7Mintable token, then check that they do what the preview predicted.
+ */
+describe("assets (against LSP7Mintable)", () => {
+  it("should predict the revert of a transfer to a contract without LSP1, sent by a Universal Profile", async () => {
+    const [alice, bob] = await ethers.getSigners();
+
+    const [aliceProfile]: UniversalProfile[] =
+      (await setupProfileWithKeyManagerWithURD(alice)) as any;
+    const [bobProfile]: UniversalProfile[] =
+      (await setupProfileWithKeyManagerWithURD(bob)) as any;
+
+    const lsp7 = await new LSP7Mintable__factory(alice).deploy(
+      "Token",
+      "TKN",
+      alice.address,
+      false
+    );
+    const receiver = await new TokenReceiverWithoutLSP1__factory(
+      alice
+    ).deploy();
+
+    const token = createAssetClient({
+      asset: lsp7.address,
+      provider: ethers.provider,
+    });
+
+    const mint = await token.previewMint({
+      to: aliceProfile.address,
+      amount: 100,
+    });
+    expect(mint.status).to.equal("ok");
+    await alice.sendTransaction(mint.transaction);
+
+    const toReceiver = await token.previewTransfer({
+      from: aliceProfile.address,
+      to: receiver.address,
+      amount: 10,
+    });
+    expect(toReceiver.status).to.equal("reverted");
+    expect(toReceiver.error.name).to.equal(
+      "LSP7NotifyTokenReceiverContractMissingLSP1Interface"
+    );
+
+    // sent through the Key Manager of Alice's profile
+    await expect(alice.sendTransaction(toReceiver.transaction))
+      .to.be.revertedWithCustomError(
+        lsp7,
+        "LSP7NotifyTokenReceiverContractMissingLSP1Interface"
+      )
+      .withArgs(receiver.address);
+
+    const toBob = await token.previewTransfer({
+      from: aliceProfile.address,
+      to: bobProfile.address,
+      amount: 10,
+    });
+    expect(toBob.status).to.equal("ok");
+    await alice.sendTransaction(toBob.transaction);
+
+    expect(await lsp7.balanceOf(bobProfile.address)).to.equal(10);
+
+    const overBalance = await token.previewTransfer({
+      from: aliceProfile.address,
+      to: bobProfile.address,
+      amount: 91,
+    });
+    expect(overBalance.error.name).to.equal("LSP7AmountExceedsBalance");
+    await expect(alice.sendTransaction(overBalance.transaction))
+      .to.be.revertedWithCustomError(lsp7, "LSP7AmountExceedsBalance")
+      .withArgs(90, aliceProfile.address, 91);
+  });
+});
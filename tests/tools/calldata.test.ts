@@ -0,0 +1,303 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+
+import {
+  labelDataKey,
+  decodeCalldata,
+  renderCalldata,
+} from "../../tools/calldata";
+import {
+  ERC725YDataKeys,
+  LSP1_TYPE_IDS,
+  OPERATION_TYPES,
+  PERMISSIONS,
+} from "../../constants";
+
+describe("calldata", () => {
+  const address = (byte: string) =>
+    ethers.utils.getAddress("0x" + byte.repeat(20));
+
+  const keyManager = address("cc");
+  const universalProfile = address("aa");
+  const token = address("11");
+  const bob = address("b1");
+  const controller = address("ca");
+
+  const abi = new ethers.utils.Interface([
+    "function execute(bytes payload)",
+    "function executeRelayCall(bytes signature, uint256 nonce, bytes payload)",
+    "function execute(uint256 operationType, address target, uint256 value, bytes data)",
+    "function execute(uint256[] operationsType, address[] targets, uint256[] values, bytes[] datas)",
+    "function setData(bytes32[] dataKeys, bytes[] dataValues)",
+    "function transfer(address from, address to, uint256 amount, bool allowNonLSP1Recipient, bytes data)",
+    "function universalReceiver(bytes32 typeId, bytes receivedData)",
+  ]);
+
+  const transfer = abi.encodeFunctionData("transfer", [
+    universalProfile,
+    bob,
+    10,
+    false,
+    "0x",
+  ]);
+
+  const permissionsKey =
+    ERC725YDataKeys.LSP6["AddressPermissions:Permissions"] +
+    controller.substring(2).toLowerCase();
+
+  it("should label the data keys with their name in ERC725YDataKeys", () => {
+    expect(labelDataKey(permissionsKey)).to.deep.equal({
+      dataKey: permissionsKey,
+      standard: "LSP6",
+      name: "AddressPermissions:Permissions",
+      dynamicPart: controller,
+      label: `AddressPermissions:Permissions:${controller}`,
+    });
+
+    expect(
+      labelDataKey(ERC725YDataKeys.LSP5["LSP5ReceivedAssets[]"].length).label
+    ).to.equal("LSP5ReceivedAssets[]");
+    expect(
+      labelDataKey(
+        ERC725YDataKeys.LSP5["LSP5ReceivedAssets[]"].index +
+          "0".repeat(30) +
+          "0a"
+      ).label
+    ).to.equal("LSP5ReceivedAssets[10]");
+    expect(
+      labelDataKey(
+        ERC725YDataKeys.LSP17.LSP17ExtensionPrefix + "cafecafe" + "0".repeat(32)
+      ).label
+    ).to.equal("LSP17Extension:0xcafecafe");
+    expect(labelDataKey(ethers.constants.HashZero)).to.deep.include({
+      name: null,
+      label: ethers.constants.HashZero,
+    });
+  });
+
+  it("should unwrap a relay call down to the LSP7 transfer it executes", () => {
+    const payload = abi.encodeFunctionData(
+      "execute(uint256,address,uint256,bytes)",
+      [OPERATION_TYPES.CALL, token, 0, transfer]
+    );
+    const nonce = ethers.BigNumber.from(3).shl(128).add(7);
+
+    const decoded = decodeCalldata(
+      {
+        to: keyManager,
+        data: abi.encodeFunctionData("executeRelayCall", [
+          "0x" + "00".repeat(65),
+          nonce,
+          payload,
+        ]),
+      },
+      { target: universalProfile }
+    );
+
+    expect(decoded).to.deep.include({
+      to: keyManager,
+      value: "0",
+      function: "executeRelayCall(bytes,uint256,bytes)",
+      contract: "LSP6KeyManager",
+      description: "relay a payload signed for the nonce 7 of the channel 3",
+    });
+
+    const [execute] = decoded.calls;
+    expect(execute).to.deep.include({
+      to: universalProfile,
+      contract: "ERC725X",
+      description: `execute a CALL from ${universalProfile}`,
+    });
+
+    expect(execute.calls).to.deep.equal([
+      {
+        to: token,
+        value: "0",
+        operation: "CALL",
+        selector: transfer.substring(0, 10),
+        function: "transfer(address,address,uint256,bool,bytes)",
+        contract: "LSP7DigitalAsset",
+        args: {
+          from: universalProfile,
+          to: bob,
+          amount: "10",
+          allowNonLSP1Recipient: false,
+          data: "0x",
+        },
+        description: `transfer 10 tokens of ${token} from ${universalProfile} to ${bob}`,
+        calls: [],
+      },
+    ]);
+
+    expect(renderCalldata(decoded)).to.equal(
+      [
+        "LSP6KeyManager.executeRelayCall(bytes,uint256,bytes): relay a payload signed for the nonce 7 of the channel 3",
+        `└─ ERC725X.execute(uint256,address,uint256,bytes): execute a CALL from ${universalProfile}`,
+        `   └─ [CALL] LSP7DigitalAsset.transfer(address,address,uint256,bool,bytes): transfer 10 tokens of ${token} from ${universalProfile} to ${bob}`,
+      ].join("\n")
+    );
+  });
+
+  it("should label the data keys and permissions set with setData(bytes32[],bytes[])", () => {
+    const decoded = decodeCalldata(
+      {
+        to: keyManager,
+        data: abi.encodeFunctionData("execute(bytes)", [
+          abi.encodeFunctionData("setData", [
+            [
+              permissionsKey,
+              ERC725YDataKeys.LSP6["AddressPermissions[]"].length,
+              ERC725YDataKeys.LSP3.LSP3Profile,
+            ],
+            [
+              ethers.utils.hexZeroPad(
+                ethers.BigNumber.from(PERMISSIONS.CALL)
+                  .or(PERMISSIONS.SETDATA)
+                  .toHexString(),
+                32
+              ),
+              ethers.utils.hexZeroPad("0x02", 32),
+              "0x",
+            ],
+          ]),
+        ]),
+      },
+      { target: universalProfile }
+    );
+
+    const [setData] = decoded.calls;
+
+    expect(
+      setData.dataKeys.map(({ label, decodedValue }) => ({
+        label,
+        decodedValue,
+      }))
+    ).to.deep.equal([
+      {
+        label: `AddressPermissions:Permissions:${controller}`,
+        decodedValue: ["CALL", "SETDATA"],
+      },
+      { label: "AddressPermissions[]", decodedValue: "2" },
+      { label: "LSP3Profile", decodedValue: null },
+    ]);
+
+    expect(renderCalldata(decoded).split("\n")).to.deep.equal([
+      `LSP6KeyManager.execute(bytes): execute a payload on ${universalProfile}`,
+      `└─ ERC725Y.setData(bytes32[],bytes[]): set 3 data key(s) on ${universalProfile}`,
+      `   ├─ AddressPermissions:Permissions:${controller} = CALL, SETDATA`,
+      "   ├─ AddressPermissions[] = 2",
+      "   └─ LSP3Profile = (removed)",
+    ]);
+  });
+
+  it("should decode each operation of a batch execute(...)", () => {
+    const bytecode = "0x6080604052";
+    const salt = ethers.utils.hexZeroPad("0x01", 32);
+
+    const decoded = decodeCalldata({
+      to: universalProfile,
+      value: ethers.utils.parseEther("1"),
+      data: abi.encodeFunctionData(
+        "execute(uint256[],address[],uint256[],bytes[])",
+        [
+          [
+            OPERATION_TYPES.CALL,
+            OPERATION_TYPES.CREATE2,
+            OPERATION_TYPES.STATICCALL,
+            OPERATION_TYPES.DELEGATECALL,
+          ],
+          [bob, ethers.constants.AddressZero, token, token],
+          [ethers.utils.parseEther("1"), 0, 0, 0],
+          [
+            "0x",
+            ethers.utils.hexConcat([bytecode, salt]),
+            abi.encodeFunctionData("universalReceiver", [
+              LSP1_TYPE_IDS.LSP7Tokens_RecipientNotification,
+              "0x",
+            ]),
+            "0xcafecafe",
+          ],
+        ]
+      ),
+    });
+
+    expect(
+      decoded.calls.map(({ to, value, operation, description }) => ({
+        to,
+        value,
+        operation,
+        description,
+      }))
+    ).to.deep.equal([
+      {
+        to: bob,
+        value: ethers.utils.parseEther("1").toString(),
+        operation: "CALL",
+        description: `send 1.0 LYX to ${bob}`,
+      },
+      {
+        to: ethers.utils.getCreate2Address(
+          universalProfile,
+          salt,
+          ethers.utils.keccak256(bytecode)
+        ),
+        value: "0",
+        operation: "CREATE2",
+        description: `deploy a contract with CREATE2 (salt ${salt}) at ${ethers.utils.getCreate2Address(
+          universalProfile,
+          salt,
+          ethers.utils.keccak256(bytecode)
+        )}`,
+      },
+      {
+        to: token,
+        value: "0",
+        operation: "STATICCALL",
+        description: `notify ${token} with the type ID LSP7Tokens_RecipientNotification`,
+      },
+      {
+        to: token,
+        value: "0",
+        operation: "DELEGATECALL",
+        description: `call the function 0xcafecafe of ${token}`,
+      },
+    ]);
+  });
+
+  it("should decode the functions of other ABIs, and report what could not be decoded", () => {
+    const custom = new ethers.utils.Interface([
+      "function mint(address to, uint256 amount)",
+    ]);
+
+    expect(
+      decodeCalldata(
+        {
+          to: token,
+          data: custom.encodeFunctionData("mint", [bob, 5]),
+        },
+        { abis: { MyToken: custom.format() } }
+      )
+    ).to.deep.include({
+      function: "mint(address,uint256)",
+      contract: "MyToken",
+      args: { to: bob, amount: "5" },
+      description: `call mint(...) on ${token}`,
+    });
+
+    // not ABI encoded
+    expect(
+      decodeCalldata({
+        to: keyManager,
+        data: abi.getSighash("execute(bytes)") + "cafe",
+      })
+    ).to.deep.include({
+      function: "execute(bytes)",
+      args: null,
+      error: "could not decode the arguments of execute(bytes)",
+    });
+
+    expect(() => decodeCalldata({ data: "cafe" })).to.throw(
+      "calldata: invalid data cafe (must be a hex string)"
+    );
+  });
+});
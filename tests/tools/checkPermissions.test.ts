@@ -0,0 +1,513 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+
+import { checkPermissions } from "../../tools/checkPermissions";
+import {
+  ALL_PERMISSIONS,
+  ERC725YDataKeys,
+  INTERFACE_IDS,
+  OPERATION_TYPES,
+  PERMISSIONS,
+} from "../../constants";
+
+describe("checkPermissions", () => {
+  const universalProfile = new ethers.utils.Interface([
+    "function setData(bytes32 dataKey, bytes dataValue)",
+    "function setData(bytes32[] dataKeys, bytes[] dataValues)",
+    "function execute(uint256 operationType, address target, uint256 value, bytes data)",
+    "function transferOwnership(address newOwner)",
+  ]);
+
+  const owner = ethers.utils.getAddress(
+    "0x1111111111111111111111111111111111111111"
+  );
+  const restricted = ethers.utils.getAddress(
+    "0x2222222222222222222222222222222222222222"
+  );
+  const addController = ethers.utils.getAddress(
+    "0x3333333333333333333333333333333333333333"
+  );
+  const stranger = ethers.utils.getAddress(
+    "0x4444444444444444444444444444444444444444"
+  );
+  const target = ethers.utils.getAddress(
+    "0xcafecafecafecafecafecafecafecafecafecafe"
+  );
+  const token = ethers.utils.getAddress(
+    "0xbeefbeefbeefbeefbeefbeefbeefbeefbeefbeef"
+  );
+
+  const setNameSelector = ethers.utils.id("setName(string)").substring(0, 10);
+
+  const permissionsKey = (controller: string) =>
+    ERC725YDataKeys.LSP6["AddressPermissions:Permissions"] +
+    controller.substring(2);
+
+  const snapshot = {
+    address: "0x5555555555555555555555555555555555555555",
+    LSP1UniversalReceiverDelegate: {
+      default: "0x6666666666666666666666666666666666666666",
+      typeIds: {},
+    },
+    controllers: [
+      {
+        address: owner,
+        permissions: { value: ALL_PERMISSIONS, names: [], unknownBits: [] },
+        allowedCalls: [],
+        allowedERC725YDataKeys: [],
+      },
+      {
+        address: restricted,
+        permissions: {
+          value: ethers.utils.hexZeroPad(
+            ethers.BigNumber.from(PERMISSIONS.CALL)
+              .or(PERMISSIONS.SETDATA)
+              .toHexString(),
+            32
+          ),
+          names: ["CALL", "SETDATA"],
+          unknownBits: [],
+        },
+        allowedCalls: [
+          {
+            interfaceId: "0xffffffff",
+            address: target,
+            functionSelector: setNameSelector,
+          },
+          {
+            interfaceId: INTERFACE_IDS.LSP7DigitalAsset,
+            address: "0xFFfFfFffFFfffFFfFFfFFFFFffFFFffffFfFFFfF",
+            functionSelector: "0xffffffff",
+          },
+        ],
+        allowedERC725YDataKeys: [{ dataKey: "0xcafe", isPrefix: true }],
+      },
+      {
+        address: addController,
+        permissions: {
+          value: PERMISSIONS.ADDCONTROLLER,
+          names: ["ADDCONTROLLER"],
+          unknownBits: [],
+        },
+        allowedCalls: [],
+        allowedERC725YDataKeys: [],
+      },
+    ],
+    LSP5ReceivedAssets: [],
+    LSP10Vaults: [],
+    LSP12IssuedAssets: [],
+    LSP17Extensions: {
+      "0x150b7a02": "0x7777777777777777777777777777777777777777",
+    },
+  };
+
+  const setData = (dataKey: string, dataValue: string) =>
+    universalProfile.encodeFunctionData("setData(bytes32,bytes)", [
+      dataKey,
+      dataValue,
+    ]);
+
+  const execute = (
+    operationType: number,
+    to: string,
+    value: number,
+    data: string
+  ) =>
+    universalProfile.encodeFunctionData("execute", [
+      operationType,
+      to,
+      value,
+      data,
+    ]);
+
+  const expectError = (result: any, name: string, args?: any[]) => {
+    expect(result.allowed).to.be.false;
+    expect(result.error.name).to.equal(name);
+    if (args !== undefined) expect(result.error.args).to.deep.equal(args);
+  };
+
+  describe("any payload", () => {
+    it("should revert with NoPermissionsSet for an address that is not a controller", () => {
+      expectError(
+        checkPermissions(
+          snapshot,
+          stranger,
+          setData(ethers.constants.HashZero, "0x")
+        ),
+        "NoPermissionsSet",
+        [stranger]
+      );
+    });
+
+    it("should revert with InvalidPayload for a payload shorter than 4 bytes", () => {
+      expectError(
+        checkPermissions(snapshot, owner, "0xcafe"),
+        "InvalidPayload",
+        ["0xcafe"]
+      );
+    });
+
+    it("should revert with InvalidERC725Function for any other function", () => {
+      expectError(
+        checkPermissions(snapshot, owner, "0xdeadbeef"),
+        "InvalidERC725Function",
+        ["0xdeadbeef"]
+      );
+    });
+
+    it("should require CHANGEOWNER to transfer ownership", () => {
+      const payload = universalProfile.encodeFunctionData("transferOwnership", [
+        stranger,
+      ]);
+
+      expect(checkPermissions(snapshot, owner, payload)).to.deep.equal({
+        allowed: true,
+      });
+      expectError(
+        checkPermissions(snapshot, restricted, payload),
+        "NotAuthorised",
+        [restricted, "TRANSFEROWNERSHIP"]
+      );
+    });
+
+    it("should throw on an invalid controller address or payload", () => {
+      expect(() => checkPermissions(snapshot, "0xcafe", "0x")).to.throw(
+        "checkPermissions: invalid controller address 0xcafe"
+      );
+      expect(() => checkPermissions(snapshot, owner, "setData")).to.throw(
+        "checkPermissions: invalid payload setData (must be a hex string)"
+      );
+    });
+  });
+
+  describe("setData(...)", () => {
+    it("should allow the data keys in the AllowedERC725YDataKeys", () => {
+      const dataKey = "0xcafe" + "00".repeat(30);
+
+      expect(
+        checkPermissions(snapshot, restricted, setData(dataKey, "0x01"))
+      ).to.deep.equal({ allowed: true });
+    });
+
+    it("should revert with NotAllowedERC725YDataKey for the first data key not allowed", () => {
+      const allowedKey = "0xcafe" + "00".repeat(30);
+      const notAllowedKey = "0xbeef" + "00".repeat(30);
+
+      const payload = universalProfile.encodeFunctionData(
+        "setData(bytes32[],bytes[])",
+        [
+          [allowedKey, notAllowedKey],
+          ["0x01", "0x02"],
+        ]
+      );
+
+      expectError(
+        checkPermissions(snapshot, restricted, payload),
+        "NotAllowedERC725YDataKey",
+        [restricted, notAllowedKey]
+      );
+    });
+
+    it("should allow a batch mixing an LSP6 data key and an allowed data key", () => {
+      const withPermissions = {
+        ...snapshot,
+        controllers: snapshot.controllers.map((controller) =>
+          controller.address === restricted
+            ? {
+                ...controller,
+                permissions: {
+                  ...controller.permissions,
+                  value: ethers.utils.hexZeroPad(
+                    ethers.BigNumber.from(PERMISSIONS.SETDATA)
+                      .or(PERMISSIONS.CHANGEPERMISSIONS)
+                      .or(PERMISSIONS.ADDCONTROLLER)
+                      .toHexString(),
+                    32
+                  ),
+                },
+              }
+            : controller
+        ),
+      };
+
+      const payload = universalProfile.encodeFunctionData(
+        "setData(bytes32[],bytes[])",
+        [
+          [permissionsKey(stranger), "0xcafe" + "00".repeat(30)],
+          [PERMISSIONS.CALL, "0x01"],
+        ]
+      );
+
+      expect(
+        checkPermissions(withPermissions, restricted, payload)
+      ).to.deep.equal({ allowed: true });
+    });
+
+    it("should revert with NoERC725YDataKeysAllowed without AllowedERC725YDataKeys", () => {
+      const withoutAllowedKeys = {
+        ...snapshot,
+        controllers: snapshot.controllers.map((controller) =>
+          controller.address === restricted
+            ? { ...controller, allowedERC725YDataKeys: [] }
+            : controller
+        ),
+      };
+
+      expectError(
+        checkPermissions(
+          withoutAllowedKeys,
+          restricted,
+          setData("0xcafe" + "00".repeat(30), "0x01")
+        ),
+        "NoERC725YDataKeysAllowed",
+        [restricted]
+      );
+    });
+
+    it("should revert with InvalidEncodedAllowedERC725YDataKeys for a truncated AllowedERC725YDataKeys entry", () => {
+      // the last entry announces 4 bytes, but only 2 are left
+      const truncated = "0x0002beef0004cafe";
+      const withTruncatedKeys = {
+        ...snapshot,
+        controllers: snapshot.controllers.map((controller) =>
+          controller.address === restricted
+            ? { ...controller, allowedERC725YDataKeys: truncated }
+            : controller
+        ),
+      };
+
+      expectError(
+        checkPermissions(
+          withTruncatedKeys,
+          restricted,
+          setData("0xcafe" + "00".repeat(30), "0x01")
+        ),
+        "InvalidEncodedAllowedERC725YDataKeys",
+        [truncated]
+      );
+    });
+
+    it("should require ADDCONTROLLER for a new controller, and CHANGEPERMISSIONS for an existing one", () => {
+      expect(
+        checkPermissions(
+          snapshot,
+          addController,
+          setData(permissionsKey(stranger), PERMISSIONS.CALL)
+        )
+      ).to.deep.equal({ allowed: true });
+
+      expectError(
+        checkPermissions(
+          snapshot,
+          addController,
+          setData(permissionsKey(restricted), PERMISSIONS.CALL)
+        ),
+        "NotAuthorised",
+        [addController, "CHANGEPERMISSIONS"]
+      );
+    });
+
+    it("should require ADDCONTROLLER to increase the length of AddressPermissions[], CHANGEPERMISSIONS to decrease it", () => {
+      const arrayKey = ERC725YDataKeys.LSP6["AddressPermissions[]"].length;
+
+      expect(
+        checkPermissions(
+          snapshot,
+          addController,
+          setData(arrayKey, ethers.utils.hexZeroPad("0x04", 32))
+        )
+      ).to.deep.equal({ allowed: true });
+
+      expectError(
+        checkPermissions(
+          snapshot,
+          addController,
+          setData(arrayKey, ethers.utils.hexZeroPad("0x02", 32))
+        ),
+        "NotAuthorised",
+        [addController, "CHANGEPERMISSIONS"]
+      );
+    });
+
+    it("should revert with AddressPermissionArrayIndexValueNotAnAddress for an invalid AddressPermissions[index]", () => {
+      const elementKey =
+        ERC725YDataKeys.LSP6["AddressPermissions[]"].index +
+        "00".repeat(15) +
+        "03";
+
+      expectError(
+        checkPermissions(snapshot, owner, setData(elementKey, "0xcafe")),
+        "AddressPermissionArrayIndexValueNotAnAddress",
+        [elementKey, "0xcafe"]
+      );
+    });
+
+    it("should revert with InvalidEncodedAllowedCalls for an invalid AllowedCalls value", () => {
+      const dataKey =
+        ERC725YDataKeys.LSP6["AddressPermissions:AllowedCalls"] +
+        stranger.substring(2);
+
+      expectError(
+        checkPermissions(snapshot, owner, setData(dataKey, "0x0002cafe")),
+        "InvalidEncodedAllowedCalls",
+        ["0x0002cafe"]
+      );
+    });
+
+    it("should revert with NotRecognisedPermissionKey for an unknown AddressPermissions:... data key", () => {
+      const dataKey =
+        ERC725YDataKeys.LSP6.AddressPermissionsPrefix + "00".repeat(26);
+
+      expectError(
+        checkPermissions(snapshot, owner, setData(dataKey, "0x")),
+        "NotRecognisedPermissionKey",
+        [dataKey]
+      );
+    });
+
+    it("should require ADD or CHANGE UNIVERSALRECEIVERDELEGATE / EXTENSIONS, depending on the value already set", () => {
+      expectError(
+        checkPermissions(
+          snapshot,
+          restricted,
+          setData(ERC725YDataKeys.LSP1.LSP1UniversalReceiverDelegate, target)
+        ),
+        "NotAuthorised",
+        [restricted, "CHANGEUNIVERSALRECEIVERDELEGATE"]
+      );
+
+      const extensionKey = (selector: string) =>
+        ERC725YDataKeys.LSP17.LSP17ExtensionPrefix +
+        selector.substring(2) +
+        "00".repeat(16);
+
+      expectError(
+        checkPermissions(
+          snapshot,
+          restricted,
+          setData(extensionKey("0x150b7a02"), target)
+        ),
+        "NotAuthorised",
+        [restricted, "CHANGEEXTENSIONS"]
+      );
+      expectError(
+        checkPermissions(
+          snapshot,
+          restricted,
+          setData(extensionKey("0xcafecafe"), target)
+        ),
+        "NotAuthorised",
+        [restricted, "ADDEXTENSIONS"]
+      );
+    });
+  });
+
+  describe("execute(...)", () => {
+    const setNameCall = (to: string) =>
+      execute(
+        OPERATION_TYPES.CALL,
+        to,
+        0,
+        setNameSelector +
+          ethers.utils.defaultAbiCoder
+            .encode(["string"], ["Alice"])
+            .substring(2)
+      );
+
+    it("should allow the calls in the AllowedCalls", () => {
+      expect(
+        checkPermissions(snapshot, restricted, setNameCall(target))
+      ).to.deep.equal({ allowed: true });
+    });
+
+    it("should revert with NotAllowedCall for an address not in the AllowedCalls", () => {
+      expectError(
+        checkPermissions(snapshot, restricted, setNameCall(stranger)),
+        "NotAllowedCall",
+        [restricted, stranger, setNameSelector]
+      );
+    });
+
+    it("should match the AllowedCalls restricted to a standard with `supportedInterfaces`", () => {
+      const transfer = execute(OPERATION_TYPES.CALL, token, 0, "0x760d9bba");
+
+      expectError(
+        checkPermissions(snapshot, restricted, transfer),
+        "NotAllowedCall"
+      );
+      expect(
+        checkPermissions(snapshot, restricted, transfer, {
+          supportedInterfaces: { [token]: [INTERFACE_IDS.LSP7DigitalAsset] },
+        })
+      ).to.deep.equal({ allowed: true });
+    });
+
+    it("should require TRANSFERVALUE to send value, unless SUPER_TRANSFERVALUE", () => {
+      expectError(
+        checkPermissions(
+          snapshot,
+          restricted,
+          execute(OPERATION_TYPES.CALL, target, 1, "0x")
+        ),
+        "NotAuthorised",
+        [restricted, "TRANSFERVALUE"]
+      );
+      expect(
+        checkPermissions(
+          snapshot,
+          owner,
+          execute(OPERATION_TYPES.CALL, stranger, 1, "0x")
+        )
+      ).to.deep.equal({ allowed: true });
+    });
+
+    it("should require DEPLOY to create a contract", () => {
+      expectError(
+        checkPermissions(
+          snapshot,
+          restricted,
+          execute(
+            OPERATION_TYPES.CREATE,
+            ethers.constants.AddressZero,
+            0,
+            "0x6000"
+          )
+        ),
+        "NotAuthorised",
+        [restricted, "DEPLOY"]
+      );
+    });
+
+    it("should revert with DelegateCallDisallowedViaKeyManager for DELEGATECALL", () => {
+      expectError(
+        checkPermissions(
+          snapshot,
+          owner,
+          execute(OPERATION_TYPES.DELEGATECALL, target, 0, "0x")
+        ),
+        "DelegateCallDisallowedViaKeyManager",
+        []
+      );
+    });
+
+    it("should revert with NoCallsAllowed without AllowedCalls", () => {
+      expectError(
+        checkPermissions(
+          {
+            ...snapshot,
+            controllers: [
+              {
+                ...snapshot.controllers[1],
+                allowedCalls: [],
+              },
+            ],
+          },
+          restricted,
+          setNameCall(target)
+        ),
+        "NoCallsAllowed",
+        [restricted]
+      );
+    });
+  });
+});
@@ -0,0 +1,347 @@
+import { expect } from "chai";
+import { ethers } from "hardhat";
+import { SignerWithAddress } from "@nomiclabs/hardhat-ethers/signers";
+
+import {
+  LSP6KeyManager__factory,
+  TargetContract,
+  TargetContract__factory,
+  UniversalProfile__factory,
+} from "../../types";
+
+import { LSP6TestContext } from "../utils/context";
+import { setupKeyManager } from "../utils/fixtures";
+
+import { checkPermissions } from "../../tools/checkPermissions";
+import { generateArrayElementKeyAtIndex } from "../../tools/dataKeys";
+import { decodeRevertData } from "../../tools/errors";
+import {
+  encodeAllowedCalls,
+  encodeAllowedERC725YDataKeys,
+} from "../../tools/restrictions";
+import { getUniversalProfileSnapshot } from "../../tools/snapshot";
+import {
+  ERC725YDataKeys,
+  INTERFACE_IDS,
+  OPERATION_TYPES,
+  PERMISSIONS,
+} from "../../constants";
+
+// find the revert data in the (nested) errors thrown by ethers or the provider
+function findRevertData(error: any): string | null {
+  if (error === null || typeof error !== "object") return null;
+  if (ethers.utils.isHexString(error.data)) return error.data;
+  if (typeof error.data === "object") return findRevertData(error.data);
+
+  return findRevertData(error.error);
+}
+
+/**
+ * Compare the result of `checkPermissions(...)` with what the Key Manager does with the same payload.
+ */
+describe("checkPermissions (against the LSP6 Key Manager)", () => {
+  let context: LSP6TestContext;
+  let targetContract: TargetContract;
+  let snapshot: any;
+
+  let restricted: SignerWithAddress;
+  let addController: SignerWithAddress;
+  let stranger: SignerWithAddress;
+
+  const allowedDataKey = ethers.utils.keccak256(
+    ethers.utils.toUtf8Bytes("MyAllowedKey")
+  );
+
+  const permissionsKey = (controller: string) =>
+    ERC725YDataKeys.LSP6["AddressPermissions:Permissions"] +
+    controller.substring(2);
+
+  const setData = (dataKey: string, dataValue: string) =>
+    context.universalProfile.interface.encodeFunctionData(
+      "setData(bytes32,bytes)",
+      [dataKey, dataValue]
+    );
+
+  const setDataBatch = (dataKeys: string[], dataValues: string[]) =>
+    context.universalProfile.interface.encodeFunctionData(
+      "setData(bytes32[],bytes[])",
+      [dataKeys, dataValues]
+    );
+
+  const execute = (
+    operationType: number,
+    to: string,
+    value: number,
+    data: string
+  ) =>
+    context.universalProfile.interface.encodeFunctionData(
+      "execute(uint256,address,uint256,bytes)",
+      [operationType, to, value, data]
+    );
+
+  before(async () => {
+    const accounts = await ethers.getSigners();
+    const owner = accounts[0];
+    [, restricted, addController, stranger] = accounts;
+
+    const universalProfile = await new UniversalProfile__factory(owner).deploy(
+      owner.address,
+      { value: ethers.utils.parseEther("1") }
+    );
+    const keyManager = await new LSP6KeyManager__factory(owner).deploy(
+      universalProfile.address
+    );
+
+    context = { accounts, owner, universalProfile, keyManager };
+
+    targetContract = await new TargetContract__factory(owner).deploy();
+
+    const permissionsArrayKey =
+      ERC725YDataKeys.LSP6["AddressPermissions[]"].length;
+
+    await setupKeyManager(
+      context,
+      [
+        permissionsArrayKey,
+        generateArrayElementKeyAtIndex(permissionsArrayKey, 0),
+        generateArrayElementKeyAtIndex(permissionsArrayKey, 1),
+        generateArrayElementKeyAtIndex(permissionsArrayKey, 2),
+        permissionsKey(restricted.address),
+        ERC725YDataKeys.LSP6["AddressPermissions:AllowedCalls"] +
+          restricted.address.substring(2),
+        ERC725YDataKeys.LSP6["AddressPermissions:AllowedERC725YDataKeys"] +
+          restricted.address.substring(2),
+        permissionsKey(addController.address),
+      ],
+      [
+        ethers.utils.hexZeroPad("0x03", 32),
+        owner.address,
+        restricted.address,
+        addController.address,
+        ethers.utils.hexZeroPad(
+          ethers.BigNumber.from(PERMISSIONS.CALL)
+            .or(PERMISSIONS.SETDATA)
+            .toHexString(),
+          32
+        ),
+        encodeAllowedCalls([
+          {
+            address: targetContract.address,
+            functionSelector:
+              targetContract.interface.getSighash("setName(string)"),
+          },
+          { interfaceId: INTERFACE_IDS.ERC725Y },
+        ]),
+        encodeAllowedERC725YDataKeys([allowedDataKey]),
+        PERMISSIONS.ADDCONTROLLER,
+      ]
+    );
+
+    snapshot = await getUniversalProfileSnapshot(
+      ethers.provider,
+      universalProfile.address
+    );
+  });
+
+  const cases: {
+    description: string;
+    from: () => SignerWithAddress;
+    payload: () => string;
+  }[] = [
+    {
+      description: "calling an allowed function on an allowed address",
+      from: () => restricted,
+      payload: () =>
+        execute(
+          OPERATION_TYPES.CALL,
+          targetContract.address,
+          0,
+          targetContract.interface.encodeFunctionData("setName", ["Alice"])
+        ),
+    },
+    {
+      description: "calling a function not allowed on an allowed address",
+      from: () => restricted,
+      payload: () =>
+        execute(
+          OPERATION_TYPES.CALL,
+          targetContract.address,
+          0,
+          targetContract.interface.encodeFunctionData("setNumber", [1])
+        ),
+    },
+    {
+      description: "calling a contract supporting an allowed standard",
+      from: () => restricted,
+      payload: () =>
+        execute(
+          OPERATION_TYPES.CALL,
+          context.universalProfile.address,
+          0,
+          context.universalProfile.interface.encodeFunctionData(
+            "getData(bytes32)",
+            [allowedDataKey]
+          )
+        ),
+    },
+    {
+      description: "transferring value without TRANSFERVALUE",
+      from: () => restricted,
+      payload: () => execute(OPERATION_TYPES.CALL, stranger.address, 1, "0x"),
+    },
+    {
+      description: "transferring value with SUPER_TRANSFERVALUE",
+      from: () => context.owner,
+      payload: () => execute(OPERATION_TYPES.CALL, stranger.address, 1, "0x"),
+    },
+    {
+      description: "deploying a contract without DEPLOY",
+      from: () => restricted,
+      payload: () =>
+        execute(
+          OPERATION_TYPES.CREATE,
+          ethers.constants.AddressZero,
+          0,
+          TargetContract__factory.bytecode
+        ),
+    },
+    {
+      description: "a DELEGATECALL",
+      from: () => context.owner,
+      payload: () =>
+        execute(OPERATION_TYPES.DELEGATECALL, targetContract.address, 0, "0x"),
+    },
+    {
+      description: "setting an allowed data key",
+      from: () => restricted,
+      payload: () => setData(allowedDataKey, "0xcafe"),
+    },
+    {
+      description: "setting an allowed and a not allowed data key",
+      from: () => restricted,
+      payload: () =>
+        setDataBatch(
+          [allowedDataKey, ethers.constants.HashZero],
+          ["0xcafe", "0xbeef"]
+        ),
+    },
+    {
+      description: "adding an LSP17 extension without ADDEXTENSIONS",
+      from: () => restricted,
+      payload: () =>
+        setData(
+          ERC725YDataKeys.LSP17.LSP17ExtensionPrefix +
+            "cafecafe" +
+            "00".repeat(16),
+          targetContract.address
+        ),
+    },
+    {
+      description:
+        "adding an LSP1 delegate without ADDUNIVERSALRECEIVERDELEGATE",
+      from: () => restricted,
+      payload: () =>
+        setData(
+          ERC725YDataKeys.LSP1.LSP1UniversalReceiverDelegate,
+          targetContract.address
+        ),
+    },
+    {
+      description: "adding a controller with ADDCONTROLLER",
+      from: () => addController,
+      payload: () =>
+        setDataBatch(
+          [
+            ERC725YDataKeys.LSP6["AddressPermissions[]"].length,
+            generateArrayElementKeyAtIndex(
+              ERC725YDataKeys.LSP6["AddressPermissions[]"].length,
+              3
+            ),
+            permissionsKey(stranger.address),
+          ],
+          [
+            ethers.utils.hexZeroPad("0x04", 32),
+            stranger.address,
+            PERMISSIONS.CALL,
+          ]
+        ),
+    },
+    {
+      description:
+        "changing the permissions of a controller with ADDCONTROLLER",
+      from: () => addController,
+      payload: () =>
+        setData(permissionsKey(restricted.address), PERMISSIONS.CALL),
+    },
+    {
+      description: "setting an invalid AddressPermissions[index]",
+      from: () => context.owner,
+      payload: () =>
+        setData(
+          generateArrayElementKeyAtIndex(
+            ERC725YDataKeys.LSP6["AddressPermissions[]"].length,
+            3
+          ),
+          "0xcafe"
+        ),
+    },
+    {
+      description: "setting invalid AllowedCalls",
+      from: () => context.owner,
+      payload: () =>
+        setData(
+          ERC725YDataKeys.LSP6["AddressPermissions:AllowedCalls"] +
+            stranger.address.substring(2),
+          "0x0002cafe"
+        ),
+    },
+    {
+      description: "transferring ownership without CHANGEOWNER",
+      from: () => restricted,
+      payload: () =>
+        context.universalProfile.interface.encodeFunctionData(
+          "transferOwnership",
+          [stranger.address]
+        ),
+    },
+    {
+      description: "any payload from an address without permissions",
+      from: () => stranger,
+      payload: () => setData(allowedDataKey, "0xcafe"),
+    },
+    {
+      description: "a function that is not part of ERC725",
+      from: () => context.owner,
+      payload: () =>
+        context.universalProfile.interface.encodeFunctionData(
+          "renounceOwnership"
+        ),
+    },
+  ];
+
+  cases.forEach(({ description, from, payload }) => {
+    it(`should match the Key Manager for ${description}`, async () => {
+      const prediction = checkPermissions(snapshot, from().address, payload(), {
+        supportedInterfaces: {
+          [context.universalProfile.address]: [INTERFACE_IDS.ERC725Y],
+        },
+      });
+
+      let result;
+      try {
+        await context.keyManager
+          .connect(from())
+          .callStatic["execute(bytes)"](payload());
+
+        result = { allowed: true };
+      } catch (error) {
+        const revertData = findRevertData(error);
+        if (revertData === null) throw error;
+
+        result = { allowed: false, error: decodeRevertData(revertData) };
+      }
+
+      expect(prediction).to.deep.equal(result);
+    });
+  });
+});
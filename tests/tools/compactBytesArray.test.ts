@@ -0,0 +1,81 @@
+import { expect } from "chai";
+
+import {
+  encodeCompactBytesArray,
+  isCompactBytesArray,
+  decodeCompactBytesArray,
+} from "../../tools/compactBytesArray";
+
+describe("compactBytesArray", () => {
+  const elements = [
+    "0xa00000",
+    "0xfff83a0011",
+    "0xaa0000000000000000000000000000000000000000000000000000000000cafe",
+  ];
+
+  const encoded =
+    "0x0003a00000" +
+    "0005fff83a0011" +
+    "0020aa0000000000000000000000000000000000000000000000000000000000cafe";
+
+  describe("encodeCompactBytesArray(...)", () => {
+    it("should prefix each element with its length as 2 bytes", () => {
+      expect(encodeCompactBytesArray(elements)).to.equal(encoded);
+    });
+
+    it("should encode an empty list as empty bytes", () => {
+      expect(encodeCompactBytesArray([])).to.equal("0x");
+    });
+
+    it("should encode elements longer than 255 bytes", () => {
+      const element = "0x" + "ab".repeat(300);
+      expect(encodeCompactBytesArray([element])).to.equal(
+        "0x012c" + "ab".repeat(300)
+      );
+    });
+
+    it("should throw for an element that is not a bytes value", () => {
+      expect(() => encodeCompactBytesArray(["0xabc"])).to.throw(
+        "invalid bytes value 0xabc"
+      );
+    });
+  });
+
+  describe("isCompactBytesArray(...)", () => {
+    it("should return true for a valid CompactBytesArray", () => {
+      expect(isCompactBytesArray(encoded)).to.be.true;
+    });
+
+    it("should return true for empty bytes", () => {
+      expect(isCompactBytesArray("0x")).to.be.true;
+    });
+
+    it("should return false when the last element is shorter than its length", () => {
+      expect(isCompactBytesArray("0x0003a000")).to.be.false;
+    });
+
+    it("should return false when the last length prefix is incomplete", () => {
+      expect(isCompactBytesArray("0x0003a0000000")).to.be.false;
+    });
+
+    it("should return false for trailing bytes after the last element", () => {
+      expect(isCompactBytesArray("0x0003a000000001")).to.be.false;
+    });
+
+    it("should apply the extra check on each element length", () => {
+      expect(isCompactBytesArray(encoded, (length) => length <= 5)).to.be.false;
+    });
+  });
+
+  describe("decodeCompactBytesArray(...)", () => {
+    it("should decode the elements", () => {
+      expect(decodeCompactBytesArray(encoded)).to.deep.equal(elements);
+    });
+
+    it("should throw for an invalid CompactBytesArray", () => {
+      expect(() => decodeCompactBytesArray("0x0003a000")).to.throw(
+        "invalid CompactBytesArray 0x0003a000"
+      );
+    });
+  });
+});
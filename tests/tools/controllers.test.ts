@@ -0,0 +1,252 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+
+import {
+  listControllers,
+  addController,
+  updateController,
+  removeController,
+  getControllerDataKeys,
+} from "../../tools/controllers";
+import { generateArrayElementKeyAtIndex } from "../../tools/dataKeys";
+import { encodeAllowedCalls } from "../../tools/restrictions";
+import { ERC725YDataKeys, PERMISSIONS } from "../../constants";
+
+describe("controllers", () => {
+  const universalProfile = "0xcafecafecafecafecafecafecafecafecafecafe";
+  const alice = ethers.utils.getAddress(
+    "0x1111111111111111111111111111111111111111"
+  );
+  const bob = ethers.utils.getAddress(
+    "0x2222222222222222222222222222222222222222"
+  );
+  const carol = ethers.utils.getAddress(
+    "0x3333333333333333333333333333333333333333"
+  );
+  const target = ethers.utils.getAddress(
+    "0xbeefbeefbeefbeefbeefbeefbeefbeefbeefbeef"
+  );
+
+  const arrayKey = ERC725YDataKeys.LSP6["AddressPermissions[]"].length;
+
+  const erc725y = new ethers.utils.Interface([
+    "function getData(bytes32[] dataKeys) view returns (bytes[] dataValues)",
+    "function setData(bytes32[] dataKeys, bytes[] dataValues)",
+  ]);
+
+  const keyManager = new ethers.utils.Interface([
+    "function execute(bytes payload) returns (bytes)",
+  ]);
+
+  // the ERC725Y storage of the Universal Profile
+  let storage: { [dataKey: string]: string };
+
+  const provider = {
+    _isProvider: true,
+    call: async ({ data }: { data: string }) => {
+      const [dataKeys] = erc725y.decodeFunctionData("getData", data);
+      return erc725y.encodeFunctionResult("getData", [
+        dataKeys.map((dataKey: string) => storage[dataKey] || "0x"),
+      ]);
+    },
+  };
+
+  const apply = ({
+    dataKeys,
+    dataValues,
+  }: {
+    dataKeys: string[];
+    dataValues: string[];
+  }) => {
+    dataKeys.forEach((dataKey, index) => {
+      if (dataValues[index] === "0x") delete storage[dataKey];
+      else storage[dataKey] = dataValues[index];
+    });
+  };
+
+  beforeEach(() => {
+    storage = {};
+  });
+
+  it("should add controllers at the end of AddressPermissions[], with their permissions and restrictions", async () => {
+    apply(addController([], { address: alice, permissions: ["CALL"] }));
+    apply(
+      addController(await listControllers(provider, universalProfile), {
+        address: bob,
+        permissions: { SETDATA: true },
+        allowedCalls: [{ address: target }],
+        allowedERC725YDataKeys: ["0xcafe"],
+      })
+    );
+
+    expect(storage[arrayKey]).to.equal(ethers.utils.hexZeroPad("0x02", 32));
+    expect(storage[generateArrayElementKeyAtIndex(arrayKey, 1)]).to.equal(
+      bob.toLowerCase()
+    );
+
+    expect(await listControllers(provider, universalProfile)).to.deep.equal([
+      {
+        address: alice,
+        permissions: {
+          value: PERMISSIONS.CALL,
+          names: ["CALL"],
+          unknownBits: [],
+        },
+        allowedCalls: [],
+        allowedERC725YDataKeys: [],
+      },
+      {
+        address: bob,
+        permissions: {
+          value: PERMISSIONS.SETDATA,
+          names: ["SETDATA"],
+          unknownBits: [],
+        },
+        allowedCalls: [
+          {
+            interfaceId: "0xffffffff",
+            address: target,
+            functionSelector: "0xffffffff",
+          },
+        ],
+        allowedERC725YDataKeys: [{ dataKey: "0xcafe", isPrefix: true }],
+      },
+    ]);
+  });
+
+  it("should not add a controller twice, or without permissions", async () => {
+    apply(addController([], { address: alice, permissions: ["CALL"] }));
+    const controllers = await listControllers(provider, universalProfile);
+
+    expect(() =>
+      addController(controllers, {
+        address: alice.toLowerCase(),
+        permissions: ["SETDATA"],
+      })
+    ).to.throw(`controllers: ${alice.toLowerCase()} is already a controller`);
+
+    expect(() =>
+      addController(controllers, { address: bob, permissions: [] })
+    ).to.throw("controllers: a controller must have at least one permission");
+  });
+
+  it("should only update the values that changed", async () => {
+    apply(
+      addController([], {
+        address: alice,
+        permissions: ["CALL"],
+        allowedCalls: [{ address: target }],
+      })
+    );
+    const controllers = await listControllers(provider, universalProfile);
+    const dataKeys = getControllerDataKeys(alice);
+
+    const update = updateController(controllers, {
+      address: alice,
+      permissions: PERMISSIONS.CALL,
+      allowedCalls: [],
+      allowedERC725YDataKeys: ["0xcafe"],
+    });
+
+    expect(update.dataKeys).to.deep.equal([
+      dataKeys.allowedCalls,
+      dataKeys.allowedERC725YDataKeys,
+    ]);
+    expect(update.dataValues).to.deep.equal(["0x", "0x0002cafe"]);
+
+    expect(() =>
+      updateController(controllers, { address: alice, permissions: ["CALL"] })
+    ).to.throw(`controllers: nothing to update for ${alice}`);
+
+    expect(() =>
+      updateController(controllers, { address: bob, permissions: ["CALL"] })
+    ).to.throw(`controllers: ${bob} is not a controller`);
+  });
+
+  it("should move the last controller into the slot of the controller removed, and leave no entries behind", async () => {
+    apply(
+      addController([], {
+        address: alice,
+        permissions: ["CALL"],
+        allowedCalls: [{ address: target }],
+      })
+    );
+    apply(
+      addController(await listControllers(provider, universalProfile), {
+        address: bob,
+        permissions: ["SETDATA"],
+      })
+    );
+    apply(
+      addController(await listControllers(provider, universalProfile), {
+        address: carol,
+        permissions: ["SIGN"],
+      })
+    );
+
+    const removal = removeController(
+      await listControllers(provider, universalProfile),
+      alice
+    );
+
+    expect(removal.dataKeys).to.deep.equal([
+      generateArrayElementKeyAtIndex(arrayKey, 0),
+      generateArrayElementKeyAtIndex(arrayKey, 2),
+      arrayKey,
+      getControllerDataKeys(alice).permissions,
+      getControllerDataKeys(alice).allowedCalls,
+    ]);
+
+    apply(removal);
+
+    expect(
+      (await listControllers(provider, universalProfile)).map(
+        ({ address }) => address
+      )
+    ).to.deep.equal([carol, bob]);
+
+    apply(
+      removeController(await listControllers(provider, universalProfile), bob)
+    );
+    apply(
+      removeController(await listControllers(provider, universalProfile), carol)
+    );
+
+    expect(await listControllers(provider, universalProfile)).to.deep.equal([]);
+    expect(storage).to.deep.equal({
+      [arrayKey]: ethers.utils.hexZeroPad("0x00", 32),
+    });
+  });
+
+  it("should return the payload to send to the Universal Profile, or to its Key Manager", () => {
+    const batch = addController([], {
+      address: alice,
+      permissions: ["CALL"],
+      allowedCalls: [{ address: target }],
+    });
+
+    expect(batch.dataValues).to.deep.equal([
+      ethers.utils.hexZeroPad("0x01", 32),
+      alice.toLowerCase(),
+      PERMISSIONS.CALL,
+      encodeAllowedCalls([{ address: target }]),
+    ]);
+    expect(batch.payload).to.equal(
+      erc725y.encodeFunctionData("setData", [batch.dataKeys, batch.dataValues])
+    );
+
+    const { payload } = addController(
+      [],
+      {
+        address: alice,
+        permissions: ["CALL"],
+        allowedCalls: [{ address: target }],
+      },
+      { viaKeyManager: true }
+    );
+
+    expect(payload).to.equal(
+      keyManager.encodeFunctionData("execute", [batch.payload])
+    );
+  });
+});
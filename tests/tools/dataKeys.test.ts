@@ -0,0 +1,126 @@
+import { expect } from "chai";
+
+import {
+  generateSingletonKey,
+  generateArrayKey,
+  generateArrayElementKeyAtIndex,
+  generateMappingKey,
+  generateMappingWithGroupingKey,
+} from "../../tools/dataKeys";
+import { ERC725YDataKeys } from "../../constants";
+
+describe("dataKeys", () => {
+  const address = "0xcafecafecafecafecafecafecafecafecafecafe";
+
+  describe("generateSingletonKey(...)", () => {
+    it("should generate the `LSP3Profile` data key", () => {
+      expect(generateSingletonKey("LSP3Profile")).to.equal(
+        ERC725YDataKeys.LSP3.LSP3Profile
+      );
+    });
+  });
+
+  describe("generateArrayKey(...)", () => {
+    it("should generate the `LSP12IssuedAssets[]` data key", () => {
+      expect(generateArrayKey("LSP12IssuedAssets[]")).to.equal(
+        ERC725YDataKeys.LSP12["LSP12IssuedAssets[]"].length
+      );
+    });
+
+    it("should throw when the key name does not end with `[]`", () => {
+      expect(() => generateArrayKey("LSP12IssuedAssets")).to.throw(
+        "Missing empty square brackets '[]' at the end of the key name"
+      );
+    });
+
+    it("should throw when the key name is shorter than 2 characters", () => {
+      expect(() => generateArrayKey("[")).to.throw(
+        "MUST be longer than 2 characters"
+      );
+    });
+  });
+
+  describe("generateArrayElementKeyAtIndex(...)", () => {
+    const arrayKey = ERC725YDataKeys.LSP12["LSP12IssuedAssets[]"].length;
+
+    it("should generate the data key of the element at index 0", () => {
+      expect(generateArrayElementKeyAtIndex(arrayKey, 0)).to.equal(
+        ERC725YDataKeys.LSP12["LSP12IssuedAssets[]"].index +
+          "00000000000000000000000000000000"
+      );
+    });
+
+    it("should encode the index as bytes16", () => {
+      expect(generateArrayElementKeyAtIndex(arrayKey, 0x0102)).to.equal(
+        ERC725YDataKeys.LSP12["LSP12IssuedAssets[]"].index +
+          "00000000000000000000000000000102"
+      );
+    });
+
+    it("should throw when the index does not fit in a uint128", () => {
+      expect(() =>
+        generateArrayElementKeyAtIndex(arrayKey, "0x" + "ff".repeat(17))
+      ).to.throw("does not fit in a uint128");
+    });
+  });
+
+  describe("generateMappingKey(...)", () => {
+    it("should generate a Mapping key from two words", () => {
+      expect(
+        generateMappingKey("SupportedStandards", "LSP3UniversalProfile")
+      ).to.equal(
+        "0xeafec4d89fa9619884b60000abe425d64acd861a49b8ddf5c0b6962110481f38"
+      );
+    });
+
+    it("should generate a Mapping key from a word and an address", () => {
+      expect(generateMappingKey("LSP5ReceivedAssetsMap", address)).to.equal(
+        ERC725YDataKeys.LSP5.LSP5ReceivedAssetsMap + address.substring(2)
+      );
+    });
+
+    it("should generate a Mapping key from a bytes10 prefix and a bytes20 value", () => {
+      const prefix = ERC725YDataKeys.LSP10.LSP10VaultsMap.substring(0, 22);
+
+      expect(generateMappingKey(prefix, address)).to.equal(
+        ERC725YDataKeys.LSP10.LSP10VaultsMap + address.substring(2)
+      );
+    });
+  });
+
+  describe("generateMappingWithGroupingKey(...)", () => {
+    it("should generate `AddressPermissions:Permissions:<address>`", () => {
+      expect(
+        generateMappingWithGroupingKey(
+          "AddressPermissions",
+          "Permissions",
+          address
+        )
+      ).to.equal(
+        ERC725YDataKeys.LSP6["AddressPermissions:Permissions"] +
+          address.substring(2)
+      );
+    });
+
+    it("should generate a key from a bytes10 prefix and a bytes20 value", () => {
+      const prefix = ERC725YDataKeys.LSP6[
+        "AddressPermissions:AllowedCalls"
+      ].substring(0, 22);
+
+      expect(generateMappingWithGroupingKey(prefix, address)).to.equal(
+        ERC725YDataKeys.LSP6["AddressPermissions:AllowedCalls"] +
+          address.substring(2)
+      );
+    });
+
+    it("should throw for an invalid address", () => {
+      expect(() =>
+        generateMappingWithGroupingKey(
+          "AddressPermissions",
+          "Permissions",
+          "0xcafe"
+        )
+      ).to.throw("invalid address 0xcafe");
+    });
+  });
+});
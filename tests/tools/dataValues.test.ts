@@ -0,0 +1,252 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+
+import {
+  encodeURLValue,
+  decodeURLValue,
+  encodeValue,
+  decodeValue,
+  decodeData,
+} from "../../tools/dataValues";
+import { generateArrayElementKeyAtIndex } from "../../tools/dataKeys";
+import {
+  ERC725YDataKeys,
+  INTERFACE_IDS,
+  PERMISSIONS,
+  SupportedStandards,
+  LSP3_Schema,
+  LSP5_Schema,
+  LSP6_Schema,
+} from "../../constants";
+
+describe("dataValues", () => {
+  const address = "0xCAfEcAfeCAfECaFeCaFecaFecaFECafECafeCaFe";
+  const url = "ipfs://QmbKvCVEePiDKxuouyty9bMsWBAxZDGr2jhxd4pLGLx95D";
+
+  const getSchema = (schemas: typeof LSP3_Schema, name: string) =>
+    schemas.find((schema) => schema.name === name) as (typeof LSP3_Schema)[0];
+
+  describe("encodeURLValue(...) / decodeURLValue(...)", () => {
+    it("should encode the hash function, the hash of the JSON and the url", () => {
+      const json = { LSP3Profile: { name: "Alice" } };
+      const hash = ethers.utils.keccak256(
+        ethers.utils.toUtf8Bytes(JSON.stringify(json))
+      );
+
+      const encoded = encodeURLValue({ json, url });
+
+      expect(encoded).to.equal(
+        ethers.utils.hexConcat([
+          "0x6f357c6a",
+          hash,
+          ethers.utils.toUtf8Bytes(url),
+        ])
+      );
+      expect(decodeURLValue(encoded)).to.deep.equal({
+        hashFunction: "keccak256(utf8)",
+        hash,
+        url,
+      });
+    });
+
+    it("should return the bytes4 of an unknown hash function", () => {
+      const hash = ethers.utils.hexZeroPad("0x01", 32);
+      const encoded = encodeURLValue({ hashFunction: "0xcafecafe", hash, url });
+
+      expect(decodeURLValue(encoded).hashFunction).to.equal("0xcafecafe");
+    });
+
+    it("should throw when there is no hash", () => {
+      expect(() => encodeURLValue({ url }, "ASSETURL")).to.throw(
+        "dataValues: invalid ASSETURL hash undefined (must be bytes32)"
+      );
+    });
+  });
+
+  describe("encodeValue(...) / decodeValue(...)", () => {
+    [
+      {
+        schema: getSchema(LSP3_Schema, "LSP3Profile"),
+        value: {
+          hashFunction: "keccak256(utf8)",
+          hash: ethers.utils.hexZeroPad("0xcafe", 32),
+          url,
+        },
+      },
+      {
+        schema: getSchema(
+          LSP3_Schema,
+          "SupportedStandards:LSP3UniversalProfile"
+        ),
+        value: SupportedStandards.LSP3UniversalProfile.value,
+        encoded: SupportedStandards.LSP3UniversalProfile.value,
+      },
+      {
+        schema: { valueType: "address", valueContent: "Address" },
+        value: address,
+        encoded: address.toLowerCase(),
+      },
+      {
+        schema: { valueType: "uint256", valueContent: "Number" },
+        value: "42",
+        encoded: ethers.utils.hexZeroPad("0x2a", 32),
+      },
+      {
+        schema: { valueType: "bytes32", valueContent: "BitArray" },
+        value: PERMISSIONS.SETDATA,
+        encoded: PERMISSIONS.SETDATA,
+      },
+      {
+        schema: { valueType: "string", valueContent: "String" },
+        value: "Alice",
+        encoded: ethers.utils.hexlify(ethers.utils.toUtf8Bytes("Alice")),
+      },
+      {
+        schema: getSchema(LSP5_Schema, "LSP5ReceivedAssetsMap:<address>"),
+        value: [INTERFACE_IDS.LSP7DigitalAsset, "3"],
+        encoded: INTERFACE_IDS.LSP7DigitalAsset + "00".repeat(7) + "03",
+      },
+      {
+        schema: {
+          valueType: "(bytes4,address)",
+          valueContent: "(Bytes4,Address)",
+        },
+        value: [INTERFACE_IDS.LSP9Vault, address],
+        encoded: INTERFACE_IDS.LSP9Vault + address.substring(2).toLowerCase(),
+      },
+      {
+        schema: { valueType: "address[]", valueContent: "Address" },
+        value: [address],
+        encoded: ethers.utils.defaultAbiCoder.encode(
+          ["address[]"],
+          [[address]]
+        ),
+      },
+      {
+        schema: { valueType: "bytes4[]", valueContent: "Bytes4" },
+        value: [INTERFACE_IDS.LSP0ERC725Account, INTERFACE_IDS.ERC1271],
+        encoded: ethers.utils.defaultAbiCoder.encode(
+          ["bytes4[]"],
+          [[INTERFACE_IDS.LSP0ERC725Account, INTERFACE_IDS.ERC1271]]
+        ),
+      },
+      {
+        schema: getSchema(
+          LSP6_Schema,
+          "AddressPermissions:AllowedERC725YDataKeys:<address>"
+        ),
+        value: [ERC725YDataKeys.LSP3.LSP3Profile, "0xcafe"],
+        encoded:
+          "0x0020" + ERC725YDataKeys.LSP3.LSP3Profile.substring(2) + "0002cafe",
+      },
+      {
+        schema: getSchema(
+          LSP6_Schema,
+          "AddressPermissions:AllowedCalls:<address>"
+        ),
+        value: [["0xffffffff", address, "0xa9059cbb"]],
+        encoded:
+          "0x001cffffffff" + address.substring(2).toLowerCase() + "a9059cbb",
+      },
+    ].forEach(({ schema, value, encoded }) => {
+      it(`should encode and decode a \`${schema.valueType}\` as \`${schema.valueContent}\``, () => {
+        const result = encodeValue(schema, value);
+
+        if (encoded !== undefined) expect(result).to.equal(encoded);
+        expect(decodeValue(schema, result)).to.deep.equal(value);
+      });
+    });
+
+    it("should left pad a BitArray", () => {
+      expect(
+        encodeValue({ valueType: "bytes32", valueContent: "BitArray" }, "0x08")
+      ).to.equal(PERMISSIONS.ADDEXTENSIONS);
+    });
+
+    it("should return `null` for an empty value", () => {
+      expect(decodeValue(getSchema(LSP3_Schema, "LSP3Profile"), "0x")).to.equal(
+        null
+      );
+    });
+
+    it("should throw when a value does not match a literal valueContent", () => {
+      expect(() =>
+        encodeValue(
+          getSchema(LSP3_Schema, "SupportedStandards:LSP3UniversalProfile"),
+          "0xcafecafe"
+        )
+      ).to.throw(
+        "dataValues: value 0xcafecafe does not match the valueContent 0xabe425d6"
+      );
+    });
+
+    it("should throw when a number does not fit in its type", () => {
+      expect(() =>
+        encodeValue(
+          { valueType: "(bytes4,bytes8)", valueContent: "(Bytes4,Number)" },
+          [INTERFACE_IDS.LSP7DigitalAsset, ethers.constants.MaxUint256]
+        )
+      ).to.throw("does not fit in a bytes8");
+    });
+
+    it("should decode the Map value set by LSP5Utils, with the index as a bytes8", () => {
+      const schema = {
+        valueType: "(bytes4,bytes8)",
+        valueContent: "(Bytes4,Number)",
+      };
+      // `bytes.concat(interfaceId, bytes8(index))` in `LSP5Utils.generateReceivedAssetKeys(...)`
+      const mapValue = "0xda1f85e40000000000000003";
+
+      expect(decodeValue(schema, mapValue)).to.deep.equal([
+        INTERFACE_IDS.LSP7DigitalAsset,
+        "3",
+      ]);
+      expect(encodeValue(schema, [INTERFACE_IDS.LSP7DigitalAsset, 3])).to.equal(
+        mapValue
+      );
+    });
+
+    it("should throw when the encoded value does not have the length of its type", () => {
+      expect(() =>
+        decodeValue({ valueType: "address", valueContent: "Address" }, "0xcafe")
+      ).to.throw("dataValues: invalid address value 0xcafe");
+    });
+
+    it("should throw for a tuple containing a dynamic type", () => {
+      expect(() =>
+        encodeValue(
+          { valueType: "(bytes4,bytes)", valueContent: "(Bytes4,Bytes)" },
+          ["0xcafecafe", "0xcafe"]
+        )
+      ).to.throw("dataValues: unsupported valueType (bytes4,bytes)");
+    });
+  });
+
+  describe("decodeData(...)", () => {
+    it("should decode the values returned by `getData(bytes32[])`", () => {
+      const arrayKey = ERC725YDataKeys.LSP5["LSP5ReceivedAssets[]"].length;
+      const unknownKey = ethers.utils.hexZeroPad("0x01", 32);
+
+      expect(
+        decodeData(
+          [arrayKey, generateArrayElementKeyAtIndex(arrayKey, 0), unknownKey],
+          [ethers.utils.hexZeroPad("0x01", 32), address.toLowerCase(), "0xcafe"]
+        )
+      ).to.deep.equal([
+        {
+          dataKey: arrayKey,
+          name: "LSP5ReceivedAssets[]",
+          dynamicPart: null,
+          value: "1",
+        },
+        {
+          dataKey: generateArrayElementKeyAtIndex(arrayKey, 0),
+          name: "LSP5ReceivedAssets[]",
+          dynamicPart: "0",
+          value: address,
+        },
+        { dataKey: unknownKey, name: null, dynamicPart: null, value: "0xcafe" },
+      ]);
+    });
+  });
+});
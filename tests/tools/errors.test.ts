@@ -0,0 +1,138 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+
+import { decodeRevertData } from "../../tools/errors";
+
+const abiCoder = ethers.utils.defaultAbiCoder;
+
+describe("decodeRevertData(...)", () => {
+  const controller = "0xcafecafecafecafecafecafecafecafecafecafe";
+
+  describe("when decoding a LSP custom error", () => {
+    it("should decode `NotAuthorised(address,string)` from LSP6", () => {
+      const revertData = ethers.utils.hexConcat([
+        "0x3bdad6e6",
+        abiCoder.encode(["address", "string"], [controller, "SETDATA"]),
+      ]);
+
+      const result = decodeRevertData(revertData);
+
+      expect(result.type).to.equal("custom");
+      expect(result.selector).to.equal("0x3bdad6e6");
+      expect(result.standard).to.equal("LSP6");
+      expect(result.name).to.equal("NotAuthorised");
+      expect(result.signature).to.equal("NotAuthorised(address,string)");
+      expect(result.args).to.deep.equal([
+        ethers.utils.getAddress(controller),
+        "SETDATA",
+      ]);
+      expect(result.message).to.equal(
+        `LSP6: Not authorized (missing permission). NotAuthorised(${ethers.utils.getAddress(
+          controller
+        )}, "SETDATA")`
+      );
+    });
+
+    it("should decode `uint256` arguments as decimal strings", () => {
+      const revertData = ethers.utils.hexConcat([
+        ethers.utils
+          .id("LSP6BatchInsufficientValueSent(uint256,uint256)")
+          .substring(0, 10),
+        abiCoder.encode(["uint256", "uint256"], [100, 50]),
+      ]);
+
+      const result = decodeRevertData(revertData);
+
+      expect(result.standard).to.equal("LSP6");
+      expect(result.args).to.deep.equal(["100", "50"]);
+      expect(result.message).to.contain(
+        "LSP6BatchInsufficientValueSent(100, 50)"
+      );
+    });
+
+    it("should decode an error without arguments", () => {
+      const result = decodeRevertData("0xd2d5ec30");
+
+      expect(result.type).to.equal("custom");
+      expect(result.standard).to.equal("LSP7");
+      expect(result.name).to.equal("LSP7CannotSendWithAddressZero");
+      expect(result.args).to.deep.equal([]);
+    });
+
+    it("should decode errors whose selector starts with a zero byte", () => {
+      const revertData = ethers.utils.hexConcat([
+        ethers.utils.id("CallerIsNotGuardian(address)").substring(0, 10),
+        abiCoder.encode(["address"], [controller]),
+      ]);
+
+      const result = decodeRevertData(revertData);
+
+      expect(result.standard).to.equal("LSP11");
+      expect(result.name).to.equal("CallerIsNotGuardian");
+    });
+
+    it("should be case insensitive on the revert data", () => {
+      const result = decodeRevertData("0xD2D5EC30");
+      expect(result.name).to.equal("LSP7CannotSendWithAddressZero");
+    });
+  });
+
+  describe("when decoding a built-in Solidity error", () => {
+    it("should decode `Error(string)`", () => {
+      const revertData = ethers.utils.hexConcat([
+        "0x08c379a0",
+        abiCoder.encode(["string"], ["Ownable: caller is not the owner"]),
+      ]);
+
+      const result = decodeRevertData(revertData);
+
+      expect(result.type).to.equal("error");
+      expect(result.args).to.deep.equal(["Ownable: caller is not the owner"]);
+      expect(result.message).to.equal("Ownable: caller is not the owner");
+    });
+
+    it("should decode `Panic(uint256)`", () => {
+      const revertData = ethers.utils.hexConcat([
+        "0x4e487b71",
+        abiCoder.encode(["uint256"], [0x11]),
+      ]);
+
+      const result = decodeRevertData(revertData);
+
+      expect(result.type).to.equal("panic");
+      expect(result.args).to.deep.equal(["17"]);
+      expect(result.message).to.equal(
+        "Panic(0x11): arithmetic operation underflowed or overflowed"
+      );
+    });
+  });
+
+  describe("when the revert data cannot be decoded", () => {
+    it("should return `unknown` for an unknown selector", () => {
+      const result = decodeRevertData("0xdeadbeef");
+
+      expect(result.type).to.equal("unknown");
+      expect(result.selector).to.equal("0xdeadbeef");
+    });
+
+    it("should return `unknown` for empty revert data", () => {
+      const result = decodeRevertData("0x");
+
+      expect(result.type).to.equal("unknown");
+      expect(result.selector).to.be.null;
+    });
+
+    it("should return `unknown` when the arguments cannot be decoded", () => {
+      const result = decodeRevertData("0x3bdad6e6cafe");
+
+      expect(result.type).to.equal("unknown");
+      expect(result.selector).to.equal("0x3bdad6e6");
+    });
+
+    it("should throw when the input is not a hex string", () => {
+      expect(() => decodeRevertData("not hex")).to.throw(
+        "decodeRevertData: invalid hex string"
+      );
+    });
+  });
+});
@@ -0,0 +1,196 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+
+import {
+  EVENT_ABIS,
+  getEventFragment,
+  decodeLog,
+  buildLogFilter,
+} from "../../tools/events";
+import { ERC725YDataKeys, EventSignatures } from "../../constants";
+
+describe("events", () => {
+  const universalProfile = "0xcafecafecafecafecafecafecafecafecafecafe";
+  const recipient = "0xdeaddeaddeaddeaddeaddeaddeaddeaddeaddead";
+
+  function encodeLog(standard: string, eventName: string, values: any[]) {
+    const fragment = getEventFragment(standard, eventName);
+    const log = new ethers.utils.Interface([fragment]).encodeEventLog(
+      fragment,
+      values
+    );
+
+    return { ...log, address: universalProfile };
+  }
+
+  describe("EVENT_ABIS", () => {
+    it("should define a layout for every event in `EventSignatures`", () => {
+      Object.entries(EventSignatures).forEach(([standard, events]) => {
+        Object.keys(events).forEach((eventName) => {
+          expect(EVENT_ABIS[standard][eventName]).to.not.be.undefined;
+        });
+      });
+    });
+
+    it("should produce the topic hashes listed in `EventSignatures`", () => {
+      Object.entries(EventSignatures).forEach(([standard, events]) => {
+        Object.entries(events).forEach(([eventName, topic]) => {
+          const fragment = getEventFragment(standard, eventName);
+          expect(ethers.utils.id(fragment.format())).to.equal(topic);
+        });
+      });
+    });
+  });
+
+  describe("decodeLog(...)", () => {
+    it("should decode an ERC725Y `DataChanged` event", () => {
+      const log = encodeLog("ERC725Y", "DataChanged", [
+        ERC725YDataKeys.LSP3.LSP3Profile,
+        "0xcafe",
+      ]);
+
+      const result = decodeLog(log);
+
+      expect(result.name).to.equal("DataChanged");
+      expect(result.signature).to.equal("DataChanged(bytes32,bytes)");
+      expect(result.standards).to.deep.equal(["ERC725Y"]);
+      expect(result.address).to.equal(universalProfile);
+      expect(result.args).to.deep.equal({
+        dataKey: ERC725YDataKeys.LSP3.LSP3Profile,
+        dataValue: "0xcafe",
+      });
+    });
+
+    it("should decode an LSP7 `Transfer` event with indexed and non-indexed parameters", () => {
+      const log = encodeLog("LSP7", "Transfer", [
+        universalProfile,
+        universalProfile,
+        recipient,
+        1000,
+        false,
+        "0x",
+      ]);
+
+      const result = decodeLog(log);
+
+      expect(result.standards).to.deep.equal(["LSP7"]);
+      expect(result.args).to.deep.equal({
+        operator: ethers.utils.getAddress(universalProfile),
+        from: ethers.utils.getAddress(universalProfile),
+        to: ethers.utils.getAddress(recipient),
+        amount: "1000",
+        allowNonLSP1Recipient: false,
+        data: "0x",
+      });
+    });
+
+    it("should list every standard emitting the same event", () => {
+      const log = encodeLog("LSP0", "ValueReceived", [recipient, 5]);
+
+      const result = decodeLog(log);
+
+      expect(result.standards).to.deep.equal(["LSP0", "LSP9"]);
+      expect(result.args.value).to.equal("5");
+    });
+
+    it("should return `null` for an unknown event", () => {
+      const log = {
+        topics: [ethers.utils.id("Unknown(uint256)")],
+        data: "0x",
+      };
+
+      expect(decodeLog(log)).to.be.null;
+    });
+
+    it("should return `null` for a log without topics", () => {
+      expect(decodeLog({ topics: [], data: "0x" })).to.be.null;
+    });
+
+    it("should return `null` when the indexed layout does not match", () => {
+      // the topic matches the LSP7 `Transfer` event, but the indexed parameters are missing
+      const log = {
+        topics: [
+          ethers.utils.id(
+            "Transfer(address,address,address,uint256,bool,bytes)"
+          ),
+        ],
+        data: "0x",
+      };
+
+      expect(decodeLog(log)).to.be.null;
+    });
+  });
+
+  describe("buildLogFilter(...)", () => {
+    it("should build a filter for all `DataChanged` of a data key on a profile", () => {
+      const filter = buildLogFilter("ERC725Y", "DataChanged", {
+        address: universalProfile,
+        args: { dataKey: ERC725YDataKeys.LSP3.LSP3Profile },
+      });
+
+      expect(filter).to.deep.equal({
+        address: universalProfile,
+        topics: [
+          EventSignatures.ERC725Y.DataChanged,
+          ERC725YDataKeys.LSP3.LSP3Profile,
+        ],
+      });
+    });
+
+    it("should leave `null` for the indexed parameters not filtered", () => {
+      const filter = buildLogFilter("LSP7", "Transfer", {
+        args: { to: recipient },
+        fromBlock: 0,
+        toBlock: "latest",
+      });
+
+      expect(filter).to.deep.equal({
+        topics: [
+          EventSignatures.LSP7.Transfer,
+          null,
+          null,
+          ethers.utils.hexZeroPad(recipient, 32),
+        ],
+        fromBlock: 0,
+        toBlock: "latest",
+      });
+    });
+
+    it("should match any of the values when given an array", () => {
+      const filter = buildLogFilter("LSP0", "ValueReceived", {
+        args: { sender: [universalProfile, recipient] },
+      });
+
+      expect(filter.topics[1]).to.deep.equal([
+        ethers.utils.hexZeroPad(universalProfile, 32),
+        ethers.utils.hexZeroPad(recipient, 32),
+      ]);
+    });
+
+    it("should only contain the event topic when no args are provided", () => {
+      const filter = buildLogFilter("LSP14Ownable2Step", "OwnershipRenounced");
+
+      expect(filter).to.deep.equal({
+        topics: [EventSignatures.LSP14Ownable2Step.OwnershipRenounced],
+      });
+    });
+
+    it("should throw when filtering on a non-indexed parameter", () => {
+      expect(() =>
+        buildLogFilter("ERC725Y", "DataChanged", { args: { dataValue: "0x" } })
+      ).to.throw("cannot filter DataChanged on non-indexed dataValue");
+    });
+
+    it("should throw for an unknown parameter name", () => {
+      expect(() =>
+        buildLogFilter("ERC725Y", "DataChanged", { args: { key: "0x" } })
+      ).to.throw("DataChanged has no parameter named key");
+    });
+
+    it("should throw for an unknown event", () => {
+      expect(() => buildLogFilter("ERC725Y", "Unknown")).to.throw(
+        "unknown event ERC725Y.Unknown"
+      );
+    });
+  });
+});
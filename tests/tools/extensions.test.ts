@@ -0,0 +1,271 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+
+import {
+  getFunctionSelectors,
+  getExtensionDataKey,
+  getExtensionPermission,
+  listExtensions,
+  installExtension,
+  replaceExtension,
+  removeExtension,
+} from "../../tools/extensions";
+import { ERC725YDataKeys, INTERFACE_IDS } from "../../constants";
+
+describe("extensions", () => {
+  const address = (byte: string) =>
+    ethers.utils.getAddress("0x" + byte.repeat(20));
+
+  const universalProfile = address("aa");
+  const extensionA = address("e1");
+  const extensionB = address("e2");
+  // a contract that does not support the LSP17Extension interface
+  const notAnExtension = address("bb");
+
+  const onERC721Received = "0x150b7a02";
+  const onERC1155Received = "0xf23a6e61";
+
+  const abi = new ethers.utils.Interface([
+    "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+    "function getData(bytes32[] dataKeys) view returns (bytes[])",
+    "function setData(bytes32[] dataKeys, bytes[] dataValues)",
+    "function execute(bytes payload)",
+  ]);
+
+  const dataKey = (selector: string) =>
+    ERC725YDataKeys.LSP17.LSP17ExtensionPrefix +
+    selector.substring(2) +
+    "00".repeat(16);
+
+  const storage = {
+    [dataKey(onERC721Received)]: extensionA.toLowerCase(),
+  };
+
+  const provider = {
+    _isProvider: true,
+    getCode: async (account: string) =>
+      [extensionA, extensionB, notAnExtension].includes(
+        ethers.utils.getAddress(account)
+      )
+        ? "0x6080"
+        : "0x",
+    call: async ({ to, data }: { to: string; data: string }) => {
+      const { name, args } = abi.parseTransaction({ data });
+
+      if (name === "supportsInterface") {
+        return abi.encodeFunctionResult(name, [
+          ethers.utils.getAddress(to) !== notAnExtension &&
+            args.interfaceId === INTERFACE_IDS.LSP17Extension,
+        ]);
+      }
+
+      return abi.encodeFunctionResult(name, [
+        args.dataKeys.map((key) => storage[key] || "0x"),
+      ]);
+    },
+  };
+
+  it("should derive the function selectors and data keys from signatures or an ABI", () => {
+    expect(
+      getFunctionSelectors([
+        "onERC721Received(address,address,uint256,bytes)",
+        onERC721Received,
+        onERC1155Received.toUpperCase().replace("0X", "0x"),
+      ])
+    ).to.deep.equal([onERC721Received, onERC1155Received]);
+
+    expect(
+      getFunctionSelectors([
+        "event Received(address from)",
+        "function onERC721Received(address operator, address from, uint256 tokenId, bytes data) returns (bytes4)",
+        {
+          type: "function",
+          name: "onERC1155Received",
+          inputs: ["address", "address", "uint256", "uint256", "bytes"].map(
+            (type) => ({ type, name: "" })
+          ),
+          outputs: [],
+          stateMutability: "nonpayable",
+        },
+      ])
+    ).to.deep.equal([onERC721Received, onERC1155Received]);
+
+    expect(
+      getExtensionDataKey("onERC721Received(address,address,uint256,bytes)")
+    ).to.equal(dataKey(onERC721Received));
+
+    expect(() => getFunctionSelectors("onERC721Received")).to.throw(
+      "extensions: invalid function onERC721Received (must be a bytes4 selector or a function signature)"
+    );
+  });
+
+  it("should require ADDEXTENSIONS for a function without extension, CHANGEEXTENSIONS otherwise", () => {
+    expect(getExtensionPermission("0x")).to.equal("ADDEXTENSIONS");
+    expect(getExtensionPermission(null)).to.equal("ADDEXTENSIONS");
+    expect(getExtensionPermission(extensionA)).to.equal("CHANGEEXTENSIONS");
+  });
+
+  it("should list the extensions of the functions", async () => {
+    expect(
+      await listExtensions(provider, universalProfile, {
+        functions: [onERC721Received, onERC1155Received],
+      })
+    ).to.deep.equal([
+      {
+        selector: onERC721Received,
+        dataKey: dataKey(onERC721Received),
+        extension: extensionA,
+      },
+      {
+        selector: onERC1155Received,
+        dataKey: dataKey(onERC1155Received),
+        extension: null,
+      },
+    ]);
+  });
+
+  it("should install an extension for the functions that have none", async () => {
+    const { changes, requiredPermissions, dataKeys, dataValues, payload } =
+      await installExtension(
+        provider,
+        universalProfile,
+        onERC1155Received,
+        extensionB,
+        { viaKeyManager: true }
+      );
+
+    expect(changes).to.deep.equal([
+      {
+        selector: onERC1155Received,
+        dataKey: dataKey(onERC1155Received),
+        from: null,
+        to: extensionB,
+        permission: "ADDEXTENSIONS",
+      },
+    ]);
+    expect(requiredPermissions).to.deep.equal(["ADDEXTENSIONS"]);
+    expect(dataKeys).to.deep.equal([dataKey(onERC1155Received)]);
+    expect(dataValues).to.deep.equal([extensionB.toLowerCase()]);
+    expect(payload).to.equal(
+      abi.encodeFunctionData("execute", [
+        abi.encodeFunctionData("setData", [dataKeys, dataValues]),
+      ])
+    );
+
+    await installExtension(
+      provider,
+      universalProfile,
+      [onERC721Received, onERC1155Received],
+      extensionB
+    ).then(
+      () => expect.fail("should have thrown"),
+      (error) =>
+        expect(error.message).to.equal(
+          `extensions: ${onERC721Received} already has the extension ${extensionA} (use replaceExtension(...))`
+        )
+    );
+
+    await installExtension(
+      provider,
+      universalProfile,
+      onERC1155Received,
+      notAnExtension
+    ).then(
+      () => expect.fail("should have thrown"),
+      (error) =>
+        expect(error.message).to.equal(
+          `extensions: ${notAnExtension} does not support the LSP17Extension interface (${INTERFACE_IDS.LSP17Extension})`
+        )
+    );
+
+    expect(
+      (
+        await installExtension(
+          provider,
+          universalProfile,
+          onERC1155Received,
+          notAnExtension,
+          { checkInterface: false }
+        )
+      ).dataValues
+    ).to.deep.equal([notAnExtension.toLowerCase()]);
+  });
+
+  it("should replace and remove the extensions with CHANGEEXTENSIONS", async () => {
+    const replaced = await replaceExtension(
+      provider,
+      universalProfile,
+      onERC721Received,
+      extensionB
+    );
+    expect(replaced.changes).to.deep.equal([
+      {
+        selector: onERC721Received,
+        dataKey: dataKey(onERC721Received),
+        from: extensionA,
+        to: extensionB,
+        permission: "CHANGEEXTENSIONS",
+      },
+    ]);
+    expect(replaced.payload).to.equal(
+      abi.encodeFunctionData("setData", [
+        [dataKey(onERC721Received)],
+        [extensionB.toLowerCase()],
+      ])
+    );
+
+    const removed = await removeExtension(
+      provider,
+      universalProfile,
+      "onERC721Received(address,address,uint256,bytes)"
+    );
+    expect(removed.requiredPermissions).to.deep.equal(["CHANGEEXTENSIONS"]);
+    expect(removed.dataValues).to.deep.equal(["0x"]);
+
+    const errorOf = (promise: Promise<object>) =>
+      promise.then(
+        () => expect.fail("should have thrown"),
+        (error) => error.message
+      );
+
+    expect(
+      await errorOf(
+        replaceExtension(
+          provider,
+          universalProfile,
+          onERC721Received,
+          extensionA
+        )
+      )
+    ).to.equal("extensions: nothing to update");
+    expect(
+      await errorOf(
+        replaceExtension(
+          provider,
+          universalProfile,
+          onERC1155Received,
+          extensionB
+        )
+      )
+    ).to.equal(
+      `extensions: ${onERC1155Received} has no extension (use installExtension(...))`
+    );
+    expect(
+      await errorOf(
+        removeExtension(provider, universalProfile, onERC1155Received)
+      )
+    ).to.equal(`extensions: ${onERC1155Received} has no extension to remove`);
+    expect(
+      await errorOf(
+        installExtension(
+          provider,
+          universalProfile,
+          onERC1155Received,
+          ethers.constants.AddressZero
+        )
+      )
+    ).to.equal(
+      `extensions: invalid extension address ${ethers.constants.AddressZero}`
+    );
+  });
+});
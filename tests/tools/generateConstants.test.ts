@@ -0,0 +1,78 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { generateConstants } from "../../scripts/generate-constants";
+
+const ROOT = path.join(__dirname, "..", "..");
+const CONSTANTS_PATH = path.join(ROOT, "constants.js");
+const TYPES_PATH = path.join(ROOT, "constants.d.ts");
+
+describe("generateConstants", () => {
+  it("should generate the same constants.js and constants.d.ts as the ones in the repository", () => {
+    const files = generateConstants();
+
+    expect(files[CONSTANTS_PATH]).to.equal(
+      fs.readFileSync(CONSTANTS_PATH, "utf8")
+    );
+    expect(files[TYPES_PATH]).to.equal(fs.readFileSync(TYPES_PATH, "utf8"));
+  });
+
+  describe("when the contracts change", () => {
+    let contractsDir: string;
+
+    beforeEach(() => {
+      contractsDir = fs.mkdtempSync(path.join(os.tmpdir(), "lsp-contracts-"));
+      fs.cpSync(path.join(ROOT, "contracts"), contractsDir, {
+        recursive: true,
+        filter: (source) => path.basename(source) !== "Mocks",
+      });
+    });
+
+    afterEach(() => {
+      fs.rmSync(contractsDir, { recursive: true, force: true });
+    });
+
+    it("should add a new custom error to its LSP group", () => {
+      const lsp9Errors = path.join(contractsDir, "LSP9Vault", "LSP9Errors.sol");
+
+      fs.writeFileSync(
+        lsp9Errors,
+        `${fs.readFileSync(lsp9Errors, "utf8")}
+/**
+ * @dev reverts when the vault is frozen. The vault must be unfrozen first.
+ */
+error VaultFrozen(address vault);
+`
+      );
+
+      const source = generateConstants({ contractsDir })[CONSTANTS_PATH];
+
+      expect(source).to.include(`'0xfd3b2a9c': {
+			error: 'VaultFrozen(address)',
+			message: 'LSP9: Reverts when the vault is frozen.',
+		},`);
+    });
+
+    it("should fail when a new constant has no preimage", () => {
+      const lsp9Constants = path.join(
+        contractsDir,
+        "LSP9Vault",
+        "LSP9Constants.sol"
+      );
+
+      fs.writeFileSync(
+        lsp9Constants,
+        `${fs.readFileSync(
+          lsp9Constants,
+          "utf8"
+        )}\nbytes4 constant _INTERFACEID_LSP42 = 0xcafecafe;\n`
+      );
+
+      expect(() => generateConstants({ contractsDir })).to.throw(
+        "_INTERFACEID_LSP42"
+      );
+    });
+  });
+});
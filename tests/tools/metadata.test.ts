@@ -0,0 +1,223 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import {
+  validateMetadata,
+  hashFile,
+  buildMetadataValue,
+  createDirectoryFetcher,
+  verifyMetadata,
+} from "../../tools/metadata";
+import { ERC725YDataKeys } from "../../constants";
+
+describe("metadata", () => {
+  const avatar = new Uint8Array([0x89, 0x50, 0x4e, 0x47]);
+
+  const profile = {
+    LSP3Profile: {
+      name: "Alice",
+      description: "Building on LUKSO",
+      links: [{ title: "Website", url: "https://alice.example" }],
+      tags: ["profile"],
+      profileImage: [
+        {
+          width: 640,
+          height: 640,
+          hashFunction: "keccak256(bytes)",
+          hash: hashFile(avatar),
+          url: "ipfs://QmAvatar",
+        },
+      ],
+      backgroundImage: [],
+    },
+  };
+
+  const asset = {
+    LSP4Metadata: {
+      description: "A token",
+      links: [],
+      icon: [],
+      images: [[]],
+      assets: [
+        {
+          hashFunction: "keccak256(bytes)",
+          hash: hashFile("3d model"),
+          url: "ipfs://QmModel",
+          fileType: "glb",
+        },
+      ],
+    },
+  };
+
+  it("should validate the LSP3 and LSP4 metadata files against their JSON Schema", () => {
+    expect(validateMetadata("LSP3Profile", profile)).to.deep.equal([]);
+    expect(
+      validateMetadata("LSP4Metadata", JSON.stringify(asset))
+    ).to.deep.equal([]);
+
+    expect(
+      validateMetadata("LSP3Profile", {
+        LSP3Profile: {
+          links: [{ title: "Website" }],
+          tags: "profile",
+          profileImage: [
+            {
+              ...profile.LSP3Profile.profileImage[0],
+              width: 1.5,
+              hashFunction: "sha256",
+              hash: "0xcafe",
+            },
+          ],
+        },
+      })
+    ).to.deep.equal([
+      "LSP3Profile: must have the property name",
+      "LSP3Profile.links[0]: must have the property url",
+      "LSP3Profile.tags: must be of type array",
+      "LSP3Profile.profileImage[0].width: must be of type integer",
+      "LSP3Profile.profileImage[0].hashFunction: must be one of keccak256(bytes), keccak256(utf8)",
+      "LSP3Profile.profileImage[0].hash: must match ^0x[0-9a-fA-F]{64}$",
+    ]);
+
+    expect(validateMetadata("LSP4Metadata", profile)).to.deep.equal([
+      "(root): must have the property LSP4Metadata",
+    ]);
+    expect(validateMetadata("LSP4Metadata", "{")[0]).to.match(/^invalid JSON/);
+  });
+
+  it("should build the JSONURL value of a metadata file", () => {
+    const { file, hash, dataKey, dataValue } = buildMetadataValue(
+      "LSP3Profile",
+      profile,
+      "ipfs://QmProfile"
+    );
+
+    expect(file).to.equal(JSON.stringify(profile));
+    expect(hash).to.equal(
+      ethers.utils.keccak256(ethers.utils.toUtf8Bytes(JSON.stringify(profile)))
+    );
+    expect(dataKey).to.equal(ERC725YDataKeys.LSP3.LSP3Profile);
+    // bytes4(keccak256('keccak256(utf8)')) + hash + url
+    expect(dataValue).to.equal(
+      ethers.utils.hexConcat([
+        "0x6f357c6a",
+        hash,
+        ethers.utils.toUtf8Bytes("ipfs://QmProfile"),
+      ])
+    );
+
+    expect(
+      buildMetadataValue("LSP4Metadata", asset, "ipfs://QmAsset").dataKey
+    ).to.equal(ERC725YDataKeys.LSP4.LSP4Metadata);
+
+    expect(() =>
+      buildMetadataValue(
+        "LSP3Profile",
+        { LSP3Profile: { name: 42 } },
+        "ipfs://Qm"
+      )
+    ).to.throw(
+      "metadata: invalid LSP3Profile file (LSP3Profile.name: must be of type string)"
+    );
+  });
+
+  it("should verify the hash of the file stored on-chain, and of the files it links to", async () => {
+    const { file, dataValue } = buildMetadataValue(
+      "LSP3Profile",
+      profile,
+      "ipfs://QmProfile"
+    );
+    const files = {
+      "ipfs://QmProfile": file,
+      "ipfs://QmAvatar": avatar,
+    };
+    const fetcher = async (url: string) => {
+      if (files[url] === undefined) throw new Error("not found");
+      return files[url];
+    };
+
+    expect(
+      await verifyMetadata(dataValue, fetcher, { verifyLinkedFiles: true })
+    ).to.deep.include({
+      url: "ipfs://QmProfile",
+      hashMatches: true,
+      json: profile,
+      errors: [],
+      linkedFiles: [
+        {
+          path: "LSP3Profile.profileImage[0]",
+          url: "ipfs://QmAvatar",
+          expectedHash: hashFile(avatar),
+          actualHash: hashFile(avatar),
+          hashMatches: true,
+        },
+      ],
+      isValid: true,
+    });
+
+    // the file was changed after the value was set
+    files["ipfs://QmProfile"] = file.replace("Alice", "Mallory");
+    files["ipfs://QmAvatar"] = new Uint8Array([0]);
+
+    const { hashMatches, errors, isValid } = await verifyMetadata(
+      dataValue,
+      fetcher,
+      { verifyLinkedFiles: true }
+    );
+    expect(hashMatches).to.be.false;
+    expect(isValid).to.be.false;
+    expect(errors).to.deep.equal([
+      `hash mismatch for ipfs://QmProfile: expected ${hashFile(
+        file
+      )}, got ${hashFile(files["ipfs://QmProfile"])}`,
+      `LSP3Profile.profileImage[0]: hash mismatch for ipfs://QmAvatar: expected ${hashFile(
+        avatar
+      )}, got ${hashFile(new Uint8Array([0]))}`,
+    ]);
+
+    expect(
+      (
+        await verifyMetadata(
+          {
+            hashFunction: "keccak256(utf8)",
+            hash: hashFile(file),
+            url: "ipfs://QmMissing",
+          },
+          fetcher
+        )
+      ).errors
+    ).to.deep.equal(["could not fetch ipfs://QmMissing: not found"]);
+  });
+
+  it("should read the files from a local directory", async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "metadata-"));
+    const { file, dataValue } = buildMetadataValue(
+      "LSP4Metadata",
+      asset,
+      "ipfs://QmAsset/metadata.json"
+    );
+
+    fs.mkdirSync(path.join(directory, "QmAsset"));
+    fs.writeFileSync(path.join(directory, "QmAsset", "metadata.json"), file);
+    fs.writeFileSync(path.join(directory, "QmModel"), "3d model");
+
+    const fetcher = createDirectoryFetcher(directory);
+
+    expect(
+      await verifyMetadata(dataValue, fetcher, { verifyLinkedFiles: true })
+    ).to.deep.include({ errors: [], isValid: true });
+
+    await fetcher("ipfs://../secret").then(
+      () => expect.fail("should have thrown"),
+      (error) =>
+        expect(error.message).to.equal(
+          `metadata: ipfs://../secret is outside of ${directory}`
+        )
+    );
+
+    fs.rmSync(directory, { recursive: true });
+  });
+});
@@ -0,0 +1,316 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+
+import {
+  resolveAccount,
+  buildCallFrom,
+  buildTransferOwnership,
+  getRenounceOwnershipStatus,
+  getOwnershipState,
+  planOwnershipTransfer,
+  planRenounceOwnership,
+  decodeOwnershipEvents,
+} from "../../tools/ownership";
+import {
+  EventSignatures,
+  INTERFACE_IDS,
+  LSP1_TYPE_IDS,
+  OPERATION_TYPES,
+} from "../../constants";
+
+describe("ownership", () => {
+  const address = (byte: string) =>
+    ethers.utils.getAddress("0x" + byte.repeat(20));
+
+  const eoa = address("11");
+  const keyManagerA = address("a1");
+  const profileA = address("a2");
+  const keyManagerB = address("b1");
+  const profileB = address("b2");
+  const vault = address("c1");
+  const token = address("d1");
+
+  const abi = new ethers.utils.Interface([
+    "function owner() view returns (address)",
+    "function pendingOwner() view returns (address)",
+    "function target() view returns (address)",
+    "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+    "function transferOwnership(address newOwner)",
+    "function acceptOwnership()",
+    "function renounceOwnership()",
+    "function execute(uint256 operationType, address target, uint256 value, bytes data)",
+    "function execute(bytes payload)",
+    "event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner)",
+    "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+    "event RenounceOwnershipStarted()",
+    "event UniversalReceiver(address indexed from, uint256 indexed value, bytes32 indexed typeId, bytes receivedData, bytes returnedValue)",
+  ]);
+
+  // the contracts deployed, with the interfaces they support and their state
+  const contracts: {
+    [address: string]: {
+      interfaces: string[];
+      owner?: string;
+      pendingOwner?: string;
+      target?: string;
+    };
+  } = {
+    [keyManagerA]: {
+      interfaces: [INTERFACE_IDS.LSP6KeyManager],
+      target: profileA,
+    },
+    [profileA]: {
+      interfaces: [INTERFACE_IDS.LSP0ERC725Account],
+      owner: keyManagerA,
+      pendingOwner: ethers.constants.AddressZero,
+    },
+    [keyManagerB]: {
+      interfaces: [INTERFACE_IDS.LSP6KeyManager],
+      target: profileB,
+    },
+    [profileB]: {
+      interfaces: [INTERFACE_IDS.LSP0ERC725Account],
+      owner: keyManagerB,
+    },
+    [vault]: {
+      interfaces: [INTERFACE_IDS.LSP9Vault],
+      owner: profileA,
+      pendingOwner: ethers.constants.AddressZero,
+    },
+    [token]: { interfaces: [INTERFACE_IDS.LSP7DigitalAsset] },
+  };
+
+  let logs: any[];
+
+  const provider = {
+    _isProvider: true,
+    getCode: async (account: string) =>
+      contracts[ethers.utils.getAddress(account)] === undefined
+        ? "0x"
+        : "0x6080",
+    getBlock: async () => ({ number: 1000 }),
+    getLogs: async () => logs,
+    call: async ({ to, data }: { to: string; data: string }) => {
+      const contract = contracts[ethers.utils.getAddress(to)];
+      const { name, args } = abi.parseTransaction({ data });
+
+      if (name === "supportsInterface") {
+        return abi.encodeFunctionResult(name, [
+          contract.interfaces.includes(args.interfaceId),
+        ]);
+      }
+
+      return abi.encodeFunctionResult(name, [contract[name]]);
+    },
+  };
+
+  const executeOnProfile = (to: string, data: string) =>
+    abi.encodeFunctionData("execute(uint256,address,uint256,bytes)", [
+      OPERATION_TYPES.CALL,
+      to,
+      0,
+      data,
+    ]);
+
+  const executeOnKeyManager = (payload: string) =>
+    abi.encodeFunctionData("execute(bytes)", [payload]);
+
+  beforeEach(() => {
+    logs = [];
+  });
+
+  it("should resolve the chain of owners of a Universal Profile up to its Key Manager", async () => {
+    expect(await resolveAccount(provider, vault)).to.deep.equal({
+      type: "LSP9Vault",
+      address: vault,
+      owner: {
+        type: "UniversalProfile",
+        address: profileA,
+        owner: { type: "KeyManager", address: keyManagerA, target: profileA },
+      },
+    });
+    expect(await resolveAccount(provider, eoa)).to.deep.equal({
+      type: "EOA",
+      address: eoa,
+    });
+    expect(await resolveAccount(provider, token)).to.deep.equal({
+      type: "Contract",
+      address: token,
+    });
+  });
+
+  it("should route the calls through the execute functions of the Universal Profile and its Key Manager", async () => {
+    const data = abi.encodeFunctionData("acceptOwnership");
+
+    expect(
+      buildCallFrom({ type: "EOA", address: eoa }, vault, data)
+    ).to.deep.equal({
+      to: vault,
+      data,
+    });
+
+    expect(
+      buildCallFrom(await resolveAccount(provider, profileA), vault, data)
+    ).to.deep.equal({
+      to: keyManagerA,
+      data: executeOnKeyManager(executeOnProfile(vault, data)),
+    });
+
+    const keyManager = await resolveAccount(provider, keyManagerA);
+    expect(() => buildCallFrom(keyManager, vault, data)).to.throw(
+      `ownership: the Key Manager ${keyManagerA} can only call its target ${profileA}, not ${vault}`
+    );
+
+    expect(() =>
+      buildCallFrom({ type: "Contract", address: token }, vault, data)
+    ).to.throw(`ownership: ${token} is a contract that cannot call ${vault}`);
+
+    expect(() =>
+      buildTransferOwnership(vault, vault, { type: "EOA", address: eoa })
+    ).to.throw(
+      `ownership: cannot transfer the ownership of ${vault} to itself`
+    );
+  });
+
+  it("should plan the transfer of a Vault between two Universal Profiles controlled by Key Managers", async () => {
+    const plan = await planOwnershipTransfer(provider, vault, profileB);
+
+    expect(plan.transferOwnership).to.deep.equal({
+      to: keyManagerA,
+      data: executeOnKeyManager(
+        executeOnProfile(
+          vault,
+          abi.encodeFunctionData("transferOwnership", [profileB])
+        )
+      ),
+    });
+    expect(plan.acceptOwnership).to.deep.equal({
+      to: keyManagerB,
+      data: executeOnKeyManager(
+        executeOnProfile(vault, abi.encodeFunctionData("acceptOwnership"))
+      ),
+    });
+
+    // accepting the ownership of a Universal Profile through its own Key Manager
+    const { acceptOwnership } = await planOwnershipTransfer(
+      provider,
+      profileA,
+      keyManagerA
+    );
+    expect(acceptOwnership).to.deep.equal({
+      to: keyManagerA,
+      data: executeOnKeyManager(abi.encodeFunctionData("acceptOwnership")),
+    });
+
+    // the ownership could never be accepted
+    await planOwnershipTransfer(provider, vault, token).then(
+      () => expect.fail("should have thrown"),
+      (error) =>
+        expect(error.message).to.equal(
+          `ownership: ${token} is a contract that cannot call ${vault}`
+        )
+    );
+  });
+
+  it("should mirror the block intervals of the renouncement", () => {
+    expect(getRenounceOwnershipStatus(500, 599)).to.deep.equal({
+      startedAt: 500,
+      confirmationPeriodStart: 600,
+      confirmationPeriodEnd: 700,
+      action: "wait",
+    });
+    expect(getRenounceOwnershipStatus(500, 600).action).to.equal("confirm");
+    expect(getRenounceOwnershipStatus(500, 700).action).to.equal("confirm");
+    expect(getRenounceOwnershipStatus(500, 701).action).to.equal("start");
+    expect(getRenounceOwnershipStatus(0, 1000).action).to.equal("start");
+  });
+
+  it("should find when the renouncement started in the events", async () => {
+    logs = [
+      {
+        blockNumber: 950,
+        topics: [EventSignatures.LSP14Ownable2Step.RenounceOwnershipStarted],
+      },
+    ];
+
+    const state = await getOwnershipState(provider, vault);
+    expect(state).to.deep.equal({
+      contract: vault,
+      blockNumber: 1000,
+      owner: profileA,
+      pendingOwner: null,
+      status: "owned",
+      renounceOwnership: {
+        startedAt: 950,
+        confirmationPeriodStart: 1050,
+        confirmationPeriodEnd: 1150,
+        action: "wait",
+      },
+    });
+
+    expect(await planRenounceOwnership(provider, vault)).to.deep.include({
+      action: "wait",
+      transaction: null,
+    });
+
+    // transferring the ownership resets the renouncement
+    logs.push({
+      blockNumber: 960,
+      topics: [EventSignatures.LSP14Ownable2Step.OwnershipTransferStarted],
+    });
+
+    const { action, transaction } = await planRenounceOwnership(
+      provider,
+      vault
+    );
+    expect(action).to.equal("start");
+    expect(transaction).to.deep.equal({
+      to: keyManagerA,
+      data: executeOnKeyManager(
+        executeOnProfile(vault, abi.encodeFunctionData("renounceOwnership"))
+      ),
+    });
+  });
+
+  it("should decode the ownership events to report the progress", () => {
+    const encode = (
+      emitter: string,
+      event: string,
+      args: any[],
+      blockNumber = 42
+    ) => ({
+      address: emitter,
+      blockNumber,
+      ...abi.encodeEventLog(abi.getEvent(event), args),
+    });
+
+    const events = decodeOwnershipEvents([
+      encode(vault, "OwnershipTransferStarted", [profileA, profileB]),
+      encode(profileB, "UniversalReceiver", [
+        vault,
+        0,
+        LSP1_TYPE_IDS.LSP9OwnershipTransferStarted,
+        "0x",
+        "0x",
+      ]),
+      encode(vault, "OwnershipTransferred", [profileA, profileB]),
+      encode(vault, "RenounceOwnershipStarted", [], 500),
+    ]);
+
+    expect(events.map(({ description }) => description)).to.deep.equal([
+      `${profileB} can accept the ownership of ${vault} from ${profileA}`,
+      `${profileB} was notified by ${vault} (LSP9OwnershipTransferStarted)`,
+      `${profileB} is the new owner of ${vault}`,
+      `the renouncement of the ownership of ${vault} started, confirm it between blocks 600 and 700`,
+    ]);
+    expect(events[1]).to.deep.equal({
+      event: "UniversalReceiver",
+      contract: vault,
+      notified: profileB,
+      typeId: LSP1_TYPE_IDS.LSP9OwnershipTransferStarted,
+      typeName: "LSP9OwnershipTransferStarted",
+      description: events[1].description,
+      blockNumber: 42,
+    });
+  });
+});
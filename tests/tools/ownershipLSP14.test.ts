@@ -0,0 +1,153 @@
+import { expect } from "chai";
+import { ethers, network } from "hardhat";
+import { SignerWithAddress } from "@nomiclabs/hardhat-ethers/signers";
+
+import {
+  LSP6KeyManager__factory,
+  LSP9Vault__factory,
+  UniversalProfile,
+  UniversalProfile__factory,
+} from "../../types";
+
+import { setupProfileWithKeyManagerWithURD } from "../utils/fixtures";
+
+import {
+  decodeOwnershipEvents,
+  getOwnershipState,
+  planOwnershipTransfer,
+  planRenounceOwnership,
+} from "../../tools/ownership";
+import { ERC725YDataKeys, PERMISSIONS } from "../../constants";
+
+/**
+ * Run the ownership workflows against the LSP14 contracts.
+ */
+describe("ownership (against the LSP14 contracts)", () => {
+  let alice: SignerWithAddress;
+  let bob: SignerWithAddress;
+
+  let aliceProfile: UniversalProfile;
+  let bobProfile: UniversalProfile;
+
+  before(async () => {
+    [alice, bob] = await ethers.getSigners();
+
+    [aliceProfile] = (await setupProfileWithKeyManagerWithURD(alice)) as any;
+    [bobProfile] = (await setupProfileWithKeyManagerWithURD(bob)) as any;
+  });
+
+  it("should transfer a Vault between two Universal Profiles through their Key Managers", async () => {
+    const vault = await new LSP9Vault__factory(alice).deploy(
+      aliceProfile.address
+    );
+
+    const { transferOwnership, acceptOwnership } = await planOwnershipTransfer(
+      ethers.provider,
+      vault.address,
+      bobProfile.address
+    );
+
+    const started = await (
+      await alice.sendTransaction(transferOwnership)
+    ).wait();
+
+    expect(
+      await getOwnershipState(ethers.provider, vault.address)
+    ).to.deep.include({
+      owner: aliceProfile.address,
+      pendingOwner: bobProfile.address,
+      status: "transferPending",
+    });
+    expect(
+      decodeOwnershipEvents(started.logs).map(({ event }) => event)
+    ).to.deep.equal(["OwnershipTransferStarted", "UniversalReceiver"]);
+
+    const accepted = await (await bob.sendTransaction(acceptOwnership)).wait();
+
+    expect(await vault.owner()).to.equal(bobProfile.address);
+    expect(
+      decodeOwnershipEvents(accepted.logs).find(
+        ({ event }) => event === "OwnershipTransferred"
+      )
+    ).to.deep.include({
+      contract: vault.address,
+      previousOwner: aliceProfile.address,
+      newOwner: bobProfile.address,
+    });
+  });
+
+  it("should hand the ownership of a Universal Profile over to its Key Manager", async () => {
+    const universalProfile = await new UniversalProfile__factory(alice).deploy(
+      alice.address
+    );
+    const keyManager = await new LSP6KeyManager__factory(alice).deploy(
+      universalProfile.address
+    );
+
+    await universalProfile["setData(bytes32,bytes)"](
+      ERC725YDataKeys.LSP6["AddressPermissions:Permissions"] +
+        alice.address.substring(2),
+      PERMISSIONS.CHANGEOWNER
+    );
+
+    const { transferOwnership, acceptOwnership } = await planOwnershipTransfer(
+      ethers.provider,
+      universalProfile.address,
+      keyManager.address
+    );
+
+    expect(acceptOwnership.to).to.equal(keyManager.address);
+
+    await alice.sendTransaction(transferOwnership);
+    await alice.sendTransaction(acceptOwnership);
+
+    expect(await universalProfile.owner()).to.equal(keyManager.address);
+  });
+
+  it("should renounce the ownership within the confirmation period only", async () => {
+    const universalProfile = await new UniversalProfile__factory(alice).deploy(
+      alice.address
+    );
+
+    // until block 200, a renouncement never started is already within its confirmation period
+    await network.provider.send("hardhat_mine", ["0x100"]);
+
+    const start = await planRenounceOwnership(
+      ethers.provider,
+      universalProfile.address
+    );
+    expect(start.action).to.equal("start");
+
+    const { blockNumber } = await (
+      await alice.sendTransaction(start.transaction)
+    ).wait();
+
+    const wait = await planRenounceOwnership(
+      ethers.provider,
+      universalProfile.address
+    );
+    expect(wait).to.deep.include({
+      action: "wait",
+      startedAt: blockNumber,
+      confirmationPeriodStart: blockNumber + 100,
+      transaction: null,
+    });
+
+    await network.provider.send("hardhat_mine", ["0x63"]); // skip 99 blocks
+
+    const confirm = await planRenounceOwnership(
+      ethers.provider,
+      universalProfile.address
+    );
+    expect(confirm.action).to.equal("confirm");
+
+    await alice.sendTransaction(confirm.transaction);
+
+    expect(
+      await getOwnershipState(ethers.provider, universalProfile.address)
+    ).to.deep.include({
+      owner: ethers.constants.AddressZero,
+      status: "renounced",
+    });
+  });
+});
@@ -0,0 +1,154 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+
+import {
+  encodePermissions,
+  decodePermissions,
+  hasPermission,
+  addPermissions,
+  removePermissions,
+  getUnknownPermissionBits,
+  getDangerousPermissions,
+} from "../../tools/permissions";
+import { ALL_PERMISSIONS, PERMISSIONS } from "../../constants";
+
+describe("permissions", () => {
+  const CALL_AND_SETDATA =
+    "0x0000000000000000000000000000000000000000000000000000000000040800";
+
+  describe("encodePermissions(...)", () => {
+    it("should encode the permissions set to `true`", () => {
+      expect(
+        encodePermissions({ CALL: true, SETDATA: true, DEPLOY: false })
+      ).to.equal(CALL_AND_SETDATA);
+    });
+
+    it("should encode an empty object as no permissions", () => {
+      expect(encodePermissions({})).to.equal(ethers.constants.HashZero);
+    });
+
+    it("should throw for an unknown permission name", () => {
+      expect(() => encodePermissions({ TRANSFER: true })).to.throw(
+        "unknown permission TRANSFER"
+      );
+    });
+  });
+
+  describe("decodePermissions(...)", () => {
+    it("should return every permission as a boolean", () => {
+      const result = decodePermissions(CALL_AND_SETDATA);
+
+      expect(Object.keys(result)).to.deep.equal(Object.keys(PERMISSIONS));
+      expect(result.CALL).to.be.true;
+      expect(result.SETDATA).to.be.true;
+      expect(result.SUPER_CALL).to.be.false;
+      expect(result.CHANGEOWNER).to.be.false;
+    });
+
+    it("should be the inverse of `encodePermissions(...)`", () => {
+      const decoded = decodePermissions(ALL_PERMISSIONS);
+      expect(encodePermissions(decoded)).to.equal(ALL_PERMISSIONS);
+    });
+  });
+
+  describe("hasPermission(...)", () => {
+    it("should check by permission name", () => {
+      expect(hasPermission(CALL_AND_SETDATA, "CALL")).to.be.true;
+      expect(hasPermission(CALL_AND_SETDATA, "STATICCALL")).to.be.false;
+    });
+
+    it("should check by permission value", () => {
+      expect(hasPermission(ALL_PERMISSIONS, PERMISSIONS.CHANGEOWNER)).to.be
+        .true;
+      expect(hasPermission(ALL_PERMISSIONS, PERMISSIONS.DELEGATECALL)).to.be
+        .false;
+    });
+
+    it("should require all the bits of a combined permission", () => {
+      const callAndDeploy = addPermissions(PERMISSIONS.CALL, "DEPLOY");
+      expect(hasPermission(CALL_AND_SETDATA, callAndDeploy)).to.be.false;
+    });
+
+    it("should throw for an invalid permission", () => {
+      expect(() => hasPermission(CALL_AND_SETDATA, "UNKNOWN")).to.throw(
+        "unknown permission or invalid bytes32 value UNKNOWN"
+      );
+    });
+  });
+
+  describe("addPermissions(...) / removePermissions(...)", () => {
+    it("should add permissions by name and value", () => {
+      expect(
+        addPermissions(ethers.constants.HashZero, "CALL", PERMISSIONS.SETDATA)
+      ).to.equal(CALL_AND_SETDATA);
+    });
+
+    it("should not change the value when adding a permission twice", () => {
+      expect(
+        addPermissions(CALL_AND_SETDATA, "CALL", PERMISSIONS.CALL)
+      ).to.equal(CALL_AND_SETDATA);
+    });
+
+    it("should remove permissions", () => {
+      expect(removePermissions(CALL_AND_SETDATA, "SETDATA")).to.equal(
+        PERMISSIONS.CALL
+      );
+    });
+
+    it("should not change the value when removing a permission not set", () => {
+      expect(removePermissions(CALL_AND_SETDATA, "DEPLOY")).to.equal(
+        CALL_AND_SETDATA
+      );
+    });
+  });
+
+  describe("getUnknownPermissionBits(...)", () => {
+    it("should return an empty list when all bits are known", () => {
+      expect(getUnknownPermissionBits(ALL_PERMISSIONS)).to.deep.equal([]);
+    });
+
+    it("should return the reserved bits set", () => {
+      const value = addPermissions(
+        PERMISSIONS.CALL,
+        "0x0000000000000000000000000000000000000000000000000000000000400000",
+        "0x8000000000000000000000000000000000000000000000000000000000000000"
+      );
+
+      expect(getUnknownPermissionBits(value)).to.deep.equal([
+        "0x0000000000000000000000000000000000000000000000000000000000400000",
+        "0x8000000000000000000000000000000000000000000000000000000000000000",
+      ]);
+    });
+  });
+
+  describe("getDangerousPermissions(...)", () => {
+    it("should return an empty list for restricted permissions", () => {
+      expect(getDangerousPermissions(CALL_AND_SETDATA)).to.deep.equal([]);
+    });
+
+    it("should list the dangerous permissions included in `ALL_PERMISSIONS`", () => {
+      expect(getDangerousPermissions(ALL_PERMISSIONS)).to.deep.equal([
+        "CHANGEOWNER",
+        "SUPER_TRANSFERVALUE",
+        "SUPER_CALL",
+        "SUPER_STATICCALL",
+        "SUPER_SETDATA",
+      ]);
+    });
+
+    it("should flag the permissions excluded from `ALL_PERMISSIONS`", () => {
+      const value = addPermissions(
+        ethers.constants.HashZero,
+        "REENTRANCY",
+        "DELEGATECALL",
+        "SUPER_DELEGATECALL"
+      );
+
+      expect(getDangerousPermissions(value)).to.deep.equal([
+        "REENTRANCY",
+        "SUPER_DELEGATECALL",
+        "DELEGATECALL",
+      ]);
+    });
+  });
+});
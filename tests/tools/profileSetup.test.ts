@@ -0,0 +1,278 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+
+import {
+  buildSetupPlan,
+  formatSetupPlan,
+  setupUniversalProfile,
+} from "../../tools/profileSetup";
+import { getControllerDataKeys } from "../../tools/controllers";
+import { generateArrayElementKeyAtIndex } from "../../tools/dataKeys";
+import { encodeURLValue } from "../../tools/dataValues";
+import { calculateProxyAddress } from "../../tools/universalFactory";
+import {
+  ALL_PERMISSIONS,
+  ERC725YDataKeys,
+  PERMISSIONS,
+  SupportedStandards,
+} from "../../constants";
+
+describe("profileSetup", () => {
+  const owner = ethers.utils.getAddress(
+    "0x1111111111111111111111111111111111111111"
+  );
+  const dapp = ethers.utils.getAddress(
+    "0x2222222222222222222222222222222222222222"
+  );
+  const extension = ethers.utils.getAddress(
+    "0xbeefbeefbeefbeefbeefbeefbeefbeefbeefbeef"
+  );
+
+  // any creation code: the plan only hashes or concatenates it
+  const bytecodes = {
+    UniversalProfile: "0x6001",
+    LSP6KeyManager: "0x6002",
+    LSP1UniversalReceiverDelegateUP: "0x6003",
+  };
+
+  const arrayKey = ERC725YDataKeys.LSP6["AddressPermissions[]"].length;
+
+  const universalProfileInterface = new ethers.utils.Interface([
+    "function initialize(address newOwner)",
+    "function setData(bytes32[] dataKeys, bytes[] dataValues)",
+    "function transferOwnership(address newOwner)",
+    "function acceptOwnership()",
+  ]);
+
+  const keyManagerInterface = new ethers.utils.Interface([
+    "function execute(bytes payload)",
+  ]);
+
+  it("should deploy the contracts from the owner, then set the data and hand the ownership over to the Key Manager", () => {
+    const plan = buildSetupPlan({
+      owner,
+      deployment: { nonce: 5, bytecodes },
+      controllers: [
+        { address: owner, permissions: ALL_PERMISSIONS },
+        { address: dapp, permissions: ["CALL"] },
+      ],
+      lsp3Profile: { url: "ipfs://profile", hash: ethers.constants.HashZero },
+      extensions: { "0xcafecafe": extension },
+    });
+
+    const contractAddress = (nonce: number) =>
+      ethers.utils.getContractAddress({ from: owner, nonce });
+
+    expect(plan.addresses).to.deep.equal({
+      universalProfile: contractAddress(5),
+      keyManager: contractAddress(6),
+      universalReceiverDelegate: contractAddress(7),
+    });
+
+    expect(plan.steps.map(({ description }) => description)).to.deep.equal([
+      "deploy the Universal Profile",
+      "deploy the Key Manager",
+      "deploy the Universal Receiver Delegate",
+      "set the Universal Receiver Delegate and its permissions",
+      "set the controllers",
+      "set the LSP3 metadata and the LSP17 extensions",
+      "transfer the ownership of the Universal Profile to the Key Manager",
+      "accept the ownership of the Universal Profile through the Key Manager",
+    ]);
+
+    expect(plan.steps[1]).to.deep.equal({
+      description: "deploy the Key Manager",
+      to: null,
+      data:
+        bytecodes.LSP6KeyManager +
+        ethers.utils.defaultAbiCoder
+          .encode(["address"], [plan.addresses.universalProfile])
+          .substring(2),
+      value: ethers.constants.Zero,
+      contractAddress: plan.addresses.keyManager,
+    });
+
+    expect(plan.steps[6].data).to.equal(
+      universalProfileInterface.encodeFunctionData("transferOwnership", [
+        plan.addresses.keyManager,
+      ])
+    );
+    expect(plan.steps[7]).to.deep.equal({
+      description:
+        "accept the ownership of the Universal Profile through the Key Manager",
+      to: plan.addresses.keyManager,
+      data: keyManagerInterface.encodeFunctionData("execute", [
+        universalProfileInterface.getSighash("acceptOwnership"),
+      ]),
+      value: ethers.constants.Zero,
+    });
+  });
+
+  it("should compute the ERC725Y storage of the Universal Profile once set up", () => {
+    const plan = buildSetupPlan({
+      owner,
+      deployment: { nonce: 0, bytecodes },
+      controllers: [
+        { address: owner, permissions: ALL_PERMISSIONS },
+        { address: dapp, permissions: ["CALL"] },
+      ],
+      lsp3Profile: { url: "ipfs://profile", hash: ethers.constants.HashZero },
+      extensions: {
+        "onERC721Received(address,address,uint256,bytes)": extension,
+      },
+    });
+
+    const { universalReceiverDelegate } = plan.addresses;
+
+    expect(plan.state).to.deep.equal({
+      [ERC725YDataKeys.LSP1.LSP1UniversalReceiverDelegate]:
+        universalReceiverDelegate.toLowerCase(),
+      [arrayKey]: ethers.utils.hexZeroPad("0x03", 32),
+      [generateArrayElementKeyAtIndex(arrayKey, 0)]:
+        universalReceiverDelegate.toLowerCase(),
+      [getControllerDataKeys(universalReceiverDelegate).permissions]:
+        ethers.utils.hexZeroPad(
+          ethers.BigNumber.from(PERMISSIONS.SUPER_SETDATA)
+            .or(PERMISSIONS.REENTRANCY)
+            .toHexString(),
+          32
+        ),
+      [generateArrayElementKeyAtIndex(arrayKey, 1)]: owner.toLowerCase(),
+      [getControllerDataKeys(owner).permissions]: ALL_PERMISSIONS,
+      [generateArrayElementKeyAtIndex(arrayKey, 2)]: dapp.toLowerCase(),
+      [getControllerDataKeys(dapp).permissions]: PERMISSIONS.CALL,
+      [SupportedStandards.LSP3UniversalProfile.key]:
+        SupportedStandards.LSP3UniversalProfile.value,
+      [ERC725YDataKeys.LSP3.LSP3Profile]: encodeURLValue({
+        url: "ipfs://profile",
+        hash: ethers.constants.HashZero,
+      }),
+      [ERC725YDataKeys.LSP17.LSP17ExtensionPrefix +
+      "150b7a02" +
+      "00".repeat(16)]: extension.toLowerCase(),
+    });
+
+    expect(plan.steps[4].data).to.equal(
+      universalProfileInterface.encodeFunctionData("setData", [
+        [
+          arrayKey,
+          generateArrayElementKeyAtIndex(arrayKey, 1),
+          getControllerDataKeys(owner).permissions,
+          generateArrayElementKeyAtIndex(arrayKey, 2),
+          getControllerDataKeys(dapp).permissions,
+        ],
+        [
+          ethers.utils.hexZeroPad("0x03", 32),
+          owner.toLowerCase(),
+          ALL_PERMISSIONS,
+          dapp.toLowerCase(),
+          PERMISSIONS.CALL,
+        ],
+      ])
+    );
+  });
+
+  it("should deploy minimal proxies via the LSP16 Universal Factory", () => {
+    const universalFactory = ethers.utils.getAddress(
+      "0x3333333333333333333333333333333333333333"
+    );
+    const baseContracts = {
+      universalProfile: "0x4444444444444444444444444444444444444444",
+      keyManager: "0x5555555555555555555555555555555555555555",
+    };
+    const salt = ethers.utils.id("my profile");
+
+    const plan = buildSetupPlan({
+      owner,
+      deployment: {
+        type: "proxies",
+        universalFactory,
+        baseContracts,
+        salt,
+        bytecodes,
+      },
+      universalReceiverDelegate: false,
+    });
+
+    const universalProfile = calculateProxyAddress(universalFactory, {
+      baseContract: baseContracts.universalProfile,
+      providedSalt: salt,
+      initializeCalldata: universalProfileInterface.encodeFunctionData(
+        "initialize",
+        [owner]
+      ),
+    });
+
+    expect(plan.addresses.universalProfile).to.equal(universalProfile);
+    expect(plan.steps[0]).to.include({
+      to: universalFactory,
+      contractAddress: universalProfile,
+    });
+    expect(plan.steps.map(({ description }) => description)).to.deep.equal([
+      "deploy the Universal Profile",
+      "deploy the Key Manager",
+      "set the controllers",
+      "transfer the ownership of the Universal Profile to the Key Manager",
+      "accept the ownership of the Universal Profile through the Key Manager",
+    ]);
+
+    expect(plan.state).to.deep.equal({
+      [arrayKey]: ethers.utils.hexZeroPad("0x01", 32),
+      [generateArrayElementKeyAtIndex(arrayKey, 0)]: owner.toLowerCase(),
+      [getControllerDataKeys(owner).permissions]: ALL_PERMISSIONS,
+    });
+  });
+
+  it("should not plan a setup where the owner cannot accept the ownership through the Key Manager", () => {
+    expect(() =>
+      buildSetupPlan({
+        owner,
+        deployment: { nonce: 0, bytecodes },
+        controllers: [{ address: owner, permissions: ["CALL", "SETDATA"] }],
+      })
+    ).to.throw(
+      `profileSetup: the owner ${owner} must be a controller with the CHANGEOWNER permission, to accept the ownership through the Key Manager`
+    );
+
+    expect(() =>
+      buildSetupPlan({ owner, deployment: { type: "create3", bytecodes } })
+    ).to.throw(
+      "profileSetup: unknown deployment type create3 (must be 'contracts' or 'proxies')"
+    );
+  });
+
+  it("should only log the plan in a dry run", async () => {
+    const sent: any[] = [];
+    const signer = {
+      getAddress: async () => owner,
+      getTransactionCount: async () => 3,
+      sendTransaction: async (transaction: any) => sent.push(transaction),
+    };
+
+    const logs: string[] = [];
+    const plan = await setupUniversalProfile(
+      signer,
+      { deployment: { bytecodes } },
+      { dryRun: true, log: (message: string) => logs.push(message) }
+    );
+
+    expect(sent).to.deep.equal([]);
+    expect(plan.receipts).to.deep.equal([]);
+    expect(plan.addresses.universalProfile).to.equal(
+      ethers.utils.getContractAddress({ from: owner, nonce: 3 })
+    );
+
+    expect(logs).to.deep.equal([formatSetupPlan(plan)]);
+    expect(logs[0]).to.include(
+      `Universal Profile:           ${plan.addresses.universalProfile}`
+    );
+    expect(logs[0]).to.include(
+      "  4. set the Universal Receiver Delegate and its permissions"
+    );
+    expect(logs[0]).to.include(
+      `  AddressPermissions:Permissions:<address> (${owner})\n     ${
+        getControllerDataKeys(owner).permissions
+      } => ${ALL_PERMISSIONS}`
+    );
+  });
+});
@@ -0,0 +1,126 @@
+import { expect } from "chai";
+import { ethers } from "hardhat";
+import { SignerWithAddress } from "@nomiclabs/hardhat-ethers/signers";
+
+import {
+  LSP16UniversalFactory__factory,
+  LSP1UniversalReceiverDelegateUP__factory,
+  LSP6KeyManager__factory,
+  LSP6KeyManagerInit__factory,
+  UniversalProfile__factory,
+  UniversalProfileInit__factory,
+} from "../../types";
+
+import { setupUniversalProfile } from "../../tools/profileSetup";
+import { ALL_PERMISSIONS } from "../../constants";
+
+/**
+ * Run the setup plans against the contracts, and compare the result with what was planned.
+ */
+describe("setupUniversalProfile (against the contracts)", () => {
+  let owner: SignerWithAddress;
+  let dapp: SignerWithAddress;
+
+  const bytecodes = {
+    UniversalProfile: UniversalProfile__factory.bytecode,
+    LSP6KeyManager: LSP6KeyManager__factory.bytecode,
+    LSP1UniversalReceiverDelegateUP:
+      LSP1UniversalReceiverDelegateUP__factory.bytecode,
+  };
+
+  const config = () => ({
+    controllers: [
+      { address: owner.address, permissions: ALL_PERMISSIONS },
+      { address: dapp.address, permissions: ["CALL", "SETDATA"] },
+    ],
+    lsp3Profile: { url: "ipfs://profile", json: { LSP3Profile: {} } },
+  });
+
+  const expectSetUp = async ({ addresses, state }) => {
+    const universalProfile = UniversalProfile__factory.connect(
+      addresses.universalProfile,
+      owner
+    );
+
+    expect(await universalProfile.owner()).to.equal(addresses.keyManager);
+    expect(await universalProfile.pendingOwner()).to.equal(
+      ethers.constants.AddressZero
+    );
+    expect(
+      await LSP6KeyManager__factory.connect(
+        addresses.keyManager,
+        owner
+      ).target()
+    ).to.equal(addresses.universalProfile);
+
+    expect(
+      await universalProfile["getData(bytes32[])"](Object.keys(state))
+    ).to.deep.equal(Object.values(state));
+  };
+
+  before(async () => {
+    [owner, dapp] = await ethers.getSigners();
+  });
+
+  it("should deploy the contracts from the owner at the addresses planned", async () => {
+    const plan = await setupUniversalProfile(owner, {
+      ...config(),
+      deployment: { type: "contracts", bytecodes },
+    });
+
+    expect(
+      plan.receipts.slice(0, 3).map(({ contractAddress }) => contractAddress)
+    ).to.deep.equal([
+      plan.addresses.universalProfile,
+      plan.addresses.keyManager,
+      plan.addresses.universalReceiverDelegate,
+    ]);
+
+    await expectSetUp(plan);
+  });
+
+  it("should deploy minimal proxies via the Universal Factory at the addresses planned", async () => {
+    const universalFactory = await new LSP16UniversalFactory__factory(
+      owner
+    ).deploy();
+    const universalProfileInit = await new UniversalProfileInit__factory(
+      owner
+    ).deploy();
+    const keyManagerInit = await new LSP6KeyManagerInit__factory(
+      owner
+    ).deploy();
+
+    const plan = await setupUniversalProfile(owner, {
+      ...config(),
+      deployment: {
+        type: "proxies",
+        universalFactory: universalFactory.address,
+        baseContracts: {
+          universalProfile: universalProfileInit.address,
+          keyManager: keyManagerInit.address,
+        },
+        salt: ethers.utils.id("my profile"),
+        bytecodes,
+      },
+    });
+
+    await expectSetUp(plan);
+  });
+
+  it("should not send anything in a dry run", async () => {
+    const nonce = await owner.getTransactionCount();
+
+    const logs: string[] = [];
+    const plan = await setupUniversalProfile(
+      owner,
+      { ...config(), deployment: { bytecodes } },
+      { dryRun: true, log: (message: string) => logs.push(message) }
+    );
+
+    expect(await owner.getTransactionCount()).to.equal(nonce);
+    expect(
+      await ethers.provider.getCode(plan.addresses.universalProfile)
+    ).to.equal("0x");
+    expect(logs).to.have.lengthOf(1);
+  });
+});
@@ -0,0 +1,210 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+
+import {
+  encodeRelayCallMessage,
+  getRelayCallDigest,
+  signRelayCall,
+  signRelayCalls,
+  recoverRelayCallSigner,
+  verifyRelayCall,
+  encodeNonce,
+  decodeNonce,
+  createNonceManager,
+} from "../../tools/relayCall";
+import { LSP6_VERSION } from "../../constants";
+
+describe("relayCall", () => {
+  const wallet = new ethers.Wallet(
+    "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d"
+  );
+  const keyManager = "0xcafecafecafecafecafecafecafecafecafecafe";
+  const chainId = 31337;
+  const payload = "0x44c028fe";
+
+  describe("encodeRelayCallMessage(...) / getRelayCallDigest(...)", () => {
+    it("should pack the LSP6 version, chain id, nonce, value and payload", () => {
+      expect(
+        encodeRelayCallMessage({ chainId, nonce: 1, value: 2, payload })
+      ).to.equal(
+        ethers.utils.hexConcat([
+          ethers.utils.hexZeroPad(ethers.utils.hexlify(LSP6_VERSION), 32),
+          ethers.utils.hexZeroPad(ethers.utils.hexlify(chainId), 32),
+          ethers.utils.hexZeroPad("0x01", 32),
+          ethers.utils.hexZeroPad("0x02", 32),
+          payload,
+        ])
+      );
+    });
+
+    it("should hash the message according to EIP-191 version 0, with the Key Manager as validator", () => {
+      const message = encodeRelayCallMessage({ chainId, nonce: 0, payload });
+
+      expect(
+        getRelayCallDigest(keyManager, { chainId, nonce: 0, payload })
+      ).to.equal(
+        ethers.utils.keccak256(
+          ethers.utils.hexConcat(["0x1900", keyManager, message])
+        )
+      );
+    });
+  });
+
+  describe("signRelayCall(...)", () => {
+    const relayCall = { keyManager, chainId, nonce: 5, value: 0, payload };
+
+    it("should sign with a private key, a Wallet, a SigningKey or a function", async () => {
+      const digest = getRelayCallDigest(keyManager, relayCall);
+      const expected = ethers.utils.joinSignature(
+        wallet._signingKey().signDigest(digest)
+      );
+
+      const signers = [
+        wallet.privateKey,
+        wallet,
+        new ethers.utils.SigningKey(wallet.privateKey),
+        async (digestToSign: string) =>
+          ethers.utils.joinSignature(
+            wallet._signingKey().signDigest(digestToSign)
+          ),
+      ];
+
+      for (const signer of signers) {
+        expect(await signRelayCall(signer, relayCall)).to.deep.equal({
+          signature: expected,
+          nonce: "5",
+          value: "0",
+          payload,
+        });
+      }
+    });
+
+    it("should throw when the signer cannot sign a digest", async () => {
+      let error: Error | undefined;
+
+      try {
+        await signRelayCall({}, relayCall);
+      } catch (err) {
+        error = err as Error;
+      }
+
+      expect(error?.message).to.include("relayCall: the signer must be");
+    });
+  });
+
+  describe("signRelayCalls(...)", () => {
+    it("should return the parameters of the batch `executeRelayCall(...)`", async () => {
+      const batch = await signRelayCalls(wallet, {
+        keyManager,
+        chainId,
+        calls: [
+          { nonce: 0, value: 100, payload },
+          { nonce: 1, value: 20, payload },
+        ],
+      });
+
+      expect(batch.nonces).to.deep.equal(["0", "1"]);
+      expect(batch.values).to.deep.equal(["100", "20"]);
+      expect(batch.payloads).to.deep.equal([payload, payload]);
+      expect(batch.totalValue).to.equal("120");
+
+      batch.signatures.forEach((signature: string, index: number) => {
+        expect(
+          recoverRelayCallSigner({
+            keyManager,
+            chainId,
+            nonce: batch.nonces[index],
+            value: batch.values[index],
+            payload,
+            signature,
+          })
+        ).to.equal(wallet.address);
+      });
+    });
+  });
+
+  describe("verifyRelayCall(...)", () => {
+    const relayCall = { keyManager, chainId, nonce: 0, value: 0, payload };
+
+    it("should return `true` for the signer", async () => {
+      const { signature } = await signRelayCall(wallet, relayCall);
+
+      expect(verifyRelayCall({ ...relayCall, signature }, wallet.address)).to.be
+        .true;
+    });
+
+    it("should return `false` when the message signed is different", async () => {
+      const { signature } = await signRelayCall(wallet, relayCall);
+
+      expect(
+        verifyRelayCall({ ...relayCall, chainId: 1, signature }, wallet.address)
+      ).to.be.false;
+      expect(
+        verifyRelayCall({ ...relayCall, signature: "0xcafe" }, wallet.address)
+      ).to.be.false;
+    });
+  });
+
+  describe("encodeNonce(...) / decodeNonce(...)", () => {
+    it("should encode the channel ID in the 128 leftmost bits", () => {
+      const nonce = encodeNonce(3, 7);
+
+      expect(nonce).to.equal(
+        ethers.BigNumber.from(3).shl(128).add(7).toString()
+      );
+      expect(decodeNonce(nonce)).to.deep.equal({
+        channelId: "3",
+        nonceInChannel: "7",
+      });
+    });
+
+    it("should throw when the channel ID does not fit in a uint128", () => {
+      expect(() => encodeNonce(ethers.BigNumber.from(2).pow(128), 0)).to.throw(
+        "does not fit in a uint128"
+      );
+    });
+  });
+
+  describe("createNonceManager(...)", () => {
+    const onChainNonces: { [channelId: string]: number } = {};
+
+    const keyManagerInterface = new ethers.utils.Interface([
+      "function getNonce(address from, uint128 channelId) view returns (uint256)",
+    ]);
+
+    const provider = {
+      _isProvider: true,
+      call: async ({ data }: { data: string }) => {
+        const [, channelId] = keyManagerInterface.decodeFunctionData(
+          "getNonce",
+          data
+        );
+        return keyManagerInterface.encodeFunctionResult("getNonce", [
+          encodeNonce(channelId, onChainNonces[channelId.toString()] || 0),
+        ]);
+      },
+    };
+
+    it("should reserve the next nonces while previous ones are in-flight", async () => {
+      const nonces = createNonceManager({
+        keyManager,
+        signer: wallet.address,
+        provider,
+      });
+
+      expect(await nonces.reserveNonce(0)).to.equal("0");
+      expect(await nonces.reserveNonce(0)).to.equal("1");
+      expect(await nonces.reserveNonce(2)).to.equal(encodeNonce(2, 0));
+      expect(nonces.getPendingNonces(0)).to.deep.equal(["0", "1"]);
+
+      // the first relay call was executed
+      onChainNonces["0"] = 1;
+      expect(await nonces.reserveNonce(0)).to.equal("2");
+      expect(nonces.getPendingNonces(0)).to.deep.equal(["1", "2"]);
+
+      // the last relay call failed
+      nonces.releaseNonce("2");
+      expect(await nonces.reserveNonce(0)).to.equal("2");
+    });
+  });
+});
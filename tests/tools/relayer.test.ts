@@ -0,0 +1,220 @@
+import { expect } from "chai";
+import http from "http";
+import { AddressInfo } from "net";
+import { ethers } from "hardhat";
+
+import {
+  LSP6KeyManager__factory,
+  TargetContract,
+  TargetContract__factory,
+  UniversalProfile__factory,
+} from "../../types";
+
+import { LSP6TestContext } from "../utils/context";
+import { setupKeyManager } from "../utils/fixtures";
+import { LOCAL_PRIVATE_KEYS } from "../utils/helpers";
+
+import { createRelayer } from "../../tools/relayer";
+import {
+  createNonceManager,
+  signRelayCall,
+  signRelayCalls,
+} from "../../tools/relayCall";
+import { encodeAllowedCalls } from "../../tools/restrictions";
+import { ERC725YDataKeys, OPERATION_TYPES, PERMISSIONS } from "../../constants";
+
+function post(port: number, body: any): Promise<{ status: number; body: any }> {
+  return new Promise((resolve, reject) => {
+    const request = http.request(
+      { host: "127.0.0.1", port, method: "POST" },
+      (response) => {
+        let data = "";
+        response.on("data", (chunk) => (data += chunk));
+        response.on("end", () =>
+          resolve({ status: response.statusCode, body: JSON.parse(data) })
+        );
+      }
+    );
+
+    request.on("error", reject);
+    request.end(typeof body === "string" ? body : JSON.stringify(body));
+  });
+}
+
+describe("relayer", () => {
+  let context: LSP6TestContext;
+  let targetContract: TargetContract;
+  let relayer: ReturnType<typeof createRelayer>;
+  let port: number;
+  let chainId: number;
+
+  // accounts[1], the controller signing the relay calls
+  const signerPrivateKey = LOCAL_PRIVATE_KEYS.ACCOUNT1;
+
+  const setNamePayload = (name: string) =>
+    context.universalProfile.interface.encodeFunctionData(
+      "execute(uint256,address,uint256,bytes)",
+      [
+        OPERATION_TYPES.CALL,
+        targetContract.address,
+        0,
+        targetContract.interface.encodeFunctionData("setName", [name]),
+      ]
+    );
+
+  before(async () => {
+    const accounts = await ethers.getSigners();
+    const owner = accounts[0];
+
+    const universalProfile = await new UniversalProfile__factory(owner).deploy(
+      owner.address
+    );
+    const keyManager = await new LSP6KeyManager__factory(owner).deploy(
+      universalProfile.address
+    );
+
+    context = { accounts, owner, universalProfile, keyManager };
+
+    targetContract = await new TargetContract__factory(owner).deploy();
+
+    await setupKeyManager(
+      context,
+      [
+        ERC725YDataKeys.LSP6["AddressPermissions:Permissions"] +
+          accounts[1].address.substring(2),
+        ERC725YDataKeys.LSP6["AddressPermissions:AllowedCalls"] +
+          accounts[1].address.substring(2),
+      ],
+      [
+        PERMISSIONS.CALL,
+        encodeAllowedCalls([{ address: targetContract.address }]),
+      ]
+    );
+
+    ({ chainId } = await ethers.provider.getNetwork());
+
+    // accounts[2] pays for the gas
+    relayer = createRelayer({ signer: accounts[2] });
+    await relayer.listen(0);
+    port = (relayer.server.address() as AddressInfo).port;
+  });
+
+  after(async () => {
+    await relayer.close();
+  });
+
+  it("should submit a relay call signed by a controller", async () => {
+    const nonces = createNonceManager({
+      keyManager: context.keyManager.address,
+      signer: context.accounts[1].address,
+      provider: ethers.provider,
+    });
+
+    const relayCall = await signRelayCall(signerPrivateKey, {
+      keyManager: context.keyManager.address,
+      chainId,
+      nonce: await nonces.reserveNonce(0),
+      payload: setNamePayload("Alice"),
+    });
+
+    const response = await post(port, {
+      keyManager: context.keyManager.address,
+      ...relayCall,
+    });
+
+    expect(response.status).to.equal(200);
+    expect(response.body.signers).to.deep.equal([context.accounts[1].address]);
+    expect(await targetContract.getName()).to.equal("Alice");
+  });
+
+  it("should submit a batch of relay calls, in different channels", async () => {
+    const batch = await signRelayCalls(signerPrivateKey, {
+      keyManager: context.keyManager.address,
+      chainId,
+      calls: [
+        {
+          nonce: await context.keyManager.getNonce(
+            context.accounts[1].address,
+            1
+          ),
+          payload: setNamePayload("Bob"),
+        },
+        {
+          nonce: await context.keyManager.getNonce(
+            context.accounts[1].address,
+            2
+          ),
+          payload: setNamePayload("Carol"),
+        },
+      ],
+    });
+
+    const response = await post(port, {
+      keyManager: context.keyManager.address,
+      ...batch,
+    });
+
+    expect(response.status).to.equal(200);
+    expect(await targetContract.getName()).to.equal("Carol");
+  });
+
+  it("should reject a relay call that would revert, with the decoded error", async () => {
+    // accounts[3] has no permissions
+    const relayCall = await signRelayCall(LOCAL_PRIVATE_KEYS.ACCOUNT3, {
+      keyManager: context.keyManager.address,
+      chainId,
+      nonce: 0,
+      payload: setNamePayload("Mallory"),
+    });
+
+    const response = await post(port, {
+      keyManager: context.keyManager.address,
+      ...relayCall,
+    });
+
+    expect(response.status).to.equal(400);
+    expect(response.body.details.name).to.equal("NoPermissionsSet");
+    expect(await targetContract.getName()).to.equal("Carol");
+  });
+
+  it("should reject an invalid request", async () => {
+    const response = await post(port, "not json");
+
+    expect(response.status).to.equal(400);
+    expect(response.body.error).to.equal("invalid JSON body");
+  });
+
+  it("should reject an invalid value", async () => {
+    const relayCall = await signRelayCall(signerPrivateKey, {
+      keyManager: context.keyManager.address,
+      chainId,
+      nonce: 0,
+      payload: setNamePayload("Mallory"),
+    });
+
+    const single = await post(port, {
+      keyManager: context.keyManager.address,
+      ...relayCall,
+      value: "one ether",
+    });
+    expect(single.status).to.equal(400);
+    expect(single.body.error).to.equal("invalid value");
+
+    const batch = await post(port, {
+      keyManager: context.keyManager.address,
+      signatures: [relayCall.signature],
+      nonces: [relayCall.nonce],
+      values: [-1],
+      payloads: [relayCall.payload],
+    });
+    expect(batch.status).to.equal(400);
+    expect(batch.body.error).to.equal("invalid value at index 0");
+  });
+
+  it("should reply 413 to a request body too large", async () => {
+    const response = await post(port, "x".repeat(2 * 1024 * 1024));
+
+    expect(response.status).to.equal(413);
+    expect(response.body.error).to.equal("request body too large");
+  });
+});
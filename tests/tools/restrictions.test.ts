@@ -0,0 +1,155 @@
+import { expect } from "chai";
+
+import {
+  WILDCARDS,
+  encodeAllowedCalls,
+  isValidAllowedCalls,
+  decodeAllowedCalls,
+  encodeAllowedERC725YDataKeys,
+  isValidAllowedERC725YDataKeys,
+  decodeAllowedERC725YDataKeys,
+} from "../../tools/restrictions";
+import { ERC725YDataKeys, INTERFACE_IDS } from "../../constants";
+
+describe("restrictions", () => {
+  const address = "0xCAfEcAfeCAfECaFeCaFecaFecaFECafECafeCaFe";
+  const transferSelector = "0x760d9bba";
+
+  describe("Allowed Calls", () => {
+    it("should encode each Allowed Call as 28 bytes prefixed by 0x001c", () => {
+      const result = encodeAllowedCalls([
+        {
+          interfaceId: INTERFACE_IDS.LSP7DigitalAsset,
+          address,
+          functionSelector: transferSelector,
+        },
+        {
+          interfaceId: WILDCARDS.interfaceId,
+          address,
+          functionSelector: WILDCARDS.functionSelector,
+        },
+      ]);
+
+      expect(result).to.equal(
+        "0x001c" +
+          INTERFACE_IDS.LSP7DigitalAsset.substring(2) +
+          address.substring(2).toLowerCase() +
+          transferSelector.substring(2) +
+          "001c" +
+          "ffffffff" +
+          address.substring(2).toLowerCase() +
+          "ffffffff"
+      );
+    });
+
+    it("should use wildcards for the fields omitted", () => {
+      expect(encodeAllowedCalls([{ address }])).to.equal(
+        "0x001cffffffff" + address.substring(2).toLowerCase() + "ffffffff"
+      );
+    });
+
+    it("should throw when allowing any standard, address and function", () => {
+      expect(() => encodeAllowedCalls([{}])).to.throw(
+        "cannot allow any standard, any address and any function at once"
+      );
+    });
+
+    it("should throw for an invalid interfaceId", () => {
+      expect(() =>
+        encodeAllowedCalls([{ interfaceId: "0xcafe", address }])
+      ).to.throw("invalid interfaceId 0xcafe");
+    });
+
+    it("should throw for an invalid address", () => {
+      expect(() => encodeAllowedCalls([{ address: "0xcafe" }])).to.throw(
+        "invalid address 0xcafe"
+      );
+    });
+
+    it("should throw when providing `callTypes`", () => {
+      expect(() =>
+        encodeAllowedCalls([{ callTypes: "0x00000002", address }])
+      ).to.throw("`callTypes` are not part of the Allowed Calls");
+    });
+
+    it("should decode the encoded Allowed Calls", () => {
+      const allowedCalls = [
+        {
+          interfaceId: INTERFACE_IDS.LSP7DigitalAsset,
+          address,
+          functionSelector: transferSelector,
+        },
+        {
+          interfaceId: WILDCARDS.interfaceId,
+          address: "0xFFfFfFffFFfffFFfFFfFFFFFffFFFffffFfFFFfF",
+          functionSelector: transferSelector,
+        },
+      ];
+
+      expect(
+        decodeAllowedCalls(encodeAllowedCalls(allowedCalls))
+      ).to.deep.equal(allowedCalls);
+    });
+
+    it("should reject entries that are not 28 bytes long", () => {
+      const value = "0x001b" + "ff".repeat(27);
+
+      expect(isValidAllowedCalls(value)).to.be.false;
+      expect(() => decodeAllowedCalls(value)).to.throw(
+        "invalid encoded Allowed Calls"
+      );
+    });
+
+    it("should accept an empty value", () => {
+      expect(isValidAllowedCalls("0x")).to.be.true;
+      expect(decodeAllowedCalls("0x")).to.deep.equal([]);
+    });
+  });
+
+  describe("Allowed ERC725Y Data Keys", () => {
+    const allowedDataKeys = [
+      ERC725YDataKeys.LSP3.LSP3Profile,
+      ERC725YDataKeys.LSP5.LSP5ReceivedAssetsMap,
+      ERC725YDataKeys.LSP5["LSP5ReceivedAssets[]"].index,
+    ];
+
+    it("should encode full data keys and data key prefixes", () => {
+      expect(encodeAllowedERC725YDataKeys(allowedDataKeys)).to.equal(
+        "0x0020" +
+          ERC725YDataKeys.LSP3.LSP3Profile.substring(2) +
+          "000c" +
+          ERC725YDataKeys.LSP5.LSP5ReceivedAssetsMap.substring(2) +
+          "0010" +
+          ERC725YDataKeys.LSP5["LSP5ReceivedAssets[]"].index.substring(2)
+      );
+    });
+
+    it("should decode and flag the dynamic prefixes", () => {
+      const encoded = encodeAllowedERC725YDataKeys(allowedDataKeys);
+
+      expect(decodeAllowedERC725YDataKeys(encoded)).to.deep.equal([
+        { dataKey: allowedDataKeys[0], isPrefix: false },
+        { dataKey: allowedDataKeys[1], isPrefix: true },
+        { dataKey: allowedDataKeys[2], isPrefix: true },
+      ]);
+    });
+
+    it("should throw for a data key longer than 32 bytes", () => {
+      expect(() =>
+        encodeAllowedERC725YDataKeys(["0x" + "aa".repeat(33)])
+      ).to.throw("must be from 1 to 32 bytes long");
+    });
+
+    it("should throw for an empty data key", () => {
+      expect(() => encodeAllowedERC725YDataKeys(["0x"])).to.throw(
+        "must be from 1 to 32 bytes long"
+      );
+    });
+
+    it("should reject elements of length 0 or above 32 bytes", () => {
+      expect(isValidAllowedERC725YDataKeys("0x0000")).to.be.false;
+      expect(isValidAllowedERC725YDataKeys("0x0021" + "aa".repeat(33))).to.be
+        .false;
+    });
+  });
+});
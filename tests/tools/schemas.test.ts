@@ -0,0 +1,171 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+
+import { SCHEMAS, findSchemaForKey } from "../../tools/schemas";
+import {
+  generateSingletonKey,
+  generateArrayKey,
+  generateArrayElementKeyAtIndex,
+  generateMappingKey,
+  generateMappingWithGroupingKey,
+} from "../../tools/dataKeys";
+import { ERC725YDataKeys, LSP1_TYPE_IDS } from "../../constants";
+
+describe("schemas", () => {
+  const address = "0xcafecafecafecafecafecafecafecafecafecafe";
+
+  describe("SCHEMAS", () => {
+    Object.values(SCHEMAS)
+      .flat()
+      .forEach(({ name, key, keyType }) => {
+        it(`should have the data key of \`${name}\` generated from its name`, () => {
+          const [firstWord, secondWord, lastWord] = name.split(":");
+
+          switch (keyType) {
+            case "Singleton":
+              return expect(generateSingletonKey(name)).to.equal(key);
+            case "Array":
+              return expect(generateArrayKey(name)).to.equal(key);
+            case "Mapping":
+              return lastWord !== undefined || !secondWord.startsWith("<")
+                ? expect(generateMappingKey(firstWord, secondWord)).to.equal(
+                    key
+                  )
+                : expect(
+                    generateMappingKey(firstWord, ethers.constants.AddressZero)
+                  ).to.equal(key.replace(secondWord, "0".repeat(40)));
+            case "MappingWithGrouping":
+              return expect(
+                generateMappingWithGroupingKey(
+                  firstWord,
+                  secondWord,
+                  ethers.constants.AddressZero
+                )
+              ).to.equal(key.replace(lastWord, "0".repeat(40)));
+            default:
+              throw new Error(`unknown keyType ${keyType}`);
+          }
+        });
+      });
+
+    it("should type the Map values as `(bytes4,bytes8)`, as set by LSP5Utils and LSP10Utils", () => {
+      const mapSchemas = Object.values(SCHEMAS)
+        .flat()
+        .filter(({ name }) => name.endsWith("Map:<address>"));
+
+      expect(mapSchemas.map(({ name }) => name)).to.deep.equal([
+        "LSP4CreatorsMap:<address>",
+        "LSP5ReceivedAssetsMap:<address>",
+        "LSP10VaultsMap:<address>",
+        "LSP12IssuedAssetsMap:<address>",
+      ]);
+      mapSchemas.forEach(({ valueType, valueContent }) => {
+        // `bytes.concat(interfaceId, bytes8(index))`
+        expect(valueType).to.equal("(bytes4,bytes8)");
+        expect(valueContent).to.equal("(Bytes4,Number)");
+      });
+    });
+  });
+
+  describe("findSchemaForKey(...)", () => {
+    it("should find a Singleton data key", () => {
+      expect(findSchemaForKey(ERC725YDataKeys.LSP3.LSP3Profile)).to.deep.equal({
+        schema: SCHEMAS.LSP3.find(({ name }) => name === "LSP3Profile"),
+        dynamicPart: null,
+      });
+    });
+
+    it("should find the length and the elements of an Array data key", () => {
+      const schema = SCHEMAS.LSP4.find(({ name }) => name === "LSP4Creators[]");
+      const arrayKey = ERC725YDataKeys.LSP4["LSP4Creators[]"].length;
+
+      expect(findSchemaForKey(arrayKey)).to.deep.equal({
+        schema,
+        dynamicPart: null,
+      });
+      expect(
+        findSchemaForKey(generateArrayElementKeyAtIndex(arrayKey, 42))
+      ).to.deep.equal({ schema, dynamicPart: "42" });
+    });
+
+    it("should return the address in a Mapping data key", () => {
+      const dataKey = generateMappingKey(
+        ERC725YDataKeys.LSP5.LSP5ReceivedAssetsMap.substring(0, 22),
+        address
+      );
+
+      expect(findSchemaForKey(dataKey)).to.deep.equal({
+        schema: SCHEMAS.LSP5[1],
+        dynamicPart: ethers.utils.getAddress(address),
+      });
+    });
+
+    it("should return the address in a MappingWithGrouping data key", () => {
+      const dataKey = generateMappingWithGroupingKey(
+        "AddressPermissions",
+        "AllowedCalls",
+        address
+      );
+
+      const result = findSchemaForKey(
+        dataKey.toUpperCase().replace("0X", "0x")
+      );
+
+      expect(result?.schema.name).to.equal(
+        "AddressPermissions:AllowedCalls:<address>"
+      );
+      expect(result?.dynamicPart).to.equal(ethers.utils.getAddress(address));
+    });
+
+    it("should return the function selector in an `LSP17Extension:<bytes4>` data key", () => {
+      const dataKey = ethers.utils
+        .hexZeroPad("0x", 32)
+        .replace(
+          /^0x[0-9a-f]{32}/,
+          ERC725YDataKeys.LSP17.LSP17ExtensionPrefix + "a9059cbb"
+        );
+
+      expect(findSchemaForKey(dataKey)?.dynamicPart).to.equal("0xa9059cbb");
+    });
+
+    it("should return the first 20 bytes of the typeId in an `LSP1UniversalReceiverDelegate:<bytes32>` data key", () => {
+      const typeId = LSP1_TYPE_IDS.LSP7Tokens_RecipientNotification;
+      const dataKey = generateMappingKey(
+        ERC725YDataKeys.LSP1.LSP1UniversalReceiverDelegatePrefix.substring(
+          0,
+          22
+        ),
+        ethers.utils.hexDataSlice(typeId, 0, 20)
+      );
+
+      expect(findSchemaForKey(dataKey)).to.deep.equal({
+        schema: SCHEMAS.LSP1[1],
+        dynamicPart: ethers.utils.hexDataSlice(typeId, 0, 20),
+      });
+    });
+
+    it("should find a SupportedStandards data key", () => {
+      expect(
+        findSchemaForKey(ERC725YDataKeys.LSP9.SupportedStandards_LSP9)?.schema
+      ).to.equal(SCHEMAS.LSP9[0]);
+    });
+
+    it("should only search in the schemas provided", () => {
+      expect(
+        findSchemaForKey(ERC725YDataKeys.LSP3.LSP3Profile, SCHEMAS.LSP4)
+      ).to.equal(null);
+    });
+
+    it("should return `null` for an unknown data key", () => {
+      expect(findSchemaForKey(ethers.utils.hexZeroPad("0x01", 32))).to.equal(
+        null
+      );
+    });
+
+    it("should throw when the data key is not 32 bytes long", () => {
+      expect(() => findSchemaForKey("0xcafe")).to.throw(
+        "schemas: invalid dataKey 0xcafe (must be bytes32)"
+      );
+    });
+  });
+});
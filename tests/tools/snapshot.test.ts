@@ -0,0 +1,197 @@
+import { expect } from "chai";
+import { ethers, deployments } from "hardhat";
+import { SignerWithAddress } from "@nomiclabs/hardhat-ethers/signers";
+
+import { UniversalProfile, UniversalProfile__factory } from "../../types";
+
+import { getUniversalProfileSnapshot } from "../../tools/snapshot";
+import {
+  generateArrayElementKeyAtIndex,
+  generateMappingKey,
+  generateMappingWithGroupingKey,
+} from "../../tools/dataKeys";
+import { encodeValue } from "../../tools/dataValues";
+import { encodeAllowedCalls } from "../../tools/restrictions";
+import {
+  ERC725YDataKeys,
+  INTERFACE_IDS,
+  LSP1_TYPE_IDS,
+  LSP3_Schema,
+  PERMISSIONS,
+  SupportedStandards,
+} from "../../constants";
+
+describe("snapshot", () => {
+  let owner: SignerWithAddress;
+  let controller: SignerWithAddress;
+  let universalProfile: UniversalProfile;
+  let universalReceiverDelegate: string;
+
+  const asset = "0xCAfEcAfeCAfECaFeCaFecaFecaFECafECafeCaFe";
+  const extension = "0xDeaDbeefdEAdbeefdEadbEEFdeadbeEFdEaDbeeF";
+  const onERC721Received = "0x150b7a02";
+  const json = { LSP3Profile: { name: "Alice" } };
+  const url = "ipfs://QmbKvCVEePiDKxuouyty9bMsWBAxZDGr2jhxd4pLGLx95D";
+
+  before(async () => {
+    [owner, controller] = await ethers.getSigners();
+
+    // deploy the contracts with the deploy scripts of this repository
+    await deployments.fixture([
+      "UniversalProfile",
+      "LSP1UniversalReceiverDelegateUP",
+    ]);
+
+    universalProfile = UniversalProfile__factory.connect(
+      (await deployments.get("UniversalProfile")).address,
+      owner
+    );
+    universalReceiverDelegate = (
+      await deployments.get("LSP1UniversalReceiverDelegateUP")
+    ).address;
+
+    const permissionsArrayKey =
+      ERC725YDataKeys.LSP6["AddressPermissions[]"].length;
+    const receivedAssetsArrayKey =
+      ERC725YDataKeys.LSP5["LSP5ReceivedAssets[]"].length;
+
+    const data = {
+      [SupportedStandards.LSP3UniversalProfile.key]:
+        SupportedStandards.LSP3UniversalProfile.value,
+      [ERC725YDataKeys.LSP3.LSP3Profile]: encodeValue(LSP3_Schema[1], {
+        json,
+        url,
+      }),
+      [ERC725YDataKeys.LSP1.LSP1UniversalReceiverDelegate]:
+        universalReceiverDelegate,
+      [generateMappingKey(
+        ERC725YDataKeys.LSP1.LSP1UniversalReceiverDelegatePrefix.substring(
+          0,
+          22
+        ),
+        LSP1_TYPE_IDS.LSP7Tokens_RecipientNotification.substring(0, 42)
+      )]: universalReceiverDelegate,
+      [permissionsArrayKey]: ethers.utils.hexZeroPad("0x01", 32),
+      [generateArrayElementKeyAtIndex(permissionsArrayKey, 0)]:
+        controller.address,
+      [generateMappingWithGroupingKey(
+        "AddressPermissions",
+        "Permissions",
+        controller.address
+      )]: PERMISSIONS.CALL,
+      [generateMappingWithGroupingKey(
+        "AddressPermissions",
+        "AllowedCalls",
+        controller.address
+      )]: encodeAllowedCalls([{ address: asset }]),
+      [receivedAssetsArrayKey]: ethers.utils.hexZeroPad("0x01", 32),
+      [generateArrayElementKeyAtIndex(receivedAssetsArrayKey, 0)]: asset,
+      // `bytes.concat(interfaceId, bytes8(index))`, as in `LSP5Utils.generateReceivedAssetKeys(...)`
+      [generateMappingKey("LSP5ReceivedAssetsMap", asset)]:
+        ethers.utils.hexConcat([
+          INTERFACE_IDS.LSP7DigitalAsset,
+          ethers.utils.hexZeroPad("0x00", 8),
+        ]),
+      [ERC725YDataKeys.LSP17.LSP17ExtensionPrefix +
+      onERC721Received.substring(2) +
+      "00".repeat(16)]: extension,
+    };
+
+    await universalProfile["setData(bytes32[],bytes[])"](
+      Object.keys(data),
+      Object.values(data)
+    );
+  });
+
+  it("should read and decode everything set on the Universal Profile", async () => {
+    const snapshot = await getUniversalProfileSnapshot(
+      ethers.provider,
+      universalProfile.address
+    );
+
+    expect(snapshot).to.deep.equal({
+      address: universalProfile.address,
+      supportedStandard: true,
+      LSP3Profile: {
+        hashFunction: "keccak256(utf8)",
+        hash: ethers.utils.keccak256(
+          ethers.utils.toUtf8Bytes(JSON.stringify(json))
+        ),
+        url,
+      },
+      LSP1UniversalReceiverDelegate: {
+        default: universalReceiverDelegate,
+        typeIds: {
+          LSP7Tokens_RecipientNotification: universalReceiverDelegate,
+        },
+      },
+      controllers: [
+        {
+          address: controller.address,
+          permissions: {
+            value: PERMISSIONS.CALL,
+            names: ["CALL"],
+            unknownBits: [],
+          },
+          allowedCalls: [
+            {
+              interfaceId: "0xffffffff",
+              address: asset,
+              functionSelector: "0xffffffff",
+            },
+          ],
+          allowedERC725YDataKeys: [],
+        },
+      ],
+      LSP5ReceivedAssets: [
+        {
+          address: asset,
+          interfaceId: INTERFACE_IDS.LSP7DigitalAsset,
+          index: "0",
+        },
+      ],
+      LSP10Vaults: [],
+      LSP12IssuedAssets: [],
+      LSP17Extensions: { [onERC721Received]: extension },
+    });
+  });
+
+  it("should fetch the data keys in batches of `batchSize`", async () => {
+    const getData = ethers.provider.call.bind(ethers.provider);
+    let calls = 0;
+
+    const provider = Object.assign(Object.create(ethers.provider), {
+      call: (...args: Parameters<typeof getData>) => {
+        calls++;
+        return getData(...args);
+      },
+    });
+
+    const snapshot = await getUniversalProfileSnapshot(
+      provider,
+      universalProfile.address,
+      { batchSize: 5 }
+    );
+
+    expect(snapshot.controllers[0].address).to.equal(controller.address);
+    expect(calls).to.be.greaterThan(3);
+  });
+
+  it("should throw when an Array is longer than `maxArrayLength`", async () => {
+    let error: Error | undefined;
+
+    try {
+      await getUniversalProfileSnapshot(
+        ethers.provider,
+        universalProfile.address,
+        { maxArrayLength: 0 }
+      );
+    } catch (err) {
+      error = err as Error;
+    }
+
+    expect(error?.message).to.equal(
+      "snapshot: AddressPermissions[] has 1 elements (more than maxArrayLength = 0)"
+    );
+  });
+});
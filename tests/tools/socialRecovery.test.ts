@@ -0,0 +1,198 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+
+import {
+  LSP11_ABI,
+  computeSecretHash,
+  getRecoveryState,
+  getRecoveryProgress,
+  buildSelectNewController,
+  checkRecoverOwnership,
+  buildRecoverOwnership,
+} from "../../tools/socialRecovery";
+
+describe("socialRecovery", () => {
+  const address = (byte: string) =>
+    ethers.utils.getAddress("0x" + byte.repeat(20));
+
+  const lsp11 = address("11");
+  const universalProfile = address("22");
+  const [alice, bob, carol] = [address("a1"), address("b1"), address("c1")];
+  const [newController, otherController] = [address("d1"), address("e1")];
+
+  const abi = new ethers.utils.Interface(LSP11_ABI);
+
+  const secretHash = computeSecretHash("my secret");
+  const newSecretHash = computeSecretHash("my new secret");
+
+  // the choices of the guardians for the current recovery, read by `getGuardianChoice(address)`
+  let choices: { [guardian: string]: string };
+
+  const provider = {
+    _isProvider: true,
+    call: async ({ data }: { data: string }) => {
+      const { name, args } = abi.parseTransaction({ data });
+
+      const results = {
+        target: universalProfile,
+        getRecoveryCounter: 3,
+        getGuardians: [alice, bob, carol],
+        getGuardiansThreshold: 2,
+        getRecoverySecretHash: secretHash,
+        getGuardianChoice: choices[args[0]] || ethers.constants.AddressZero,
+      };
+
+      return abi.encodeFunctionResult(name, [results[name]]);
+    },
+  };
+
+  beforeEach(() => {
+    choices = {};
+  });
+
+  it("should compute the secret hash as keccak256(abi.encodePacked(plainSecret))", () => {
+    expect(computeSecretHash("my secret")).to.equal(
+      ethers.utils.keccak256(ethers.utils.toUtf8Bytes("my secret"))
+    );
+    expect(() => computeSecretHash(42 as any)).to.throw(
+      "socialRecovery: invalid plain secret 42 (must be a string)"
+    );
+  });
+
+  it("should read the recovery state and tally the choices of the guardians", async () => {
+    choices = { [alice]: newController, [carol]: otherController };
+
+    const state = await getRecoveryState(provider, lsp11);
+    expect(state).to.deep.equal({
+      contract: lsp11,
+      target: universalProfile,
+      recoveryCounter: 3,
+      guardians: [alice, bob, carol],
+      guardiansThreshold: 2,
+      secretHash,
+      choices: {
+        [alice]: newController,
+        [bob]: null,
+        [carol]: otherController,
+      },
+    });
+
+    choices[bob] = newController;
+
+    expect(
+      getRecoveryProgress(await getRecoveryState(provider, lsp11))
+    ).to.deep.equal({
+      guardiansThreshold: 2,
+      candidates: [
+        {
+          address: newController,
+          selections: 2,
+          selectedBy: [alice, bob],
+          thresholdReached: true,
+        },
+        {
+          address: otherController,
+          selections: 1,
+          selectedBy: [carol],
+          thresholdReached: false,
+        },
+      ],
+      undecided: [],
+    });
+  });
+
+  it("should build the selectNewController call of a guardian only", async () => {
+    const state = await getRecoveryState(provider, lsp11);
+
+    expect(buildSelectNewController(state, bob, newController)).to.deep.equal({
+      to: lsp11,
+      data: abi.encodeFunctionData("selectNewController", [newController]),
+    });
+    expect(() =>
+      buildSelectNewController(state, newController, newController)
+    ).to.throw(
+      `socialRecovery: LSP11: The caller is not a guardian CallerIsNotGuardian(${newController})`
+    );
+  });
+
+  it("should report the LSP11 error recoverOwnership would revert with, in the order of the contract", async () => {
+    choices = { [alice]: newController };
+    const state = await getRecoveryState(provider, lsp11);
+
+    const check = (recovery: object) =>
+      checkRecoverOwnership(state, {
+        recoverer: newController,
+        plainSecret: "my secret",
+        newSecretHash,
+        ...recovery,
+      });
+
+    expect(
+      check({ recoverer: ethers.constants.AddressZero }).error.name
+    ).to.equal("AddressZeroNotAllowed");
+
+    const { allowed, error } = check({
+      newSecretHash: ethers.constants.HashZero,
+    });
+    expect(allowed).to.be.false;
+    expect(error).to.deep.include({
+      standard: "LSP11",
+      name: "ThresholdNotReachedForRecoverer",
+      args: [newController, "1", "2"],
+    });
+
+    state.choices[bob] = newController;
+
+    expect(
+      check({ newSecretHash: ethers.constants.HashZero }).error.name
+    ).to.equal("SecretHashCannotBeZero");
+    expect(check({ plainSecret: "not my secret" }).error.name).to.equal(
+      "WrongPlainSecret"
+    );
+    expect(check({})).to.deep.equal({ allowed: true });
+  });
+
+  it("should build the recoverOwnership call once the threshold is reached", async () => {
+    choices = { [alice]: newController, [carol]: newController };
+    const state = await getRecoveryState(provider, lsp11);
+
+    const data = abi.encodeFunctionData("recoverOwnership", [
+      newController,
+      "my secret",
+      newSecretHash,
+    ]);
+
+    expect(
+      buildRecoverOwnership(state, {
+        recoverer: newController,
+        plainSecret: "my secret",
+        newPlainSecret: "my new secret",
+      })
+    ).to.deep.equal({ to: lsp11, data });
+    expect(
+      buildRecoverOwnership(state, {
+        recoverer: newController,
+        plainSecret: "my secret",
+        newSecretHash,
+      })
+    ).to.deep.equal({ to: lsp11, data });
+
+    expect(() =>
+      buildRecoverOwnership(state, {
+        recoverer: otherController,
+        plainSecret: "my secret",
+        newSecretHash,
+      })
+    ).to.throw(
+      "socialRecovery: LSP11: The caller cannot recover as he didn't reach the guardians threshold"
+    );
+    expect(() =>
+      buildRecoverOwnership(state, {
+        recoverer: newController,
+        plainSecret: "my secret",
+      })
+    ).to.throw(
+      "socialRecovery: provide either a newPlainSecret or a newSecretHash"
+    );
+  });
+});
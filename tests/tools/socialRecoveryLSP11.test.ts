@@ -0,0 +1,112 @@
+import { expect } from "chai";
+import { ethers } from "hardhat";
+
+import { LSP11BasicSocialRecovery__factory } from "../../types";
+
+import {
+  grantPermissionViaKeyManager,
+  setupProfileWithKeyManagerWithURD,
+} from "../utils/fixtures";
+import { combinePermissions } from "../utils/helpers";
+
+import {
+  computeSecretHash,
+  getRecoveryState,
+  getRecoveryProgress,
+  buildSelectNewController,
+  buildRecoverOwnership,
+} from "../../tools/socialRecovery";
+import { ALL_PERMISSIONS, ERC725YDataKeys, PERMISSIONS } from "../../constants";
+
+/**
+ * Run a recovery coordinated with tools/socialRecovery.js against the LSP11 contract.
+ */
+describe("socialRecovery (against the LSP11 contract)", () => {
+  it("should recover the access to a Universal Profile once the guardians threshold is reached", async () => {
+    const [owner, newController, anyone, ...guardians] =
+      await ethers.getSigners();
+
+    const [universalProfile, keyManager] =
+      await setupProfileWithKeyManagerWithURD(owner);
+
+    const lsp11 = await new LSP11BasicSocialRecovery__factory(owner).deploy(
+      owner.address,
+      universalProfile.address
+    );
+
+    await grantPermissionViaKeyManager(
+      owner,
+      universalProfile,
+      keyManager,
+      lsp11.address,
+      combinePermissions(
+        PERMISSIONS.ADDCONTROLLER,
+        PERMISSIONS.CHANGEPERMISSIONS
+      )
+    );
+
+    for (const guardian of guardians.slice(0, 3)) {
+      await lsp11.addGuardian(guardian.address);
+    }
+    await lsp11.setGuardiansThreshold(2);
+    await lsp11.setRecoverySecretHash(computeSecretHash("my secret"));
+
+    await guardians[0].sendTransaction(
+      buildSelectNewController(
+        await getRecoveryState(ethers.provider, lsp11.address),
+        guardians[0].address,
+        newController.address
+      )
+    );
+
+    let state = await getRecoveryState(ethers.provider, lsp11.address);
+
+    expect(() =>
+      buildRecoverOwnership(state, {
+        recoverer: newController.address,
+        plainSecret: "my secret",
+        newPlainSecret: "my new secret",
+      })
+    ).to.throw("ThresholdNotReachedForRecoverer");
+
+    await guardians[1].sendTransaction(
+      buildSelectNewController(
+        state,
+        guardians[1].address,
+        newController.address
+      )
+    );
+
+    state = await getRecoveryState(ethers.provider, lsp11.address);
+    expect(getRecoveryProgress(state).candidates).to.deep.equal([
+      {
+        address: newController.address,
+        selections: 2,
+        selectedBy: [guardians[0].address, guardians[1].address],
+        thresholdReached: true,
+      },
+    ]);
+
+    await anyone.sendTransaction(
+      buildRecoverOwnership(state, {
+        recoverer: newController.address,
+        plainSecret: "my secret",
+        newPlainSecret: "my new secret",
+      })
+    );
+
+    expect(
+      await universalProfile["getData(bytes32)"](
+        ERC725YDataKeys.LSP6["AddressPermissions:Permissions"] +
+          newController.address.substring(2)
+      )
+    ).to.equal(ALL_PERMISSIONS);
+
+    expect(
+      await getRecoveryState(ethers.provider, lsp11.address)
+    ).to.deep.include({
+      recoveryCounter: 1,
+      secretHash: computeSecretHash("my new secret"),
+    });
+  });
+});
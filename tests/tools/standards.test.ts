@@ -0,0 +1,211 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+
+import { LEGACY_INTERFACE_IDS, detectStandards } from "../../tools/standards";
+import { INTERFACE_IDS, SupportedStandards } from "../../constants";
+
+describe("standards", () => {
+  const address = (byte: string) =>
+    ethers.utils.getAddress("0x" + byte.repeat(20));
+
+  const abi = new ethers.utils.Interface([
+    "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+    "function getData(bytes32[] dataKeys) view returns (bytes[])",
+    "function getData(bytes32 dataKey) view returns (bytes)",
+    "function allowance(address owner, address spender) view returns (uint256)",
+  ]);
+
+  const legacyInterfaceId = (standard: string, releases: string) =>
+    LEGACY_INTERFACE_IDS.find(
+      (legacy) => legacy.standard === standard && legacy.releases === releases
+    ).interfaceId;
+
+  const eoa = address("e0");
+  const universalProfile = address("aa");
+  const token = address("11");
+  const oldKeyManager = address("c6");
+  const oldProfile = address("a0");
+  const notERC165 = address("ff");
+
+  const contracts = {
+    [universalProfile]: {
+      interfaces: [
+        INTERFACE_IDS.ERC165,
+        INTERFACE_IDS.ERC725X,
+        INTERFACE_IDS.ERC725Y,
+        INTERFACE_IDS.LSP0ERC725Account,
+      ],
+      data: {
+        [SupportedStandards.LSP3UniversalProfile.key]:
+          SupportedStandards.LSP3UniversalProfile.value,
+      },
+    },
+    [token]: {
+      interfaces: [
+        INTERFACE_IDS.ERC165,
+        INTERFACE_IDS.ERC725Y,
+        INTERFACE_IDS.LSP7DigitalAsset,
+      ],
+      data: {},
+      allowance: true,
+    },
+    [oldKeyManager]: {
+      interfaces: [
+        INTERFACE_IDS.ERC165,
+        legacyInterfaceId("LSP6KeyManager", "v0.6.0 - v0.7.0"),
+      ],
+    },
+    // only `getData(bytes32)`
+    [oldProfile]: {
+      interfaces: [
+        INTERFACE_IDS.ERC165,
+        legacyInterfaceId("ERC725X", "< v0.8.0"),
+        "0x2bd57b73",
+      ],
+      data: {
+        [SupportedStandards.LSP3UniversalProfile.key]:
+          SupportedStandards.LSP3UniversalProfile.value,
+      },
+      singleGetData: true,
+    },
+    // answers `true` to any `supportsInterface(...)`
+    [notERC165]: { interfaces: "*" },
+  };
+
+  const provider = {
+    _isProvider: true,
+    getCode: async (account: string) =>
+      contracts[ethers.utils.getAddress(account)] === undefined
+        ? "0x"
+        : "0x6080",
+    call: async ({ to, data }: { to: string; data: string }) => {
+      const contract = contracts[ethers.utils.getAddress(to)];
+      const { name, signature, args } = abi.parseTransaction({ data });
+
+      if (name === "supportsInterface") {
+        return abi.encodeFunctionResult(name, [
+          contract.interfaces === "*" ||
+            contract.interfaces.includes(args.interfaceId),
+        ]);
+      }
+
+      if (signature === "getData(bytes32[])" && !contract.singleGetData) {
+        return abi.encodeFunctionResult(signature, [
+          args.dataKeys.map((dataKey) => contract.data[dataKey] || "0x"),
+        ]);
+      }
+
+      if (signature === "getData(bytes32)" && contract.singleGetData) {
+        return abi.encodeFunctionResult(signature, [
+          contract.data[args.dataKey] || "0x",
+        ]);
+      }
+
+      if (name === "allowance" && contract.allowance) {
+        return abi.encodeFunctionResult(name, [0]);
+      }
+
+      throw new Error("execution reverted");
+    },
+  };
+
+  it("should derive the legacy interface IDs from the functions of the previous releases", () => {
+    expect(
+      LEGACY_INTERFACE_IDS.map(({ standard, interfaceId }) => [
+        standard,
+        interfaceId,
+      ])
+    ).to.deep.equal([
+      ["ERC725X", "0x44c028fe"],
+      ["ERC725Y", "0x5a988c0f"],
+      ["ERC725Y", "0x2bd57b73"],
+      ["LSP6KeyManager", "0xc403d48f"],
+      ["LSP6KeyManager", "0x6f4df48b"],
+      ["LSP7DigitalAsset", "0x5fcaac27"],
+      ["LSP7DigitalAsset", "0xe33f65c3"],
+      ["LSP8IdentifiableDigitalAsset", "0x49399145"],
+      ["LSP1UniversalReceiverDelegate", "0xa245bbda"],
+    ]);
+
+    LEGACY_INTERFACE_IDS.forEach(({ interfaceId }) =>
+      expect(Object.values(INTERFACE_IDS)).to.not.include(interfaceId)
+    );
+  });
+
+  it("should detect EOAs, Universal Profiles and assets", async () => {
+    expect(await detectStandards(provider, eoa)).to.deep.equal({
+      address: eoa,
+      isContract: false,
+      type: "EOA",
+      label: "Externally Owned Account",
+      interfaces: [],
+      legacyInterfaces: [],
+      supportedStandards: [],
+      compatibility: [],
+      isOutdated: false,
+      warnings: [],
+    });
+
+    expect(await detectStandards(provider, universalProfile)).to.deep.equal({
+      address: universalProfile,
+      isContract: true,
+      type: "UniversalProfile",
+      label: "Universal Profile",
+      interfaces: ["ERC165", "ERC725X", "ERC725Y", "LSP0ERC725Account"],
+      legacyInterfaces: [],
+      supportedStandards: ["LSP3UniversalProfile"],
+      compatibility: [],
+      isOutdated: false,
+      warnings: [],
+    });
+
+    expect(await detectStandards(provider, token)).to.deep.include({
+      type: "LSP7DigitalAsset",
+      label: "LSP7 Digital Asset (ERC20 compatible)",
+      compatibility: ["ERC20"],
+      warnings: ["does not set SupportedStandards:LSP4DigitalAsset"],
+    });
+  });
+
+  it("should flag the contracts deployed with a previous release as outdated", async () => {
+    expect(await detectStandards(provider, oldKeyManager)).to.deep.include({
+      type: "LSP6KeyManager",
+      label: "Key Manager (outdated)",
+      interfaces: ["ERC165"],
+      legacyInterfaces: [
+        {
+          standard: "LSP6KeyManager",
+          releases: "v0.6.0 - v0.7.0",
+          interfaceId: "0xc403d48f",
+        },
+      ],
+      isOutdated: true,
+      warnings: [
+        `supports the LSP6KeyManager interface ID 0xc403d48f of a previous release (v0.6.0 - v0.7.0), not the current one ${INTERFACE_IDS.LSP6KeyManager}`,
+      ],
+    });
+
+    expect(await detectStandards(provider, oldProfile)).to.deep.include({
+      type: "UniversalProfile",
+      label: "Universal Profile (outdated)",
+      supportedStandards: ["LSP3UniversalProfile"],
+      isOutdated: true,
+    });
+  });
+
+  it("should not trust contracts that do not implement ERC165 correctly", async () => {
+    expect(await detectStandards(provider, notERC165)).to.deep.include({
+      isContract: true,
+      type: "unknown",
+      label: "Contract",
+      interfaces: [],
+      legacyInterfaces: [],
+    });
+
+    await detectStandards(provider, "0xcafe").then(
+      () => expect.fail("should have thrown"),
+      (error) =>
+        expect(error.message).to.equal("standards: invalid address 0xcafe")
+    );
+  });
+});
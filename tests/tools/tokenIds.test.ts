@@ -0,0 +1,160 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+
+import {
+  encodeTokenId,
+  decodeTokenId,
+  getTokenIdDataKeys,
+  getCollectionTokens,
+} from "../../tools/tokenIds";
+import { buildMetadataValue } from "../../tools/metadata";
+import { ERC725YDataKeys } from "../../constants";
+
+describe("tokenIds", () => {
+  const address = (byte: string) =>
+    ethers.utils.getAddress("0x" + byte.repeat(20));
+
+  it("should encode and decode the token IDs in each format", () => {
+    const cases = [
+      ["Number", "1", "0x" + "00".repeat(31) + "01"],
+      [
+        "Number",
+        ethers.constants.MaxUint256.toString(),
+        ethers.constants.MaxUint256.toHexString(),
+      ],
+      ["String", "my-token", "0x6d792d746f6b656e" + "00".repeat(24)],
+      ["String", "", ethers.constants.HashZero],
+      ["Address", address("ab"), "0x" + "00".repeat(12) + "ab".repeat(20)],
+      ["Hash", "0x" + "cd".repeat(32), "0x" + "cd".repeat(32)],
+    ];
+
+    cases.forEach(([format, value, tokenId]) => {
+      expect(encodeTokenId(value, format)).to.equal(tokenId);
+      expect(decodeTokenId(tokenId, format)).to.equal(value);
+    });
+
+    expect(() => encodeTokenId(-1, "Number")).to.throw(
+      "tokenIds: Number token ID -1 out of the uint256 range"
+    );
+    expect(() => encodeTokenId("a".repeat(33), "String")).to.throw(
+      `tokenIds: String token ID ${"a".repeat(33)} longer than 32 bytes`
+    );
+    expect(() => encodeTokenId("0xcafe", "Hash")).to.throw(
+      "tokenIds: invalid Hash token ID 0xcafe (must be bytes32)"
+    );
+    expect(() => decodeTokenId("0x" + "cd".repeat(32), "Address")).to.throw(
+      `tokenIds: token ID 0x${"cd".repeat(32)} is not a left-padded Address`
+    );
+    expect(() => decodeTokenId("0x" + "ff".repeat(32), "String")).to.throw(
+      `tokenIds: token ID 0x${"ff".repeat(32)} is not a utf8 String`
+    );
+    expect(() => encodeTokenId(1, "Uint")).to.throw(
+      "tokenIds: unknown format Uint (must be one of Number, String, Address, Hash)"
+    );
+  });
+
+  it("should derive the LSP8MetadataAddress and LSP8MetadataJSON data keys from the first 20 bytes of the token ID", () => {
+    const tokenId = "0x" + "11".repeat(20) + "22".repeat(12);
+
+    expect(getTokenIdDataKeys(tokenId)).to.deep.equal({
+      metadataAddress:
+        ERC725YDataKeys.LSP8.LSP8MetadataAddress + "11".repeat(20),
+      metadataJSON: ERC725YDataKeys.LSP8.LSP8MetadataJSON + "11".repeat(20),
+    });
+  });
+
+  it("should read the tokens of an LSP8Enumerable collection with their owner and metadata", async () => {
+    const collection = address("c0");
+    const [alice, bob, metadataContract] = [
+      address("a1"),
+      address("b0"),
+      address("d0"),
+    ];
+
+    const tokenIds = ["first", "second", "third"].map((value) =>
+      encodeTokenId(value, "String")
+    );
+    const owners = [alice, bob, alice];
+
+    const { file, dataValue } = buildMetadataValue(
+      "LSP4Metadata",
+      { LSP4Metadata: { description: "the second token" } },
+      "ipfs://QmSecond"
+    );
+
+    const storage = {
+      [getTokenIdDataKeys(tokenIds[0]).metadataAddress]:
+        metadataContract.toLowerCase(),
+      [getTokenIdDataKeys(tokenIds[1]).metadataJSON]: dataValue,
+    };
+
+    const abi = new ethers.utils.Interface([
+      "function totalSupply() view returns (uint256)",
+      "function tokenAt(uint256 index) view returns (bytes32)",
+      "function tokenOwnerOf(bytes32 tokenId) view returns (address)",
+      "function getData(bytes32[] dataKeys) view returns (bytes[])",
+    ]);
+
+    const provider = {
+      _isProvider: true,
+      call: async ({ data }: { data: string }) => {
+        const { name, args } = abi.parseTransaction({ data });
+
+        const results = {
+          totalSupply: () => [tokenIds.length],
+          tokenAt: () => [tokenIds[args.index.toNumber()]],
+          tokenOwnerOf: () => [owners[tokenIds.indexOf(args.tokenId)]],
+          getData: () => [args.dataKeys.map((key) => storage[key] || "0x")],
+        };
+
+        return abi.encodeFunctionResult(name, results[name]());
+      },
+    };
+
+    const { totalSupply, tokens } = await getCollectionTokens(
+      provider,
+      collection,
+      {
+        fromIndex: 1,
+        format: "String",
+        fetcher: async () => file,
+        batchSize: 1,
+      }
+    );
+
+    expect(totalSupply).to.equal(3);
+    expect(tokens).to.have.lengthOf(2);
+    expect(tokens[0]).to.deep.include({
+      index: 1,
+      tokenId: tokenIds[1],
+      value: "second",
+      owner: bob,
+      metadataAddress: null,
+      metadataJSON: {
+        hashFunction: "keccak256(utf8)",
+        hash: ethers.utils.keccak256(ethers.utils.toUtf8Bytes(file)),
+        url: "ipfs://QmSecond",
+      },
+    });
+    expect(tokens[0].metadata).to.deep.include({ isValid: true, errors: [] });
+    expect(tokens[1]).to.deep.equal({
+      index: 2,
+      tokenId: tokenIds[2],
+      value: "third",
+      owner: alice,
+      metadataAddress: null,
+      metadataJSON: null,
+    });
+
+    const [first] = (
+      await getCollectionTokens(provider, collection, { count: 1 })
+    ).tokens;
+    expect(first).to.deep.equal({
+      index: 0,
+      tokenId: tokenIds[0],
+      owner: alice,
+      metadataAddress: metadataContract,
+      metadataJSON: null,
+    });
+  });
+});
@@ -0,0 +1,73 @@
+import { expect } from "chai";
+import { ethers } from "hardhat";
+
+import { LSP8EnumerableTester__factory } from "../../types";
+
+import {
+  encodeTokenId,
+  getTokenIdDataKeys,
+  getCollectionTokens,
+} from "../../tools/tokenIds";
+import { encodeURLValue } from "../../tools/dataValues";
+
+/**
+ * Read the tokens of an LSP8Enumerable collection deployed locally.
+ */
+describe("tokenIds (against LSP8Enumerable)", () => {
+  it("should read the tokens left after a burn, with the metadata set for each token", async () => {
+    const [owner, alice, bob] = await ethers.getSigners();
+
+    const collection = await new LSP8EnumerableTester__factory(owner).deploy(
+      "Collection",
+      "CLT",
+      owner.address
+    );
+
+    const tokenIds = ["first", "second", "third"].map((value) =>
+      encodeTokenId(ethers.utils.id(value), "Hash")
+    );
+
+    await collection.mint(alice.address, tokenIds[0]);
+    await collection.mint(bob.address, tokenIds[1]);
+    await collection.mint(alice.address, tokenIds[2]);
+
+    // the last token is moved to the index of the token burnt
+    await collection.burn(tokenIds[0]);
+
+    const metadataJSON = {
+      hashFunction: "keccak256(utf8)",
+      hash: ethers.utils.id("{}"),
+      url: "ipfs://QmThird",
+    };
+    await collection["setData(bytes32,bytes)"](
+      getTokenIdDataKeys(tokenIds[2]).metadataJSON,
+      encodeURLValue(metadataJSON)
+    );
+
+    const { totalSupply, tokens } = await getCollectionTokens(
+      ethers.provider,
+      collection.address,
+      { format: "Hash" }
+    );
+
+    expect(totalSupply).to.equal(2);
+    expect(tokens).to.deep.equal([
+      {
+        index: 0,
+        tokenId: tokenIds[2],
+        value: tokenIds[2],
+        owner: alice.address,
+        metadataAddress: null,
+        metadataJSON,
+      },
+      {
+        index: 1,
+        tokenId: tokenIds[1],
+        value: tokenIds[1],
+        owner: bob.address,
+        metadataAddress: null,
+        metadataJSON: null,
+      },
+    ]);
+  });
+});
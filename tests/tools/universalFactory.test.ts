@@ -0,0 +1,248 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+
+import {
+  generateSalt,
+  getMinimalProxyBytecode,
+  calculateAddress,
+  calculateProxyAddress,
+  buildDeployTransaction,
+  getContractsCreated,
+} from "../../tools/universalFactory";
+import { EventSignatures } from "../../constants";
+
+describe("universalFactory", () => {
+  const universalFactory = ethers.utils.getAddress(
+    "0x1111111111111111111111111111111111111111"
+  );
+  const baseContract = ethers.utils.getAddress(
+    "0xbeefbeefbeefbeefbeefbeefbeefbeefbeefbeef"
+  );
+  const providedSalt = ethers.utils.id("Salt");
+  const initializeCalldata = "0xc4d66de8" + "00".repeat(12) + "cafe".repeat(10);
+  const bytecode = "0x600a600c600039600a6000f3602a60005260206000f3";
+
+  const factoryInterface = new ethers.utils.Interface([
+    "function deployCreate2(bytes byteCode, bytes32 providedSalt)",
+    "function deployCreate2Init(bytes byteCode, bytes32 providedSalt, bytes initializeCalldata, uint256 constructorMsgValue, uint256 initializeCalldataMsgValue)",
+    "function deployCreate2Proxy(address baseContract, bytes32 providedSalt)",
+    "function deployCreate2ProxyInit(address baseContract, bytes32 providedSalt, bytes initializeCalldata)",
+  ]);
+
+  // address = keccak256(0xff ++ deployer ++ salt ++ keccak256(creationCode))[12:]
+  const create2Address = (salt: string, creationCode: string) =>
+    ethers.utils.getAddress(
+      "0x" +
+        ethers.utils
+          .keccak256(
+            "0xff" +
+              universalFactory.substring(2) +
+              salt.substring(2) +
+              ethers.utils.keccak256(creationCode).substring(2)
+          )
+          .substring(26)
+    );
+
+  it("should generate the salt from the provided salt, and from the initializeCalldata only if initializable", () => {
+    expect(generateSalt(false, "0x", providedSalt)).to.equal(
+      ethers.utils.keccak256("0x00" + providedSalt.substring(2))
+    );
+    expect(generateSalt(false, initializeCalldata, providedSalt)).to.equal(
+      generateSalt(false, "0x", providedSalt)
+    );
+    expect(generateSalt(true, initializeCalldata, providedSalt)).to.equal(
+      ethers.utils.keccak256(
+        "0x01" + initializeCalldata.substring(2) + providedSalt.substring(2)
+      )
+    );
+
+    expect(() => generateSalt(false, "0x", "0xcafe")).to.throw(
+      "universalFactory: invalid providedSalt 0xcafe (must be a bytes32 hex string)"
+    );
+  });
+
+  it("should build the EIP-1167 minimal proxy creation code around the base contract", () => {
+    expect(getMinimalProxyBytecode(baseContract)).to.equal(
+      "0x3d602d80600a3d3981f3363d3d373d3d3d363d73" +
+        "beef".repeat(10) +
+        "5af43d82803e903d91602b57fd5bf3"
+    );
+  });
+
+  it("should calculate the addresses of contracts and proxies, initializable or not", () => {
+    expect(
+      calculateAddress(universalFactory, { bytecode, providedSalt })
+    ).to.equal(
+      create2Address(generateSalt(false, "0x", providedSalt), bytecode)
+    );
+    expect(
+      calculateAddress(universalFactory, {
+        bytecodeHash: ethers.utils.keccak256(bytecode),
+        providedSalt,
+        initializeCalldata,
+      })
+    ).to.equal(
+      create2Address(
+        generateSalt(true, initializeCalldata, providedSalt),
+        bytecode
+      )
+    );
+
+    expect(
+      calculateProxyAddress(universalFactory, {
+        baseContract,
+        providedSalt,
+        initializable: true,
+        initializeCalldata,
+      })
+    ).to.equal(
+      create2Address(
+        generateSalt(true, initializeCalldata, providedSalt),
+        getMinimalProxyBytecode(baseContract)
+      )
+    );
+
+    expect(() =>
+      calculateProxyAddress(universalFactory, {
+        baseContract,
+        providedSalt,
+        initializable: true,
+      })
+    ).to.throw(
+      "universalFactory: the initializeCalldata of an initializable contract is missing"
+    );
+  });
+
+  it("should build the transaction calling the right deploy function, with the address of the contract deployed", () => {
+    expect(
+      buildDeployTransaction(universalFactory, {
+        bytecode,
+        providedSalt,
+        constructorMsgValue: 5,
+      })
+    ).to.deep.equal({
+      to: universalFactory,
+      data: factoryInterface.encodeFunctionData("deployCreate2", [
+        bytecode,
+        providedSalt,
+      ]),
+      value: ethers.BigNumber.from(5),
+      contractAddress: calculateAddress(universalFactory, {
+        bytecode,
+        providedSalt,
+      }),
+    });
+
+    const init = buildDeployTransaction(universalFactory, {
+      bytecode,
+      providedSalt,
+      initializeCalldata,
+      constructorMsgValue: 5,
+      initializeCalldataMsgValue: 7,
+    });
+    expect(init.data).to.equal(
+      factoryInterface.encodeFunctionData("deployCreate2Init", [
+        bytecode,
+        providedSalt,
+        initializeCalldata,
+        5,
+        7,
+      ])
+    );
+    expect(init.value).to.deep.equal(ethers.BigNumber.from(12));
+
+    const proxy = buildDeployTransaction(universalFactory, {
+      baseContract,
+      providedSalt,
+    });
+    expect(proxy.data).to.equal(
+      factoryInterface.encodeFunctionData("deployCreate2Proxy", [
+        baseContract,
+        providedSalt,
+      ])
+    );
+    expect(proxy.contractAddress).to.equal(
+      calculateProxyAddress(universalFactory, { baseContract, providedSalt })
+    );
+
+    const proxyInit = buildDeployTransaction(universalFactory, {
+      baseContract,
+      providedSalt,
+      initializeCalldata,
+      initializeCalldataMsgValue: 7,
+    });
+    expect(proxyInit.data).to.equal(
+      factoryInterface.encodeFunctionData("deployCreate2ProxyInit", [
+        baseContract,
+        providedSalt,
+        initializeCalldata,
+      ])
+    );
+    expect(proxyInit.value).to.deep.equal(ethers.BigNumber.from(7));
+
+    expect(() =>
+      buildDeployTransaction(universalFactory, {
+        baseContract,
+        providedSalt,
+        constructorMsgValue: 1,
+      })
+    ).to.throw(
+      "universalFactory: cannot send value to the constructor of a proxy"
+    );
+    expect(() =>
+      buildDeployTransaction(universalFactory, { providedSalt })
+    ).to.throw(
+      "universalFactory: either the bytecode or the baseContract must be provided"
+    );
+  });
+
+  it("should find the contracts created in the logs of a transaction", () => {
+    const event = new ethers.utils.Interface([
+      "event ContractCreated(address indexed contractCreated, bytes32 indexed providedSalt, bool indexed initializable, bytes initializeCalldata)",
+    ]);
+    const contractCreated = calculateProxyAddress(universalFactory, {
+      baseContract,
+      providedSalt,
+      initializeCalldata,
+    });
+
+    const logs = [
+      {
+        address: baseContract,
+        topics: [ethers.utils.id("Initialized(uint8)")],
+        data: ethers.utils.hexZeroPad("0x01", 32),
+      },
+      {
+        address: universalFactory,
+        ...event.encodeEventLog(event.getEvent("ContractCreated"), [
+          contractCreated,
+          providedSalt,
+          true,
+          initializeCalldata,
+        ]),
+      },
+    ];
+
+    expect(logs[1].topics[0]).to.equal(
+      EventSignatures.LSP16UniversalFactory.ContractCreated
+    );
+
+    const expected = [
+      {
+        contractCreated,
+        providedSalt,
+        initializable: true,
+        initializeCalldata,
+        universalFactory,
+      },
+    ];
+
+    expect(getContractsCreated({ logs })).to.deep.equal(expected);
+    expect(getContractsCreated(logs, { universalFactory })).to.deep.equal(
+      expected
+    );
+    expect(
+      getContractsCreated(logs, { universalFactory: baseContract })
+    ).to.deep.equal([]);
+  });
+});
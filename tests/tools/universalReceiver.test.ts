@@ -0,0 +1,287 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+
+import {
+  getTypeIdName,
+  decodeNotification,
+  decodeReturnedValue,
+  decodeUniversalReceiverLog,
+  decodeUniversalReceiverLogs,
+} from "../../tools/universalReceiver";
+import { EVENT_ABIS } from "../../tools/events";
+import { LSP1_TYPE_IDS } from "../../constants";
+
+describe("universalReceiver", () => {
+  const address = (byte: string) =>
+    ethers.utils.getAddress("0x" + byte.repeat(20));
+
+  const token = address("11");
+  const nft = address("22");
+  const vault = address("33");
+  const alice = address("a1");
+  const bob = address("b1");
+  const operator = address("c1");
+
+  const tokenId = ethers.utils.hexZeroPad("0x2a", 32);
+
+  const abi = new ethers.utils.Interface([
+    EVENT_ABIS.LSP1.UniversalReceiver,
+    EVENT_ABIS.LSP7.Transfer,
+  ]);
+
+  const packed = (from: string, to: string, amountOrTokenId, data = "0x") =>
+    ethers.utils.solidityPack(
+      ["address", "address", "bytes32", "bytes"],
+      [from, to, ethers.utils.hexZeroPad(amountOrTokenId, 32), data]
+    );
+
+  const returnedValue = (defaultDelegate: string, typeIdDelegate = "0x") =>
+    ethers.utils.defaultAbiCoder.encode(
+      ["bytes", "bytes"],
+      [defaultDelegate, typeIdDelegate]
+    );
+
+  const universalReceiverLog = (
+    notified: string,
+    from: string,
+    typeId: string,
+    receivedData: string,
+    returned = returnedValue("0x")
+  ) => ({
+    address: notified,
+    ...abi.encodeEventLog(abi.getEvent("UniversalReceiver"), [
+      from,
+      0,
+      typeId,
+      receivedData,
+      returned,
+    ]),
+  });
+
+  it("should name the type IDs listed in LSP1_TYPE_IDS", () => {
+    expect(getTypeIdName(LSP1_TYPE_IDS.LSP8Tokens_SenderNotification)).to.equal(
+      "LSP8Tokens_SenderNotification"
+    );
+    expect(
+      getTypeIdName(
+        "0x" +
+          LSP1_TYPE_IDS.LSP8Tokens_SenderNotification.substring(2).toUpperCase()
+      )
+    ).to.equal("LSP8Tokens_SenderNotification");
+    expect(getTypeIdName(ethers.constants.HashZero)).to.equal(null);
+  });
+
+  it("should decode the packed data of the LSP7 and LSP8 notifications", () => {
+    expect(
+      decodeNotification(
+        LSP1_TYPE_IDS.LSP7Tokens_RecipientNotification,
+        packed(alice, bob, ethers.utils.hexlify(10), "0xcafe")
+      )
+    ).to.deep.equal({
+      typeId: LSP1_TYPE_IDS.LSP7Tokens_RecipientNotification,
+      typeName: "LSP7Tokens_RecipientNotification",
+      standard: "LSP7",
+      sender: alice,
+      receiver: bob,
+      amount: "10",
+      data: "0xcafe",
+    });
+
+    expect(
+      decodeNotification(
+        LSP1_TYPE_IDS.LSP8Tokens_SenderNotification,
+        packed(alice, ethers.constants.AddressZero, tokenId)
+      )
+    ).to.deep.equal({
+      typeId: LSP1_TYPE_IDS.LSP8Tokens_SenderNotification,
+      typeName: "LSP8Tokens_SenderNotification",
+      standard: "LSP8",
+      sender: alice,
+      receiver: ethers.constants.AddressZero,
+      tokenId,
+      data: "0x",
+    });
+
+    expect(
+      decodeNotification(LSP1_TYPE_IDS.LSP9OwnershipTransferStarted, "0x")
+    ).to.deep.equal({
+      typeId: LSP1_TYPE_IDS.LSP9OwnershipTransferStarted,
+      typeName: "LSP9OwnershipTransferStarted",
+      standard: "LSP9",
+    });
+
+    expect(() =>
+      decodeNotification(LSP1_TYPE_IDS.LSP7Tokens_SenderNotification, "0xcafe")
+    ).to.throw(
+      "universalReceiver: LSP7Tokens_SenderNotification data must be at least 72 bytes long, got 0xcafe"
+    );
+  });
+
+  it("should decode the return values of the Universal Receiver Delegates", () => {
+    expect(
+      decodeReturnedValue(
+        returnedValue(
+          ethers.utils.toUtf8Bytes("LSP1: asset received is already registered")
+        )
+      )
+    ).to.deep.equal({
+      defaultDelegate: {
+        data: ethers.utils.hexlify(
+          ethers.utils.toUtf8Bytes("LSP1: asset received is already registered")
+        ),
+        message: "LSP1: asset received is already registered",
+      },
+      typeIdDelegate: { data: "0x", message: null },
+    });
+
+    expect(
+      decodeReturnedValue(returnedValue(ethers.utils.hexZeroPad("0x01", 32)))
+        .defaultDelegate.message
+    ).to.equal(null);
+    expect(decodeReturnedValue("0xcafe")).to.equal(null);
+  });
+
+  it("should decode a UniversalReceiver event and describe it", () => {
+    expect(
+      decodeUniversalReceiverLog({
+        ...universalReceiverLog(
+          bob,
+          token,
+          LSP1_TYPE_IDS.LSP7Tokens_RecipientNotification,
+          packed(alice, bob, ethers.utils.hexlify(10))
+        ),
+        blockNumber: 42,
+      })
+    ).to.deep.equal({
+      notified: bob,
+      caller: token,
+      value: "0",
+      typeId: LSP1_TYPE_IDS.LSP7Tokens_RecipientNotification,
+      typeName: "LSP7Tokens_RecipientNotification",
+      standard: "LSP7",
+      sender: alice,
+      receiver: bob,
+      amount: "10",
+      data: "0x",
+      receivedData: packed(alice, bob, ethers.utils.hexlify(10)),
+      returnedValue: {
+        defaultDelegate: { data: "0x", message: null },
+        typeIdDelegate: { data: "0x", message: null },
+      },
+      description: `${bob} received 10 tokens of ${token} from ${alice}`,
+      blockNumber: 42,
+    });
+
+    const describe = (log) => decodeUniversalReceiverLog(log).description;
+
+    expect(
+      describe(
+        universalReceiverLog(
+          alice,
+          nft,
+          LSP1_TYPE_IDS.LSP8Tokens_SenderNotification,
+          packed(alice, ethers.constants.AddressZero, tokenId)
+        )
+      )
+    ).to.equal(`${alice} burned token ${tokenId} of ${nft}`);
+    expect(
+      describe(
+        universalReceiverLog(
+          bob,
+          vault,
+          LSP1_TYPE_IDS.LSP9OwnershipTransferred_RecipientNotification,
+          "0x"
+        )
+      )
+    ).to.equal(`${bob} is the new owner of ${vault}`);
+    expect(
+      describe(
+        universalReceiverLog(
+          bob,
+          token,
+          LSP1_TYPE_IDS.LSP7Tokens_RecipientNotification,
+          "0xcafe"
+        )
+      )
+    ).to.equal(
+      `${bob} was notified by ${token} (LSP7Tokens_RecipientNotification)`
+    );
+    expect(
+      describe(
+        universalReceiverLog(bob, alice, ethers.constants.HashZero, "0xcafe")
+      )
+    ).to.equal(
+      `${bob} was notified by ${alice} (${ethers.constants.HashZero})`
+    );
+
+    expect(
+      decodeUniversalReceiverLog({
+        address: token,
+        ...abi.encodeEventLog(abi.getEvent("Transfer"), [
+          operator,
+          alice,
+          bob,
+          10,
+          false,
+          "0x",
+        ]),
+      })
+    ).to.equal(null);
+  });
+
+  it("should take the operator from the Transfer event emitted before the notifications", () => {
+    const transfer = {
+      address: token,
+      ...abi.encodeEventLog(abi.getEvent("Transfer"), [
+        operator,
+        alice,
+        bob,
+        10,
+        false,
+        "0x",
+      ]),
+    };
+
+    const notifications = decodeUniversalReceiverLogs([
+      transfer,
+      universalReceiverLog(
+        alice,
+        token,
+        LSP1_TYPE_IDS.LSP7Tokens_SenderNotification,
+        packed(alice, bob, ethers.utils.hexlify(10))
+      ),
+      universalReceiverLog(
+        bob,
+        token,
+        LSP1_TYPE_IDS.LSP7Tokens_RecipientNotification,
+        packed(alice, bob, ethers.utils.hexlify(10))
+      ),
+      universalReceiverLog(
+        bob,
+        vault,
+        LSP1_TYPE_IDS.LSP9OwnershipTransferStarted,
+        "0x"
+      ),
+    ]);
+
+    expect(
+      notifications.map(({ description, operator }) => ({
+        description,
+        operator,
+      }))
+    ).to.deep.equal([
+      {
+        description: `${alice} sent 10 tokens of ${token} to ${bob}`,
+        operator,
+      },
+      {
+        description: `${bob} received 10 tokens of ${token} from ${alice}`,
+        operator,
+      },
+      {
+        description: `${bob} can accept the ownership of ${vault}`,
+        operator: undefined,
+      },
+    ]);
+  });
+});
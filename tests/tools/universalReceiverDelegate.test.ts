@@ -0,0 +1,286 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+
+import { simulateUniversalReceiverDelegate } from "../../tools/universalReceiverDelegate";
+import { ERC725YDataKeys, INTERFACE_IDS, LSP1_TYPE_IDS } from "../../constants";
+
+describe("universalReceiverDelegate", () => {
+  const address = (byte: string) => "0x" + byte.repeat(20);
+
+  const universalProfile = address("aa");
+  const [tokenA, tokenB, tokenC] = [
+    address("a1"),
+    address("b1"),
+    address("c1"),
+  ];
+  const vault = address("d1");
+
+  const arrayKey = ERC725YDataKeys.LSP5["LSP5ReceivedAssets[]"].length;
+  const elementKey = (index: number) =>
+    ERC725YDataKeys.LSP5["LSP5ReceivedAssets[]"].index +
+    index.toString(16).padStart(32, "0");
+  const mapKey = (asset: string) =>
+    ERC725YDataKeys.LSP5.LSP5ReceivedAssetsMap + asset.substring(2);
+
+  const uint256 = (value: number) =>
+    ethers.utils.hexZeroPad("0x0" + value.toString(16), 32);
+  const mapValue = (interfaceId: string, index: number) =>
+    interfaceId + index.toString(16).padStart(16, "0");
+
+  // tokenA (LSP7) at index 0, tokenB (LSP8) at index 1
+  const storage = {
+    [arrayKey]: uint256(2),
+    [elementKey(0)]: tokenA,
+    [elementKey(1)]: tokenB,
+    [mapKey(tokenA)]: mapValue(INTERFACE_IDS.LSP7DigitalAsset, 0),
+    [mapKey(tokenB)]: mapValue(INTERFACE_IDS.LSP8IdentifiableDigitalAsset, 1),
+  };
+
+  const notify = (typeId: string, notifier: string) => ({
+    account: universalProfile,
+    notifier,
+    typeId,
+  });
+
+  it("should append a received asset to LSP5ReceivedAssets[]", () => {
+    expect(
+      simulateUniversalReceiverDelegate(
+        {},
+        notify(LSP1_TYPE_IDS.LSP7Tokens_RecipientNotification, tokenC),
+        { balance: 10 }
+      )
+    ).to.deep.equal({
+      status: "updated",
+      dataKeys: [arrayKey, elementKey(0), mapKey(tokenC)],
+      dataValues: [
+        uint256(1),
+        tokenC,
+        mapValue(INTERFACE_IDS.LSP7DigitalAsset, 0),
+      ],
+      storage: {
+        [arrayKey]: uint256(1),
+        [elementKey(0)]: tokenC,
+        [mapKey(tokenC)]: mapValue(INTERFACE_IDS.LSP7DigitalAsset, 0),
+      },
+    });
+
+    const { dataKeys, dataValues } = simulateUniversalReceiverDelegate(
+      storage,
+      notify(LSP1_TYPE_IDS.LSP8Tokens_RecipientNotification, tokenC),
+      { balance: 1 }
+    );
+    expect(dataKeys).to.deep.equal([arrayKey, elementKey(2), mapKey(tokenC)]);
+    expect(dataValues).to.deep.equal([
+      uint256(3),
+      tokenC,
+      mapValue(INTERFACE_IDS.LSP8IdentifiableDigitalAsset, 2),
+    ]);
+  });
+
+  it("should swap the last asset into the index of the asset sent, and pop it", () => {
+    const {
+      dataKeys,
+      dataValues,
+      storage: updated,
+    } = simulateUniversalReceiverDelegate(
+      storage,
+      notify(LSP1_TYPE_IDS.LSP7Tokens_SenderNotification, tokenA),
+      { balance: 0 }
+    );
+
+    expect(dataKeys).to.deep.equal([
+      arrayKey,
+      mapKey(tokenA),
+      elementKey(0),
+      elementKey(1),
+      mapKey(tokenB),
+    ]);
+    expect(dataValues).to.deep.equal([
+      uint256(1),
+      "0x",
+      tokenB,
+      "0x",
+      mapValue(INTERFACE_IDS.LSP8IdentifiableDigitalAsset, 0),
+    ]);
+    expect(updated).to.deep.equal({
+      [arrayKey]: uint256(1),
+      [elementKey(0)]: tokenB,
+      [mapKey(tokenB)]: mapValue(INTERFACE_IDS.LSP8IdentifiableDigitalAsset, 0),
+    });
+
+    // removing the last asset only pops it
+    expect(
+      simulateUniversalReceiverDelegate(
+        storage,
+        notify(LSP1_TYPE_IDS.LSP8Tokens_SenderNotification, tokenB),
+        { balance: 0 }
+      ).dataKeys
+    ).to.deep.equal([arrayKey, elementKey(1), mapKey(tokenB)]);
+  });
+
+  it("should register and remove the vaults under LSP10Vaults[]", () => {
+    const vaultsArrayKey = ERC725YDataKeys.LSP10["LSP10Vaults[]"].length;
+
+    const received = simulateUniversalReceiverDelegate(
+      {},
+      notify(
+        LSP1_TYPE_IDS.LSP9OwnershipTransferred_RecipientNotification,
+        vault
+      )
+    );
+    expect(received.dataValues).to.deep.equal([
+      uint256(1),
+      vault,
+      mapValue(INTERFACE_IDS.LSP9Vault, 0),
+    ]);
+
+    expect(
+      simulateUniversalReceiverDelegate(
+        received.storage,
+        notify(LSP1_TYPE_IDS.LSP9OwnershipTransferred_SenderNotification, vault)
+      ).storage
+    ).to.deep.equal({ [vaultsArrayKey]: uint256(0) });
+
+    expect(
+      simulateUniversalReceiverDelegate(
+        {},
+        notify(
+          LSP1_TYPE_IDS.LSP9OwnershipTransferred_RecipientNotification,
+          vault
+        ),
+        { notifierSupportsLSP9: false }
+      )
+    ).to.deep.equal({
+      status: "skipped",
+      message: "LSP1: not an LSP9Vault ownership transfer",
+    });
+    expect(
+      simulateUniversalReceiverDelegate(
+        {},
+        notify(
+          LSP1_TYPE_IDS.LSP9OwnershipTransferred_RecipientNotification,
+          vault
+        ),
+        { delegate: "Vault" }
+      )
+    ).to.deep.equal({
+      status: "skipped",
+      message: "LSP1: typeId out of scope",
+    });
+  });
+
+  it("should skip the notifications that do not change the assets registered", () => {
+    const message = (typeId: string, notifier: string, options = {}) =>
+      simulateUniversalReceiverDelegate(
+        storage,
+        notify(typeId, notifier),
+        options
+      ).message;
+
+    expect(
+      message(LSP1_TYPE_IDS.LSP14OwnershipTransferStarted, vault)
+    ).to.equal("LSP1: typeId out of scope");
+    expect(
+      message(LSP1_TYPE_IDS.LSP7Tokens_RecipientNotification, tokenA, {
+        balance: 20,
+      })
+    ).to.equal("LSP1: asset received is already registered");
+    expect(
+      message(LSP1_TYPE_IDS.LSP7Tokens_RecipientNotification, tokenC, {
+        balance: 0,
+      })
+    ).to.equal("LSP1: balance not updated");
+    expect(
+      message(LSP1_TYPE_IDS.LSP7Tokens_SenderNotification, tokenC, {
+        balance: 0,
+      })
+    ).to.equal("LSP1: asset sent is not registered");
+    expect(
+      message(LSP1_TYPE_IDS.LSP7Tokens_SenderNotification, tokenA, {
+        balance: 5,
+      })
+    ).to.equal("LSP1: full balance is not sent");
+    expect(
+      message(LSP1_TYPE_IDS.LSP7Tokens_RecipientNotification, tokenC, {
+        balance: 5,
+        ownerIsKeyManager: false,
+      })
+    ).to.equal("LSP1: account owner is not a LSP6KeyManager");
+    expect(
+      message(LSP1_TYPE_IDS.LSP7Tokens_RecipientNotification, tokenA, {
+        balance: 5,
+        delegate: "Vault",
+      })
+    ).to.equal("URD: asset received is already registered");
+
+    expect(() =>
+      simulateUniversalReceiverDelegate(
+        storage,
+        notify(LSP1_TYPE_IDS.LSP7Tokens_RecipientNotification, tokenC)
+      )
+    ).to.throw(
+      `universalReceiverDelegate: the balance of ${ethers.utils.getAddress(
+        universalProfile
+      )} in ${ethers.utils.getAddress(tokenC)} after the transfer is required`
+    );
+  });
+
+  it("should predict the reverts of the delegate", () => {
+    const error = (
+      storage: object,
+      notification: object,
+      options: object = { balance: 0 }
+    ) => {
+      const result = simulateUniversalReceiverDelegate(
+        storage,
+        {
+          ...notify(LSP1_TYPE_IDS.LSP7Tokens_SenderNotification, tokenA),
+          ...notification,
+        },
+        options
+      );
+      expect(result.status).to.equal("reverted");
+      return result.error;
+    };
+
+    // an EOA calling `universalReceiver(...)` directly with an asset type ID
+    expect(
+      error(storage, { notifier: tokenC, txOrigin: tokenC })
+    ).to.deep.include({
+      name: "CannotRegisterEOAsAsAssets",
+      args: [ethers.utils.getAddress(tokenC)],
+    });
+
+    expect(
+      error(storage, {}, { balance: 0, keyManagerTarget: vault }).name
+    ).to.equal("CallerNotLSP6LinkedTarget");
+
+    expect(
+      error(
+        { ...storage, [arrayKey]: "0x02" },
+        {
+          typeId: LSP1_TYPE_IDS.LSP7Tokens_RecipientNotification,
+          notifier: tokenC,
+        },
+        { balance: 1 }
+      )
+    ).to.deep.include({
+      name: "InvalidLSP5ReceivedAssetsArrayLength",
+      args: ["0x02", "1"],
+    });
+
+    // the asset is registered in the Map, but the array is empty
+    expect(error({ ...storage, [arrayKey]: uint256(0) }, {})).to.deep.include({
+      type: "panic",
+      args: ["17"],
+    });
+
+    // a Map value too short to hold an index
+    expect(
+      error(
+        { ...storage, [mapKey(tokenA)]: INTERFACE_IDS.LSP7DigitalAsset },
+        {}
+      )
+    ).to.deep.include({ type: "error", message: "slice_outOfBounds" });
+  });
+});
@@ -0,0 +1,81 @@
+import { expect } from "chai";
+import { ethers } from "hardhat";
+
+import { LSP7Tester__factory } from "../../types";
+
+import { setupProfileWithKeyManagerWithURD } from "../utils/fixtures";
+
+import { previewUniversalReceiverDelegate } from "../../tools/universalReceiverDelegate";
+import { LSP1_TYPE_IDS } from "../../constants";
+
+/**
+ * Compare the data keys predicted before a transfer with the storage of the Universal Profiles after it.
+ */
+describe("universalReceiverDelegate (against LSP1UniversalReceiverDelegateUP)", () => {
+  it("should predict the LSP5ReceivedAssets[] updates of an LSP7 transfer", async () => {
+    const [alice, bob] = await ethers.getSigners();
+
+    const [aliceProfile, aliceKeyManager] =
+      await setupProfileWithKeyManagerWithURD(alice);
+    const [bobProfile] = await setupProfileWithKeyManagerWithURD(bob);
+
+    const token = await new LSP7Tester__factory(alice).deploy(
+      "Token",
+      "TKN",
+      alice.address
+    );
+    await token.mint(aliceProfile.address, 100, false, "0x");
+
+    const data = ethers.utils.solidityPack(
+      ["address", "address", "uint256", "bytes"],
+      [aliceProfile.address, bobProfile.address, 100, "0x"]
+    );
+
+    const [sent, received] = await Promise.all([
+      previewUniversalReceiverDelegate(ethers.provider, {
+        account: aliceProfile.address,
+        notifier: token.address,
+        typeId: LSP1_TYPE_IDS.LSP7Tokens_SenderNotification,
+        data,
+        txOrigin: alice.address,
+      }),
+      previewUniversalReceiverDelegate(ethers.provider, {
+        account: bobProfile.address,
+        notifier: token.address,
+        typeId: LSP1_TYPE_IDS.LSP7Tokens_RecipientNotification,
+        data,
+        txOrigin: alice.address,
+      }),
+    ]);
+
+    expect(sent.status).to.equal("updated");
+    expect(received.status).to.equal("updated");
+
+    await aliceKeyManager
+      .connect(alice)
+      ["execute(bytes)"](
+        aliceProfile.interface.encodeFunctionData(
+          "execute(uint256,address,uint256,bytes)",
+          [
+            0,
+            token.address,
+            0,
+            token.interface.encodeFunctionData("transfer", [
+              aliceProfile.address,
+              bobProfile.address,
+              100,
+              false,
+              "0x",
+            ]),
+          ]
+        )
+      );
+
+    expect(
+      await aliceProfile["getData(bytes32[])"](sent.dataKeys)
+    ).to.deep.equal(sent.dataValues);
+    expect(
+      await bobProfile["getData(bytes32[])"](received.dataKeys)
+    ).to.deep.equal(received.dataValues);
+  });
+});
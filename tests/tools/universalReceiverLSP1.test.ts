@@ -0,0 +1,115 @@
+import { expect } from "chai";
+import { ethers } from "hardhat";
+
+import { LSP7Tester__factory, LSP8Tester__factory } from "../../types";
+
+import { setupProfileWithKeyManagerWithURD } from "../utils/fixtures";
+
+import { decodeUniversalReceiverLogs } from "../../tools/universalReceiver";
+
+/**
+ * Decode the notifications received by Universal Profiles when minting and transferring assets.
+ */
+describe("universalReceiver (against the LSP7 and LSP8 contracts)", () => {
+  it("should decode the notifications of an LSP7 transfer between two Universal Profiles", async () => {
+    const [alice, bob] = await ethers.getSigners();
+
+    const [aliceProfile, aliceKeyManager] =
+      await setupProfileWithKeyManagerWithURD(alice);
+    const [bobProfile] = await setupProfileWithKeyManagerWithURD(bob);
+
+    const token = await new LSP7Tester__factory(alice).deploy(
+      "Token",
+      "TKN",
+      alice.address
+    );
+
+    const mint = await (
+      await token.mint(aliceProfile.address, 100, false, "0x")
+    ).wait();
+
+    expect(
+      decodeUniversalReceiverLogs(mint.logs).map(
+        ({ description }) => description
+      )
+    ).to.deep.equal([
+      `${aliceProfile.address} received 100 tokens of ${token.address} (minted)`,
+    ]);
+
+    const transfer = await (
+      await aliceKeyManager
+        .connect(alice)
+        ["execute(bytes)"](
+          aliceProfile.interface.encodeFunctionData(
+            "execute(uint256,address,uint256,bytes)",
+            [
+              0,
+              token.address,
+              0,
+              token.interface.encodeFunctionData("transfer", [
+                aliceProfile.address,
+                bobProfile.address,
+                10,
+                false,
+                "0xcafe",
+              ]),
+            ]
+          )
+        )
+    ).wait();
+
+    const notifications = decodeUniversalReceiverLogs(transfer.logs);
+
+    expect(
+      notifications.map(
+        ({ notified, typeName, sender, receiver, amount, data, operator }) => ({
+          notified,
+          typeName,
+          sender,
+          receiver,
+          amount,
+          data,
+          operator,
+        })
+      )
+    ).to.deep.equal(
+      ["LSP7Tokens_SenderNotification", "LSP7Tokens_RecipientNotification"].map(
+        (typeName, index) => ({
+          notified: [aliceProfile.address, bobProfile.address][index],
+          typeName,
+          sender: aliceProfile.address,
+          receiver: bobProfile.address,
+          amount: "10",
+          data: "0xcafe",
+          operator: aliceProfile.address,
+        })
+      )
+    );
+  });
+
+  it("should decode the notification of an LSP8 mint", async () => {
+    const [alice] = await ethers.getSigners();
+    const [aliceProfile] = await setupProfileWithKeyManagerWithURD(alice);
+
+    const nft = await new LSP8Tester__factory(alice).deploy(
+      "NFT",
+      "NFT",
+      alice.address
+    );
+    const tokenId = ethers.utils.hexZeroPad("0x2a", 32);
+
+    const { logs } = await (
+      await nft.mint(aliceProfile.address, tokenId, false, "0x")
+    ).wait();
+
+    const [notification] = decodeUniversalReceiverLogs(logs);
+
+    expect(notification).to.deep.include({
+      notified: aliceProfile.address,
+      caller: nft.address,
+      typeName: "LSP8Tokens_RecipientNotification",
+      tokenId,
+      operator: alice.address,
+    });
+  });
+});
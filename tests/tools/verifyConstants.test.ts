@@ -0,0 +1,145 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { deriveConstants } from "../../tools/preimages";
+import { readSolidityConstants } from "../../tools/solidity";
+import { verifyConstants } from "../../tools/verifyConstants";
+import * as constants from "../../constants";
+
+describe("verifyConstants", () => {
+  describe("deriveConstants(...)", () => {
+    it("should derive the interface ID of LSP0 from the XOR of other interface IDs", () => {
+      expect(deriveConstants().INTERFACE_IDS.LSP0ERC725Account).to.equal(
+        constants.INTERFACE_IDS.LSP0ERC725Account
+      );
+    });
+
+    it("should derive the `index` prefix of an Array data key", () => {
+      expect(
+        deriveConstants().ERC725YDataKeys.LSP6["AddressPermissions[]"]
+      ).to.deep.equal(constants.ERC725YDataKeys.LSP6["AddressPermissions[]"]);
+    });
+  });
+
+  describe("readSolidityConstants(...)", () => {
+    it("should parse `bytesN` constants and `hex` literals", () => {
+      const solidityConstants = readSolidityConstants();
+
+      expect(solidityConstants._INTERFACEID_LSP8).to.deep.equal({
+        value: constants.INTERFACE_IDS.LSP8IdentifiableDigitalAsset,
+        file: path.join("LSP8IdentifiableDigitalAsset", "LSP8Constants.sol"),
+      });
+
+      expect(solidityConstants._LSP3_SUPPORTED_STANDARDS_VALUE.value).to.equal(
+        constants.SupportedStandards.LSP3UniversalProfile.value
+      );
+    });
+  });
+
+  describe("verifyConstants(...)", () => {
+    it("should find no mismatch between the preimages, constants.js and the Solidity constants", () => {
+      expect(verifyConstants()).to.deep.equal([]);
+    });
+
+    it("should report a value in constants.js that does not match its preimage", () => {
+      const tampered = {
+        ...constants,
+        LSP1_TYPE_IDS: {
+          ...constants.LSP1_TYPE_IDS,
+          LSP7Tokens_SenderNotification:
+            constants.LSP1_TYPE_IDS.LSP8Tokens_SenderNotification,
+        },
+      };
+
+      expect(verifyConstants({ constants: tampered })).to.deep.equal([
+        {
+          path: "LSP1_TYPE_IDS.LSP7Tokens_SenderNotification",
+          expected: constants.LSP1_TYPE_IDS.LSP7Tokens_SenderNotification,
+          actual: constants.LSP1_TYPE_IDS.LSP8Tokens_SenderNotification,
+          source: "constants.js",
+        },
+      ]);
+    });
+
+    it("should report a value in constants.js that has no preimage", () => {
+      const tampered = {
+        ...constants,
+        INTERFACE_IDS: { ...constants.INTERFACE_IDS, LSP42: "0xcafecafe" },
+      };
+
+      expect(verifyConstants({ constants: tampered })).to.deep.equal([
+        {
+          path: "INTERFACE_IDS.LSP42",
+          expected: "(no preimage)",
+          actual: "0xcafecafe",
+          source: "constants.js",
+        },
+      ]);
+    });
+
+    describe("when the Solidity constants drift", () => {
+      let contractsDir: string;
+
+      before(() => {
+        contractsDir = fs.mkdtempSync(path.join(os.tmpdir(), "lsp-constants-"));
+
+        const contractsPath = path.join(__dirname, "..", "..", "contracts");
+
+        Object.values(readSolidityConstants()).forEach(({ file }) => {
+          const target = path.join(contractsDir, file);
+          if (fs.existsSync(target)) return;
+
+          fs.mkdirSync(path.dirname(target), { recursive: true });
+          fs.copyFileSync(path.join(contractsPath, file), target);
+        });
+
+        const lsp8Constants = path.join(
+          contractsDir,
+          "LSP8IdentifiableDigitalAsset",
+          "LSP8Constants.sol"
+        );
+
+        fs.writeFileSync(
+          lsp8Constants,
+          fs
+            .readFileSync(lsp8Constants, "utf8")
+            .replace(
+              "bytes4 constant _INTERFACEID_LSP8 = 0x622e7a01;",
+              "bytes4 constant _INTERFACEID_LSP8 = 0xcafecafe;"
+            )
+        );
+
+        fs.unlinkSync(
+          path.join(contractsDir, "LSP9Vault", "LSP9Constants.sol")
+        );
+      });
+
+      after(() => {
+        fs.rmSync(contractsDir, { recursive: true, force: true });
+      });
+
+      it("should report the Solidity constants that differ or are missing", () => {
+        const mismatches = verifyConstants({ contractsDir });
+
+        expect(mismatches).to.deep.include({
+          path: "INTERFACE_IDS.LSP8IdentifiableDigitalAsset",
+          expected: constants.INTERFACE_IDS.LSP8IdentifiableDigitalAsset,
+          actual: "0xcafecafe",
+          source: `${path.join(
+            "LSP8IdentifiableDigitalAsset",
+            "LSP8Constants.sol"
+          )} (_INTERFACEID_LSP8)`,
+        });
+
+        expect(mismatches).to.deep.include({
+          path: "INTERFACE_IDS.LSP9Vault",
+          expected: constants.INTERFACE_IDS.LSP9Vault,
+          actual: "(missing)",
+          source: "*Constants.sol (_INTERFACEID_LSP9)",
+        });
+      });
+    });
+  });
+});
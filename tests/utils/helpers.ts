@@ -4,6 +4,7 @@ import { LSP6KeyManager } from "../../types";
 
 // constants
 import { LSP6_VERSION } from "../../constants";
+import { addPermissions } from "../../tools/permissions";
 import { EIP191Signer } from "@lukso/eip191-signer.js";
 
 export const abiCoder = ethers.utils.defaultAbiCoder;
@@ -135,14 +136,7 @@ export async function getMapAndArrayKeyValues(
 }
 
 export function combinePermissions(..._permissions: string[]) {
-  let result: BigNumber = ethers.BigNumber.from(0);
-
-  _permissions.forEach((permission) => {
-    let permissionAsBN = ethers.BigNumber.from(permission);
-    result = result.add(permissionAsBN);
-  });
-
-  return ethers.utils.hexZeroPad(result.toHexString(), 32);
+  return addPermissions(ethers.constants.HashZero, ..._permissions);
 }
 
 export function encodeCompactBytesArray(inputKeys: BytesLike[]) {
@@ -0,0 +1,697 @@
+/**
+ * Build the calls of an LSP7 Digital Asset or an LSP8 Identifiable Digital Asset (`transfer`, `transferBatch`,
+ * `authorizeOperator`, `revokeOperator`, and `mint` of the `LSP7Mintable` / `LSP8Mintable` presets), and predict
+ * before they are signed the error they revert with, by applying the same checks as `LSP7DigitalAssetCore`,
+ * `LSP8IdentifiableDigitalAssetCore` and their `CappedSupply` extensions to the current state of the asset.
+ *
+ * The `force` parameter of a transfer or mint is `allowNonLSP1Recipient` in the contracts: with `force = false`, the
+ * recipient must be a contract supporting the LSP1 interface, otherwise the call reverts with
+ * `LSP7NotifyTokenReceiverIsEOA` (or `...ContractMissingLSP1Interface`, and the LSP8 equivalents).
+ *
+ * The `universalReceiver(...)` functions of the sender and recipient, called at the end of the transfer, can revert
+ * on their own: these reverts are not predicted (see `previewUniversalReceiverDelegate(...)` in
+ * `tools/universalReceiverDelegate.js`).
+ * @see https://github.com/lukso-network/LIPs/blob/main/LSPs/LSP-7-DigitalAsset.md
+ * @see https://github.com/lukso-network/LIPs/blob/main/LSPs/LSP-8-IdentifiableDigitalAsset.md
+ */
+const { ethers } = require('ethers');
+
+const { Errors, INTERFACE_IDS } = require('../constants');
+const { ERROR_STRING_SELECTOR, PANIC_SELECTOR, decodeRevertData } = require('./errors');
+const { resolveAccount, buildCallFrom } = require('./ownership');
+const { supportsInterface, toAddress } = require('./utils');
+
+const ASSET_ABIS = {
+	LSP7: [
+		'function transfer(address from, address to, uint256 amount, bool allowNonLSP1Recipient, bytes data)',
+		'function transferBatch(address[] from, address[] to, uint256[] amount, bool[] allowNonLSP1Recipient, bytes[] data)',
+		'function authorizeOperator(address operator, uint256 amount)',
+		'function revokeOperator(address operator)',
+		'function mint(address to, uint256 amount, bool allowNonLSP1Recipient, bytes data)',
+		'function balanceOf(address tokenOwner) view returns (uint256)',
+		'function authorizedAmountFor(address operator, address tokenOwner) view returns (uint256)',
+		'function totalSupply() view returns (uint256)',
+		'function tokenSupplyCap() view returns (uint256)',
+		'function owner() view returns (address)',
+	],
+	LSP8: [
+		'function transfer(address from, address to, bytes32 tokenId, bool allowNonLSP1Recipient, bytes data)',
+		'function transferBatch(address[] from, address[] to, bytes32[] tokenId, bool[] allowNonLSP1Recipient, bytes[] data)',
+		'function authorizeOperator(address operator, bytes32 tokenId)',
+		'function revokeOperator(address operator, bytes32 tokenId)',
+		'function mint(address to, bytes32 tokenId, bool allowNonLSP1Recipient, bytes data)',
+		'function tokenOwnerOf(bytes32 tokenId) view returns (address)',
+		'function getOperatorsOf(bytes32 tokenId) view returns (address[])',
+		'function totalSupply() view returns (uint256)',
+		'function tokenSupplyCap() view returns (uint256)',
+		'function owner() view returns (address)',
+	],
+};
+
+const ASSET_INTERFACES = {
+	LSP7: new ethers.utils.Interface(ASSET_ABIS.LSP7),
+	LSP8: new ethers.utils.Interface(ASSET_ABIS.LSP8),
+};
+
+const ASSET_ERRORS = new ethers.utils.Interface(
+	[
+		...Object.values(Errors.LSP7),
+		...Object.values(Errors.LSP7CappedSupply),
+		...Object.values(Errors.LSP8),
+		...Object.values(Errors.LSP8CappedSupply),
+	].map(({ error }) => `error ${error}`),
+);
+
+// Panic(uint256) code of an arithmetic overflow, e.g: minting more than `type(uint256).max` tokens
+const PANIC_ARITHMETIC = 0x11;
+
+// `onlyOwner` of the `Mintable` presets
+const NOT_OWNER_MESSAGE = 'Ownable: caller is not the owner';
+
+// an error thrown while simulating a call, with the data the asset would revert with
+function revertWith(revertData) {
+	return Object.assign(new Error('assets: reverted'), { revertData });
+}
+
+function assetError(name, ...args) {
+	return revertWith(ASSET_ERRORS.encodeErrorResult(name, args));
+}
+
+function panic(code) {
+	return revertWith(
+		ethers.utils.hexConcat([
+			PANIC_SELECTOR,
+			ethers.utils.defaultAbiCoder.encode(['uint256'], [code]),
+		]),
+	);
+}
+
+function notOwner() {
+	return revertWith(
+		ethers.utils.hexConcat([
+			ERROR_STRING_SELECTOR,
+			ethers.utils.defaultAbiCoder.encode(['string'], [NOT_OWNER_MESSAGE]),
+		]),
+	);
+}
+
+// `a + b` with the overflow check of Solidity >= 0.8
+function checkedAdd(a, b) {
+	const sum = a.add(b);
+	if (sum.gt(ethers.constants.MaxUint256)) throw panic(PANIC_ARITHMETIC);
+	return sum;
+}
+
+// Parameters
+// ----------
+
+// the `amount` (LSP7) or `tokenId` (LSP8) of a call, as a BigNumber or a lowercase bytes32
+function toAssetValue(standard, params) {
+	if (standard === 'LSP7') {
+		if (params.amount === undefined) throw new Error('assets: missing amount');
+
+		const amount = ethers.BigNumber.from(params.amount);
+		if (amount.isNegative() || amount.gt(ethers.constants.MaxUint256)) {
+			throw new Error(`assets: amount ${params.amount} out of the uint256 range`);
+		}
+
+		return amount;
+	}
+
+	if (!ethers.utils.isHexString(params.tokenId, 32)) {
+		throw new Error(`assets: invalid tokenId ${params.tokenId} (must be bytes32)`);
+	}
+
+	return params.tokenId.toLowerCase();
+}
+
+function normalizeTransfer(standard, transfer) {
+	return {
+		method: 'transfer',
+		from: toAddress(transfer.from, 'from', 'assets'),
+		to: toAddress(transfer.to, 'to', 'assets'),
+		value: toAssetValue(standard, transfer),
+		force: Boolean(transfer.force),
+		data: ethers.utils.hexlify(transfer.data || '0x'),
+	};
+}
+
+function normalizeOperatorChange(standard, method, params) {
+	return {
+		method,
+		operator: toAddress(params.operator, 'operator', 'assets'),
+		value:
+			standard === 'LSP7' && method === 'revokeOperator'
+				? undefined
+				: toAssetValue(standard, params),
+	};
+}
+
+function normalizeMint(standard, mint) {
+	return {
+		method: 'mint',
+		to: toAddress(mint.to, 'to', 'assets'),
+		value: toAssetValue(standard, mint),
+		force: Boolean(mint.force),
+		data: ethers.utils.hexlify(mint.data || '0x'),
+	};
+}
+
+function encodeCalls(standard, calls) {
+	const assetInterface = ASSET_INTERFACES[standard];
+
+	if (calls.length > 1) {
+		return assetInterface.encodeFunctionData('transferBatch', [
+			calls.map(({ from }) => from),
+			calls.map(({ to }) => to),
+			calls.map(({ value }) => value),
+			calls.map(({ force }) => force),
+			calls.map(({ data }) => data),
+		]);
+	}
+
+	const [call] = calls;
+	switch (call.method) {
+		case 'transfer':
+			return assetInterface.encodeFunctionData('transfer', [
+				call.from,
+				call.to,
+				call.value,
+				call.force,
+				call.data,
+			]);
+		case 'mint':
+			return assetInterface.encodeFunctionData('mint', [
+				call.to,
+				call.value,
+				call.force,
+				call.data,
+			]);
+		default:
+			return assetInterface.encodeFunctionData(
+				call.method,
+				call.value === undefined ? [call.operator] : [call.operator, call.value],
+			);
+	}
+}
+
+// Simulation
+// ----------
+
+// see `_notifyTokenReceiver(...)`
+function notifyTokenReceiver(standard, state, to, force) {
+	const { isContract, supportsLSP1 } = state.recipients[to];
+
+	if (supportsLSP1 || force) return;
+
+	throw isContract
+		? assetError(`${standard}NotifyTokenReceiverContractMissingLSP1Interface`, to)
+		: assetError(`${standard}NotifyTokenReceiverIsEOA`, to);
+}
+
+// see `_mint(...)` of the `Mintable` presets and of the `CappedSupply` extensions
+function mint(standard, state, caller, { to, value, force }) {
+	if (caller !== state.owner) throw notOwner();
+
+	const amount = standard === 'LSP7' ? value : ethers.BigNumber.from(1);
+
+	if (
+		state.tokenSupplyCap !== null &&
+		checkedAdd(state.totalSupply, amount).gt(state.tokenSupplyCap)
+	) {
+		throw assetError(`${standard}CappedSupplyCannotMintOverCap`);
+	}
+
+	if (to === ethers.constants.AddressZero) {
+		throw assetError(
+			standard === 'LSP7' ? 'LSP7CannotSendWithAddressZero' : 'LSP8CannotSendToAddressZero',
+		);
+	}
+
+	if (standard === 'LSP8' && state.owners[value] !== ethers.constants.AddressZero) {
+		throw assetError('LSP8TokenIdAlreadyMinted', value);
+	}
+
+	state.totalSupply = checkedAdd(state.totalSupply, amount);
+
+	if (standard === 'LSP7') {
+		state.balances[to] = state.balances[to].add(value);
+	} else {
+		state.owners[value] = to;
+		state.operators[value] = [];
+	}
+
+	notifyTokenReceiver(standard, state, to, force);
+}
+
+// see `_updateOperator(...)` in `LSP7DigitalAssetCore`
+function updateLSP7Operator(state, tokenOwner, operator, amount) {
+	if (operator === ethers.constants.AddressZero) {
+		throw assetError('LSP7CannotUseAddressZeroAsOperator');
+	}
+
+	if (operator === tokenOwner) throw assetError('LSP7TokenOwnerCannotBeOperator');
+
+	state.allowances[`${tokenOwner}:${operator}`] = amount;
+}
+
+function simulateLSP7(state, caller, call) {
+	if (call.method === 'mint') return mint('LSP7', state, caller, call);
+
+	if (call.method !== 'transfer') {
+		return updateLSP7Operator(
+			state,
+			caller,
+			call.operator,
+			call.method === 'authorizeOperator' ? call.value : ethers.constants.Zero,
+		);
+	}
+
+	const { from, to, value: amount, force } = call;
+
+	if (from === to) throw assetError('LSP7CannotSendToSelf');
+
+	if (caller !== from) {
+		const authorizedAmount = state.allowances[`${from}:${caller}`];
+		if (amount.gt(authorizedAmount)) {
+			throw assetError(
+				'LSP7AmountExceedsAuthorizedAmount',
+				from,
+				authorizedAmount,
+				caller,
+				amount,
+			);
+		}
+
+		updateLSP7Operator(state, from, caller, authorizedAmount.sub(amount));
+	}
+
+	if (from === ethers.constants.AddressZero || to === ethers.constants.AddressZero) {
+		throw assetError('LSP7CannotSendWithAddressZero');
+	}
+
+	const balance = state.balances[from];
+	if (amount.gt(balance)) throw assetError('LSP7AmountExceedsBalance', balance, from, amount);
+
+	state.balances[from] = balance.sub(amount);
+	state.balances[to] = state.balances[to].add(amount);
+
+	notifyTokenReceiver('LSP7', state, to, force);
+}
+
+// see `tokenOwnerOf(...)` in `LSP8IdentifiableDigitalAssetCore`
+function tokenOwnerOf(state, tokenId) {
+	const tokenOwner = state.owners[tokenId];
+	if (tokenOwner === ethers.constants.AddressZero) {
+		throw assetError('LSP8NonExistentTokenId', tokenId);
+	}
+
+	return tokenOwner;
+}
+
+function simulateLSP8(state, caller, call) {
+	if (call.method === 'mint') return mint('LSP8', state, caller, call);
+
+	const tokenId = call.value;
+	const tokenOwner = tokenOwnerOf(state, tokenId);
+	const operators = state.operators[tokenId];
+
+	if (call.method !== 'transfer') {
+		const { operator } = call;
+
+		if (tokenOwner !== caller)
+			throw assetError('LSP8NotTokenOwner', tokenOwner, tokenId, caller);
+
+		if (operator === ethers.constants.AddressZero) {
+			throw assetError('LSP8CannotUseAddressZeroAsOperator');
+		}
+
+		if (operator === tokenOwner) throw assetError('LSP8TokenOwnerCannotBeOperator');
+
+		if (call.method === 'authorizeOperator') {
+			if (operators.includes(operator)) {
+				throw assetError('LSP8OperatorAlreadyAuthorized', operator, tokenId);
+			}
+
+			state.operators[tokenId] = [...operators, operator];
+		} else {
+			if (!operators.includes(operator)) {
+				throw assetError('LSP8NonExistingOperator', operator, tokenId);
+			}
+
+			state.operators[tokenId] = operators.filter((address) => address !== operator);
+		}
+
+		return;
+	}
+
+	const { from, to, force } = call;
+
+	if (caller !== tokenOwner && !operators.includes(caller)) {
+		throw assetError('LSP8NotTokenOperator', tokenId, caller);
+	}
+
+	if (from === to) throw assetError('LSP8CannotSendToSelf');
+
+	if (tokenOwner !== from) throw assetError('LSP8NotTokenOwner', tokenOwner, tokenId, from);
+
+	if (to === ethers.constants.AddressZero) throw assetError('LSP8CannotSendToAddressZero');
+
+	// the operators of the token are cleared on each transfer
+	state.owners[tokenId] = to;
+	state.operators[tokenId] = [];
+
+	notifyTokenReceiver('LSP8', state, to, force);
+}
+
+// Client
+// ----------
+
+/**
+ * Create a client for an LSP7 or LSP8 asset, that builds its calls and previews them against the current state of
+ * the asset: the balances and operator allowances (LSP7), the owner and operators of each token ID (LSP8), the total
+ * supply and `tokenSupplyCap()` (for a mint), and for each recipient if it is a contract and if it supports the
+ * LSP1 interface via ERC165.
+ *
+ * The LSP7 calls take an `amount`, the LSP8 calls a `tokenId` (`bytes32`, see `encodeTokenId(...)` in
+ * `tools/tokenIds.js`).
+ *
+ * @param {object} options
+ * @param {string} options.asset the address of the LSP7 or LSP8 asset.
+ * @param {ethers.providers.Provider} options.provider the provider connected to the network of the asset.
+ * @param {string} [options.standard] `LSP7` or `LSP8` (default: detected with `supportsInterface(...)`).
+ * @param {number|string} [options.blockTag] read the state at this block (default: `latest`).
+ * @returns {object} the client, see the methods below.
+ *
+ * @example
+ * const token = createAssetClient({ asset: lsp7.address, provider });
+ * const { status, error, transaction } = await token.previewTransfer({ from, to: eoa, amount: 100 });
+ * // status: 'reverted', error.name: 'LSP7NotifyTokenReceiverIsEOA' -> retry with `force: true`
+ */
+function createAssetClient({ asset, provider, standard, blockTag = 'latest' }) {
+	const address = toAddress(asset, 'asset', 'assets');
+
+	if (standard !== undefined && standard !== 'LSP7' && standard !== 'LSP8') {
+		throw new Error(`assets: unknown standard ${standard} (must be LSP7 or LSP8)`);
+	}
+
+	let detectedStandard = standard;
+
+	async function getStandard() {
+		if (detectedStandard === undefined) {
+			if (
+				await supportsInterface(provider, address, INTERFACE_IDS.LSP7DigitalAsset, blockTag)
+			) {
+				detectedStandard = 'LSP7';
+			} else if (
+				await supportsInterface(
+					provider,
+					address,
+					INTERFACE_IDS.LSP8IdentifiableDigitalAsset,
+					blockTag,
+				)
+			) {
+				detectedStandard = 'LSP8';
+			} else {
+				throw new Error(`assets: ${address} is neither an LSP7 nor an LSP8 asset`);
+			}
+		}
+
+		return detectedStandard;
+	}
+
+	async function getRecipient(recipient) {
+		const to = toAddress(recipient, 'recipient', 'assets');
+
+		return {
+			address: to,
+			isContract: (await provider.getCode(to, blockTag)) !== '0x',
+			// `ERC165Checker.supportsERC165InterfaceUnchecked(...)`: false if the call reverts
+			supportsLSP1: await supportsInterface(
+				provider,
+				to,
+				INTERFACE_IDS.LSP1UniversalReceiver,
+				blockTag,
+			),
+		};
+	}
+
+	// read the part of the state of the asset that `calls` depend on
+	async function readState(assetStandard, calls) {
+		const contract = new ethers.Contract(address, ASSET_ABIS[assetStandard], provider);
+		const overrides = { blockTag };
+		const unique = (values) => [...new Set(values.filter((value) => value !== undefined))];
+
+		const state = { recipients: {}, balances: {}, allowances: {}, owners: {}, operators: {} };
+
+		for (const to of unique(calls.map((call) => call.to))) {
+			state.recipients[to] = await getRecipient(to);
+		}
+
+		if (calls.some(({ method }) => method === 'mint')) {
+			state.owner = await contract.owner(overrides);
+			state.totalSupply = await contract.totalSupply(overrides);
+			// not a `CappedSupply` asset if `tokenSupplyCap()` does not exist
+			state.tokenSupplyCap = await contract.tokenSupplyCap(overrides).catch(() => null);
+		}
+
+		if (assetStandard === 'LSP7') {
+			const accounts = unique(calls.flatMap(({ from, to }) => [from, to]));
+			for (const account of accounts) {
+				state.balances[account] = await contract.balanceOf(account, overrides);
+			}
+
+			return state;
+		}
+
+		for (const tokenId of unique(calls.map(({ value }) => value))) {
+			// `tokenOwnerOf(...)` reverts for a token ID not minted
+			state.owners[tokenId] = await contract
+				.tokenOwnerOf(tokenId, overrides)
+				.catch(() => ethers.constants.AddressZero);
+
+			state.operators[tokenId] =
+				state.owners[tokenId] === ethers.constants.AddressZero
+					? []
+					: await contract.getOperatorsOf(tokenId, overrides);
+		}
+
+		return state;
+	}
+
+	async function readAllowances(state, calls, caller) {
+		const contract = new ethers.Contract(address, ASSET_ABIS.LSP7, provider);
+
+		for (const { from } of calls.filter(({ method }) => method === 'transfer')) {
+			const key = `${from}:${caller}`;
+			if (from !== caller && state.allowances[key] === undefined) {
+				state.allowances[key] = await contract.authorizedAmountFor(caller, from, {
+					blockTag,
+				});
+			}
+		}
+	}
+
+	async function preview(calls, caller) {
+		const assetStandard = await getStandard();
+		const sender = toAddress(caller, 'caller', 'assets');
+		const data = encodeCalls(assetStandard, calls);
+
+		const state = await readState(assetStandard, calls);
+		if (assetStandard === 'LSP7') await readAllowances(state, calls, sender);
+
+		const transaction = buildCallFrom(await resolveAccount(provider, sender), address, data);
+		const simulate = assetStandard === 'LSP7' ? simulateLSP7 : simulateLSP8;
+
+		for (const [index, call] of calls.entries()) {
+			try {
+				simulate(state, sender, call);
+			} catch (error) {
+				if (error.revertData === undefined) throw error;
+
+				const result = { status: 'reverted', error: decodeRevertData(error.revertData) };
+				if (calls.length > 1) result.index = index;
+
+				return { ...result, transaction, recipients: state.recipients };
+			}
+		}
+
+		return { status: 'ok', transaction, recipients: state.recipients };
+	}
+
+	async function build(normalize) {
+		const assetStandard = await getStandard();
+		return { to: address, data: encodeCalls(assetStandard, normalize(assetStandard)) };
+	}
+
+	return {
+		/**
+		 * @returns {Promise<string>} `LSP7` or `LSP8`.
+		 */
+		getStandard,
+
+		/**
+		 * Check how a recipient can receive assets: a transfer with `force = false` reverts unless the recipient
+		 * `supportsLSP1`.
+		 *
+		 * @param {string} recipient the address of the recipient.
+		 * @returns {Promise<object>} `{ address, isContract, supportsLSP1 }`.
+		 */
+		getRecipient,
+
+		/**
+		 * Build a `transfer(...)` call.
+		 *
+		 * @param {object} transfer `{ from, to, amount | tokenId, force, data }` (`force` default: false, `data` default: `0x`).
+		 * @returns {Promise<{ to: string, data: string }>} the call to the asset.
+		 */
+		async buildTransfer(transfer) {
+			return build((assetStandard) => [normalizeTransfer(assetStandard, transfer)]);
+		},
+
+		/**
+		 * Build a `transferBatch(...)` call.
+		 *
+		 * @param {object[]} transfers the transfers, see `buildTransfer(...)`.
+		 * @returns {Promise<{ to: string, data: string }>} the call to the asset.
+		 */
+		async buildTransferBatch(transfers) {
+			if (transfers.length === 0) throw new Error('assets: no transfers to batch');
+
+			return build((assetStandard) =>
+				transfers.map((transfer) => normalizeTransfer(assetStandard, transfer)),
+			);
+		},
+
+		/**
+		 * Build an `authorizeOperator(...)` call, that the token owner sends.
+		 *
+		 * @param {object} params `{ operator, amount }` (LSP7) or `{ operator, tokenId }` (LSP8).
+		 * @returns {Promise<{ to: string, data: string }>} the call to the asset.
+		 */
+		async buildAuthorizeOperator(params) {
+			return build((assetStandard) => [
+				normalizeOperatorChange(assetStandard, 'authorizeOperator', params),
+			]);
+		},
+
+		/**
+		 * Build a `revokeOperator(...)` call, that the token owner sends.
+		 *
+		 * @param {object} params `{ operator }` (LSP7) or `{ operator, tokenId }` (LSP8).
+		 * @returns {Promise<{ to: string, data: string }>} the call to the asset.
+		 */
+		async buildRevokeOperator(params) {
+			return build((assetStandard) => [
+				normalizeOperatorChange(assetStandard, 'revokeOperator', params),
+			]);
+		},
+
+		/**
+		 * Build a `mint(...)` call of the `LSP7Mintable` / `LSP8Mintable` presets, that the owner of the asset sends.
+		 *
+		 * @param {object} params `{ to, amount | tokenId, force, data }`.
+		 * @returns {Promise<{ to: string, data: string }>} the call to the asset.
+		 */
+		async buildMint(params) {
+			return build((assetStandard) => [normalizeMint(assetStandard, params)]);
+		},
+
+		/**
+		 * Preview a `transfer(...)` call.
+		 *
+		 * The previews return:
+		 *  - `status`: `ok`, or `reverted` with the `error` the asset reverts with, decoded by `decodeRevertData(...)`
+		 *    (and the `index` of the transfer that reverts in a batch).
+		 *  - `transaction`: the `{ to, data }` to send from the EOA at the end of the chain of owners of the caller
+		 *    (see `buildCallFrom(...)` in `tools/ownership.js`).
+		 *  - `recipients`: the result of `getRecipient(...)` for each recipient, by address.
+		 *
+		 * @param {object} transfer see `buildTransfer(...)`.
+		 * @param {object} [options]
+		 * @param {string} [options.caller] the `msg.sender` of the call, e.g: an operator (default: `transfer.from`).
+		 * @returns {Promise<object>} `{ status, error?, transaction, recipients }`.
+		 */
+		async previewTransfer(transfer, options = {}) {
+			const assetStandard = await getStandard();
+			const call = normalizeTransfer(assetStandard, transfer);
+
+			return preview([call], options.caller || call.from);
+		},
+
+		/**
+		 * Preview a `transferBatch(...)` call: the transfers are simulated in order, each one on the state left by
+		 * the previous ones.
+		 *
+		 * @param {object[]} transfers see `buildTransfer(...)`.
+		 * @param {object} options
+		 * @param {string} options.caller the `msg.sender` of the call.
+		 * @returns {Promise<object>} `{ status, error?, index?, transaction, recipients }`, see `previewTransfer(...)`.
+		 */
+		async previewTransferBatch(transfers, { caller } = {}) {
+			if (transfers.length === 0) throw new Error('assets: no transfers to batch');
+
+			const assetStandard = await getStandard();
+			return preview(
+				transfers.map((transfer) => normalizeTransfer(assetStandard, transfer)),
+				caller,
+			);
+		},
+
+		/**
+		 * Preview an `authorizeOperator(...)` call.
+		 *
+		 * @param {object} params see `buildAuthorizeOperator(...)`.
+		 * @param {object} options
+		 * @param {string} options.caller the token owner.
+		 * @returns {Promise<object>} `{ status, error?, transaction, recipients }`, see `previewTransfer(...)`.
+		 */
+		async previewAuthorizeOperator(params, { caller } = {}) {
+			const assetStandard = await getStandard();
+			return preview(
+				[normalizeOperatorChange(assetStandard, 'authorizeOperator', params)],
+				caller,
+			);
+		},
+
+		/**
+		 * Preview a `revokeOperator(...)` call.
+		 *
+		 * @param {object} params see `buildRevokeOperator(...)`.
+		 * @param {object} options
+		 * @param {string} options.caller the token owner.
+		 * @returns {Promise<object>} `{ status, error?, transaction, recipients }`, see `previewTransfer(...)`.
+		 */
+		async previewRevokeOperator(params, { caller } = {}) {
+			const assetStandard = await getStandard();
+			return preview(
+				[normalizeOperatorChange(assetStandard, 'revokeOperator', params)],
+				caller,
+			);
+		},
+
+		/**
+		 * Preview a `mint(...)` call, including the `tokenSupplyCap()` of the `CappedSupply` assets.
+		 *
+		 * @param {object} params see `buildMint(...)`.
+		 * @param {object} [options]
+		 * @param {string} [options.caller] the `msg.sender` of the call (default: the owner of the asset).
+		 * @returns {Promise<object>} `{ status, error?, transaction, recipients }`, see `previewTransfer(...)`.
+		 */
+		async previewMint(params, options = {}) {
+			const assetStandard = await getStandard();
+			const call = normalizeMint(assetStandard, params);
+			const caller =
+				options.caller ||
+				(await new ethers.Contract(address, ASSET_ABIS[assetStandard], provider).owner({
+					blockTag,
+				}));
+
+			return preview([call], caller);
+		},
+	};
+}
+
+module.exports = {
+	createAssetClient,
+};
@@ -0,0 +1,663 @@
+/**
+ * Decode the calldata of a transaction sent to a Universal Profile, a Key Manager or an asset, and explain what it does.
+ *
+ * The payloads nested inside the calldata are decoded recursively, e.g:
+ * `executeRelayCall(...)` on the Key Manager -> `execute(operation, to, value, data)` on the Universal Profile
+ * -> `transfer(...)` on an LSP7 asset. Each call is decoded into a node of a tree:
+ *  - the functions of the LSP contracts are decoded with the human-readable ABI below, then with the ABIs of the
+ *    artifacts shipped in the `artifacts/` folder of the package (when built).
+ *  - the data keys set with `setData(...)` are labelled with their name in `ERC725YDataKeys` (constants.js), and
+ *    the permissions with their name in `PERMISSIONS`.
+ */
+const { ethers } = require('ethers');
+
+const { ERC725YDataKeys, OPERATION_TYPES } = require('../constants');
+const { decodeData } = require('./dataValues');
+const { decodePermissions, getUnknownPermissionBits } = require('./permissions');
+const { decodeNonce } = require('./relayCall');
+const { findSchemaForKey } = require('./schemas');
+const { getTypeIdName } = require('./universalReceiver');
+const { toNamedValues } = require('./utils');
+
+/**
+ * The functions decoded (and explained) by default, as human-readable ABI, keyed by the contract or standard
+ * they belong to.
+ */
+const FUNCTION_ABIS = {
+	LSP6KeyManager: [
+		'function execute(bytes payload) payable returns (bytes)',
+		'function execute(uint256[] values, bytes[] payloads) payable returns (bytes[])',
+		'function executeRelayCall(bytes signature, uint256 nonce, bytes payload) payable returns (bytes)',
+		'function executeRelayCall(bytes[] signatures, uint256[] nonces, uint256[] values, bytes[] payloads) payable returns (bytes[])',
+	],
+	ERC725X: [
+		'function execute(uint256 operationType, address target, uint256 value, bytes data) payable returns (bytes)',
+		'function execute(uint256[] operationsType, address[] targets, uint256[] values, bytes[] datas) payable returns (bytes[])',
+	],
+	ERC725Y: [
+		'function setData(bytes32 dataKey, bytes dataValue) payable',
+		'function setData(bytes32[] dataKeys, bytes[] dataValues) payable',
+	],
+	LSP1UniversalReceiver: [
+		'function universalReceiver(bytes32 typeId, bytes receivedData) payable returns (bytes)',
+	],
+	LSP14Ownable2Step: [
+		'function transferOwnership(address newOwner)',
+		'function acceptOwnership()',
+		'function renounceOwnership()',
+	],
+	LSP7DigitalAsset: [
+		'function authorizeOperator(address operator, uint256 amount)',
+		'function revokeOperator(address operator)',
+		'function transfer(address from, address to, uint256 amount, bool allowNonLSP1Recipient, bytes data)',
+		'function transferBatch(address[] from, address[] to, uint256[] amount, bool[] allowNonLSP1Recipient, bytes[] data)',
+	],
+	LSP8IdentifiableDigitalAsset: [
+		'function authorizeOperator(address operator, bytes32 tokenId)',
+		'function revokeOperator(address operator, bytes32 tokenId)',
+		'function transfer(address from, address to, bytes32 tokenId, bool allowNonLSP1Recipient, bytes data)',
+		'function transferBatch(address[] from, address[] to, bytes32[] tokenId, bool[] allowNonLSP1Recipient, bytes[] data)',
+	],
+};
+
+// the contracts whose artifacts (`artifacts/<contractName>.json`) are used to decode the other functions
+const PACKAGED_CONTRACTS = [
+	'UniversalProfile',
+	'LSP6KeyManager',
+	'LSP7Mintable',
+	'LSP8Mintable',
+	'LSP9Vault',
+	'LSP11BasicSocialRecovery',
+	'LSP16UniversalFactory',
+];
+
+// e.g: 0 -> 'CALL'
+const OPERATION_NAMES = Object.entries(OPERATION_TYPES).reduce((names, [name, operationType]) => {
+	names[operationType] = name;
+	return names;
+}, {});
+
+// add the functions of an ABI to a lookup keyed by selector, without overriding the functions already listed
+function addFunctions(lookup, contract, abi) {
+	const contractInterface = new ethers.utils.Interface(abi);
+
+	Object.values(contractInterface.functions).forEach((fragment) => {
+		const selector = contractInterface.getSighash(fragment);
+		if (lookup[selector] === undefined) {
+			lookup[selector] = { contract, fragment, contractInterface };
+		}
+	});
+
+	return lookup;
+}
+
+const DEFAULT_FUNCTIONS = Object.entries(FUNCTION_ABIS).reduce(
+	(lookup, [contract, abi]) => addFunctions(lookup, contract, abi),
+	{},
+);
+
+let packagedFunctions;
+
+// the functions of the packaged artifacts, loaded once. The artifacts are only present in a built package
+function getPackagedFunctions() {
+	if (packagedFunctions === undefined) {
+		packagedFunctions = PACKAGED_CONTRACTS.reduce((lookup, contractName) => {
+			let artifact;
+			try {
+				artifact = require(`../artifacts/${contractName}.json`);
+			} catch (error) {
+				return lookup;
+			}
+
+			return addFunctions(lookup, contractName, artifact.abi);
+		}, {});
+	}
+
+	return packagedFunctions;
+}
+
+// the data keys of `ERC725YDataKeys`, the most specific first
+const DATA_KEY_NAMES = Object.entries(ERC725YDataKeys)
+	.flatMap(([standard, dataKeys]) =>
+		Object.entries(dataKeys).flatMap(([name, dataKey]) =>
+			typeof dataKey === 'string'
+				? [{ standard, name, prefix: dataKey.toLowerCase(), isArrayIndex: false }]
+				: [
+						{
+							standard,
+							name,
+							prefix: dataKey.length.toLowerCase(),
+							isArrayIndex: false,
+						},
+						{ standard, name, prefix: dataKey.index.toLowerCase(), isArrayIndex: true },
+				  ],
+		),
+	)
+	.sort((a, b) => b.prefix.length - a.prefix.length);
+
+/**
+ * Label a data key with its name in `ERC725YDataKeys`.
+ *
+ * @param {string} dataKey the raw `bytes32` data key.
+ * @returns {object} `{ dataKey, standard, name, dynamicPart, label }`, where:
+ *  - `name` is the name of the data key (or of its prefix) in `ERC725YDataKeys` (e.g: `AddressPermissions:Permissions`).
+ *  - `dynamicPart` is the index of an element of an Array, or the part of the data key following the prefix
+ *    (e.g: the address of the controller), as `findSchemaForKey(...)` in `tools/schemas.js`.
+ *  - `label` is a readable version of the data key (e.g: `AddressPermissions:Permissions:0xcafe...`).
+ *
+ * `standard`, `name` and `dynamicPart` are `null` and `label` is the data key for the data keys not listed
+ * in `ERC725YDataKeys`.
+ */
+function labelDataKey(dataKey) {
+	if (!ethers.utils.isHexString(dataKey, 32)) {
+		throw new Error(`calldata: invalid dataKey ${dataKey} (must be bytes32)`);
+	}
+
+	const key = dataKey.toLowerCase();
+	const entry = DATA_KEY_NAMES.find(({ prefix }) => key.startsWith(prefix));
+
+	if (entry === undefined) {
+		return { dataKey: key, standard: null, name: null, dynamicPart: null, label: key };
+	}
+
+	const { standard, name, prefix, isArrayIndex } = entry;
+
+	if (prefix === key) {
+		return { dataKey: key, standard, name, dynamicPart: null, label: name };
+	}
+
+	if (isArrayIndex) {
+		const index = ethers.BigNumber.from('0x' + key.substring(prefix.length)).toString();
+		return {
+			dataKey: key,
+			standard,
+			name,
+			dynamicPart: index,
+			label: `${name.replace(/\[\]$/, '')}[${index}]`,
+		};
+	}
+
+	// use the `<type>` of the schema of the data key, if any (e.g: a checksummed `<address>`)
+	const schemaResult = findSchemaForKey(key);
+	const dynamicPart =
+		schemaResult !== null && schemaResult.dynamicPart !== null && prefix.length === 26
+			? schemaResult.dynamicPart
+			: '0x' + key.substring(prefix.length);
+
+	return {
+		dataKey: key,
+		standard,
+		name,
+		dynamicPart,
+		label: `${name.replace(/Prefix$/, '')}:${dynamicPart}`,
+	};
+}
+
+// decode the value set for a data key: the names of the permissions, or the value decoded with the schema of the key
+function decodeDataValue({ dataKey, name }, dataValue) {
+	if (name === null || dataValue === '0x') return null;
+
+	if (name === 'AddressPermissions:Permissions') {
+		if (!ethers.utils.isHexString(dataValue, 32)) return null;
+
+		const permissions = decodePermissions(dataValue);
+		return [
+			...Object.keys(permissions).filter((permission) => permissions[permission]),
+			...getUnknownPermissionBits(dataValue),
+		];
+	}
+
+	try {
+		const [{ value }] = decodeData([dataKey], [dataValue]);
+		return value;
+	} catch (error) {
+		return null;
+	}
+}
+
+function formatDataValue(dataKey) {
+	const { name, value, decodedValue } = dataKey;
+
+	if (value === '0x') return '(removed)';
+	if (name === 'AddressPermissions:Permissions' && decodedValue !== null) {
+		return decodedValue.length === 0 ? '(no permissions)' : decodedValue.join(', ');
+	}
+	if (decodedValue === null) return value;
+
+	return typeof decodedValue === 'string' ? decodedValue : JSON.stringify(decodedValue);
+}
+
+function formatLYX(value) {
+	return `${ethers.utils.formatEther(value)} LYX`;
+}
+
+function formatAddress(address, unknown) {
+	return address === null ? unknown : address;
+}
+
+function createNode(to, value, operation) {
+	return {
+		to,
+		value: ethers.BigNumber.from(value).toString(),
+		...(operation !== undefined && { operation }),
+		selector: null,
+		function: null,
+		contract: null,
+		args: null,
+		description: null,
+		calls: [],
+	};
+}
+
+// Explain each function decoded by default, keyed by signature: set the description of the node, and decode
+// the calls it makes (`node.calls`) or the data keys it sets (`node.dataKeys`).
+const EXPLAIN = {
+	// LSP6KeyManager
+
+	'execute(bytes)': (node, args, context) => {
+		const target = formatAddress(context.target, 'the linked account');
+		node.description = `execute a payload on ${target}`;
+		node.calls = [decodeCall(args.payload, context.target, node.value, context)];
+	},
+	'execute(uint256[],bytes[])': (node, args, context) => {
+		node.description = `execute ${args.payloads.length} payload(s) on ${formatAddress(
+			context.target,
+			'the linked account',
+		)}`;
+
+		if (args.values.length !== args.payloads.length) {
+			node.error = 'the number of values and payloads differ';
+			return;
+		}
+
+		node.calls = args.payloads.map((payload, index) =>
+			decodeCall(payload, context.target, args.values[index], context),
+		);
+	},
+	'executeRelayCall(bytes,uint256,bytes)': (node, args, context) => {
+		const { channelId, nonceInChannel } = decodeNonce(args.nonce);
+
+		node.description = `relay a payload signed for the nonce ${nonceInChannel} of the channel ${channelId}`;
+		node.calls = [decodeCall(args.payload, context.target, node.value, context)];
+	},
+	'executeRelayCall(bytes[],uint256[],uint256[],bytes[])': (node, args, context) => {
+		node.description = `relay ${args.payloads.length} signed payload(s)`;
+
+		if (
+			[args.signatures, args.nonces, args.values].some(
+				(list) => list.length !== args.payloads.length,
+			)
+		) {
+			node.error = 'the number of signatures, nonces, values and payloads differ';
+			return;
+		}
+
+		node.calls = args.payloads.map((payload, index) =>
+			decodeCall(payload, context.target, args.values[index], context),
+		);
+	},
+
+	// ERC725X
+
+	'execute(uint256,address,uint256,bytes)': (node, args, context) => {
+		node.description = `execute a ${
+			OPERATION_NAMES[args.operationType] || `operation ${args.operationType}`
+		} from ${formatAddress(node.to, 'the account')}`;
+		node.calls = [
+			decodeOperation(
+				node.to,
+				args.operationType,
+				args.target,
+				args.value,
+				args.data,
+				context,
+			),
+		];
+	},
+	'execute(uint256[],address[],uint256[],bytes[])': (node, args, context) => {
+		node.description = `execute ${args.operationsType.length} operation(s) from ${formatAddress(
+			node.to,
+			'the account',
+		)}`;
+
+		if (
+			[args.targets, args.values, args.datas].some(
+				(list) => list.length !== args.operationsType.length,
+			)
+		) {
+			node.error = 'the number of operations, targets, values and datas differ';
+			return;
+		}
+
+		node.calls = args.operationsType.map((operationType, index) =>
+			decodeOperation(
+				node.to,
+				operationType,
+				args.targets[index],
+				args.values[index],
+				args.datas[index],
+				context,
+			),
+		);
+	},
+
+	// ERC725Y
+
+	'setData(bytes32,bytes)': (node, args) => {
+		explainSetData(node, [args.dataKey], [args.dataValue]);
+	},
+	'setData(bytes32[],bytes[])': (node, args) => {
+		if (args.dataKeys.length !== args.dataValues.length) {
+			node.description = `set ${args.dataKeys.length} data key(s)`;
+			node.error = 'the number of data keys and data values differ';
+			return;
+		}
+
+		explainSetData(node, args.dataKeys, args.dataValues);
+	},
+
+	// LSP1 and LSP14
+
+	'universalReceiver(bytes32,bytes)': (node, args) => {
+		node.description = `notify ${formatAddress(node.to, 'the contract')} with the type ID ${
+			getTypeIdName(args.typeId) || args.typeId
+		}`;
+	},
+	'transferOwnership(address)': (node, args) => {
+		node.description = `transfer the ownership of ${formatAddress(
+			node.to,
+			'the contract',
+		)} to ${args.newOwner}`;
+	},
+	'acceptOwnership()': (node) => {
+		node.description = `accept the ownership of ${formatAddress(node.to, 'the contract')}`;
+	},
+	'renounceOwnership()': (node) => {
+		node.description = `renounce the ownership of ${formatAddress(node.to, 'the contract')}`;
+	},
+
+	// LSP7
+
+	'authorizeOperator(address,uint256)': (node, args) => {
+		node.description = `authorize ${args.operator} to transfer ${
+			args.amount
+		} tokens of ${formatAddress(node.to, 'the asset')}`;
+	},
+	'revokeOperator(address)': (node, args) => {
+		node.description = `revoke ${args.operator} as an operator of ${formatAddress(
+			node.to,
+			'the asset',
+		)}`;
+	},
+	'transfer(address,address,uint256,bool,bytes)': (node, args) => {
+		node.description = `transfer ${args.amount} tokens of ${formatAddress(
+			node.to,
+			'the asset',
+		)} from ${args.from} to ${args.to}`;
+	},
+	'transferBatch(address[],address[],uint256[],bool[],bytes[])': (node, args) => {
+		node.description = `transfer tokens of ${formatAddress(node.to, 'the asset')} ${
+			args.from.length
+		} time(s)`;
+		node.details = args.from.map(
+			(from, index) => `${args.amount[index]} tokens from ${from} to ${args.to[index]}`,
+		);
+	},
+
+	// LSP8
+
+	'authorizeOperator(address,bytes32)': (node, args) => {
+		node.description = `authorize ${args.operator} to transfer the token ${
+			args.tokenId
+		} of ${formatAddress(node.to, 'the asset')}`;
+	},
+	'revokeOperator(address,bytes32)': (node, args) => {
+		node.description = `revoke ${args.operator} as an operator of the token ${
+			args.tokenId
+		} of ${formatAddress(node.to, 'the asset')}`;
+	},
+	'transfer(address,address,bytes32,bool,bytes)': (node, args) => {
+		node.description = `transfer the token ${args.tokenId} of ${formatAddress(
+			node.to,
+			'the asset',
+		)} from ${args.from} to ${args.to}`;
+	},
+	'transferBatch(address[],address[],bytes32[],bool[],bytes[])': (node, args) => {
+		node.description = `transfer ${args.from.length} token(s) of ${formatAddress(
+			node.to,
+			'the asset',
+		)}`;
+		node.details = args.from.map(
+			(from, index) => `token ${args.tokenId[index]} from ${from} to ${args.to[index]}`,
+		);
+	},
+};
+
+function explainSetData(node, dataKeys, dataValues) {
+	node.description = `set ${dataKeys.length} data key(s) on ${formatAddress(
+		node.to,
+		'the account',
+	)}`;
+
+	node.dataKeys = dataKeys.map((dataKey, index) => {
+		const labelled = labelDataKey(dataKey);
+		const value = dataValues[index].toLowerCase();
+
+		return { ...labelled, value, decodedValue: decodeDataValue(labelled, value) };
+	});
+
+	node.details = node.dataKeys.map((dataKey) => `${dataKey.label} = ${formatDataValue(dataKey)}`);
+}
+
+// decode an operation executed via ERC725X `execute(...)` by `account`
+function decodeOperation(account, operationType, target, value, data, context) {
+	const operation = OPERATION_NAMES[operationType] || `operation ${operationType}`;
+
+	if (operation !== 'CREATE' && operation !== 'CREATE2') {
+		const node = decodeCall(data, target, value, context, operation);
+		if (OPERATION_NAMES[operationType] === undefined) node.error = 'unknown operation type';
+
+		return node;
+	}
+
+	const node = createNode(null, value, operation);
+
+	if (operation === 'CREATE') {
+		node.description = 'deploy a contract with CREATE';
+		return node;
+	}
+
+	if (ethers.utils.hexDataLength(data) < 32) {
+		node.description = 'deploy a contract with CREATE2';
+		node.error = 'the data must end with a bytes32 salt';
+		return node;
+	}
+
+	// the salt is appended to the bytecode
+	const salt = ethers.utils.hexDataSlice(data, ethers.utils.hexDataLength(data) - 32);
+	node.args = { salt };
+	node.description = `deploy a contract with CREATE2 (salt ${salt})`;
+
+	if (account !== null) {
+		node.to = ethers.utils.getCreate2Address(
+			account,
+			salt,
+			ethers.utils.keccak256(
+				ethers.utils.hexDataSlice(data, 0, ethers.utils.hexDataLength(data) - 32),
+			),
+		);
+		node.description += ` at ${node.to}`;
+	}
+
+	return node;
+}
+
+// decode a call to `to` with `data` and `value`, and the calls nested inside it
+function decodeCall(data, to, value, context, operation) {
+	const node = createNode(to, value, operation);
+	const target = formatAddress(to, 'the linked account');
+
+	if (ethers.utils.hexDataLength(data) < 4) {
+		node.description = ethers.BigNumber.from(value).isZero()
+			? `call ${target}${data === '0x' ? '' : ` with the data ${data}`}`
+			: `send ${formatLYX(value)} to ${target}`;
+		return node;
+	}
+
+	node.selector = ethers.utils.hexDataSlice(data, 0, 4);
+
+	const entry = context.functions[node.selector] || getPackagedFunctions()[node.selector];
+	if (entry === undefined) {
+		node.description = `call the function ${node.selector} of ${target}`;
+		return node;
+	}
+
+	const { contract, fragment, contractInterface } = entry;
+	node.function = fragment.format();
+	node.contract = contract;
+
+	let decoded;
+	try {
+		decoded = contractInterface.decodeFunctionData(fragment, data);
+	} catch (error) {
+		node.description = `call ${fragment.name}(...) on ${target}`;
+		node.error = `could not decode the arguments of ${node.function}`;
+		return node;
+	}
+
+	node.args = toNamedValues(fragment.inputs, decoded);
+
+	// only explain the functions of the default ABI (the ones from other ABIs may have the same signature)
+	if (DEFAULT_FUNCTIONS[node.selector] === entry) {
+		EXPLAIN[node.function](node, node.args, context);
+	} else {
+		node.description = `call ${fragment.name}(...) on ${target}`;
+	}
+
+	return node;
+}
+
+/**
+ * Decode the calldata of a transaction, and the payloads nested inside it.
+ *
+ * @param {object} transaction
+ * @param {string} transaction.data the calldata.
+ * @param {string} [transaction.to] the address called (e.g: the Key Manager).
+ * @param {number|string|ethers.BigNumber} [transaction.value] the native tokens sent (default: 0).
+ * @param {object} [options]
+ * @param {string} [options.target] the account linked to the Key Manager called, to which its payloads are sent.
+ * @param {object} [options.abis] the ABIs of other contracts to decode their functions, keyed by contract name
+ * (e.g: `{ MyContract: abi }`).
+ * @returns {object} the call, as a tree of nodes `{ to, value, operation, selector, function, contract, args,
+ * description, calls }`, where:
+ *  - `to` is the address called (`null` if unknown, e.g: the target of the Key Manager when `options.target` is not
+ *    set), or the address of a contract deployed with CREATE2.
+ *  - `value` is the native tokens sent (decimal string).
+ *  - `operation` is the ERC725X operation (`CALL`, `CREATE`, `CREATE2`, `STATICCALL` or `DELEGATECALL`), for the
+ *    calls made by an account via `execute(...)`.
+ *  - `selector`, `function` (e.g: `transfer(address,address,uint256,bool,bytes)`), `contract` and `args` (keyed by
+ *    parameter name) are `null` if the function is unknown.
+ *  - `description` explains what the call does.
+ *  - `calls` are the calls nested inside it (e.g: the payload of `execute(bytes)` on the Key Manager).
+ *  - `dataKeys`: for `setData(...)`, the data keys set, labelled with `labelDataKey(...)`, with their `value` and
+ *    `decodedValue` (the names of the permissions for `AddressPermissions:Permissions:<address>`).
+ *  - `details`: lines detailing the call (e.g: each data key set, or each transfer of a batch).
+ *  - `error`: why the call could not be decoded entirely, if any.
+ *
+ * @example
+ * decodeCalldata({ to: keyManager.address, data }, { target: universalProfile.address });
+ * // {
+ * //   to: '0x...',
+ * //   function: 'execute(bytes)',
+ * //   contract: 'LSP6KeyManager',
+ * //   description: 'execute a payload on 0x...',
+ * //   calls: [{ function: 'execute(uint256,address,uint256,bytes)', calls: [{ operation: 'CALL', ... }], ... }],
+ * //   ...
+ * // }
+ */
+function decodeCalldata(transaction, options = {}) {
+	const { data, to = null, value = 0 } = transaction;
+	const { target = null, abis = {} } = options;
+
+	if (!ethers.utils.isHexString(data)) {
+		throw new Error(`calldata: invalid data ${data} (must be a hex string)`);
+	}
+
+	[
+		['to', to],
+		['target', target],
+	].forEach(([name, address]) => {
+		if (address !== null && !ethers.utils.isAddress(address)) {
+			throw new Error(`calldata: invalid ${name} ${address}`);
+		}
+	});
+
+	const functions = Object.entries(abis).reduce(
+		(lookup, [contract, abi]) => addFunctions(lookup, contract, abi),
+		{ ...DEFAULT_FUNCTIONS },
+	);
+
+	return decodeCall(data, to === null ? null : ethers.utils.getAddress(to), value, {
+		target: target === null ? null : ethers.utils.getAddress(target),
+		functions,
+	});
+}
+
+function renderNode(node) {
+	const name =
+		node.function !== null
+			? `${node.contract}.${node.function}`
+			: node.selector ||
+			  (node.operation === 'CREATE' || node.operation === 'CREATE2' ? 'deploy' : 'call');
+
+	let line = `${node.operation !== undefined ? `[${node.operation}] ` : ''}${name}: ${
+		node.description
+	}`;
+
+	if (node.value !== '0') line += ` (value: ${formatLYX(node.value)})`;
+	if (node.error !== undefined) line += ` (error: ${node.error})`;
+
+	return line;
+}
+
+/**
+ * Render a call decoded by `decodeCalldata(...)` as a human readable tree.
+ *
+ * @param {object} node the call decoded by `decodeCalldata(...)`.
+ * @returns {string}
+ *
+ * @example
+ * console.log(renderCalldata(decodeCalldata({ to: keyManager.address, data }, { target: universalProfile.address })));
+ * // LSP6KeyManager.execute(bytes): execute a payload on 0xUniversalProfile
+ * // └─ ERC725X.execute(uint256,address,uint256,bytes): execute a CALL from 0xUniversalProfile
+ * //    └─ [CALL] LSP7DigitalAsset.transfer(address,address,uint256,bool,bytes): transfer 10 tokens of 0xToken from 0x... to 0x...
+ */
+function renderCalldata(node) {
+	const lines = [renderNode(node)];
+
+	const children = [
+		...(node.details || []).map((detail) => [detail]),
+		...node.calls.map((call) => renderCalldata(call).split('\n')),
+	];
+
+	children.forEach((childLines, index) => {
+		const isLast = index === children.length - 1;
+
+		childLines.forEach((childLine, lineIndex) => {
+			if (lineIndex === 0) {
+				lines.push(`${isLast ? '└─' : '├─'} ${childLine}`);
+			} else {
+				lines.push(`${isLast ? '   ' : '│  '}${childLine}`);
+			}
+		});
+	});
+
+	return lines.join('\n');
+}
+
+module.exports = {
+	FUNCTION_ABIS,
+	labelDataKey,
+	decodeCalldata,
+	renderCalldata,
+};
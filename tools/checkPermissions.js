@@ -0,0 +1,511 @@
+/**
+ * Predict off-chain if the LSP6 Key Manager would allow a controller to execute a payload on its linked account,
+ * by applying the same rules as `LSP6KeyManagerCore._verifyPermissions(...)` to a snapshot of the account storage
+ * (see `tools/snapshot.js`).
+ */
+const { ethers } = require('ethers');
+
+const { ERC725YDataKeys, Errors, LSP1_TYPE_IDS, PERMISSIONS } = require('../constants');
+const { getControllerDataKeys, encodeController } = require('./controllers');
+const { generateArrayElementKeyAtIndex } = require('./dataKeys');
+const { PANIC_SELECTOR, decodeRevertData } = require('./errors');
+const { isValidAllowedCalls, isValidAllowedERC725YDataKeys } = require('./restrictions');
+
+const ERC725_INTERFACE = new ethers.utils.Interface([
+	'function setData(bytes32 dataKey, bytes dataValue)',
+	'function setData(bytes32[] dataKeys, bytes[] dataValues)',
+	'function execute(uint256 operationType, address target, uint256 value, bytes data)',
+	'function transferOwnership(address newOwner)',
+	'function acceptOwnership()',
+]);
+
+const SELECTORS = {
+	setData: ERC725_INTERFACE.getSighash('setData(bytes32,bytes)'),
+	setDataBatch: ERC725_INTERFACE.getSighash('setData(bytes32[],bytes[])'),
+	execute: ERC725_INTERFACE.getSighash('execute'),
+	transferOwnership: ERC725_INTERFACE.getSighash('transferOwnership'),
+	acceptOwnership: ERC725_INTERFACE.getSighash('acceptOwnership'),
+};
+
+const LSP6_ERRORS = new ethers.utils.Interface(
+	Object.values(Errors.LSP6).map(({ error }) => `error ${error}`),
+);
+
+// see `LSP6KeyManagerCore._getPermissionName(...)`
+const PERMISSION_NAMES = {
+	CHANGEOWNER: 'TRANSFEROWNERSHIP',
+};
+
+// see `LSP6KeyManagerCore._extractPermissionFromOperation(...)` and `_extractSuperPermissionFromOperation(...)`
+const OPERATION_PERMISSIONS = [
+	{ permission: 'CALL', superPermission: 'SUPER_CALL' },
+	{ permission: 'DEPLOY', superPermission: null },
+	{ permission: 'DEPLOY', superPermission: null },
+	{ permission: 'STATICCALL', superPermission: 'SUPER_STATICCALL' },
+	{ permission: 'DELEGATECALL', superPermission: 'SUPER_DELEGATECALL' },
+];
+
+const WILDCARD_INTERFACE_ID = '0xffffffff';
+const WILDCARD_ADDRESS = '0xffffffffffffffffffffffffffffffffffffffff';
+const WILDCARD_ALLOWED_CALL = '0xffffffffffffffffffffffffffffffffffffffffffffffffffffffff';
+
+// Panic(uint256) codes the Key Manager can revert with while verifying the permissions
+const PANIC_ARITHMETIC = 0x11;
+const PANIC_OUT_OF_BOUNDS = 0x32;
+
+// an error thrown while verifying the permissions, with the data the Key Manager would revert with
+function revertWith(revertData) {
+	return Object.assign(new Error('checkPermissions: reverted'), { revertData });
+}
+
+function lsp6Error(name, ...args) {
+	return revertWith(LSP6_ERRORS.encodeErrorResult(name, args));
+}
+
+function panic(code) {
+	return revertWith(
+		ethers.utils.hexConcat([
+			PANIC_SELECTOR,
+			ethers.utils.defaultAbiCoder.encode(['uint256'], [code]),
+		]),
+	);
+}
+
+// `bytes32(value)` in Solidity: the first 32 bytes, right padded with zeros
+function toBytes32(value) {
+	return ethers.utils.hexDataSlice(
+		ethers.utils.hexConcat([value, ethers.constants.HashZero]),
+		0,
+		32,
+	);
+}
+
+/**
+ * Rebuild the raw values read by the Key Manager from a snapshot, as a `getData(dataKey)` function.
+ * Data keys not covered by the snapshot (e.g: an LSP17 extension for a selector not checked) are considered empty.
+ */
+function createSnapshotReader(snapshot) {
+	const values = {};
+	const controllers = snapshot.controllers || [];
+	const permissionsArrayKey = ERC725YDataKeys.LSP6['AddressPermissions[]'].length;
+
+	values[permissionsArrayKey] = ethers.utils.hexZeroPad(
+		ethers.utils.hexlify(controllers.length),
+		32,
+	);
+
+	controllers.forEach((controller, index) => {
+		values[generateArrayElementKeyAtIndex(permissionsArrayKey, index).toLowerCase()] =
+			controller.address;
+
+		// an element of `AddressPermissions[]` that is not an address, kept raw in the snapshot
+		if (!ethers.utils.isAddress(controller.address)) return;
+
+		const dataKeys = getControllerDataKeys(controller.address);
+		const encoded = encodeController(controller);
+
+		values[dataKeys.permissions] = encoded.permissions;
+		values[dataKeys.allowedCalls] = encoded.allowedCalls;
+		values[dataKeys.allowedERC725YDataKeys] = encoded.allowedERC725YDataKeys;
+	});
+
+	const { default: defaultDelegate, typeIds = {} } = snapshot.LSP1UniversalReceiverDelegate || {};
+
+	if (defaultDelegate) {
+		values[ERC725YDataKeys.LSP1.LSP1UniversalReceiverDelegate] = defaultDelegate;
+	}
+
+	Object.entries(typeIds).forEach(([name, delegate]) => {
+		const typeId = LSP1_TYPE_IDS[name] || name;
+
+		const dataKey = ethers.utils.hexConcat([
+			ERC725YDataKeys.LSP1.LSP1UniversalReceiverDelegatePrefix,
+			ethers.utils.hexDataSlice(typeId, 0, 20),
+		]);
+
+		values[dataKey.toLowerCase()] = delegate;
+	});
+
+	Object.entries(snapshot.LSP17Extensions || {}).forEach(([selector, extension]) => {
+		const dataKey = ethers.utils.hexConcat([
+			ERC725YDataKeys.LSP17.LSP17ExtensionPrefix,
+			selector,
+			ethers.utils.hexZeroPad('0x', 16),
+		]);
+
+		values[dataKey.toLowerCase()] = extension;
+	});
+
+	return (dataKey) => {
+		const value = values[dataKey.toLowerCase()];
+		return ethers.utils.isHexString(value) ? value : '0x';
+	};
+}
+
+/**
+ * The checks of `LSP6KeyManagerCore`, bound to a controller and to the storage of the linked account.
+ */
+function createVerifier({ controller, getData, supportedInterfaces }) {
+	const permissions = ethers.BigNumber.from(
+		toBytes32(getData(getControllerDataKeys(controller).permissions)),
+	);
+
+	const hasPermission = (name) => {
+		if (name === null) return true;
+
+		const required = ethers.BigNumber.from(PERMISSIONS[name]);
+		return permissions.and(required).eq(required);
+	};
+
+	const requirePermission = (name) => {
+		if (!hasPermission(name)) {
+			throw lsp6Error('NotAuthorised', controller, PERMISSION_NAMES[name] || name);
+		}
+	};
+
+	const isEmpty = (dataKey) => ethers.utils.hexDataLength(getData(dataKey)) === 0;
+
+	// see `LSP6KeyManagerCore._getPermissionRequiredToSetDataKey(...)`
+	function getPermissionRequiredToSetDataKey(dataKey, dataValue) {
+		const key = dataKey.toLowerCase();
+		const LSP6 = ERC725YDataKeys.LSP6;
+
+		// AddressPermissions[] or AddressPermissions[index]
+		if (ethers.utils.hexDataSlice(key, 0, 16) === LSP6['AddressPermissions[]'].index) {
+			const currentValue = getData(key);
+
+			if (key === LSP6['AddressPermissions[]'].length) {
+				const newLength = ethers.BigNumber.from(toBytes32(dataValue));
+				const currentLength = ethers.BigNumber.from(toBytes32(currentValue));
+
+				return newLength.gt(currentLength) ? 'ADDCONTROLLER' : 'CHANGEPERMISSIONS';
+			}
+
+			const valueLength = ethers.utils.hexDataLength(dataValue);
+			if (valueLength !== 0 && valueLength !== 20) {
+				throw lsp6Error('AddressPermissionArrayIndexValueNotAnAddress', dataKey, dataValue);
+			}
+
+			return ethers.utils.hexDataLength(currentValue) === 0
+				? 'ADDCONTROLLER'
+				: 'CHANGEPERMISSIONS';
+		}
+
+		// AddressPermissions:...
+		if (ethers.utils.hexDataSlice(key, 0, 6) === LSP6.AddressPermissionsPrefix) {
+			const prefix = ethers.utils.hexDataSlice(key, 0, 12);
+
+			if (prefix === LSP6['AddressPermissions:Permissions']) {
+				return ethers.BigNumber.from(toBytes32(getData(key))).isZero()
+					? 'ADDCONTROLLER'
+					: 'CHANGEPERMISSIONS';
+			}
+
+			if (prefix === LSP6['AddressPermissions:AllowedCalls']) {
+				if (!isValidAllowedCalls(dataValue)) {
+					throw lsp6Error('InvalidEncodedAllowedCalls', dataValue);
+				}
+
+				return isEmpty(key) ? 'ADDCONTROLLER' : 'CHANGEPERMISSIONS';
+			}
+
+			if (prefix === LSP6['AddressPermissions:AllowedERC725YDataKeys']) {
+				if (!isValidAllowedERC725YDataKeys(dataValue)) {
+					throw lsp6Error('InvalidEncodedAllowedERC725YDataKeys', dataValue);
+				}
+
+				return isEmpty(key) ? 'ADDCONTROLLER' : 'CHANGEPERMISSIONS';
+			}
+
+			throw lsp6Error('NotRecognisedPermissionKey', dataKey);
+		}
+
+		// LSP1UniversalReceiverDelegate or LSP1UniversalReceiverDelegate:<typeId>
+		if (
+			key === ERC725YDataKeys.LSP1.LSP1UniversalReceiverDelegate ||
+			ethers.utils.hexDataSlice(key, 0, 12) ===
+				ERC725YDataKeys.LSP1.LSP1UniversalReceiverDelegatePrefix
+		) {
+			return isEmpty(key)
+				? 'ADDUNIVERSALRECEIVERDELEGATE'
+				: 'CHANGEUNIVERSALRECEIVERDELEGATE';
+		}
+
+		// LSP17Extension:<bytes4>
+		if (ethers.utils.hexDataSlice(key, 0, 12) === ERC725YDataKeys.LSP17.LSP17ExtensionPrefix) {
+			return isEmpty(key) ? 'ADDEXTENSIONS' : 'CHANGEEXTENSIONS';
+		}
+
+		return 'SETDATA';
+	}
+
+	// see `LSP6KeyManagerCore._verifyAllowedERC725YDataKeys(...)`
+	function verifyAllowedERC725YDataKeys(dataKeys, validatedDataKeys) {
+		const value = getData(getControllerDataKeys(controller).allowedERC725YDataKeys);
+		const allowedDataKeys = ethers.utils.arrayify(value);
+
+		if (allowedDataKeys.length === 0) throw lsp6Error('NoERC725YDataKeysAllowed', controller);
+
+		const validated = [...validatedDataKeys];
+		let allowedKeysFound = 0;
+		let pointer = 0;
+
+		while (pointer < allowedDataKeys.length) {
+			if (pointer + 1 >= allowedDataKeys.length) throw panic(PANIC_OUT_OF_BOUNDS);
+
+			const length = (allowedDataKeys[pointer] << 8) | allowedDataKeys[pointer + 1];
+			if (length > 32) throw panic(PANIC_ARITHMETIC);
+
+			// a truncated last entry is compared by the Key Manager with the memory following the value:
+			// its result cannot be predicted
+			if (pointer + 2 + length > allowedDataKeys.length) {
+				throw lsp6Error('InvalidEncodedAllowedERC725YDataKeys', value);
+			}
+
+			// compare only the first `length` bytes
+			const allowedKey = ethers.utils.hexlify(
+				allowedDataKeys.slice(pointer + 2, pointer + 2 + length),
+			);
+
+			dataKeys.forEach((dataKey, index) => {
+				if (validated[index]) return;
+
+				if (ethers.utils.hexDataSlice(dataKey, 0, length).toLowerCase() === allowedKey) {
+					validated[index] = true;
+					allowedKeysFound += 1;
+				}
+			});
+
+			// the data keys validated beforehand (LSP6, LSP1 and LSP17 data keys) are not counted,
+			// so the Key Manager goes through all the Allowed ERC725Y Data Keys when setting some of them
+			if (allowedKeysFound === dataKeys.length) return;
+
+			pointer += length + 2;
+		}
+
+		// all the data keys are validated, some of them beforehand
+		const notAllowed = validated.indexOf(false);
+		if (notAllowed === -1) return;
+
+		throw lsp6Error('NotAllowedERC725YDataKey', controller, dataKeys[notAllowed]);
+	}
+
+	// see `LSP6KeyManagerCore._verifyCanSetData(...)`
+	function verifyCanSetData(dataKeys, dataValues) {
+		if (dataKeys.length === 0) throw panic(PANIC_OUT_OF_BOUNDS);
+
+		let isSettingERC725YKeys = false;
+
+		const validatedDataKeys = dataKeys.map((dataKey, index) => {
+			if (index >= dataValues.length) throw panic(PANIC_OUT_OF_BOUNDS);
+
+			const requiredPermission = getPermissionRequiredToSetDataKey(
+				dataKey,
+				dataValues[index],
+			);
+
+			if (requiredPermission === 'SETDATA') {
+				isSettingERC725YKeys = true;
+				return false;
+			}
+
+			requirePermission(requiredPermission);
+			return true;
+		});
+
+		if (!isSettingERC725YKeys || hasPermission('SUPER_SETDATA')) return;
+
+		requirePermission('SETDATA');
+		verifyAllowedERC725YDataKeys(dataKeys, validatedDataKeys);
+	}
+
+	// see `LSP6KeyManagerCore._verifyAllowedCall(...)`
+	function verifyAllowedCall(payload) {
+		const to = ethers.utils.getAddress(ethers.utils.hexDataSlice(payload, 48, 68));
+
+		const containsFunctionCall = ethers.utils.hexDataLength(payload) >= 168;
+		const selector = containsFunctionCall
+			? ethers.utils.hexDataSlice(payload, 164, 168)
+			: '0x00000000';
+
+		const allowedCalls = getData(getControllerDataKeys(controller).allowedCalls);
+		const allowedCallsLength = ethers.utils.hexDataLength(allowedCalls);
+
+		if (allowedCallsLength === 0) throw lsp6Error('NoCallsAllowed', controller);
+
+		const interfaceIds = (
+			supportedInterfaces[to] ||
+			supportedInterfaces[to.toLowerCase()] ||
+			[]
+		).map((interfaceId) => interfaceId.toLowerCase());
+
+		for (let index = 0; index < allowedCallsLength; index += 30) {
+			if (index + 30 > allowedCallsLength) {
+				throw lsp6Error('InvalidEncodedAllowedCalls', allowedCalls);
+			}
+
+			const chunk = ethers.utils
+				.hexDataSlice(allowedCalls, index + 2, index + 30)
+				.toLowerCase();
+
+			if (chunk === WILDCARD_ALLOWED_CALL)
+				throw lsp6Error('InvalidWhitelistedCall', controller);
+
+			const allowedStandard = ethers.utils.hexDataSlice(chunk, 0, 4);
+			const allowedAddress = ethers.utils.hexDataSlice(chunk, 4, 24);
+			const allowedFunction = ethers.utils.hexDataSlice(chunk, 24, 28);
+
+			const isAllowedStandard =
+				allowedStandard === WILDCARD_INTERFACE_ID || interfaceIds.includes(allowedStandard);
+			const isAllowedAddress =
+				allowedAddress === WILDCARD_ADDRESS || allowedAddress === to.toLowerCase();
+			const isAllowedFunction =
+				allowedFunction === WILDCARD_INTERFACE_ID ||
+				(containsFunctionCall && selector === allowedFunction);
+
+			if (isAllowedStandard && isAllowedAddress && isAllowedFunction) return;
+		}
+
+		throw lsp6Error('NotAllowedCall', controller, to, selector);
+	}
+
+	// see `LSP6KeyManagerCore._verifyCanExecute(...)`
+	function verifyCanExecute(payload) {
+		const payloadLength = ethers.utils.hexDataLength(payload);
+
+		// the Key Manager reads the parameters at fixed offsets of the calldata,
+		// and reverts without data when reading past its end
+		if (payloadLength < 36) throw revertWith('0x');
+
+		const operationType = ethers.BigNumber.from(ethers.utils.hexDataSlice(payload, 4, 36));
+
+		if (operationType.eq(4)) throw lsp6Error('DelegateCallDisallowedViaKeyManager');
+
+		if (payloadLength < 100) throw revertWith('0x');
+
+		const value = ethers.BigNumber.from(ethers.utils.hexDataSlice(payload, 68, 100));
+
+		// unknown operation types do not require any permission (`bytes32(0)`)
+		const operation = operationType.lt(OPERATION_PERMISSIONS.length)
+			? OPERATION_PERMISSIONS[operationType.toNumber()]
+			: {};
+		const { permission = null, superPermission = null } = operation;
+
+		const isContractCreation = operationType.eq(1) || operationType.eq(2);
+		const isCallDataPresent = payloadLength > 164;
+
+		const hasSuperOperation = isContractCreation ? false : hasPermission(superPermission);
+
+		if (!hasSuperOperation && !isCallDataPresent && value.isZero()) {
+			requirePermission(permission);
+		}
+
+		if (isCallDataPresent && !hasSuperOperation) requirePermission(permission);
+
+		const hasSuperTransferValue = hasPermission('SUPER_TRANSFERVALUE');
+
+		if (!value.isZero() && !hasSuperTransferValue) requirePermission('TRANSFERVALUE');
+
+		if (isContractCreation) return;
+		if (hasSuperOperation && value.isZero()) return;
+		if (hasSuperTransferValue && !isCallDataPresent && !value.isZero()) return;
+		if (hasSuperOperation && hasSuperTransferValue) return;
+
+		verifyAllowedCall(payload);
+	}
+
+	return { permissions, requirePermission, verifyCanSetData, verifyCanExecute };
+}
+
+/**
+ * Check if a controller is allowed to execute a payload on a Universal Profile via its LSP6 Key Manager,
+ * without sending a transaction. The payload is verified with the same rules as the Key Manager:
+ *  - `setData(...)`: SETDATA and the AllowedERC725YDataKeys (unless SUPER_SETDATA), or ADDCONTROLLER / CHANGEPERMISSIONS,
+ *    ADD/CHANGE UNIVERSALRECEIVERDELEGATE and ADD/CHANGE EXTENSIONS for the LSP6, LSP1 and LSP17 data keys.
+ *  - `execute(...)`: CALL, STATICCALL, DEPLOY and TRANSFERVALUE and the AllowedCalls, unless the matching SUPER permission.
+ *  - `transferOwnership(...)` and `acceptOwnership()`: CHANGEOWNER.
+ *
+ * The storage of the Universal Profile is read from `snapshot`: data keys that are not part of it
+ * (e.g: the permissions of a controller not listed in `AddressPermissions[]`, or the LSP17 extension of a selector
+ * not included when taking the snapshot) are considered empty.
+ *
+ * @param {object} snapshot the storage of the Universal Profile, as returned by `getUniversalProfileSnapshot(...)`.
+ * @param {string} controller the address calling `execute(...)` or signing the relay call on the Key Manager.
+ * @param {string} payload the payload to execute on the Universal Profile.
+ * @param {object} [options]
+ * @param {object} [options.supportedInterfaces] the ERC165 interface IDs supported by the addresses called,
+ * keyed by address (e.g: `{ [lsp7Token]: [INTERFACE_IDS.LSP7DigitalAsset] }`), to match the AllowedCalls restricted
+ * to a standard. Any address not listed is considered to support no interface.
+ * @returns {object} `{ allowed: true }`, or `{ allowed: false, error }` where `error` is the error the
+ * Key Manager would revert with, decoded by `decodeRevertData(...)`.
+ *
+ * @example
+ * const snapshot = await getUniversalProfileSnapshot(provider, universalProfile.address);
+ * checkPermissions(snapshot, controller, universalProfile.interface.encodeFunctionData('setData(bytes32,bytes)', [dataKey, dataValue]));
+ * // {
+ * //   allowed: false,
+ * //   error: { type: 'custom', standard: 'LSP6', name: 'NotAllowedERC725YDataKey', args: [controller, dataKey], ... },
+ * // }
+ */
+function checkPermissions(snapshot, controller, payload, options = {}) {
+	const { supportedInterfaces = {} } = options;
+
+	if (!ethers.utils.isAddress(controller)) {
+		throw new Error(`checkPermissions: invalid controller address ${controller}`);
+	}
+
+	if (!ethers.utils.isHexString(payload)) {
+		throw new Error(`checkPermissions: invalid payload ${payload} (must be a hex string)`);
+	}
+
+	const from = ethers.utils.getAddress(controller);
+
+	try {
+		if (ethers.utils.hexDataLength(payload) < 4) throw lsp6Error('InvalidPayload', payload);
+
+		const verifier = createVerifier({
+			controller: from,
+			getData: createSnapshotReader(snapshot),
+			supportedInterfaces,
+		});
+
+		if (verifier.permissions.isZero()) throw lsp6Error('NoPermissionsSet', from);
+
+		const selector = ethers.utils.hexDataSlice(payload, 0, 4).toLowerCase();
+
+		if (selector === SELECTORS.setData || selector === SELECTORS.setDataBatch) {
+			let args;
+			try {
+				args = ERC725_INTERFACE.decodeFunctionData(selector, payload);
+			} catch (error) {
+				// `abi.decode(...)` reverts without data
+				throw revertWith('0x');
+			}
+
+			if (selector === SELECTORS.setData) {
+				verifier.verifyCanSetData([args.dataKey], [args.dataValue]);
+			} else {
+				verifier.verifyCanSetData(args.dataKeys, args.dataValues);
+			}
+		} else if (selector === SELECTORS.execute) {
+			verifier.verifyCanExecute(payload);
+		} else if (
+			selector === SELECTORS.transferOwnership ||
+			selector === SELECTORS.acceptOwnership
+		) {
+			verifier.requirePermission('CHANGEOWNER');
+		} else {
+			throw lsp6Error('InvalidERC725Function', selector);
+		}
+	} catch (error) {
+		if (error.revertData === undefined) throw error;
+
+		return { allowed: false, error: decodeRevertData(error.revertData) };
+	}
+
+	return { allowed: true };
+}
+
+module.exports = {
+	checkPermissions,
+};
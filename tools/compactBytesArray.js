@@ -0,0 +1,98 @@
+/**
+ * Encode and decode values of type `CompactBytesArray`, as defined in LSP2.
+ * Each element is prefixed by its length as a `uint16` (2 bytes).
+ * @see https://github.com/lukso-network/LIPs/blob/main/LSPs/LSP-2-ERC725YJSONSchema.md#bytescompactbytesarray
+ *
+ * @example
+ * 0x 0003 a00000 0005 fff83a0011 0012 bb000000000000000000000000000000beef
+ */
+const { ethers } = require('ethers');
+
+const MAX_ELEMENT_LENGTH = 0xffff;
+
+/**
+ * Encode a list of bytes values as a CompactBytesArray.
+ *
+ * @param {string[]} elements the bytes values to encode, as hex strings.
+ * @returns {string} the encoded CompactBytesArray.
+ */
+function encodeCompactBytesArray(elements) {
+	return ethers.utils.hexConcat(
+		elements.map((element) => {
+			const length = ethers.utils.hexDataLength(element);
+
+			if (length === null) {
+				throw new Error(`compactBytesArray: invalid bytes value ${element}`);
+			}
+
+			if (length > MAX_ELEMENT_LENGTH) {
+				throw new Error(
+					`compactBytesArray: element of ${length} bytes exceeds the maximum length of ${MAX_ELEMENT_LENGTH} bytes`,
+				);
+			}
+
+			return ethers.utils.hexConcat([
+				ethers.utils.hexZeroPad(ethers.utils.hexlify(length), 2),
+				element,
+			]);
+		}),
+	);
+}
+
+/**
+ * Check if a value is a valid CompactBytesArray.
+ * Same rules as `LSP2Utils.isCompactBytesArray(...)`: every length prefix must be complete,
+ * and the last element must end exactly at the end of the value.
+ *
+ * @param {string} value the value to check, as a hex string.
+ * @param {function} [isValidElementLength] an extra check on the length of each element.
+ * @returns {boolean}
+ */
+function isCompactBytesArray(value, isValidElementLength = () => true) {
+	if (!ethers.utils.isHexString(value) || value.length % 2 !== 0) return false;
+
+	const totalLength = ethers.utils.hexDataLength(value);
+	let pointer = 0;
+
+	while (pointer < totalLength) {
+		if (pointer + 1 >= totalLength) return false;
+
+		const elementLength = parseInt(ethers.utils.hexDataSlice(value, pointer, pointer + 2), 16);
+		if (!isValidElementLength(elementLength)) return false;
+
+		pointer += elementLength + 2;
+	}
+
+	return pointer === totalLength;
+}
+
+/**
+ * Decode a CompactBytesArray into the list of its elements.
+ *
+ * @param {string} value the CompactBytesArray to decode, as a hex string.
+ * @returns {string[]} the bytes values contained in the CompactBytesArray.
+ */
+function decodeCompactBytesArray(value) {
+	if (!isCompactBytesArray(value)) {
+		throw new Error(`compactBytesArray: invalid CompactBytesArray ${value}`);
+	}
+
+	const totalLength = ethers.utils.hexDataLength(value);
+	const elements = [];
+	let pointer = 0;
+
+	while (pointer < totalLength) {
+		const elementLength = parseInt(ethers.utils.hexDataSlice(value, pointer, pointer + 2), 16);
+
+		elements.push(ethers.utils.hexDataSlice(value, pointer + 2, pointer + 2 + elementLength));
+		pointer += elementLength + 2;
+	}
+
+	return elements;
+}
+
+module.exports = {
+	encodeCompactBytesArray,
+	isCompactBytesArray,
+	decodeCompactBytesArray,
+};
@@ -0,0 +1,394 @@
+/**
+ * List, add, update and remove the controllers of a Universal Profile, stored under the LSP6 data keys:
+ *  - `AddressPermissions[]`: the list of the controllers addresses.
+ *  - `AddressPermissions:Permissions:<address>`: the permissions of each controller.
+ *  - `AddressPermissions:AllowedCalls:<address>` and `AddressPermissions:AllowedERC725YDataKeys:<address>`:
+ *    the restrictions of each controller.
+ *
+ * The changes are computed as a single `setData(bytes32[],bytes[])` batch, that keeps `AddressPermissions[]`
+ * consistent with the permissions set.
+ */
+const { ethers } = require('ethers');
+
+const { ERC725YDataKeys } = require('../constants');
+const { encodeCompactBytesArray } = require('./compactBytesArray');
+const { generateArrayElementKeyAtIndex, generateMappingKey } = require('./dataKeys');
+const { encodePermissions, decodePermissions, getUnknownPermissionBits } = require('./permissions');
+const {
+	encodeAllowedCalls,
+	isValidAllowedCalls,
+	decodeAllowedCalls,
+	encodeAllowedERC725YDataKeys,
+	isValidAllowedERC725YDataKeys,
+	decodeAllowedERC725YDataKeys,
+} = require('./restrictions');
+const { fetchData } = require('./utils');
+
+const ERC725Y_ABI = [
+	'function getData(bytes32[] dataKeys) view returns (bytes[] dataValues)',
+	'function setData(bytes32[] dataKeys, bytes[] dataValues) payable',
+];
+
+const KEY_MANAGER_ABI = ['function execute(bytes payload) payable returns (bytes)'];
+
+const PERMISSIONS_ARRAY_KEY = ERC725YDataKeys.LSP6['AddressPermissions[]'].length;
+
+// `bytes12` key prefix + `bytes20` value
+function mappingKey(keyPrefix, bytes20Value) {
+	return generateMappingKey(ethers.utils.hexDataSlice(keyPrefix, 0, 10), bytes20Value);
+}
+
+/**
+ * @param {string} controller the address of the controller.
+ * @returns {object} `{ permissions, allowedCalls, allowedERC725YDataKeys }`, the data keys of the controller.
+ */
+function getControllerDataKeys(controller) {
+	return {
+		permissions: mappingKey(ERC725YDataKeys.LSP6['AddressPermissions:Permissions'], controller),
+		allowedCalls: mappingKey(
+			ERC725YDataKeys.LSP6['AddressPermissions:AllowedCalls'],
+			controller,
+		),
+		allowedERC725YDataKeys: mappingKey(
+			ERC725YDataKeys.LSP6['AddressPermissions:AllowedERC725YDataKeys'],
+			controller,
+		),
+	};
+}
+
+/**
+ * Decode the values stored under the data keys of a controller (see `getControllerDataKeys(...)`).
+ * Values that cannot be decoded are returned raw (hex).
+ *
+ * @param {string} controller the address of the controller.
+ * @param {object} dataKeys the data keys of the controller.
+ * @param {object} values the values fetched, keyed by data key.
+ * @returns {object} `{ address, permissions: { value, names, unknownBits }, allowedCalls, allowedERC725YDataKeys }`.
+ */
+function decodeController(controller, dataKeys, values) {
+	const permissions = values[dataKeys.permissions];
+	const allowedCalls = values[dataKeys.allowedCalls];
+	const allowedERC725YDataKeys = values[dataKeys.allowedERC725YDataKeys];
+
+	return {
+		address: controller,
+		permissions:
+			ethers.utils.hexDataLength(permissions) === 32
+				? {
+						value: permissions,
+						names: Object.entries(decodePermissions(permissions))
+							.filter(([, isSet]) => isSet)
+							.map(([name]) => name),
+						unknownBits: getUnknownPermissionBits(permissions),
+				  }
+				: permissions,
+		allowedCalls: isValidAllowedCalls(allowedCalls)
+			? decodeAllowedCalls(allowedCalls)
+			: allowedCalls,
+		allowedERC725YDataKeys: isValidAllowedERC725YDataKeys(allowedERC725YDataKeys)
+			? decodeAllowedERC725YDataKeys(allowedERC725YDataKeys)
+			: allowedERC725YDataKeys,
+	};
+}
+
+/**
+ * Encode back the values stored for a controller decoded by `decodeController(...)`.
+ *
+ * @param {object} controller a controller, as returned by `listControllers(...)`.
+ * @returns {object} `{ permissions, allowedCalls, allowedERC725YDataKeys }`, the raw values of the controller.
+ */
+function encodeController({ permissions, allowedCalls, allowedERC725YDataKeys }) {
+	return {
+		permissions:
+			permissions !== null && typeof permissions === 'object'
+				? permissions.value
+				: permissions,
+		// encoded as-is: an Allowed Call stored on-chain can be rejected by `encodeAllowedCall(...)`
+		allowedCalls: Array.isArray(allowedCalls)
+			? encodeCompactBytesArray(
+					allowedCalls.map(({ interfaceId, address, functionSelector }) =>
+						ethers.utils.hexConcat([interfaceId, address, functionSelector]),
+					),
+			  )
+			: allowedCalls,
+		allowedERC725YDataKeys: Array.isArray(allowedERC725YDataKeys)
+			? encodeCompactBytesArray(allowedERC725YDataKeys.map(({ dataKey }) => dataKey))
+			: allowedERC725YDataKeys,
+	};
+}
+
+/**
+ * Read the controllers listed in `AddressPermissions[]`, with their permissions and restrictions.
+ *
+ * @param {ethers.providers.Provider} provider the provider connected to the network of the Universal Profile.
+ * @param {string} address the address of the Universal Profile (or any ERC725Y contract).
+ * @param {object} [options]
+ * @param {number} [options.batchSize] the maximum number of data keys per `getData(bytes32[])` call (default: 100).
+ * @param {number} [options.maxArrayLength] fail if `AddressPermissions[]` is longer than this (default: 1000).
+ * @param {string} [options.blockTag] read the storage at this block (default: `latest`).
+ * @returns {Promise<object[]>} the controllers, in the order of `AddressPermissions[]` (same format as the `controllers`
+ * of `getUniversalProfileSnapshot(...)`). An element of `AddressPermissions[]` that is not an address is returned as
+ * `{ address: <raw value> }`.
+ */
+async function listControllers(provider, address, options = {}) {
+	const { batchSize = 100, maxArrayLength = 1000, blockTag = 'latest' } = options;
+
+	const erc725y = new ethers.Contract(address, ERC725Y_ABI, provider);
+
+	const { [PERMISSIONS_ARRAY_KEY]: lengthValue } = await fetchData(
+		erc725y,
+		[PERMISSIONS_ARRAY_KEY],
+		{ batchSize, blockTag },
+	);
+
+	const length =
+		lengthValue === '0x' ? ethers.constants.Zero : ethers.BigNumber.from(lengthValue);
+
+	if (length.gt(maxArrayLength)) {
+		throw new Error(
+			`controllers: AddressPermissions[] has ${length.toString()} elements (more than maxArrayLength = ${maxArrayLength})`,
+		);
+	}
+
+	const elementKeys = Array.from({ length: length.toNumber() }, (_, index) =>
+		generateArrayElementKeyAtIndex(PERMISSIONS_ARRAY_KEY, index),
+	);
+
+	const elements = await fetchData(erc725y, elementKeys, { batchSize, blockTag });
+
+	const addresses = elementKeys.map((dataKey) =>
+		ethers.utils.hexDataLength(elements[dataKey]) === 20
+			? ethers.utils.getAddress(elements[dataKey])
+			: null,
+	);
+
+	const controllerKeys = addresses.map((controller) =>
+		controller === null ? {} : getControllerDataKeys(controller),
+	);
+
+	const values = await fetchData(erc725y, controllerKeys.flatMap(Object.values), {
+		batchSize,
+		blockTag,
+	});
+
+	return addresses.map((controller, index) =>
+		controller === null
+			? { address: elements[elementKeys[index]] }
+			: decodeController(controller, controllerKeys[index], values),
+	);
+}
+
+// Changes
+// ----------
+
+// a permission value from a list of names, `{ NAME: true }` or a `bytes32` value
+function toPermissionsValue(permissions) {
+	let value = permissions;
+
+	if (Array.isArray(permissions)) {
+		value = encodePermissions(
+			permissions.reduce((result, name) => {
+				result[name] = true;
+				return result;
+			}, {}),
+		);
+	} else if (permissions !== null && typeof permissions === 'object') {
+		value = encodePermissions(permissions);
+	}
+
+	if (!ethers.utils.isHexString(value, 32)) {
+		throw new Error(
+			`controllers: invalid permissions ${permissions} (must be a list of names, an object or a bytes32 value)`,
+		);
+	}
+
+	if (ethers.BigNumber.from(value).isZero()) {
+		throw new Error('controllers: a controller must have at least one permission');
+	}
+
+	return value.toLowerCase();
+}
+
+function findController(controllers, address) {
+	if (!ethers.utils.isAddress(address)) {
+		throw new Error(`controllers: invalid controller address ${address}`);
+	}
+
+	return controllers.findIndex(
+		(controller) =>
+			typeof controller.address === 'string' &&
+			controller.address.toLowerCase() === address.toLowerCase(),
+	);
+}
+
+// the data keys and values to set, with the payload to execute them
+function toSetDataBatch(changes, { viaKeyManager = false }) {
+	const dataKeys = changes.map(([dataKey]) => dataKey);
+	const dataValues = changes.map(([, dataValue]) => dataValue);
+
+	const setDataPayload = new ethers.utils.Interface(ERC725Y_ABI).encodeFunctionData('setData', [
+		dataKeys,
+		dataValues,
+	]);
+
+	return {
+		dataKeys,
+		dataValues,
+		payload: viaKeyManager
+			? new ethers.utils.Interface(KEY_MANAGER_ABI).encodeFunctionData('execute', [
+					setDataPayload,
+			  ])
+			: setDataPayload,
+	};
+}
+
+function encodeArrayLength(length) {
+	return ethers.utils.hexZeroPad(ethers.utils.hexlify(length), 32);
+}
+
+/**
+ * Compute the data keys and values to set to add a controller: its permissions and restrictions,
+ * and its address at the end of `AddressPermissions[]`.
+ *
+ * @param {object[]} controllers the current controllers, as returned by `listControllers(...)`.
+ * @param {object} controller
+ * @param {string} controller.address the address of the new controller.
+ * @param {string[]|object|string} controller.permissions a list of permission names (e.g: `['CALL', 'SETDATA']`),
+ * an object (e.g: `{ CALL: true }`) or a `bytes32` permission value.
+ * @param {object[]} [controller.allowedCalls] the Allowed Calls, as `{ interfaceId, address, functionSelector }`.
+ * @param {string[]} [controller.allowedERC725YDataKeys] the Allowed ERC725Y Data Keys (full data keys or prefixes).
+ * @param {object} [options]
+ * @param {boolean} [options.viaKeyManager] wrap the `payload` in a Key Manager `execute(bytes)` call (default: false).
+ * @returns {object} `{ dataKeys, dataValues, payload }`, where `payload` is the `setData(bytes32[],bytes[])` call
+ * to send to the Universal Profile (or the `execute(bytes)` call to send to its Key Manager).
+ *
+ * @example
+ * const controllers = await listControllers(provider, universalProfile.address);
+ * const { payload } = addController(
+ *   controllers,
+ *   { address: controller, permissions: ['CALL'], allowedCalls: [{ address: target }] },
+ *   { viaKeyManager: true },
+ * );
+ * await owner.sendTransaction({ to: keyManager.address, data: payload });
+ */
+function addController(controllers, controller, options = {}) {
+	const { address, permissions, allowedCalls = [], allowedERC725YDataKeys = [] } = controller;
+
+	if (findController(controllers, address) !== -1) {
+		throw new Error(`controllers: ${address} is already a controller`);
+	}
+
+	const dataKeys = getControllerDataKeys(address);
+
+	const changes = [
+		[PERMISSIONS_ARRAY_KEY, encodeArrayLength(controllers.length + 1)],
+		[
+			generateArrayElementKeyAtIndex(PERMISSIONS_ARRAY_KEY, controllers.length),
+			address.toLowerCase(),
+		],
+		[dataKeys.permissions, toPermissionsValue(permissions)],
+	];
+
+	if (allowedCalls.length !== 0) {
+		changes.push([dataKeys.allowedCalls, encodeAllowedCalls(allowedCalls)]);
+	}
+
+	if (allowedERC725YDataKeys.length !== 0) {
+		changes.push([
+			dataKeys.allowedERC725YDataKeys,
+			encodeAllowedERC725YDataKeys(allowedERC725YDataKeys),
+		]);
+	}
+
+	return toSetDataBatch(changes, options);
+}
+
+/**
+ * Compute the data keys and values to set to update the permissions and / or restrictions of a controller.
+ * Only the properties provided are updated, and only if they changed. Pass an empty list to remove the restrictions.
+ *
+ * @param {object[]} controllers the current controllers, as returned by `listControllers(...)`.
+ * @param {object} controller `{ address, permissions, allowedCalls, allowedERC725YDataKeys }` (see `addController(...)`).
+ * @param {object} [options] `{ viaKeyManager }` (see `addController(...)`).
+ * @returns {object} `{ dataKeys, dataValues, payload }` (see `addController(...)`).
+ */
+function updateController(controllers, controller, options = {}) {
+	const { address, permissions, allowedCalls, allowedERC725YDataKeys } = controller;
+
+	const index = findController(controllers, address);
+	if (index === -1) throw new Error(`controllers: ${address} is not a controller`);
+
+	const dataKeys = getControllerDataKeys(address);
+	const current = encodeController(controllers[index]);
+
+	const updates = [
+		['permissions', permissions, toPermissionsValue],
+		['allowedCalls', allowedCalls, encodeAllowedCalls],
+		['allowedERC725YDataKeys', allowedERC725YDataKeys, encodeAllowedERC725YDataKeys],
+	];
+
+	const changes = updates
+		.filter(([, value]) => value !== undefined)
+		.map(([name, value, encode]) => [name, encode(value)])
+		.filter(([name, value]) => value !== (current[name] || '0x').toLowerCase())
+		.map(([name, value]) => [dataKeys[name], value]);
+
+	if (changes.length === 0) {
+		throw new Error(`controllers: nothing to update for ${address}`);
+	}
+
+	return toSetDataBatch(changes, options);
+}
+
+/**
+ * Compute the data keys and values to set to remove a controller: clear its permissions and restrictions,
+ * move the last element of `AddressPermissions[]` into its slot, then clear the last slot and shrink the array.
+ *
+ * @param {object[]} controllers the current controllers, as returned by `listControllers(...)`.
+ * @param {string} address the address of the controller to remove.
+ * @param {object} [options] `{ viaKeyManager }` (see `addController(...)`).
+ * @returns {object} `{ dataKeys, dataValues, payload }` (see `addController(...)`).
+ */
+function removeController(controllers, address, options = {}) {
+	const index = findController(controllers, address);
+	if (index === -1) throw new Error(`controllers: ${address} is not a controller`);
+
+	const lastIndex = controllers.length - 1;
+	const changes = [];
+
+	if (index !== lastIndex) {
+		const { address: lastElement } = controllers[lastIndex];
+
+		changes.push([
+			generateArrayElementKeyAtIndex(PERMISSIONS_ARRAY_KEY, index),
+			lastElement.toLowerCase(),
+		]);
+	}
+
+	changes.push(
+		[generateArrayElementKeyAtIndex(PERMISSIONS_ARRAY_KEY, lastIndex), '0x'],
+		[PERMISSIONS_ARRAY_KEY, encodeArrayLength(lastIndex)],
+	);
+
+	const dataKeys = getControllerDataKeys(address);
+	const current = encodeController(controllers[index]);
+
+	// only clear the values set, as clearing an empty value requires ADDCONTROLLER via the Key Manager
+	['permissions', 'allowedCalls', 'allowedERC725YDataKeys'].forEach((name) => {
+		if (ethers.utils.isHexString(current[name]) && current[name] !== '0x') {
+			changes.push([dataKeys[name], '0x']);
+		}
+	});
+
+	return toSetDataBatch(changes, options);
+}
+
+module.exports = {
+	getControllerDataKeys,
+	decodeController,
+	encodeController,
+	listControllers,
+	addController,
+	updateController,
+	removeController,
+};
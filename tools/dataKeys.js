@@ -0,0 +1,153 @@
+/**
+ * Generate ERC725Y data keys according to LSP2, with the same outputs as `LSP2Utils.sol`.
+ * @see https://github.com/lukso-network/LIPs/blob/main/LSPs/LSP-2-ERC725YJSONSchema.md#keytype
+ *
+ * The Solidity overloads of `generateMappingKey` and `generateMappingWithGroupingKey` are
+ * resolved from the type of the arguments: a `bytes10` hex string is treated as a key prefix,
+ * a `bytes20` hex string (e.g: an address) as a raw value, and any other string as a word to hash.
+ */
+const { ethers } = require('ethers');
+
+const MAX_UINT128 = ethers.BigNumber.from(2).pow(128).sub(1);
+
+function isBytesN(value, length) {
+	return ethers.utils.isHexString(value, length);
+}
+
+function keccak256(word) {
+	return ethers.utils.keccak256(ethers.utils.toUtf8Bytes(word));
+}
+
+/**
+ * Generates a data key of keyType Singleton.
+ *
+ * @param {string} keyName the string to hash (e.g: `LSP3Profile`).
+ * @returns {string} `keccak256(keyName)`
+ */
+function generateSingletonKey(keyName) {
+	return keccak256(keyName);
+}
+
+/**
+ * Generates a data key of keyType Array, by hashing `keyName`.
+ *
+ * @param {string} keyName the name of the key, ending with `[]` (e.g: `LSP12IssuedAssets[]`).
+ * @returns {string} `keccak256(keyName)`, the data key holding the length of the array.
+ */
+function generateArrayKey(keyName) {
+	if (keyName.length < 2) {
+		throw new Error('MUST be longer than 2 characters');
+	}
+
+	if (!keyName.endsWith('[]')) {
+		throw new Error("Missing empty square brackets '[]' at the end of the key name");
+	}
+
+	return keccak256(keyName);
+}
+
+/**
+ * Generates an Array index data key: `<bytes16(arrayKey)><bytes16(uint128(index))>`.
+ *
+ * @param {string} arrayKey the data key of keyType Array (= the key holding the array length).
+ * @param {number|string|ethers.BigNumber} index the index of the element in the array (max `uint128`).
+ * @returns {string} the data key of the element at `index`.
+ */
+function generateArrayElementKeyAtIndex(arrayKey, index) {
+	if (!isBytesN(arrayKey, 32)) {
+		throw new Error(`dataKeys: invalid arrayKey ${arrayKey} (must be bytes32)`);
+	}
+
+	const indexAsBigNumber = ethers.BigNumber.from(index);
+
+	if (indexAsBigNumber.isNegative() || indexAsBigNumber.gt(MAX_UINT128)) {
+		throw new Error(`dataKeys: index ${index} does not fit in a uint128`);
+	}
+
+	const indexAsBytes16 = ethers.utils.hexZeroPad(indexAsBigNumber.toHexString(), 16);
+
+	return ethers.utils
+		.hexConcat([ethers.utils.hexDataSlice(arrayKey, 0, 16), indexAsBytes16])
+		.toLowerCase();
+}
+
+/**
+ * Generates a data key of keyType Mapping: `<bytes10 prefix>:<bytes2(0)>:<bytes20 value>`.
+ * Mirrors the 3 Solidity overloads:
+ *  - `generateMappingKey(string firstWord, string lastWord)`
+ *  - `generateMappingKey(string firstWord, address addr)`
+ *  - `generateMappingKey(bytes10 keyPrefix, bytes20 bytes20Value)`
+ *
+ * @param {string} firstWordOrPrefix a word to hash (keep its first 10 bytes), or a `bytes10` key prefix.
+ * @param {string} lastWordOrValue a word to hash (keep its first 20 bytes), or an address / `bytes20` value.
+ * @returns {string} the data key.
+ *
+ * @example
+ * generateMappingKey('LSP5ReceivedAssetsMap', assetAddress);
+ * generateMappingKey(ERC725YDataKeys.LSP5.LSP5ReceivedAssetsMap.substring(0, 22), assetAddress);
+ */
+function generateMappingKey(firstWordOrPrefix, lastWordOrValue) {
+	const keyPrefix = isBytesN(firstWordOrPrefix, 10)
+		? firstWordOrPrefix
+		: ethers.utils.hexDataSlice(keccak256(firstWordOrPrefix), 0, 10);
+
+	const bytes20Value = isBytesN(lastWordOrValue, 20)
+		? lastWordOrValue
+		: ethers.utils.hexDataSlice(keccak256(lastWordOrValue), 0, 20);
+
+	return ethers.utils.hexConcat([keyPrefix, '0x0000', bytes20Value]).toLowerCase();
+}
+
+/**
+ * Generates a data key of keyType MappingWithGrouping:
+ * `<bytes6(keccak256(firstWord))>:<bytes4(keccak256(secondWord))>:<bytes2(0)>:<bytes20(addr)>`.
+ * Mirrors the 2 Solidity overloads:
+ *  - `generateMappingWithGroupingKey(string firstWord, string secondWord, address addr)`
+ *  - `generateMappingWithGroupingKey(bytes10 keyPrefix, bytes20 bytes20Value)`
+ *
+ * @param {...string} args either `(firstWord, secondWord, addr)` or `(keyPrefix, bytes20Value)`.
+ * @returns {string} the data key.
+ *
+ * @example
+ * // AddressPermissions:Permissions:<address>
+ * generateMappingWithGroupingKey('AddressPermissions', 'Permissions', controllerAddress);
+ * generateMappingWithGroupingKey('0x4b80742de2bf82acb363', controllerAddress);
+ */
+function generateMappingWithGroupingKey(...args) {
+	if (args.length === 2) {
+		const [keyPrefix, bytes20Value] = args;
+
+		if (!isBytesN(keyPrefix, 10)) {
+			throw new Error(`dataKeys: invalid keyPrefix ${keyPrefix} (must be bytes10)`);
+		}
+
+		if (!isBytesN(bytes20Value, 20)) {
+			throw new Error(`dataKeys: invalid value ${bytes20Value} (must be bytes20)`);
+		}
+
+		return ethers.utils.hexConcat([keyPrefix, '0x0000', bytes20Value]).toLowerCase();
+	}
+
+	const [firstWord, secondWord, addr] = args;
+
+	if (!isBytesN(addr, 20)) {
+		throw new Error(`dataKeys: invalid address ${addr}`);
+	}
+
+	return ethers.utils
+		.hexConcat([
+			ethers.utils.hexDataSlice(keccak256(firstWord), 0, 6),
+			ethers.utils.hexDataSlice(keccak256(secondWord), 0, 4),
+			'0x0000',
+			addr,
+		])
+		.toLowerCase();
+}
+
+module.exports = {
+	generateSingletonKey,
+	generateArrayKey,
+	generateArrayElementKeyAtIndex,
+	generateMappingKey,
+	generateMappingWithGroupingKey,
+};
@@ -0,0 +1,378 @@
+/**
+ * Encode and decode ERC725Y data values according to the `valueType` and `valueContent` of their schema (LSP2).
+ * @see https://github.com/lukso-network/LIPs/blob/main/LSPs/LSP-2-ERC725YJSONSchema.md#valuetype
+ *
+ * Supported `valueType`:
+ *  - static types: `address`, `bool`, `uintN`, `bytesN`, and dynamic types: `bytes`, `string`.
+ *  - tuples of static types, packed together: e.g: `(bytes4,bytes8)`, `(bytes4,address)`.
+ *  - arrays of static types, encoded according to the Solidity ABI: e.g: `address[]`, `bytes4[]`.
+ *  - CompactBytesArray of a type or a tuple: e.g: `bytes[CompactBytesArray]`, `(bytes4,address,bytes4)[CompactBytesArray]`.
+ *
+ * Supported `valueContent`: `JSONURL`, `ASSETURL`, `Address`, `Number`, `Boolean`, `String`, `URL`, `BitArray`,
+ * `BytesN`, `Bytes`, `Keccak256` and literal hex values (e.g: the `0xabe425d6` of `SupportedStandards:LSP3UniversalProfile`).
+ */
+const { ethers } = require('ethers');
+
+const { encodeCompactBytesArray, decodeCompactBytesArray } = require('./compactBytesArray');
+const { findSchemaForKey } = require('./schemas');
+const { toPlainValue } = require('./utils');
+
+const HASH_FUNCTIONS = ['keccak256(utf8)', 'keccak256(bytes)'];
+
+const URL_VALUE_CONTENTS = {
+	JSONURL: 'keccak256(utf8)',
+	ASSETURL: 'keccak256(bytes)',
+};
+
+// `bytes4(keccak256(hashFunction))` + `bytes32 hash` are the first 36 bytes of a JSONURL / ASSETURL value
+const URL_HEADER_LENGTH = 36;
+
+function isLiteralContent(valueContent) {
+	return valueContent.startsWith('0x');
+}
+
+function getStaticLength(type) {
+	if (type === 'address') return 20;
+	if (type === 'bool') return 1;
+
+	const [, bits] = type.match(/^u?int(\d*)$/) || [];
+	if (bits !== undefined) return Number(bits || 256) / 8;
+
+	const [, size] = type.match(/^bytes(\d+)$/) || [];
+	if (size !== undefined) return Number(size);
+
+	return null;
+}
+
+// split `(bytes4,address)` into ['bytes4', 'address'], or `Address` into ['Address']
+function splitTuple(type) {
+	return type.startsWith('(') && type.endsWith(')') ? type.slice(1, -1).split(',') : [type];
+}
+
+function parseValueType(valueType) {
+	const [, compactType] = valueType.match(/^(.+)\[CompactBytesArray\]$/) || [];
+	if (compactType !== undefined) {
+		return { kind: 'CompactBytesArray', types: splitTuple(compactType) };
+	}
+
+	const [, arrayType] = valueType.match(/^(.+)\[\]$/) || [];
+	if (arrayType !== undefined) return { kind: 'Array', types: [arrayType] };
+
+	if (valueType.startsWith('(')) return { kind: 'Tuple', types: splitTuple(valueType) };
+
+	return { kind: 'Single', types: [valueType] };
+}
+
+function parseSchema({ valueType, valueContent }) {
+	const { kind, types } = parseValueType(valueType);
+	const contents = splitTuple(valueContent);
+
+	if (contents.length !== types.length) {
+		throw new Error(
+			`dataValues: valueContent ${valueContent} does not match the valueType ${valueType}`,
+		);
+	}
+
+	// dynamic types (`bytes`, `string`) can only be encoded alone, or as the elements of a CompactBytesArray
+	const hasDynamicType = types.some((type) => getStaticLength(type) === null);
+	if (hasDynamicType && (types.length > 1 || kind === 'Array')) {
+		throw new Error(`dataValues: unsupported valueType ${valueType}`);
+	}
+
+	return { kind, types, contents };
+}
+
+// JSONURL / ASSETURL
+// ----------
+
+/**
+ * Encode a JSONURL or ASSETURL value: `bytes4(keccak256(hashFunction))` + `bytes32 hash` + `utf8 url`.
+ * Same output as `LSP2Utils.generateJSONURLValue(...)` / `LSP2Utils.generateASSETURLValue(...)`.
+ *
+ * @param {object} value
+ * @param {string} [value.hashFunction] the function used to hash the file (default: `keccak256(utf8)` for JSONURL,
+ * `keccak256(bytes)` for ASSETURL).
+ * @param {string} [value.hash] the hash of the file, as a `bytes32` hex string.
+ * @param {string|object} [value.json] the JSON file, to hash instead of providing its `hash` (JSONURL only).
+ * @param {string} value.url the URL where the file is hosted.
+ * @param {string} [valueContent] `JSONURL` or `ASSETURL`.
+ * @returns {string} the encoded value.
+ */
+function encodeURLValue(value, valueContent = 'JSONURL') {
+	const { hashFunction = URL_VALUE_CONTENTS[valueContent], json, url } = value;
+
+	let { hash } = value;
+	if (hash === undefined && json !== undefined && valueContent === 'JSONURL') {
+		hash = ethers.utils.keccak256(
+			ethers.utils.toUtf8Bytes(typeof json === 'string' ? json : JSON.stringify(json)),
+		);
+	}
+
+	if (!ethers.utils.isHexString(hash, 32)) {
+		throw new Error(`dataValues: invalid ${valueContent} hash ${hash} (must be bytes32)`);
+	}
+
+	const hashFunctionId = ethers.utils.isHexString(hashFunction, 4)
+		? hashFunction
+		: ethers.utils.hexDataSlice(ethers.utils.id(hashFunction), 0, 4);
+
+	return ethers.utils
+		.hexConcat([hashFunctionId, hash, ethers.utils.toUtf8Bytes(url)])
+		.toLowerCase();
+}
+
+/**
+ * Decode a JSONURL or ASSETURL value.
+ *
+ * @param {string} encodedValue the encoded value.
+ * @returns {object} `{ hashFunction, hash, url }`, where `hashFunction` is the name of the hash function if known
+ * (`keccak256(utf8)` or `keccak256(bytes)`), or its `bytes4` identifier otherwise.
+ */
+function decodeURLValue(encodedValue) {
+	if (ethers.utils.hexDataLength(encodedValue) < URL_HEADER_LENGTH) {
+		throw new Error(`dataValues: invalid JSONURL / ASSETURL value ${encodedValue}`);
+	}
+
+	const hashFunctionId = ethers.utils.hexDataSlice(encodedValue, 0, 4);
+
+	return {
+		hashFunction:
+			HASH_FUNCTIONS.find(
+				(name) => ethers.utils.hexDataSlice(ethers.utils.id(name), 0, 4) === hashFunctionId,
+			) || hashFunctionId,
+		hash: ethers.utils.hexDataSlice(encodedValue, 4, URL_HEADER_LENGTH),
+		url: ethers.utils.toUtf8String(ethers.utils.hexDataSlice(encodedValue, URL_HEADER_LENGTH)),
+	};
+}
+
+// single types
+// ----------
+
+// a `uintN` / `intN`, or a number stored in a `bytesN` (e.g: the `bytes8` index of `LSP5ReceivedAssetsMap:<address>`)
+function isNumber(type, content) {
+	return /^u?int/.test(type) || (content === 'Number' && /^bytes\d+$/.test(type));
+}
+
+function encodeElement(type, content, value) {
+	if (isLiteralContent(content)) {
+		const literal = value === undefined ? content : value;
+
+		if (literal.toLowerCase() !== content.toLowerCase()) {
+			throw new Error(
+				`dataValues: value ${value} does not match the valueContent ${content}`,
+			);
+		}
+		return content.toLowerCase();
+	}
+
+	if (content === 'JSONURL' || content === 'ASSETURL') return encodeURLValue(value, content);
+
+	const length = getStaticLength(type);
+
+	if (type === 'address') return ethers.utils.getAddress(value).toLowerCase();
+	if (type === 'bool') return value ? '0x01' : '0x00';
+	if (type === 'string' || (type === 'bytes' && ['String', 'URL'].includes(content))) {
+		return ethers.utils.hexlify(ethers.utils.toUtf8Bytes(value));
+	}
+
+	if (isNumber(type, content)) {
+		const number = ethers.BigNumber.from(value);
+
+		if (number.isNegative() || ethers.utils.hexDataLength(number.toHexString()) > length) {
+			throw new Error(`dataValues: ${value} does not fit in a ${type}`);
+		}
+		return ethers.utils.hexZeroPad(number.toHexString(), length);
+	}
+
+	if (!ethers.utils.isHexString(value)) {
+		throw new Error(`dataValues: invalid ${type} value ${value} (must be a hex string)`);
+	}
+
+	if (length !== null) {
+		// a BitArray is a number, pad it on the left (e.g: `0x01` -> `0x00...01`)
+		const bytes = content === 'BitArray' ? ethers.utils.hexZeroPad(value, length) : value;
+
+		if (ethers.utils.hexDataLength(bytes) !== length) {
+			throw new Error(`dataValues: invalid ${type} value ${value}`);
+		}
+		return bytes.toLowerCase();
+	}
+
+	return value.toLowerCase();
+}
+
+function decodeElement(type, content, encodedValue) {
+	const length = getStaticLength(type);
+
+	if (length !== null && ethers.utils.hexDataLength(encodedValue) !== length) {
+		throw new Error(`dataValues: invalid ${type} value ${encodedValue}`);
+	}
+
+	if (isLiteralContent(content)) return encodedValue;
+	if (content === 'JSONURL' || content === 'ASSETURL') return decodeURLValue(encodedValue);
+
+	if (type === 'address') return ethers.utils.getAddress(encodedValue);
+	if (type === 'bool') return !ethers.BigNumber.from(encodedValue).isZero();
+	if (type === 'string' || (type === 'bytes' && ['String', 'URL'].includes(content))) {
+		return ethers.utils.toUtf8String(encodedValue);
+	}
+	if (isNumber(type, content)) return ethers.BigNumber.from(encodedValue).toString();
+
+	return encodedValue;
+}
+
+// tuples, arrays and CompactBytesArray
+// ----------
+
+function encodeTuple(types, contents, values) {
+	if (types.length === 1) return encodeElement(types[0], contents[0], values);
+
+	if (!Array.isArray(values) || values.length !== types.length) {
+		throw new Error(`dataValues: expected ${types.length} values for (${types.join(',')})`);
+	}
+
+	return ethers.utils.hexConcat(
+		types.map((type, index) => encodeElement(type, contents[index], values[index])),
+	);
+}
+
+function decodeTuple(types, contents, encodedValue) {
+	if (types.length === 1) return decodeElement(types[0], contents[0], encodedValue);
+
+	const length = types.reduce((total, type) => total + getStaticLength(type), 0);
+	if (ethers.utils.hexDataLength(encodedValue) !== length) {
+		throw new Error(`dataValues: invalid (${types.join(',')}) value ${encodedValue}`);
+	}
+
+	let pointer = 0;
+	return types.map((type, index) => {
+		const element = ethers.utils.hexDataSlice(
+			encodedValue,
+			pointer,
+			pointer + getStaticLength(type),
+		);
+		pointer += getStaticLength(type);
+
+		return decodeElement(type, contents[index], element);
+	});
+}
+
+/**
+ * Encode a value according to the `valueType` and `valueContent` of its schema.
+ *
+ * @param {object} schema a schema entry (e.g: from `LSP3_Schema` in `constants.js`), with a `valueType` and `valueContent`.
+ * @param {any} value the value to encode:
+ *  - a `{ hashFunction, hash | json, url }` object for JSONURL and ASSETURL.
+ *  - an address, a hex string, a string, a boolean or a number (`number`, decimal string or `BigNumber`) for single types.
+ *  - an array of values for tuples, arrays and CompactBytesArray (an array of arrays for a CompactBytesArray of tuples).
+ * @returns {string} the encoded value, to set with `setData(...)`.
+ *
+ * @example
+ * encodeValue({ valueType: '(bytes4,bytes8)', valueContent: '(Bytes4,Number)' }, [INTERFACE_IDS.LSP7DigitalAsset, 3]);
+ * // 0xda1f85e40000000000000003
+ */
+function encodeValue(schema, value) {
+	const { kind, types, contents } = parseSchema(schema);
+
+	switch (kind) {
+		case 'CompactBytesArray':
+			return encodeCompactBytesArray(
+				value.map((element) => encodeTuple(types, contents, element)),
+			).toLowerCase();
+		case 'Array':
+			return ethers.utils.defaultAbiCoder.encode(
+				[`${types[0]}[]`],
+				[
+					value.map((element) =>
+						/^(u?int|bool)/.test(types[0])
+							? element
+							: encodeElement(types[0], contents[0], element),
+					),
+				],
+			);
+		default:
+			return encodeTuple(types, contents, value).toLowerCase();
+	}
+}
+
+/**
+ * Decode a value according to the `valueType` and `valueContent` of its schema.
+ *
+ * @param {object} schema a schema entry (e.g: from `LSP3_Schema` in `constants.js`), with a `valueType` and `valueContent`.
+ * @param {string} encodedValue the value returned by `getData(...)`.
+ * @returns {any} the decoded value (see `encodeValue(...)`), or `null` if `encodedValue` is empty (`0x`).
+ * Numbers are returned as decimal strings and addresses are checksummed.
+ *
+ * @example
+ * decodeValue({ valueType: 'bytes', valueContent: 'JSONURL' }, '0x6f357c6a...');
+ * // { hashFunction: 'keccak256(utf8)', hash: '0x...', url: 'ipfs://...' }
+ */
+function decodeValue(schema, encodedValue) {
+	if (!ethers.utils.isHexString(encodedValue) || encodedValue.length % 2 !== 0) {
+		throw new Error(`dataValues: invalid encoded value ${encodedValue}`);
+	}
+
+	if (encodedValue === '0x') return null;
+
+	const { kind, types, contents } = parseSchema(schema);
+
+	switch (kind) {
+		case 'CompactBytesArray':
+			return decodeCompactBytesArray(encodedValue).map((element) =>
+				decodeTuple(types, contents, element),
+			);
+		case 'Array': {
+			const [elements] = ethers.utils.defaultAbiCoder.decode([`${types[0]}[]`], encodedValue);
+
+			return elements.map((element) =>
+				/^(u?int|bool)/.test(types[0])
+					? toPlainValue(element)
+					: decodeElement(types[0], contents[0], element),
+			);
+		}
+		default:
+			return decodeTuple(types, contents, encodedValue);
+	}
+}
+
+/**
+ * Decode the values returned by `getData(bytes32[])`, by finding the schema of each data key (see `tools/schemas.js`).
+ * The data key of an Array holds its length, decoded as a `uint256` Number.
+ *
+ * @param {string[]} dataKeys the data keys passed to `getData(...)`.
+ * @param {string[]} dataValues the values returned by `getData(...)`.
+ * @param {object[]} [schemas] the schemas to search in (default: the schemas of every LSP).
+ * @returns {object[]} a list of `{ dataKey, name, dynamicPart, value }`, where `name` and `dynamicPart` are `null`
+ * and `value` is the raw value for the data keys without a known schema.
+ */
+function decodeData(dataKeys, dataValues, schemas) {
+	return dataKeys.map((dataKey, index) => {
+		const result = findSchemaForKey(dataKey, schemas);
+
+		if (result === null) {
+			return { dataKey, name: null, dynamicPart: null, value: dataValues[index] };
+		}
+
+		const { schema, dynamicPart } = result;
+
+		const isArrayLength = schema.keyType === 'Array' && dynamicPart === null;
+
+		return {
+			dataKey,
+			name: schema.name,
+			dynamicPart,
+			value: decodeValue(
+				isArrayLength ? { valueType: 'uint256', valueContent: 'Number' } : schema,
+				dataValues[index],
+			),
+		};
+	});
+}
+
+module.exports = {
+	encodeURLValue,
+	decodeURLValue,
+	encodeValue,
+	decodeValue,
+	decodeData,
+};
@@ -0,0 +1,164 @@
+/**
+ * Decode the revert data returned by a failed call to one of the LSP smart contracts,
+ * using the custom errors listed in the `Errors` table of `constants.js`.
+ */
+const { ethers } = require('ethers');
+
+const { Errors } = require('../constants');
+const { toPlainValue } = require('./utils');
+
+// Error(string)
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+
+// Panic(uint256)
+const PANIC_SELECTOR = '0x4e487b71';
+
+/**
+ * @see https://docs.soliditylang.org/en/v0.8.15/control-structures.html#panic-via-assert-and-error-via-require
+ */
+const PANIC_CODES = {
+	0x00: 'generic compiler inserted panic',
+	0x01: 'assertion failed',
+	0x11: 'arithmetic operation underflowed or overflowed',
+	0x12: 'division or modulo by zero',
+	0x21: 'invalid value converted to an enum type',
+	0x22: 'incorrectly encoded storage byte array',
+	0x31: 'pop() called on an empty array',
+	0x32: 'array index out of bounds',
+	0x41: 'too much memory allocated',
+	0x51: 'called a zero-initialized variable of internal function type',
+};
+
+/**
+ * The selectors are recomputed from the error signatures instead of relying on the keys
+ * of the `Errors` table, so that the lookup always match what the contracts revert with.
+ */
+const CUSTOM_ERRORS = Object.entries(Errors).reduce((lookup, [standard, errors]) => {
+	Object.values(errors).forEach(({ error, message }) => {
+		const selector = ethers.utils.id(error).substring(0, 10);
+		const name = error.substring(0, error.indexOf('('));
+		const types = ethers.utils.ParamType.from(
+			`tuple${error.substring(name.length)}`,
+		).components;
+
+		lookup[selector] = { standard, name, signature: error, types, message };
+	});
+
+	return lookup;
+}, {});
+
+/**
+ * Format a decoded ABI value so that it can be displayed inside a human readable message.
+ *
+ * @param {any} value a value decoded by the ethers ABI coder.
+ * @returns {string}
+ */
+function formatValue(value) {
+	if (ethers.BigNumber.isBigNumber(value)) return value.toString();
+	if (Array.isArray(value)) return `[${value.map(formatValue).join(', ')}]`;
+	if (typeof value === 'string' && !ethers.utils.isHexString(value)) return `"${value}"`;
+
+	return String(value);
+}
+
+function unknownRevertData(data, selector) {
+	return {
+		type: 'unknown',
+		selector,
+		data,
+		message:
+			selector === null
+				? 'Transaction reverted without a reason'
+				: `Transaction reverted with unknown error selector ${selector}`,
+	};
+}
+
+/**
+ * Decode the revert data of a failed transaction or call.
+ *
+ * @param {string} hexData the raw revert data as a hex string.
+ * @returns {object} the decoded error, with the following properties:
+ *  - `type`: `custom` (LSP custom error), `error` (`Error(string)`), `panic` (`Panic(uint256)`) or `unknown`.
+ *  - `selector`: the 4 bytes selector of the error (`null` if the revert data is empty).
+ *  - `standard`, `name`, `signature`: the LSP the custom error belongs to, its name and signature.
+ *  - `args`: the decoded arguments, as plain JS values.
+ *  - `message`: a human readable message that includes the decoded arguments.
+ *
+ * @example
+ * decodeRevertData('0x3bdad6e6...');
+ * // {
+ * //   type: 'custom',
+ * //   standard: 'LSP6',
+ * //   name: 'NotAuthorised',
+ * //   signature: 'NotAuthorised(address,string)',
+ * //   args: ['0xcafecafecafecafecafecafecafecafecafecafe', 'SETDATA'],
+ * //   message: 'LSP6: Not authorized (missing permission). NotAuthorised(0xcafe...cafe, "SETDATA")',
+ * // }
+ */
+function decodeRevertData(hexData) {
+	if (!ethers.utils.isHexString(hexData)) {
+		throw new Error(`decodeRevertData: invalid hex string ${hexData}`);
+	}
+
+	const data = hexData.toLowerCase();
+
+	if (ethers.utils.hexDataLength(data) < 4) return unknownRevertData(data, null);
+
+	const selector = ethers.utils.hexDataSlice(data, 0, 4);
+	const encodedArgs = ethers.utils.hexDataSlice(data, 4);
+
+	try {
+		if (selector === ERROR_STRING_SELECTOR) {
+			const [reason] = ethers.utils.defaultAbiCoder.decode(['string'], encodedArgs);
+
+			return {
+				type: 'error',
+				selector,
+				name: 'Error',
+				signature: 'Error(string)',
+				args: [reason],
+				message: reason,
+			};
+		}
+
+		if (selector === PANIC_SELECTOR) {
+			const [code] = ethers.utils.defaultAbiCoder.decode(['uint256'], encodedArgs);
+			const reason = PANIC_CODES[code.toNumber()] || 'unknown panic code';
+
+			return {
+				type: 'panic',
+				selector,
+				name: 'Panic',
+				signature: 'Panic(uint256)',
+				args: [code.toString()],
+				message: `Panic(${code.toHexString()}): ${reason}`,
+			};
+		}
+
+		const customError = CUSTOM_ERRORS[selector];
+		if (customError === undefined) return unknownRevertData(data, selector);
+
+		const { standard, name, signature, types, message } = customError;
+		const decodedArgs = ethers.utils.defaultAbiCoder.decode(types, encodedArgs);
+
+		return {
+			type: 'custom',
+			selector,
+			standard,
+			name,
+			signature,
+			args: decodedArgs.map(toPlainValue),
+			message: `${message} ${name}(${decodedArgs.map(formatValue).join(', ')})`,
+		};
+	} catch (error) {
+		// the selector matched, but the arguments could not be ABI decoded
+		return unknownRevertData(data, selector);
+	}
+}
+
+module.exports = {
+	ERROR_STRING_SELECTOR,
+	PANIC_SELECTOR,
+	PANIC_CODES,
+	decodeRevertData,
+};
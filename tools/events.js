@@ -0,0 +1,238 @@
+/**
+ * Decode the event logs emitted by the LSP smart contracts and build `eth_getLogs` filters for them.
+ *
+ * The layout of each event listed in `EventSignatures` (constants.js) is defined below as
+ * human-readable ABI, grouped and named the same way as in `EventSignatures`.
+ * @see https://docs.ethers.io/v5/api/utils/abi/formats/#abi-formats--human-readable-abi
+ */
+const { ethers } = require('ethers');
+
+const { EventSignatures } = require('../constants');
+const { toNamedValues } = require('./utils');
+
+const EVENT_ABIS = {
+	ERC173: {
+		OwnershipTransfered:
+			'event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)',
+	},
+	ERC725X: {
+		ContractCreated:
+			'event ContractCreated(uint256 indexed operationType, address indexed contractAddress, uint256 indexed value, bytes32 salt)',
+		Executed:
+			'event Executed(uint256 indexed operationType, address indexed target, uint256 indexed value, bytes4 selector)',
+	},
+	ERC725Y: {
+		DataChanged: 'event DataChanged(bytes32 indexed dataKey, bytes dataValue)',
+	},
+	LSP0: {
+		ValueReceived: 'event ValueReceived(address indexed sender, uint256 indexed value)',
+	},
+	LSP1: {
+		UniversalReceiver:
+			'event UniversalReceiver(address indexed from, uint256 indexed value, bytes32 indexed typeId, bytes receivedData, bytes returnedValue)',
+	},
+	LSP6: {
+		Executed: 'event Executed(bytes4 indexed selector, uint256 indexed value)',
+	},
+	LSP7: {
+		Transfer:
+			'event Transfer(address indexed operator, address indexed from, address indexed to, uint256 amount, bool allowNonLSP1Recipient, bytes data)',
+		AuthorizedOperator:
+			'event AuthorizedOperator(address indexed operator, address indexed tokenOwner, uint256 indexed amount)',
+		RevokedOperator:
+			'event RevokedOperator(address indexed operator, address indexed tokenOwner)',
+	},
+	LSP8: {
+		Transfer:
+			'event Transfer(address operator, address indexed from, address indexed to, bytes32 indexed tokenId, bool allowNonLSP1Recipient, bytes data)',
+		AuthorizedOperator:
+			'event AuthorizedOperator(address indexed operator, address indexed tokenOwner, bytes32 indexed tokenId)',
+		RevokedOperator:
+			'event RevokedOperator(address indexed operator, address indexed tokenOwner, bytes32 indexed tokenId)',
+	},
+	LSP9: {
+		ValueReceived: 'event ValueReceived(address indexed sender, uint256 indexed value)',
+	},
+	LSP11: {
+		GuardianAdded: 'event GuardianAdded(address indexed newGuardian)',
+		GuardianRemoved: 'event GuardianRemoved(address indexed removedGuardian)',
+		GuardiansThresholdChanged:
+			'event GuardiansThresholdChanged(uint256 indexed guardianThreshold)',
+		SecretHashChanged: 'event SecretHashChanged(bytes32 indexed secretHash)',
+		SelectedNewController:
+			'event SelectedNewController(uint256 indexed recoveryCounter, address indexed guardian, address indexed addressSelected)',
+		RecoveryProcessSuccessful:
+			'event RecoveryProcessSuccessful(uint256 indexed recoveryCounter, address indexed newController, bytes32 indexed newSecretHash, address[] guardians)',
+	},
+	Helpers: {
+		ReceivedERC777:
+			'event ReceivedERC777(address indexed token, address indexed _operator, address indexed _from, address _to, uint256 _amount)',
+	},
+	LSP14Ownable2Step: {
+		OwnershipTransferStarted:
+			'event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner)',
+		RenounceOwnershipStarted: 'event RenounceOwnershipStarted()',
+		OwnershipRenounced: 'event OwnershipRenounced()',
+	},
+	LSP16UniversalFactory: {
+		ContractCreated:
+			'event ContractCreated(address indexed contractCreated, bytes32 indexed providedSalt, bool indexed initializable, bytes initializeCalldata)',
+	},
+};
+
+/**
+ * Lookup of every event by its topic hash. Several standards can emit the same event
+ * (e.g: `ValueReceived` for LSP0 and LSP9), so each topic maps to the list of standards emitting it.
+ *
+ * Building the lookup fails loudly if a layout defined above does not produce the topic hash
+ * listed in `EventSignatures`.
+ */
+const EVENTS_BY_TOPIC = Object.entries(EVENT_ABIS).reduce((lookup, [standard, events]) => {
+	Object.entries(events).forEach(([eventName, abi]) => {
+		const fragment = ethers.utils.EventFragment.from(abi.substring('event '.length));
+		const topic = ethers.utils.id(fragment.format());
+
+		if (topic !== EventSignatures[standard][eventName]) {
+			throw new Error(
+				`events: layout of ${standard}.${eventName} does not match EventSignatures (${fragment.format()})`,
+			);
+		}
+
+		if (lookup[topic] === undefined) {
+			lookup[topic] = { fragment, topic, standards: [] };
+		}
+
+		lookup[topic].standards.push(standard);
+	});
+
+	return lookup;
+}, {});
+
+/**
+ * Retrieve the ABI fragment of an event listed in `EventSignatures`.
+ *
+ * @param {string} standard the standard the event belongs to, as named in `EventSignatures` (e.g: `ERC725Y`).
+ * @param {string} eventName the name of the event, as named in `EventSignatures` (e.g: `DataChanged`).
+ * @returns {ethers.utils.EventFragment}
+ */
+function getEventFragment(standard, eventName) {
+	const topic = (EventSignatures[standard] || {})[eventName];
+
+	if (topic === undefined || EVENTS_BY_TOPIC[topic] === undefined) {
+		throw new Error(`events: unknown event ${standard}.${eventName}`);
+	}
+
+	return EVENTS_BY_TOPIC[topic].fragment;
+}
+
+/**
+ * Identify and decode a raw event log emitted by one of the LSP smart contracts.
+ *
+ * @param {object} log a raw log, as returned by `eth_getLogs` or inside a transaction receipt.
+ * @param {string[]} log.topics the topics of the log.
+ * @param {string} log.data the non-indexed data of the log.
+ * @returns {object|null} the decoded event, or `null` if the log does not match any LSP event:
+ *  - `name`: the name of the event (e.g: `DataChanged`).
+ *  - `signature`: the event signature (e.g: `DataChanged(bytes32,bytes)`).
+ *  - `topic`: the topic hash of the event.
+ *  - `standards`: the standards emitting this event, as named in `EventSignatures`.
+ *  - `address`: the address of the contract that emitted the log (if present in the log).
+ *  - `args`: the indexed and non-indexed parameters, keyed by name.
+ *
+ * @example
+ * decodeLog(log);
+ * // {
+ * //   name: 'DataChanged',
+ * //   signature: 'DataChanged(bytes32,bytes)',
+ * //   topic: '0xece574603820d07bc9b91f2a932baadf4628aabcb8afba49776529c14a6104b2',
+ * //   standards: ['ERC725Y'],
+ * //   address: '0x...',
+ * //   args: { dataKey: '0x5ef83ad9...', dataValue: '0x6f357c6a...' },
+ * // }
+ */
+function decodeLog(log) {
+	const { topics = [], data = '0x', address } = log;
+
+	if (topics.length === 0) return null;
+
+	const event = EVENTS_BY_TOPIC[topics[0].toLowerCase()];
+	if (event === undefined) return null;
+
+	const { fragment, topic, standards } = event;
+
+	let decoded;
+	try {
+		decoded = new ethers.utils.Interface([fragment]).decodeEventLog(fragment, data, topics);
+	} catch (error) {
+		// same topic hash, but different indexed layout (e.g: ERC20 vs ERC721 `Transfer`)
+		return null;
+	}
+
+	return {
+		name: fragment.name,
+		signature: fragment.format(),
+		topic,
+		standards: [...standards],
+		address,
+		args: toNamedValues(fragment.inputs, decoded),
+	};
+}
+
+/**
+ * Build a filter for `eth_getLogs` (or `provider.getLogs(...)` in ethers) that matches an LSP event,
+ * optionally restricted to specific values of its indexed parameters.
+ *
+ * @param {string} standard the standard the event belongs to, as named in `EventSignatures` (e.g: `ERC725Y`).
+ * @param {string} eventName the name of the event, as named in `EventSignatures` (e.g: `DataChanged`).
+ * @param {object} [options]
+ * @param {object} [options.args] the values to match for the indexed parameters, keyed by name.
+ * An array of values matches any of them.
+ * @param {string|string[]} [options.address] the address(es) of the contract(s) emitting the event.
+ * @param {number|string} [options.fromBlock]
+ * @param {number|string} [options.toBlock]
+ * @returns {object} the log filter.
+ *
+ * @example
+ * // all the `DataChanged` events for the `LSP3Profile` data key on a Universal Profile
+ * buildLogFilter('ERC725Y', 'DataChanged', {
+ *   address: universalProfile.address,
+ *   args: { dataKey: ERC725YDataKeys.LSP3.LSP3Profile },
+ * });
+ */
+function buildLogFilter(standard, eventName, options = {}) {
+	const { args = {}, address, fromBlock, toBlock } = options;
+	const fragment = getEventFragment(standard, eventName);
+
+	Object.keys(args).forEach((argName) => {
+		const input = fragment.inputs.find(({ name }) => name === argName);
+
+		if (input === undefined) {
+			throw new Error(`events: ${fragment.name} has no parameter named ${argName}`);
+		}
+
+		if (!input.indexed) {
+			throw new Error(`events: cannot filter ${fragment.name} on non-indexed ${argName}`);
+		}
+	});
+
+	const values = fragment.inputs
+		.filter((input) => input.indexed)
+		.map((input) => (args[input.name] === undefined ? null : args[input.name]));
+
+	const filter = {
+		topics: new ethers.utils.Interface([fragment]).encodeFilterTopics(fragment, values),
+	};
+
+	if (address !== undefined) filter.address = address;
+	if (fromBlock !== undefined) filter.fromBlock = fromBlock;
+	if (toBlock !== undefined) filter.toBlock = toBlock;
+
+	return filter;
+}
+
+module.exports = {
+	EVENT_ABIS,
+	getEventFragment,
+	decodeLog,
+	buildLogFilter,
+};
@@ -0,0 +1,325 @@
+/**
+ * List, install, replace and remove the LSP17 extensions of a Universal Profile (or any LSP17Extendable ERC725Y
+ * contract), stored under the `LSP17Extension:<bytes4>` data keys: the address of the contract the calls to the
+ * function `<bytes4>` are forwarded to.
+ *
+ * The extensions cannot be enumerated, they are listed for a set of function selectors. The changes are computed as
+ * a single `setData(bytes32[],bytes[])` batch, with the LSP6 permission it requires: ADDEXTENSIONS to set an extension
+ * for a function that has none, CHANGEEXTENSIONS to replace or remove an extension.
+ */
+const { ethers } = require('ethers');
+
+const { ERC725YDataKeys, INTERFACE_IDS } = require('../constants');
+const { DEFAULT_EXTENSION_SELECTORS } = require('./snapshot');
+const { fetchData, supportsInterface } = require('./utils');
+
+const ERC725Y_ABI = [
+	'function getData(bytes32[] dataKeys) view returns (bytes[] dataValues)',
+	'function setData(bytes32[] dataKeys, bytes[] dataValues) payable',
+];
+
+const KEY_MANAGER_ABI = ['function execute(bytes payload) payable returns (bytes)'];
+
+// the ABI fragments that are not functions, to tell an ABI apart from a list of function signatures
+const NON_FUNCTION_FRAGMENT = /^\s*(event|error|constructor|fallback|receive)\b/;
+
+/**
+ * The selectors of a list of functions.
+ *
+ * @param {string|string[]|object[]|ethers.utils.Interface} functions a function selector (e.g: `0x150b7a02`),
+ * a function signature (e.g: `onERC721Received(address,address,uint256,bytes)`), a list of them, or an ABI
+ * (JSON or human-readable, or an `ethers.utils.Interface`) to take the selectors of all its functions.
+ * @returns {string[]} the `bytes4` function selectors, without duplicates.
+ */
+function getFunctionSelectors(functions) {
+	if (functions instanceof ethers.utils.Interface) {
+		return Object.keys(functions.functions).map((signature) => functions.getSighash(signature));
+	}
+
+	const list = Array.isArray(functions) ? functions : [functions];
+
+	const isABI = list.some(
+		(item) =>
+			typeof item !== 'string' ||
+			/^\s*function\b/.test(item) ||
+			NON_FUNCTION_FRAGMENT.test(item),
+	);
+	if (isABI) return getFunctionSelectors(new ethers.utils.Interface(list));
+
+	const selectors = list.map((item) => {
+		if (ethers.utils.isHexString(item, 4)) return item.toLowerCase();
+
+		try {
+			return ethers.utils.Interface.getSighash(ethers.utils.FunctionFragment.from(item));
+		} catch (error) {
+			throw new Error(
+				`extensions: invalid function ${item} (must be a bytes4 selector or a function signature)`,
+			);
+		}
+	});
+
+	return selectors.filter((selector, index) => selectors.indexOf(selector) === index);
+}
+
+/**
+ * @param {string} selectorOrSignature a function selector (e.g: `0x150b7a02`) or signature
+ * (e.g: `onERC721Received(address,address,uint256,bytes)`).
+ * @returns {string} the `LSP17Extension:<bytes4>` data key of the function.
+ */
+function getExtensionDataKey(selectorOrSignature) {
+	if (typeof selectorOrSignature !== 'string') {
+		throw new Error(
+			`extensions: invalid function ${selectorOrSignature} (must be a bytes4 selector or a function signature)`,
+		);
+	}
+
+	const [selector] = getFunctionSelectors(selectorOrSignature);
+
+	return ethers.utils
+		.hexConcat([
+			ERC725YDataKeys.LSP17.LSP17ExtensionPrefix,
+			selector,
+			ethers.utils.hexZeroPad('0x', 16),
+		])
+		.toLowerCase();
+}
+
+/**
+ * The permission the Key Manager requires to set an `LSP17Extension:<bytes4>` data key,
+ * see `LSP6KeyManagerCore._getPermissionToSetLSP17Extension(...)`.
+ *
+ * @param {string|null} currentValue the value currently stored under the data key (`0x` or `null` if none).
+ * @returns {string} `ADDEXTENSIONS` if no value is stored, `CHANGEEXTENSIONS` otherwise.
+ */
+function getExtensionPermission(currentValue) {
+	return currentValue === null || currentValue === undefined || currentValue === '0x'
+		? 'ADDEXTENSIONS'
+		: 'CHANGEEXTENSIONS';
+}
+
+/**
+ * Read the extensions set for a list of functions.
+ *
+ * @param {ethers.providers.Provider} provider the provider connected to the network of the Universal Profile.
+ * @param {string} address the address of the Universal Profile (or any ERC725Y contract).
+ * @param {object} [options]
+ * @param {string|string[]|object[]} [options.functions] the functions to look for an extension, as accepted by
+ * `getFunctionSelectors(...)` (default: `DEFAULT_EXTENSION_SELECTORS`).
+ * @param {number} [options.batchSize] the maximum number of data keys per `getData(bytes32[])` call (default: 100).
+ * @param {string} [options.blockTag] read the storage at this block (default: `latest`).
+ * @returns {Promise<object[]>} `{ selector, dataKey, extension }` for each function, where `extension` is `null` if
+ * no extension is set. A value that is not an address is returned raw (hex).
+ */
+async function listExtensions(provider, address, options = {}) {
+	const {
+		functions = DEFAULT_EXTENSION_SELECTORS,
+		batchSize = 100,
+		blockTag = 'latest',
+	} = options;
+
+	const selectors = getFunctionSelectors(functions);
+	const dataKeys = selectors.map(getExtensionDataKey);
+
+	const values = await fetchData(new ethers.Contract(address, ERC725Y_ABI, provider), dataKeys, {
+		batchSize,
+		blockTag,
+	});
+
+	return selectors.map((selector, index) => {
+		const value = values[dataKeys[index]];
+
+		let extension = value;
+		if (value === '0x') {
+			extension = null;
+		} else if (ethers.utils.hexDataLength(value) === 20) {
+			extension = ethers.utils.getAddress(value);
+		}
+
+		return { selector, dataKey: dataKeys[index], extension };
+	});
+}
+
+// Changes
+// ----------
+
+// `supportsInterface(LSP17Extension)`, or false if the call reverts or the address is not a contract
+async function supportsLSP17Extension(provider, address, blockTag) {
+	if ((await provider.getCode(address, blockTag)) === '0x') return false;
+
+	return supportsInterface(provider, address, INTERFACE_IDS.LSP17Extension, blockTag);
+}
+
+function toExtensionAddress(extension) {
+	if (!ethers.utils.isAddress(extension) || ethers.BigNumber.from(extension).isZero()) {
+		throw new Error(`extensions: invalid extension address ${extension}`);
+	}
+
+	return ethers.utils.getAddress(extension);
+}
+
+// the data keys and values to set, with the payload to execute them and the permissions it requires
+function toSetDataBatch(changes, { viaKeyManager = false }) {
+	if (changes.length === 0) throw new Error('extensions: nothing to update');
+
+	const dataKeys = changes.map(({ dataKey }) => dataKey);
+	const dataValues = changes.map(({ to }) => (to === null ? '0x' : to.toLowerCase()));
+
+	const setDataPayload = new ethers.utils.Interface(ERC725Y_ABI).encodeFunctionData('setData', [
+		dataKeys,
+		dataValues,
+	]);
+
+	const permissions = changes.map(({ permission }) => permission);
+
+	return {
+		changes,
+		requiredPermissions: permissions.filter(
+			(permission, index) => permissions.indexOf(permission) === index,
+		),
+		dataKeys,
+		dataValues,
+		payload: viaKeyManager
+			? new ethers.utils.Interface(KEY_MANAGER_ABI).encodeFunctionData('execute', [
+					setDataPayload,
+			  ])
+			: setDataPayload,
+	};
+}
+
+// read the current extensions of the functions, and check that the new extension supports LSP17Extension
+async function planChanges(provider, address, functions, extension, options) {
+	const { checkInterface = true, blockTag = 'latest' } = options;
+
+	if (
+		extension !== null &&
+		checkInterface &&
+		!(await supportsLSP17Extension(provider, extension, blockTag))
+	) {
+		throw new Error(
+			`extensions: ${extension} does not support the LSP17Extension interface (${INTERFACE_IDS.LSP17Extension})`,
+		);
+	}
+
+	const current = await listExtensions(provider, address, { ...options, functions });
+
+	return current.map(({ selector, dataKey, extension: from }) => ({
+		selector,
+		dataKey,
+		from,
+		to: extension,
+		permission: getExtensionPermission(from),
+	}));
+}
+
+/**
+ * Compute the data keys and values to set to install an extension for functions that have none.
+ *
+ * @param {ethers.providers.Provider} provider the provider connected to the network of the Universal Profile.
+ * @param {string} address the address of the Universal Profile.
+ * @param {string|string[]|object[]} functions the functions to forward to the extension, as accepted by
+ * `getFunctionSelectors(...)` (e.g: the ABI of the extension).
+ * @param {string} extension the address of the extension.
+ * @param {object} [options]
+ * @param {boolean} [options.viaKeyManager] wrap the `payload` in a Key Manager `execute(bytes)` call (default: false).
+ * @param {boolean} [options.checkInterface] fail if the extension does not support `INTERFACE_IDS.LSP17Extension`
+ * (default: true).
+ * @param {string} [options.blockTag] read the storage at this block (default: `latest`).
+ * @returns {Promise<object>} `{ changes, requiredPermissions, dataKeys, dataValues, payload }`, where `changes` lists
+ * `{ selector, dataKey, from, to, permission }` for each function, `requiredPermissions` the LSP6 permissions needed
+ * to send the `payload` through the Key Manager, and `payload` is the `setData(bytes32[],bytes[])` call to send to the
+ * Universal Profile (or the `execute(bytes)` call to send to its Key Manager).
+ *
+ * @example
+ * const { payload, requiredPermissions } = await installExtension(
+ *   provider,
+ *   universalProfile.address,
+ *   ['onERC721Received(address,address,uint256,bytes)'],
+ *   extension.address,
+ *   { viaKeyManager: true },
+ * );
+ * // requiredPermissions: ['ADDEXTENSIONS']
+ * await controller.sendTransaction({ to: keyManager.address, data: payload });
+ */
+async function installExtension(provider, address, functions, extension, options = {}) {
+	const changes = await planChanges(
+		provider,
+		address,
+		functions,
+		toExtensionAddress(extension),
+		options,
+	);
+
+	changes.forEach(({ selector, from }) => {
+		if (from !== null) {
+			throw new Error(
+				`extensions: ${selector} already has the extension ${from} (use replaceExtension(...))`,
+			);
+		}
+	});
+
+	return toSetDataBatch(changes, options);
+}
+
+/**
+ * Compute the data keys and values to set to replace the extension of functions that have one.
+ * The functions already forwarded to `extension` are left unchanged.
+ *
+ * @param {ethers.providers.Provider} provider
+ * @param {string} address the address of the Universal Profile.
+ * @param {string|string[]|object[]} functions the functions to forward to the new extension
+ * (see `installExtension(...)`).
+ * @param {string} extension the address of the new extension.
+ * @param {object} [options] `{ viaKeyManager, checkInterface, blockTag }` (see `installExtension(...)`).
+ * @returns {Promise<object>} `{ changes, requiredPermissions, dataKeys, dataValues, payload }`
+ * (see `installExtension(...)`).
+ */
+async function replaceExtension(provider, address, functions, extension, options = {}) {
+	const changes = await planChanges(
+		provider,
+		address,
+		functions,
+		toExtensionAddress(extension),
+		options,
+	);
+
+	changes.forEach(({ selector, from }) => {
+		if (from === null) {
+			throw new Error(`extensions: ${selector} has no extension (use installExtension(...))`);
+		}
+	});
+
+	return toSetDataBatch(
+		changes.filter(({ from, to }) => from.toLowerCase() !== to.toLowerCase()),
+		options,
+	);
+}
+
+/**
+ * Compute the data keys and values to set to remove the extension of functions.
+ *
+ * @param {ethers.providers.Provider} provider
+ * @param {string} address the address of the Universal Profile.
+ * @param {string|string[]|object[]} functions the functions to remove the extension of (see `installExtension(...)`).
+ * @param {object} [options] `{ viaKeyManager, blockTag }` (see `installExtension(...)`).
+ * @returns {Promise<object>} `{ changes, requiredPermissions, dataKeys, dataValues, payload }`
+ * (see `installExtension(...)`).
+ */
+async function removeExtension(provider, address, functions, options = {}) {
+	const changes = await planChanges(provider, address, functions, null, options);
+
+	changes.forEach(({ selector, from }) => {
+		if (from === null) throw new Error(`extensions: ${selector} has no extension to remove`);
+	});
+
+	return toSetDataBatch(changes, options);
+}
+
+module.exports = {
+	getFunctionSelectors,
+	getExtensionDataKey,
+	getExtensionPermission,
+	listExtensions,
+	installExtension,
+	replaceExtension,
+	removeExtension,
+};
@@ -0,0 +1,391 @@
+/**
+ * Build and verify the JSON files referenced by the `LSP3Profile` and `LSP4Metadata` data keys.
+ * Their value is a JSONURL: `bytes4(keccak256('keccak256(utf8)'))` + `keccak256(file)` + `utf8 url`
+ * (see `encodeURLValue(...)` in `tools/dataValues.js`).
+ *
+ * The files are validated against `METADATA_SCHEMAS` (JSON Schemas, usable with any JSON Schema validator).
+ * They are fetched through a `fetcher`: any `async (url) => string | Uint8Array`, e.g: an IPFS client, an HTTP
+ * gateway, or `createDirectoryFetcher(...)` for files stored locally.
+ * @see https://github.com/lukso-network/LIPs/blob/main/LSPs/LSP-3-UniversalProfile-Metadata.md
+ * @see https://github.com/lukso-network/LIPs/blob/main/LSPs/LSP-4-DigitalAsset-Metadata.md
+ */
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const { ERC725YDataKeys } = require('../constants');
+const { encodeURLValue, decodeURLValue } = require('./dataValues');
+
+// Schemas
+// ----------
+
+const HASH_FUNCTION = { type: 'string', enum: ['keccak256(bytes)', 'keccak256(utf8)'] };
+
+const HASH = { type: 'string', pattern: '^0x[0-9a-fA-F]{64}$' };
+
+const LINK = {
+	type: 'object',
+	required: ['title', 'url'],
+	properties: { title: { type: 'string' }, url: { type: 'string' } },
+};
+
+const IMAGE = {
+	type: 'object',
+	required: ['width', 'height', 'hashFunction', 'hash', 'url'],
+	properties: {
+		width: { type: 'integer', minimum: 0 },
+		height: { type: 'integer', minimum: 0 },
+		hashFunction: HASH_FUNCTION,
+		hash: HASH,
+		url: { type: 'string' },
+	},
+};
+
+const ASSET = {
+	type: 'object',
+	required: ['hashFunction', 'hash', 'url', 'fileType'],
+	properties: {
+		hashFunction: HASH_FUNCTION,
+		hash: HASH,
+		url: { type: 'string' },
+		fileType: { type: 'string' },
+	},
+};
+
+/**
+ * The JSON Schemas of the files referenced by the `LSP3Profile` and `LSP4Metadata` data keys.
+ * `validateMetadata(...)` supports the keywords they use: `type`, `required`, `properties`, `items`, `enum`,
+ * `pattern` and `minimum`.
+ */
+const METADATA_SCHEMAS = {
+	LSP3Profile: {
+		$schema: 'http://json-schema.org/draft-07/schema#',
+		type: 'object',
+		required: ['LSP3Profile'],
+		properties: {
+			LSP3Profile: {
+				type: 'object',
+				required: ['name'],
+				properties: {
+					name: { type: 'string' },
+					description: { type: 'string' },
+					links: { type: 'array', items: LINK },
+					tags: { type: 'array', items: { type: 'string' } },
+					profileImage: { type: 'array', items: IMAGE },
+					backgroundImage: { type: 'array', items: IMAGE },
+					avatar: { type: 'array', items: ASSET },
+				},
+			},
+		},
+	},
+	LSP4Metadata: {
+		$schema: 'http://json-schema.org/draft-07/schema#',
+		type: 'object',
+		required: ['LSP4Metadata'],
+		properties: {
+			LSP4Metadata: {
+				type: 'object',
+				properties: {
+					description: { type: 'string' },
+					links: { type: 'array', items: LINK },
+					icon: { type: 'array', items: IMAGE },
+					images: { type: 'array', items: { type: 'array', items: IMAGE } },
+					assets: { type: 'array', items: ASSET },
+				},
+			},
+		},
+	},
+};
+
+const DATA_KEYS = {
+	LSP3Profile: ERC725YDataKeys.LSP3.LSP3Profile,
+	LSP4Metadata: ERC725YDataKeys.LSP4.LSP4Metadata,
+};
+
+function typeOf(value) {
+	if (value === null) return 'null';
+	if (Array.isArray(value)) return 'array';
+	if (Number.isInteger(value)) return 'integer';
+
+	return typeof value;
+}
+
+function validate(schema, value, pointer, errors) {
+	const type = typeOf(value);
+	const label = pointer === '' ? '(root)' : pointer;
+
+	if (
+		schema.type !== undefined &&
+		type !== schema.type &&
+		!(schema.type === 'number' && type === 'integer')
+	) {
+		errors.push(`${label}: must be of type ${schema.type}`);
+		return;
+	}
+
+	if (schema.enum !== undefined && !schema.enum.includes(value)) {
+		errors.push(`${label}: must be one of ${schema.enum.join(', ')}`);
+	}
+
+	if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+		errors.push(`${label}: must match ${schema.pattern}`);
+	}
+
+	if (schema.minimum !== undefined && value < schema.minimum) {
+		errors.push(`${label}: must be >= ${schema.minimum}`);
+	}
+
+	(schema.required || []).forEach((property) => {
+		if (value[property] === undefined) {
+			errors.push(`${label}: must have the property ${property}`);
+		}
+	});
+
+	Object.entries(schema.properties || {}).forEach(([property, propertySchema]) => {
+		if (value[property] !== undefined) {
+			validate(
+				propertySchema,
+				value[property],
+				pointer === '' ? property : `${pointer}.${property}`,
+				errors,
+			);
+		}
+	});
+
+	if (schema.items !== undefined) {
+		value.forEach((item, index) =>
+			validate(schema.items, item, `${pointer}[${index}]`, errors),
+		);
+	}
+}
+
+/**
+ * Validate a metadata file against its JSON Schema.
+ *
+ * @param {string} name `LSP3Profile` or `LSP4Metadata`.
+ * @param {object|string} json the metadata file, parsed or not.
+ * @returns {string[]} the errors found, as `<path>: <message>` (empty if the file is valid).
+ *
+ * @example
+ * validateMetadata('LSP3Profile', { LSP3Profile: { name: 'Alice', links: [{ title: 'Website' }] } });
+ * // ['LSP3Profile.links[0]: must have the property url']
+ */
+function validateMetadata(name, json) {
+	const schema = METADATA_SCHEMAS[name];
+	if (schema === undefined) {
+		throw new Error(`metadata: unknown metadata ${name} (must be LSP3Profile or LSP4Metadata)`);
+	}
+
+	let parsed = json;
+	if (typeof json === 'string') {
+		try {
+			parsed = JSON.parse(json);
+		} catch (error) {
+			return [`invalid JSON: ${error.message}`];
+		}
+	}
+
+	const errors = [];
+	validate(schema, parsed, '', errors);
+
+	return errors;
+}
+
+// Build
+// ----------
+
+/**
+ * @param {string|Uint8Array} content the content of a file (a string is hashed as utf8).
+ * @returns {string} the `keccak256` hash of the file, as set in the `hash` of an image or asset,
+ * or of a JSONURL value.
+ */
+function hashFile(content) {
+	return ethers.utils.keccak256(
+		typeof content === 'string' ? ethers.utils.toUtf8Bytes(content) : content,
+	);
+}
+
+/**
+ * Validate a metadata file, and compute the JSONURL value to set under its data key.
+ *
+ * @param {string} name `LSP3Profile` or `LSP4Metadata`.
+ * @param {object|string} json the metadata file. An object is serialized with `JSON.stringify(...)`.
+ * @param {string} url the URL where the file is (or will be) uploaded, e.g: `ipfs://<cid>`.
+ * @returns {object} `{ file, hash, dataKey, dataValue }`, where `file` is the exact content to upload
+ * (the `hash` is computed over it), and `dataValue` the JSONURL value to set under `dataKey`.
+ *
+ * @example
+ * const { file, dataKey, dataValue } = buildMetadataValue('LSP3Profile', profile, 'ipfs://Qm...');
+ * // upload `file` to IPFS, then:
+ * await universalProfile['setData(bytes32,bytes)'](dataKey, dataValue);
+ */
+function buildMetadataValue(name, json, url) {
+	const errors = validateMetadata(name, json);
+	if (errors.length !== 0) {
+		throw new Error(`metadata: invalid ${name} file (${errors.join('; ')})`);
+	}
+
+	const file = typeof json === 'string' ? json : JSON.stringify(json);
+
+	return {
+		file,
+		hash: hashFile(file),
+		dataKey: DATA_KEYS[name],
+		dataValue: encodeURLValue({ json: file, url }),
+	};
+}
+
+// Verify
+// ----------
+
+/**
+ * A fetcher reading the files from a local directory, where `ipfs://<cid>/<path>` (or `https://<host>/<path>`)
+ * is read from `<directory>/<cid>/<path>` (or `<directory>/<host>/<path>`).
+ *
+ * @param {string} directory the directory of the files.
+ * @returns {function} `async (url) => Uint8Array`.
+ */
+function createDirectoryFetcher(directory) {
+	const root = path.resolve(directory);
+
+	return async (url) => {
+		const file = path.resolve(root, url.replace(/^[a-z][a-z0-9+.-]*:\/\//i, ''));
+
+		if (!file.startsWith(root + path.sep)) {
+			throw new Error(`metadata: ${url} is outside of ${directory}`);
+		}
+
+		return fs.promises.readFile(file);
+	};
+}
+
+// the images and assets of a metadata file (the objects with a `hash` and `url`), with their path in the file
+function findLinkedFiles(value, pointer = '') {
+	if (value === null || typeof value !== 'object') return [];
+
+	if (!Array.isArray(value) && typeof value.hash === 'string' && typeof value.url === 'string') {
+		return [{ path: pointer.replace(/^\./, ''), ...value }];
+	}
+
+	return Object.entries(value).flatMap(([key, item]) =>
+		findLinkedFiles(item, Array.isArray(value) ? `${pointer}[${key}]` : `${pointer}.${key}`),
+	);
+}
+
+// fetch a file and compare its hash, as `{ path, url, expectedHash, actualHash, hashMatches }`
+async function verifyFile(fetcher, { path: pointer, hashFunction, hash, url }) {
+	const result = { path: pointer, url, expectedHash: hash, actualHash: null, hashMatches: false };
+
+	if (!HASH_FUNCTION.enum.includes(hashFunction)) {
+		return { ...result, error: `unsupported hash function ${hashFunction}` };
+	}
+
+	let content;
+	try {
+		content = await fetcher(url);
+	} catch (error) {
+		return { ...result, error: `could not fetch ${url}: ${error.message}` };
+	}
+
+	const actualHash = hashFile(content);
+
+	return { ...result, actualHash, hashMatches: actualHash.toLowerCase() === hash.toLowerCase() };
+}
+
+/**
+ * Fetch the file referenced by a JSONURL value, and verify that its hash matches the one stored on-chain
+ * and that it is valid against its JSON Schema.
+ *
+ * @param {string|object} value the JSONURL value stored under `LSP3Profile` or `LSP4Metadata` (hex),
+ * or decoded as `{ hashFunction, hash, url }`.
+ * @param {function} fetcher `async (url) => string | Uint8Array`, returning the content of the file at `url`.
+ * @param {object} [options]
+ * @param {string} [options.name] `LSP3Profile` or `LSP4Metadata` (default: the top-level property of the file).
+ * @param {boolean} [options.verifyLinkedFiles] also fetch the images and assets listed in the file,
+ * and compare their hash (default: false).
+ * @returns {Promise<object>} `{ url, expectedHash, actualHash, hashMatches, json, errors, linkedFiles, isValid }`,
+ * where `errors` lists every problem found (fetch, hash mismatch, JSON, schema) and `linkedFiles` the result of the
+ * verification of each image and asset, as `{ path, url, expectedHash, actualHash, hashMatches, error? }`.
+ *
+ * @example
+ * const value = await universalProfile['getData(bytes32)'](ERC725YDataKeys.LSP3.LSP3Profile);
+ * const { isValid, errors } = await verifyMetadata(value, (url) => ipfs.cat(url));
+ */
+async function verifyMetadata(value, fetcher, options = {}) {
+	const { verifyLinkedFiles = false } = options;
+	const { hashFunction, hash, url } = typeof value === 'string' ? decodeURLValue(value) : value;
+
+	const result = {
+		url,
+		expectedHash: hash,
+		actualHash: null,
+		hashMatches: false,
+		json: null,
+		errors: [],
+		linkedFiles: [],
+	};
+
+	if (hashFunction !== 'keccak256(utf8)') {
+		result.errors.push(`unsupported hash function ${hashFunction} (must be keccak256(utf8))`);
+		return { ...result, isValid: false };
+	}
+
+	let content;
+	try {
+		content = await fetcher(url);
+	} catch (error) {
+		result.errors.push(`could not fetch ${url}: ${error.message}`);
+		return { ...result, isValid: false };
+	}
+
+	result.actualHash = hashFile(content);
+	result.hashMatches = result.actualHash.toLowerCase() === hash.toLowerCase();
+
+	if (!result.hashMatches) {
+		result.errors.push(`hash mismatch for ${url}: expected ${hash}, got ${result.actualHash}`);
+	}
+
+	try {
+		result.json = JSON.parse(
+			typeof content === 'string' ? content : ethers.utils.toUtf8String(content),
+		);
+	} catch (error) {
+		result.errors.push(`invalid JSON: ${error.message}`);
+		return { ...result, isValid: false };
+	}
+
+	const name =
+		options.name || Object.keys(METADATA_SCHEMAS).find((key) => result.json[key] !== undefined);
+
+	if (name === undefined) {
+		result.errors.push('not an LSP3Profile or LSP4Metadata file');
+	} else {
+		result.errors.push(...validateMetadata(name, result.json));
+	}
+
+	if (verifyLinkedFiles) {
+		for (const linkedFile of findLinkedFiles(result.json)) {
+			const verified = await verifyFile(fetcher, linkedFile);
+			result.linkedFiles.push(verified);
+
+			if (verified.error !== undefined) {
+				result.errors.push(`${verified.path}: ${verified.error}`);
+			} else if (!verified.hashMatches) {
+				result.errors.push(
+					`${verified.path}: hash mismatch for ${verified.url}: expected ${verified.expectedHash}, got ${verified.actualHash}`,
+				);
+			}
+		}
+	}
+
+	return { ...result, isValid: result.errors.length === 0 };
+}
+
+module.exports = {
+	METADATA_SCHEMAS,
+	validateMetadata,
+	hashFile,
+	buildMetadataValue,
+	createDirectoryFetcher,
+	verifyMetadata,
+};
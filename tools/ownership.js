@@ -0,0 +1,470 @@
+/**
+ * Follow and drive the LSP14 two-step ownership handover of a Universal Profile, a Vault or any LSP14 contract:
+ *  - transfer: the owner calls `transferOwnership(newOwner)`, then the new owner calls `acceptOwnership()`.
+ *  - renounce: the owner calls `renounceOwnership()` once, then again between 100 and 200 blocks later.
+ *
+ * Each call must come from the right address: when the owner (or new owner) is a Universal Profile or a Vault,
+ * the call goes through its `execute(...)` function, and through its Key Manager if it is controlled by one.
+ * @see https://github.com/lukso-network/LIPs/blob/main/LSPs/LSP-14-Ownable2Step.md
+ */
+const { ethers } = require('ethers');
+
+const { EventSignatures, INTERFACE_IDS, LSP1_TYPE_IDS, OPERATION_TYPES } = require('../constants');
+const { decodeLog } = require('./events');
+const { supportsInterface, toAddress } = require('./utils');
+
+/**
+ * The number of blocks to wait after the first `renounceOwnership()` call before confirming it.
+ */
+const RENOUNCE_OWNERSHIP_CONFIRMATION_DELAY = 100;
+
+/**
+ * The number of blocks during which the second `renounceOwnership()` call confirms the renouncement.
+ */
+const RENOUNCE_OWNERSHIP_CONFIRMATION_PERIOD = 100;
+
+const LSP14_ABI = [
+	'function owner() view returns (address)',
+	'function pendingOwner() view returns (address)',
+	'function transferOwnership(address newOwner)',
+	'function acceptOwnership()',
+	'function renounceOwnership()',
+];
+
+const ERC725X_ABI = [
+	'function execute(uint256 operationType, address target, uint256 value, bytes data) payable returns (bytes)',
+];
+
+const KEY_MANAGER_ABI = [
+	'function target() view returns (address)',
+	'function execute(bytes payload) payable returns (bytes)',
+];
+
+const LSP14_INTERFACE = new ethers.utils.Interface(LSP14_ABI);
+const ERC725X_INTERFACE = new ethers.utils.Interface(ERC725X_ABI);
+const KEY_MANAGER_INTERFACE = new ethers.utils.Interface(KEY_MANAGER_ABI);
+
+// the notifications sent to the LSP1 `universalReceiver(...)` of the previous and new owners
+const OWNERSHIP_TYPE_IDS = Object.entries(LSP1_TYPE_IDS).reduce((typeIds, [name, typeId]) => {
+	if (name.includes('Ownership')) typeIds[typeId] = name;
+	return typeIds;
+}, {});
+
+// Accounts
+// ----------
+
+/**
+ * Find out what kind of account an address is, to know how it can call a contract:
+ *  - `{ type: 'EOA', address }`: calls the contract directly.
+ *  - `{ type: 'KeyManager', address, target }`: can only call its `target`, via `execute(bytes)`.
+ *  - `{ type: 'UniversalProfile' | 'LSP9Vault', address, owner }`: calls the contract via
+ *    `execute(uint256,address,uint256,bytes)`, which its `owner` (resolved the same way) must call.
+ *  - `{ type: 'Contract', address }`: any other contract, that cannot be made to call another contract.
+ *
+ * @param {ethers.providers.Provider} provider
+ * @param {string} address the address of the account.
+ * @param {object} [options]
+ * @param {number} [options.maxDepth] how many levels of owners to resolve (default: 5).
+ * @returns {Promise<object>} the account.
+ */
+async function resolveAccount(provider, address, options = {}) {
+	const { maxDepth = 5 } = options;
+	const account = { address: toAddress(address, 'account', 'ownership') };
+
+	if ((await provider.getCode(account.address)) === '0x') {
+		return { type: 'EOA', ...account };
+	}
+
+	if (await supportsInterface(provider, account.address, INTERFACE_IDS.LSP6KeyManager)) {
+		const keyManager = new ethers.Contract(account.address, KEY_MANAGER_ABI, provider);
+		return { type: 'KeyManager', ...account, target: await keyManager.target() };
+	}
+
+	for (const type of ['UniversalProfile', 'LSP9Vault']) {
+		const interfaceId =
+			type === 'UniversalProfile' ? INTERFACE_IDS.LSP0ERC725Account : INTERFACE_IDS.LSP9Vault;
+
+		if (await supportsInterface(provider, account.address, interfaceId)) {
+			if (maxDepth === 0) {
+				throw new Error(
+					`ownership: too many levels of owners to resolve for ${account.address}`,
+				);
+			}
+
+			const owner = await new ethers.Contract(account.address, LSP14_ABI, provider).owner();
+			return {
+				type,
+				...account,
+				owner: await resolveAccount(provider, owner, { maxDepth: maxDepth - 1 }),
+			};
+		}
+	}
+
+	return { type: 'Contract', ...account };
+}
+
+/**
+ * Build the transaction that makes an account call a contract: directly for an EOA, via `execute(...)` for
+ * a Universal Profile or a Vault, and via `execute(bytes)` on the Key Manager controlling them.
+ *
+ * @param {object} account the account that must be the caller (`msg.sender`), as returned by `resolveAccount(...)`.
+ * @param {string} to the contract to call.
+ * @param {string} data the calldata.
+ * @returns {{ to: string, data: string }} the transaction to send, from the EOA at the end of the chain of owners
+ * (or from a controller of the Key Manager).
+ */
+function buildCallFrom(account, to, data) {
+	const target = toAddress(to, 'contract', 'ownership');
+
+	switch (account.type) {
+		case 'EOA':
+			return { to: target, data };
+
+		case 'KeyManager':
+			if (account.target.toLowerCase() !== target.toLowerCase()) {
+				throw new Error(
+					`ownership: the Key Manager ${account.address} can only call its target ${account.target}, not ${target}`,
+				);
+			}
+
+			return {
+				to: account.address,
+				data: KEY_MANAGER_INTERFACE.encodeFunctionData('execute', [data]),
+			};
+
+		case 'UniversalProfile':
+		case 'LSP9Vault':
+			return buildCallFrom(
+				account.owner,
+				account.address,
+				ERC725X_INTERFACE.encodeFunctionData('execute', [
+					OPERATION_TYPES.CALL,
+					target,
+					0,
+					data,
+				]),
+			);
+
+		default:
+			throw new Error(
+				`ownership: ${account.address} is a contract that cannot call ${target}`,
+			);
+	}
+}
+
+// Calls
+// ----------
+
+/**
+ * Build the `transferOwnership(newOwner)` call, the first step of the ownership transfer.
+ *
+ * @param {string} contract the address of the LSP14 contract.
+ * @param {string} newOwner the address of the new owner.
+ * @param {object} owner the current owner, as returned by `resolveAccount(...)`.
+ * @returns {{ to: string, data: string }} the transaction to send.
+ */
+function buildTransferOwnership(contract, newOwner, owner) {
+	const address = toAddress(contract, 'contract', 'ownership');
+
+	if (toAddress(newOwner, 'newOwner', 'ownership') === address) {
+		throw new Error(`ownership: cannot transfer the ownership of ${address} to itself`);
+	}
+
+	return buildCallFrom(
+		owner,
+		address,
+		LSP14_INTERFACE.encodeFunctionData('transferOwnership', [newOwner]),
+	);
+}
+
+/**
+ * Build the `acceptOwnership()` call, the second step of the ownership transfer. It must be sent in another
+ * transaction than `transferOwnership(...)`, and called by the pending owner: through its Key Manager if the
+ * pending owner is a Key Manager, or through `execute(...)` if it is a Universal Profile or a Vault.
+ *
+ * @param {string} contract the address of the LSP14 contract.
+ * @param {object} pendingOwner the pending owner, as returned by `resolveAccount(...)`.
+ * @returns {{ to: string, data: string }} the transaction to send.
+ */
+function buildAcceptOwnership(contract, pendingOwner) {
+	return buildCallFrom(
+		pendingOwner,
+		contract,
+		LSP14_INTERFACE.encodeFunctionData('acceptOwnership'),
+	);
+}
+
+/**
+ * Build the `renounceOwnership()` call. The first call starts the renouncement, and a second call between
+ * `RENOUNCE_OWNERSHIP_CONFIRMATION_DELAY` and `RENOUNCE_OWNERSHIP_CONFIRMATION_DELAY + RENOUNCE_OWNERSHIP_CONFIRMATION_PERIOD`
+ * blocks later confirms it (see `getRenounceOwnershipStatus(...)`).
+ *
+ * @param {string} contract the address of the LSP14 contract.
+ * @param {object} owner the current owner, as returned by `resolveAccount(...)`.
+ * @returns {{ to: string, data: string }} the transaction to send.
+ */
+function buildRenounceOwnership(contract, owner) {
+	return buildCallFrom(owner, contract, LSP14_INTERFACE.encodeFunctionData('renounceOwnership'));
+}
+
+// State
+// ----------
+
+/**
+ * Compute what a `renounceOwnership()` call mined at `blockNumber` does, as `LSP14Ownable2Step._renounceOwnership()`:
+ *  - `start`: starts (or restarts) the renouncement.
+ *  - `wait`: reverts with `NotInRenounceOwnershipInterval(...)`, the confirmation period has not started yet.
+ *  - `confirm`: renounces the ownership.
+ *
+ * @param {number} startedAt the block of the last `RenounceOwnershipStarted` event, or 0 if none
+ * (or if the ownership was transferred since).
+ * @param {number} blockNumber the block the call is mined in.
+ * @returns {{ startedAt: number, confirmationPeriodStart: number, confirmationPeriodEnd: number, action: string }}
+ */
+function getRenounceOwnershipStatus(startedAt, blockNumber) {
+	const confirmationPeriodStart = startedAt + RENOUNCE_OWNERSHIP_CONFIRMATION_DELAY;
+	const confirmationPeriodEnd = confirmationPeriodStart + RENOUNCE_OWNERSHIP_CONFIRMATION_PERIOD;
+
+	let action = 'confirm';
+	if (blockNumber > confirmationPeriodEnd) action = 'start';
+	else if (blockNumber < confirmationPeriodStart) action = 'wait';
+
+	return { startedAt, confirmationPeriodStart, confirmationPeriodEnd, action };
+}
+
+/**
+ * Read the ownership state of an LSP14 contract.
+ *
+ * The block the renouncement started at is not readable from the contract, so it is found in the
+ * `RenounceOwnershipStarted` events emitted since `fromBlock`.
+ *
+ * @param {ethers.providers.Provider} provider
+ * @param {string} contract the address of the LSP14 contract.
+ * @param {object} [options]
+ * @param {number} [options.fromBlock] the block to look for events from (default: 0).
+ * @param {number|string} [options.blockTag] read the state at this block (default: `latest`).
+ * @returns {Promise<object>} `{ contract, blockNumber, owner, pendingOwner, status, renounceOwnership }`, where:
+ *  - `pendingOwner` is `null` if there is no ownership transfer in progress.
+ *  - `status` is `owned`, `transferPending` or `renounced`.
+ *  - `renounceOwnership` is what a `renounceOwnership()` call would do in the next block
+ *    (see `getRenounceOwnershipStatus(...)`).
+ */
+async function getOwnershipState(provider, contract, options = {}) {
+	const { fromBlock = 0, blockTag = 'latest' } = options;
+	const address = toAddress(contract, 'contract', 'ownership');
+	const ownable = new ethers.Contract(address, LSP14_ABI, provider);
+
+	const { number: blockNumber } = await provider.getBlock(blockTag);
+
+	const [owner, pendingOwner, logs] = await Promise.all([
+		ownable.owner({ blockTag: blockNumber }),
+		ownable.pendingOwner({ blockTag: blockNumber }),
+		provider.getLogs({
+			address,
+			topics: [
+				[
+					EventSignatures.LSP14Ownable2Step.OwnershipTransferStarted,
+					EventSignatures.LSP14Ownable2Step.RenounceOwnershipStarted,
+					EventSignatures.LSP14Ownable2Step.OwnershipRenounced,
+				],
+			],
+			fromBlock,
+			toBlock: blockNumber,
+		}),
+	]);
+
+	// `transferOwnership(...)` and the renouncement itself reset the block the renouncement started at
+	const startedAt = logs.reduce(
+		(block, { topics, blockNumber: logBlock }) =>
+			topics[0].toLowerCase() === EventSignatures.LSP14Ownable2Step.RenounceOwnershipStarted
+				? logBlock
+				: 0,
+		0,
+	);
+
+	let status = 'owned';
+	if (owner === ethers.constants.AddressZero) status = 'renounced';
+	else if (pendingOwner !== ethers.constants.AddressZero) status = 'transferPending';
+
+	return {
+		contract: address,
+		blockNumber,
+		owner,
+		pendingOwner: pendingOwner === ethers.constants.AddressZero ? null : pendingOwner,
+		status,
+		renounceOwnership: getRenounceOwnershipStatus(startedAt, blockNumber + 1),
+	};
+}
+
+/**
+ * Plan the transfer of ownership of an LSP14 contract: resolve the current and new owners,
+ * and build the `transferOwnership(...)` and `acceptOwnership()` calls they must send.
+ *
+ * Fails if the new owner could not call `acceptOwnership()` (e.g: a contract without `execute(...)`, or a
+ * Key Manager that does not control the contract), as the ownership could never be accepted.
+ *
+ * @param {ethers.providers.Provider} provider
+ * @param {string} contract the address of the LSP14 contract.
+ * @param {string} newOwner the address of the new owner.
+ * @returns {Promise<object>} `{ owner, newOwner, transferOwnership, acceptOwnership }`, with the accounts resolved
+ * and the transactions to send, in two separate transactions.
+ *
+ * @example
+ * const { transferOwnership, acceptOwnership } = await planOwnershipTransfer(provider, vault, newUniversalProfile);
+ *
+ * await ownerController.sendTransaction(transferOwnership); // e.g: via the Key Manager of the current Universal Profile
+ * await newOwnerController.sendTransaction(acceptOwnership); // e.g: via the Key Manager of the new Universal Profile
+ */
+async function planOwnershipTransfer(provider, contract, newOwner) {
+	const { owner, status } = await getOwnershipState(provider, contract);
+
+	if (status === 'renounced') {
+		throw new Error(`ownership: the ownership of ${contract} was renounced`);
+	}
+
+	const [ownerAccount, newOwnerAccount] = await Promise.all([
+		resolveAccount(provider, owner),
+		resolveAccount(provider, newOwner),
+	]);
+
+	return {
+		owner: ownerAccount,
+		newOwner: newOwnerAccount,
+		transferOwnership: buildTransferOwnership(contract, newOwner, ownerAccount),
+		acceptOwnership: buildAcceptOwnership(contract, newOwnerAccount),
+	};
+}
+
+/**
+ * Plan the next step of renouncing the ownership of an LSP14 contract.
+ *
+ * @param {ethers.providers.Provider} provider
+ * @param {string} contract the address of the LSP14 contract.
+ * @param {object} [options] see `getOwnershipState(...)`.
+ * @returns {Promise<object>} the `renounceOwnership` status of `getOwnershipState(...)`, with the `transaction` to send
+ * (`null` while waiting for the confirmation period).
+ */
+async function planRenounceOwnership(provider, contract, options = {}) {
+	const { owner, status, renounceOwnership } = await getOwnershipState(
+		provider,
+		contract,
+		options,
+	);
+
+	if (status === 'renounced') {
+		throw new Error(`ownership: the ownership of ${contract} was already renounced`);
+	}
+
+	return {
+		...renounceOwnership,
+		transaction:
+			renounceOwnership.action === 'wait'
+				? null
+				: buildRenounceOwnership(contract, await resolveAccount(provider, owner)),
+	};
+}
+
+// Events
+// ----------
+
+/**
+ * Decode the ownership events in a list of logs (e.g: the logs of a transaction receipt), to report the progress
+ * of an ownership transfer or renouncement:
+ *  - `OwnershipTransferStarted`, `RenounceOwnershipStarted` and `OwnershipRenounced` (LSP14).
+ *  - `OwnershipTransferred` (ERC173), emitted when the ownership is accepted or renounced.
+ *  - `UniversalReceiver` (LSP1), when the previous or new owner was notified of the transfer.
+ *
+ * @param {object[]} logs the raw logs.
+ * @returns {object[]} the events, as `{ event, contract, description, ...args }`, with the `blockNumber`,
+ * `transactionHash` and `logIndex` of the log if present.
+ */
+function decodeOwnershipEvents(logs) {
+	return logs.reduce((events, log) => {
+		const decoded = decodeLog(log);
+		if (decoded === null) return events;
+
+		const { name, address, args } = decoded;
+		let event;
+
+		switch (name) {
+			case 'OwnershipTransferStarted':
+				event = {
+					event: name,
+					contract: address,
+					previousOwner: args.previousOwner,
+					newOwner: args.newOwner,
+					description: `${args.newOwner} can accept the ownership of ${address} from ${args.previousOwner}`,
+				};
+				break;
+			case 'OwnershipTransferred':
+				event = {
+					event: name,
+					contract: address,
+					previousOwner: args.previousOwner,
+					newOwner: args.newOwner,
+					description:
+						args.newOwner === ethers.constants.AddressZero
+							? `${args.previousOwner} renounced the ownership of ${address}`
+							: `${args.newOwner} is the new owner of ${address}`,
+				};
+				break;
+			case 'RenounceOwnershipStarted':
+				event = {
+					event: name,
+					contract: address,
+					description: `the renouncement of the ownership of ${address} started`,
+				};
+				if (log.blockNumber !== undefined) {
+					const { confirmationPeriodStart, confirmationPeriodEnd } =
+						getRenounceOwnershipStatus(log.blockNumber, log.blockNumber);
+					event.description += `, confirm it between blocks ${confirmationPeriodStart} and ${confirmationPeriodEnd}`;
+				}
+				break;
+			case 'OwnershipRenounced':
+				event = {
+					event: name,
+					contract: address,
+					description: `the ownership of ${address} was renounced`,
+				};
+				break;
+			case 'UniversalReceiver': {
+				const typeName = OWNERSHIP_TYPE_IDS[args.typeId.toLowerCase()];
+				if (typeName === undefined) return events;
+
+				event = {
+					event: name,
+					contract: args.from,
+					notified: address,
+					typeId: args.typeId,
+					typeName,
+					description: `${address} was notified by ${args.from} (${typeName})`,
+				};
+				break;
+			}
+			default:
+				return events;
+		}
+
+		['blockNumber', 'transactionHash', 'logIndex'].forEach((field) => {
+			if (log[field] !== undefined) event[field] = log[field];
+		});
+
+		events.push(event);
+		return events;
+	}, []);
+}
+
+module.exports = {
+	RENOUNCE_OWNERSHIP_CONFIRMATION_DELAY,
+	RENOUNCE_OWNERSHIP_CONFIRMATION_PERIOD,
+	resolveAccount,
+	buildCallFrom,
+	buildTransferOwnership,
+	buildAcceptOwnership,
+	buildRenounceOwnership,
+	getRenounceOwnershipStatus,
+	getOwnershipState,
+	planOwnershipTransfer,
+	planRenounceOwnership,
+	decodeOwnershipEvents,
+};
@@ -0,0 +1,175 @@
+/**
+ * Encode, decode and manipulate the LSP6 permissions stored under `AddressPermissions:Permissions:<address>`.
+ *
+ * Each permission is a single bit in a `bytes32` value, as listed in `PERMISSIONS` (constants.js).
+ * Permissions can be referenced either by name (e.g: `CALL`) or by their `bytes32` value.
+ */
+const { ethers } = require('ethers');
+
+const { PERMISSIONS } = require('../constants');
+
+/**
+ * Permissions that give a controller control over the whole profile, or allow it to bypass the
+ * restrictions of the Key Manager. `ALL_PERMISSIONS` deliberately excludes some of them
+ * (REENTRANCY, SUPER_DELEGATECALL and DELEGATECALL) for security.
+ */
+const DANGEROUS_PERMISSIONS = [
+	'CHANGEOWNER',
+	'REENTRANCY',
+	'SUPER_TRANSFERVALUE',
+	'SUPER_CALL',
+	'SUPER_STATICCALL',
+	'SUPER_DELEGATECALL',
+	'DELEGATECALL',
+	'SUPER_SETDATA',
+];
+
+const KNOWN_PERMISSIONS_MASK = Object.values(PERMISSIONS).reduce(
+	(mask, permission) => mask.or(permission),
+	ethers.BigNumber.from(0),
+);
+
+function toBytes32(value) {
+	return ethers.utils.hexZeroPad(value.toHexString(), 32);
+}
+
+/**
+ * Convert a permission (name or `bytes32` value) or a permission value into a BigNumber.
+ *
+ * @param {string} permission a permission name (e.g: `CALL`) or a `bytes32` hex value.
+ * @returns {ethers.BigNumber}
+ */
+function toBigNumber(permission) {
+	if (PERMISSIONS[permission] !== undefined) {
+		return ethers.BigNumber.from(PERMISSIONS[permission]);
+	}
+
+	if (!ethers.utils.isHexString(permission) || ethers.utils.hexDataLength(permission) > 32) {
+		throw new Error(`permissions: unknown permission or invalid bytes32 value ${permission}`);
+	}
+
+	return ethers.BigNumber.from(permission);
+}
+
+/**
+ * Encode a set of permissions as a `bytes32` value.
+ *
+ * @param {object} permissions the permissions to set, keyed by name (e.g: `{ CALL: true, SETDATA: true }`).
+ * @returns {string} the permissions encoded as a `bytes32` hex value.
+ *
+ * @example
+ * encodePermissions({ CALL: true, SETDATA: true });
+ * // 0x0000000000000000000000000000000000000000000000000000000000040800
+ */
+function encodePermissions(permissions) {
+	const result = Object.entries(permissions).reduce((value, [name, isSet]) => {
+		if (PERMISSIONS[name] === undefined) {
+			throw new Error(`permissions: unknown permission ${name}`);
+		}
+
+		return isSet ? value.or(PERMISSIONS[name]) : value;
+	}, ethers.BigNumber.from(0));
+
+	return toBytes32(result);
+}
+
+/**
+ * Decode a `bytes32` permission value into the list of all the permissions.
+ *
+ * @param {string} permissionValue a `bytes32` permission value.
+ * @returns {object} every permission name from `PERMISSIONS`, mapped to `true` if set, `false` otherwise.
+ */
+function decodePermissions(permissionValue) {
+	const value = toBigNumber(permissionValue);
+
+	return Object.entries(PERMISSIONS).reduce((result, [name, permission]) => {
+		result[name] = value.and(permission).eq(permission);
+		return result;
+	}, {});
+}
+
+/**
+ * Check if a permission value contains one or multiple permissions.
+ *
+ * @param {string} permissionValue a `bytes32` permission value.
+ * @param {string} permission a permission name or a `bytes32` value (all its bits must be set).
+ * @returns {boolean}
+ */
+function hasPermission(permissionValue, permission) {
+	const required = toBigNumber(permission);
+	return toBigNumber(permissionValue).and(required).eq(required);
+}
+
+/**
+ * Add permissions to a permission value, using a bitwise OR (adding a permission already set is a no-op).
+ *
+ * @param {string} permissionValue a `bytes32` permission value.
+ * @param {...string} permissions the permissions to add, as names or `bytes32` values.
+ * @returns {string} the new permission value.
+ */
+function addPermissions(permissionValue, ...permissions) {
+	const result = permissions.reduce(
+		(value, permission) => value.or(toBigNumber(permission)),
+		toBigNumber(permissionValue),
+	);
+
+	return toBytes32(result);
+}
+
+/**
+ * Remove permissions from a permission value (removing a permission not set is a no-op).
+ *
+ * @param {string} permissionValue a `bytes32` permission value.
+ * @param {...string} permissions the permissions to remove, as names or `bytes32` values.
+ * @returns {string} the new permission value.
+ */
+function removePermissions(permissionValue, ...permissions) {
+	const result = permissions.reduce(
+		(value, permission) => value.and(ethers.constants.MaxUint256.xor(toBigNumber(permission))),
+		toBigNumber(permissionValue),
+	);
+
+	return toBytes32(result);
+}
+
+/**
+ * Find the bits set in a permission value that do not correspond to any permission in `PERMISSIONS`
+ * (reserved for future permissions).
+ *
+ * @param {string} permissionValue a `bytes32` permission value.
+ * @returns {string[]} the unknown bits, each as a `bytes32` value.
+ */
+function getUnknownPermissionBits(permissionValue) {
+	const unknownBits = toBigNumber(permissionValue).and(
+		ethers.constants.MaxUint256.xor(KNOWN_PERMISSIONS_MASK),
+	);
+
+	const result = [];
+	for (let bit = 0; bit < 256; bit++) {
+		const mask = ethers.BigNumber.from(1).shl(bit);
+		if (!unknownBits.and(mask).isZero()) result.push(toBytes32(mask));
+	}
+
+	return result;
+}
+
+/**
+ * List the dangerous permissions set in a permission value (see `DANGEROUS_PERMISSIONS`).
+ *
+ * @param {string} permissionValue a `bytes32` permission value.
+ * @returns {string[]} the names of the dangerous permissions that are set.
+ */
+function getDangerousPermissions(permissionValue) {
+	return DANGEROUS_PERMISSIONS.filter((name) => hasPermission(permissionValue, name));
+}
+
+module.exports = {
+	DANGEROUS_PERMISSIONS,
+	encodePermissions,
+	decodePermissions,
+	hasPermission,
+	addPermissions,
+	removePermissions,
+	getUnknownPermissionBits,
+	getDangerousPermissions,
+};
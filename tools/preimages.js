@@ -0,0 +1,625 @@
+/**
+ * Preimages of the hashes hardcoded in `constants.js`, grouped and named the same way.
+ *
+ * Each entry describes how its constant is derived (function signatures, data key names,
+ * event signatures...) and, when the contracts declare the same value, the name of the
+ * Solidity constant in the `*Constants.sol` files. See `tools/verifyConstants.js`.
+ */
+const { ethers } = require('ethers');
+
+const { generateSingletonKey, generateArrayKey, generateMappingKey } = require('./dataKeys');
+
+/**
+ * ERC165 interface IDs, derived as the XOR of:
+ *  - `functions`: the selectors of the functions of the interface.
+ *  - `interfaces`: other interface IDs listed in `INTERFACE_IDS` (e.g: LSP0 = ERC725X ^ ERC725Y ^ ...).
+ *  - `name`: `bytes4(keccak256(name))`, for interfaces without functions (e.g: LSP17).
+ */
+const INTERFACE_IDS = {
+	ERC165: { functions: ['supportsInterface(bytes4)'] },
+	ERC1271: {
+		functions: ['isValidSignature(bytes32,bytes)'],
+		solidity: '_INTERFACEID_ERC1271',
+	},
+	ERC20: {
+		functions: [
+			'totalSupply()',
+			'balanceOf(address)',
+			'transfer(address,uint256)',
+			'allowance(address,address)',
+			'approve(address,uint256)',
+			'transferFrom(address,address,uint256)',
+		],
+	},
+	ERC223: {
+		functions: [
+			'name()',
+			'symbol()',
+			'standard()',
+			'decimals()',
+			'totalSupply()',
+			'balanceOf(address)',
+			'transfer(address,uint256)',
+			'transfer(address,uint256,bytes)',
+		],
+	},
+	ERC721: {
+		functions: [
+			'balanceOf(address)',
+			'ownerOf(uint256)',
+			'safeTransferFrom(address,address,uint256,bytes)',
+			'safeTransferFrom(address,address,uint256)',
+			'transferFrom(address,address,uint256)',
+			'approve(address,uint256)',
+			'setApprovalForAll(address,bool)',
+			'getApproved(uint256)',
+			'isApprovedForAll(address,address)',
+		],
+	},
+	ERC721Metadata: { functions: ['name()', 'symbol()', 'tokenURI(uint256)'] },
+	ERC777: {
+		functions: [
+			'name()',
+			'symbol()',
+			'granularity()',
+			'totalSupply()',
+			'balanceOf(address)',
+			'send(address,uint256,bytes)',
+			'burn(uint256,bytes)',
+			'isOperatorFor(address,address)',
+			'authorizeOperator(address)',
+			'revokeOperator(address)',
+			'defaultOperators()',
+			'operatorSend(address,address,uint256,bytes,bytes)',
+			'operatorBurn(address,uint256,bytes,bytes)',
+		],
+	},
+	ERC1155: {
+		functions: [
+			'balanceOf(address,uint256)',
+			'balanceOfBatch(address[],uint256[])',
+			'setApprovalForAll(address,bool)',
+			'isApprovedForAll(address,address)',
+			'safeTransferFrom(address,address,uint256,uint256,bytes)',
+			'safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)',
+		],
+	},
+	ERC725X: {
+		functions: [
+			'execute(uint256,address,uint256,bytes)',
+			'execute(uint256[],address[],uint256[],bytes[])',
+		],
+	},
+	ERC725Y: {
+		functions: [
+			'getData(bytes32)',
+			'getData(bytes32[])',
+			'setData(bytes32,bytes)',
+			'setData(bytes32[],bytes[])',
+		],
+	},
+	LSP0ERC725Account: {
+		interfaces: [
+			'ERC725Y',
+			'ERC725X',
+			'ERC1271',
+			'LSP1UniversalReceiver',
+			'LSP14Ownable2Step',
+			'LSP17Extendable',
+		],
+		solidity: '_INTERFACEID_LSP0',
+	},
+	LSP1UniversalReceiver: {
+		functions: ['universalReceiver(bytes32,bytes)'],
+		solidity: '_INTERFACEID_LSP1',
+	},
+	LSP6KeyManager: {
+		functions: [
+			'target()',
+			'getNonce(address,uint128)',
+			'execute(bytes)',
+			'execute(uint256[],bytes[])',
+			'executeRelayCall(bytes,uint256,bytes)',
+			'executeRelayCall(bytes[],uint256[],uint256[],bytes[])',
+		],
+		solidity: '_INTERFACEID_LSP6',
+	},
+	LSP7DigitalAsset: {
+		functions: [
+			'decimals()',
+			'totalSupply()',
+			'balanceOf(address)',
+			'authorizeOperator(address,uint256)',
+			'revokeOperator(address)',
+			'authorizedAmountFor(address,address)',
+			'transfer(address,address,uint256,bool,bytes)',
+			'transferBatch(address[],address[],uint256[],bool[],bytes[])',
+		],
+		solidity: '_INTERFACEID_LSP7',
+	},
+	LSP8IdentifiableDigitalAsset: {
+		functions: [
+			'totalSupply()',
+			'balanceOf(address)',
+			'tokenOwnerOf(bytes32)',
+			'tokenIdsOf(address)',
+			'authorizeOperator(address,bytes32)',
+			'revokeOperator(address,bytes32)',
+			'isOperatorFor(address,bytes32)',
+			'getOperatorsOf(bytes32)',
+			'transfer(address,address,bytes32,bool,bytes)',
+			'transferBatch(address[],address[],bytes32[],bool[],bytes[])',
+		],
+		solidity: '_INTERFACEID_LSP8',
+	},
+	LSP9Vault: {
+		interfaces: [
+			'ERC725X',
+			'ERC725Y',
+			'LSP1UniversalReceiver',
+			'LSP14Ownable2Step',
+			'LSP17Extendable',
+		],
+		solidity: '_INTERFACEID_LSP9',
+	},
+	LSP11BasicSocialRecovery: {
+		functions: [
+			'target()',
+			'getRecoveryCounter()',
+			'getGuardians()',
+			'isGuardian(address)',
+			'getRecoverySecretHash()',
+			'getGuardiansThreshold()',
+			'getGuardianChoice(address)',
+			'addGuardian(address)',
+			'removeGuardian(address)',
+			'setRecoverySecretHash(bytes32)',
+			'setGuardiansThreshold(uint256)',
+			'selectNewController(address)',
+			'recoverOwnership(address,string,bytes32)',
+		],
+		solidity: '_INTERFACEID_LSP11',
+	},
+	LSP14Ownable2Step: {
+		functions: [
+			'owner()',
+			'pendingOwner()',
+			'transferOwnership(address)',
+			'acceptOwnership()',
+			'renounceOwnership()',
+		],
+		solidity: '_INTERFACEID_LSP14',
+	},
+	LSP17Extendable: { name: 'LSP17Extendable', solidity: '_INTERFACEID_LSP17_EXTENDABLE' },
+	LSP17Extension: { name: 'LSP17Extension', solidity: '_INTERFACEID_LSP17_EXTENSION' },
+};
+
+/**
+ * `SupportedStandards:<name>` data keys (keyType Mapping) and their `bytes4(keccak256(name))` value.
+ */
+const SupportedStandards = {
+	LSP3UniversalProfile: {
+		name: 'LSP3UniversalProfile',
+		solidity: {
+			key: '_LSP3_SUPPORTED_STANDARDS_KEY',
+			value: '_LSP3_SUPPORTED_STANDARDS_VALUE',
+		},
+	},
+	LSP4DigitalAsset: {
+		name: 'LSP4DigitalAsset',
+		solidity: {
+			key: '_LSP4_SUPPORTED_STANDARDS_KEY',
+			value: '_LSP4_SUPPORTED_STANDARDS_VALUE',
+		},
+	},
+	LSP9Vault: {
+		name: 'LSP9Vault',
+		solidity: {
+			key: '_LSP9_SUPPORTED_STANDARDS_KEY',
+			value: '_LSP9_SUPPORTED_STANDARDS_VALUE',
+		},
+	},
+};
+
+/**
+ * ERC725Y data keys, derived from their LSP2 `keyType` and `name`:
+ *  - `Singleton`: `keccak256(name)`.
+ *  - `Array`: `{ length: keccak256(name), index: bytes16(keccak256(name)) }`.
+ *  - `Mapping`: the key prefix `bytes10(keccak256(name)) + bytes2(0)`.
+ *  - `MappingWithGrouping`: the key prefix `bytes6(keccak256(firstWord)) + bytes4(keccak256(secondWord)) + bytes2(0)`
+ *    for a name `firstWord:secondWord`, or only `bytes6(keccak256(firstWord))` for a name without a second word.
+ *  - `SupportedStandards`: the key of the `SupportedStandards` entry with this name.
+ */
+const ERC725YDataKeys = {
+	LSP1: {
+		LSP1UniversalReceiverDelegatePrefix: {
+			keyType: 'Mapping',
+			name: 'LSP1UniversalReceiverDelegate',
+			solidity: '_LSP1_UNIVERSAL_RECEIVER_DELEGATE_PREFIX',
+		},
+		LSP1UniversalReceiverDelegate: {
+			keyType: 'Singleton',
+			name: 'LSP1UniversalReceiverDelegate',
+			solidity: '_LSP1_UNIVERSAL_RECEIVER_DELEGATE_KEY',
+		},
+	},
+	LSP3: {
+		SupportedStandards_LSP3: { keyType: 'SupportedStandards', name: 'LSP3UniversalProfile' },
+		LSP3Profile: { keyType: 'Singleton', name: 'LSP3Profile', solidity: '_LSP3_PROFILE_KEY' },
+	},
+	LSP4: {
+		SupportedStandards_LSP4: { keyType: 'SupportedStandards', name: 'LSP4DigitalAsset' },
+		LSP4TokenName: {
+			keyType: 'Singleton',
+			name: 'LSP4TokenName',
+			solidity: '_LSP4_TOKEN_NAME_KEY',
+		},
+		LSP4TokenSymbol: {
+			keyType: 'Singleton',
+			name: 'LSP4TokenSymbol',
+			solidity: '_LSP4_TOKEN_SYMBOL_KEY',
+		},
+		LSP4Metadata: {
+			keyType: 'Singleton',
+			name: 'LSP4Metadata',
+			solidity: '_LSP4_METADATA_KEY',
+		},
+		LSP4CreatorsMap: {
+			keyType: 'Mapping',
+			name: 'LSP4CreatorsMap',
+			solidity: '_LSP4_CREATORS_MAP_KEY_PREFIX',
+		},
+		'LSP4Creators[]': {
+			keyType: 'Array',
+			name: 'LSP4Creators[]',
+			solidity: { length: '_LSP4_CREATORS_ARRAY_KEY' },
+		},
+	},
+	LSP5: {
+		LSP5ReceivedAssetsMap: {
+			keyType: 'Mapping',
+			name: 'LSP5ReceivedAssetsMap',
+			solidity: '_LSP5_RECEIVED_ASSETS_MAP_KEY_PREFIX',
+		},
+		'LSP5ReceivedAssets[]': {
+			keyType: 'Array',
+			name: 'LSP5ReceivedAssets[]',
+			solidity: { length: '_LSP5_RECEIVED_ASSETS_ARRAY_KEY' },
+		},
+	},
+	LSP6: {
+		'AddressPermissions[]': {
+			keyType: 'Array',
+			name: 'AddressPermissions[]',
+			solidity: {
+				length: '_LSP6KEY_ADDRESSPERMISSIONS_ARRAY',
+				index: '_LSP6KEY_ADDRESSPERMISSIONS_ARRAY_PREFIX',
+			},
+		},
+		AddressPermissionsPrefix: {
+			keyType: 'MappingWithGrouping',
+			name: 'AddressPermissions',
+			solidity: '_LSP6KEY_ADDRESSPERMISSIONS_PREFIX',
+		},
+		'AddressPermissions:Permissions': {
+			keyType: 'MappingWithGrouping',
+			name: 'AddressPermissions:Permissions',
+			solidity: '_LSP6KEY_ADDRESSPERMISSIONS_PERMISSIONS_PREFIX',
+		},
+		'AddressPermissions:AllowedERC725YDataKeys': {
+			keyType: 'MappingWithGrouping',
+			name: 'AddressPermissions:AllowedERC725YDataKeys',
+			solidity: '_LSP6KEY_ADDRESSPERMISSIONS_AllowedERC725YDataKeys_PREFIX',
+		},
+		'AddressPermissions:AllowedCalls': {
+			keyType: 'MappingWithGrouping',
+			name: 'AddressPermissions:AllowedCalls',
+			solidity: '_LSP6KEY_ADDRESSPERMISSIONS_ALLOWEDCALLS_PREFIX',
+		},
+	},
+	LSP8: {
+		LSP8MetadataAddress: {
+			keyType: 'Mapping',
+			name: 'LSP8MetadataAddress',
+			solidity: '_LSP8_METADATA_ADDRESS_KEY_PREFIX',
+		},
+		LSP8MetadataJSON: {
+			keyType: 'Mapping',
+			name: 'LSP8MetadataJSON',
+			solidity: '_LSP8_METADATA_JSON_KEY_PREFIX',
+		},
+	},
+	LSP9: {
+		SupportedStandards_LSP9: { keyType: 'SupportedStandards', name: 'LSP9Vault' },
+	},
+	LSP10: {
+		LSP10VaultsMap: {
+			keyType: 'Mapping',
+			name: 'LSP10VaultsMap',
+			solidity: '_LSP10_VAULTS_MAP_KEY_PREFIX',
+		},
+		'LSP10Vaults[]': {
+			keyType: 'Array',
+			name: 'LSP10Vaults[]',
+			solidity: { length: '_LSP10_VAULTS_ARRAY_KEY' },
+		},
+	},
+	LSP12: {
+		LSP12IssuedAssetsMap: { keyType: 'Mapping', name: 'LSP12IssuedAssetsMap' },
+		'LSP12IssuedAssets[]': { keyType: 'Array', name: 'LSP12IssuedAssets[]' },
+	},
+	LSP17: {
+		LSP17ExtensionPrefix: {
+			keyType: 'Mapping',
+			name: 'LSP17Extension',
+			solidity: '_LSP17_EXTENSION_PREFIX',
+		},
+	},
+};
+
+/**
+ * LSP1 type IDs, derived as `keccak256(name)`.
+ */
+const LSP1_TYPE_IDS = {
+	LSP0OwnershipTransferStarted: {
+		name: 'LSP0OwnershipTransferStarted',
+		solidity: '_TYPEID_LSP0_OwnershipTransferStarted',
+	},
+	LSP0OwnershipTransferred_SenderNotification: {
+		name: 'LSP0OwnershipTransferred_SenderNotification',
+		solidity: '_TYPEID_LSP0_OwnershipTransferred_SenderNotification',
+	},
+	LSP0OwnershipTransferred_RecipientNotification: {
+		name: 'LSP0OwnershipTransferred_RecipientNotification',
+		solidity: '_TYPEID_LSP0_OwnershipTransferred_RecipientNotification',
+	},
+	LSP7Tokens_SenderNotification: {
+		name: 'LSP7Tokens_SenderNotification',
+		solidity: '_TYPEID_LSP7_TOKENSSENDER',
+	},
+	LSP7Tokens_RecipientNotification: {
+		name: 'LSP7Tokens_RecipientNotification',
+		solidity: '_TYPEID_LSP7_TOKENSRECIPIENT',
+	},
+	LSP8Tokens_SenderNotification: {
+		name: 'LSP8Tokens_SenderNotification',
+		solidity: '_TYPEID_LSP8_TOKENSSENDER',
+	},
+	LSP8Tokens_RecipientNotification: {
+		name: 'LSP8Tokens_RecipientNotification',
+		solidity: '_TYPEID_LSP8_TOKENSRECIPIENT',
+	},
+	LSP9OwnershipTransferStarted: {
+		name: 'LSP9OwnershipTransferStarted',
+		solidity: '_TYPEID_LSP9_OwnershipTransferStarted',
+	},
+	LSP9OwnershipTransferred_SenderNotification: {
+		name: 'LSP9OwnershipTransferred_SenderNotification',
+		solidity: '_TYPEID_LSP9_OwnershipTransferred_SenderNotification',
+	},
+	LSP9OwnershipTransferred_RecipientNotification: {
+		name: 'LSP9OwnershipTransferred_RecipientNotification',
+		solidity: '_TYPEID_LSP9_OwnershipTransferred_RecipientNotification',
+	},
+	LSP14OwnershipTransferStarted: {
+		name: 'LSP14OwnershipTransferStarted',
+		solidity: '_TYPEID_LSP14_OwnershipTransferStarted',
+	},
+	LSP14OwnershipTransferred_SenderNotification: {
+		name: 'LSP14OwnershipTransferred_SenderNotification',
+		solidity: '_TYPEID_LSP14_OwnershipTransferred_SenderNotification',
+	},
+	LSP14OwnershipTransferred_RecipientNotification: {
+		name: 'LSP14OwnershipTransferred_RecipientNotification',
+		solidity: '_TYPEID_LSP14_OwnershipTransferred_RecipientNotification',
+	},
+};
+
+/**
+ * Event topics, derived as `keccak256(signature)`.
+ */
+const EventSignatures = {
+	ERC173: {
+		OwnershipTransfered: { signature: 'OwnershipTransferred(address,address)' },
+	},
+	ERC725X: {
+		ContractCreated: { signature: 'ContractCreated(uint256,address,uint256,bytes32)' },
+		Executed: { signature: 'Executed(uint256,address,uint256,bytes4)' },
+	},
+	ERC725Y: {
+		DataChanged: { signature: 'DataChanged(bytes32,bytes)' },
+	},
+	LSP0: {
+		ValueReceived: { signature: 'ValueReceived(address,uint256)' },
+	},
+	LSP1: {
+		UniversalReceiver: { signature: 'UniversalReceiver(address,uint256,bytes32,bytes,bytes)' },
+	},
+	LSP6: {
+		Executed: { signature: 'Executed(bytes4,uint256)' },
+	},
+	LSP7: {
+		Transfer: { signature: 'Transfer(address,address,address,uint256,bool,bytes)' },
+		AuthorizedOperator: { signature: 'AuthorizedOperator(address,address,uint256)' },
+		RevokedOperator: { signature: 'RevokedOperator(address,address)' },
+	},
+	LSP8: {
+		Transfer: { signature: 'Transfer(address,address,address,bytes32,bool,bytes)' },
+		AuthorizedOperator: { signature: 'AuthorizedOperator(address,address,bytes32)' },
+		RevokedOperator: { signature: 'RevokedOperator(address,address,bytes32)' },
+	},
+	LSP9: {
+		ValueReceived: { signature: 'ValueReceived(address,uint256)' },
+	},
+	LSP11: {
+		GuardianAdded: { signature: 'GuardianAdded(address)' },
+		GuardianRemoved: { signature: 'GuardianRemoved(address)' },
+		GuardiansThresholdChanged: { signature: 'GuardiansThresholdChanged(uint256)' },
+		SecretHashChanged: { signature: 'SecretHashChanged(bytes32)' },
+		SelectedNewController: { signature: 'SelectedNewController(uint256,address,address)' },
+		RecoveryProcessSuccessful: {
+			signature: 'RecoveryProcessSuccessful(uint256,address,bytes32,address[])',
+		},
+	},
+	Helpers: {
+		ReceivedERC777: { signature: 'ReceivedERC777(address,address,address,address,uint256)' },
+	},
+	LSP14Ownable2Step: {
+		OwnershipTransferStarted: { signature: 'OwnershipTransferStarted(address,address)' },
+		RenounceOwnershipStarted: { signature: 'RenounceOwnershipStarted()' },
+		OwnershipRenounced: { signature: 'OwnershipRenounced()' },
+	},
+	LSP16UniversalFactory: {
+		ContractCreated: { signature: 'ContractCreated(address,bytes32,bool,bytes)' },
+	},
+};
+
+const PREIMAGES = {
+	INTERFACE_IDS,
+	SupportedStandards,
+	ERC725YDataKeys,
+	LSP1_TYPE_IDS,
+	EventSignatures,
+};
+
+// Derivation
+// ----------
+
+function bytesNOfHash(word, length) {
+	return ethers.utils.hexDataSlice(ethers.utils.id(word), 0, length);
+}
+
+function xorBytes4(values) {
+	const result = values.reduce(
+		(xor, value) => xor.xor(ethers.BigNumber.from(value)),
+		ethers.BigNumber.from(0),
+	);
+
+	return ethers.utils.hexZeroPad(result.toHexString(), 4);
+}
+
+function deriveInterfaceId(interfaceName, derived = {}) {
+	if (derived[interfaceName] !== undefined) return derived[interfaceName];
+
+	const preimage = INTERFACE_IDS[interfaceName];
+	if (preimage === undefined) {
+		throw new Error(`preimages: unknown interface ${interfaceName}`);
+	}
+
+	const { functions = [], interfaces = [], name } = preimage;
+
+	derived[interfaceName] = xorBytes4([
+		...functions.map((signature) => bytesNOfHash(signature, 4)),
+		...interfaces.map((other) => deriveInterfaceId(other, derived)),
+		...(name === undefined ? [] : [bytesNOfHash(name, 4)]),
+	]);
+
+	return derived[interfaceName];
+}
+
+function deriveSupportedStandard(name) {
+	return {
+		key: generateMappingKey('SupportedStandards', name),
+		value: bytesNOfHash(name, 4),
+	};
+}
+
+function deriveDataKey({ keyType, name }) {
+	switch (keyType) {
+		case 'Singleton':
+			return generateSingletonKey(name);
+		case 'Array': {
+			const length = generateArrayKey(name);
+			return { length, index: ethers.utils.hexDataSlice(length, 0, 16) };
+		}
+		case 'Mapping':
+			return ethers.utils.hexConcat([bytesNOfHash(name, 10), '0x0000']);
+		case 'MappingWithGrouping': {
+			const [firstWord, secondWord] = name.split(':');
+			if (secondWord === undefined) return bytesNOfHash(firstWord, 6);
+
+			return ethers.utils.hexConcat([
+				bytesNOfHash(firstWord, 6),
+				bytesNOfHash(secondWord, 4),
+				'0x0000',
+			]);
+		}
+		case 'SupportedStandards':
+			return deriveSupportedStandard(name).key;
+		default:
+			throw new Error(`preimages: unknown keyType ${keyType} for ${name}`);
+	}
+}
+
+function mapValues(object, callback) {
+	return Object.fromEntries(
+		Object.entries(object).map(([key, value]) => [key, callback(value, key)]),
+	);
+}
+
+/**
+ * Compute the hashed constants from their preimages, with the same shape as in `constants.js`.
+ *
+ * @returns {object} `{ INTERFACE_IDS, SupportedStandards, ERC725YDataKeys, LSP1_TYPE_IDS, EventSignatures }`
+ */
+function deriveConstants() {
+	const derivedInterfaceIds = {};
+
+	return {
+		INTERFACE_IDS: mapValues(INTERFACE_IDS, (_, interfaceName) =>
+			deriveInterfaceId(interfaceName, derivedInterfaceIds),
+		),
+		SupportedStandards: mapValues(SupportedStandards, ({ name }) =>
+			deriveSupportedStandard(name),
+		),
+		ERC725YDataKeys: mapValues(ERC725YDataKeys, (dataKeys) =>
+			mapValues(dataKeys, deriveDataKey),
+		),
+		LSP1_TYPE_IDS: mapValues(LSP1_TYPE_IDS, ({ name }) => generateSingletonKey(name)),
+		EventSignatures: mapValues(EventSignatures, (events) =>
+			mapValues(events, ({ signature }) => ethers.utils.id(signature)),
+		),
+	};
+}
+
+function isPreimage(node) {
+	return ['functions', 'interfaces', 'name', 'keyType', 'signature'].some(
+		(field) => node[field] !== undefined,
+	);
+}
+
+function collectSolidityNames(node, nodePath, result) {
+	if (!isPreimage(node)) {
+		Object.entries(node).forEach(([key, child]) =>
+			collectSolidityNames(child, [...nodePath, key], result),
+		);
+		return result;
+	}
+
+	if (typeof node.solidity === 'string') {
+		result.push({ path: nodePath, solidity: node.solidity });
+	} else if (node.solidity !== undefined) {
+		Object.entries(node.solidity).forEach(([field, solidity]) =>
+			result.push({ path: [...nodePath, field], solidity }),
+		);
+	}
+
+	return result;
+}
+
+/**
+ * List the constants declared in Solidity for the hashes of a group.
+ *
+ * @param {string} group the name of the group, as in `constants.js` (e.g: `INTERFACE_IDS`).
+ * @returns {object[]} a list of `{ path, solidity }`, where `path` is the path of the value in `constants.js`
+ * (e.g: `['INTERFACE_IDS', 'LSP0ERC725Account']`) and `solidity` the name of the Solidity constant.
+ */
+function listSolidityNames(group) {
+	return collectSolidityNames(PREIMAGES[group], [group], []);
+}
+
+module.exports = {
+	PREIMAGES,
+	deriveConstants,
+	listSolidityNames,
+};
@@ -0,0 +1,494 @@
+/**
+ * Plan and run the setup of a Universal Profile controlled by an LSP6 Key Manager, from a declarative config:
+ *  1. deploy the Universal Profile, its Key Manager and its Universal Receiver Delegate (directly or as LSP16 proxies).
+ *  2. set the `LSP1UniversalReceiverDelegate` and the permissions of the Universal Receiver Delegate.
+ *  3. set the initial controllers, the LSP3 metadata and the LSP17 extensions.
+ *  4. transfer the ownership of the Universal Profile to the Key Manager, and accept it through the Key Manager (LSP14).
+ *
+ * Every address is predicted before sending anything, so the whole plan (and the resulting ERC725Y storage)
+ * can be reviewed in a dry run.
+ */
+const { ethers } = require('ethers');
+
+const { ALL_PERMISSIONS, ERC725YDataKeys, SupportedStandards } = require('../constants');
+const { addController, getControllerDataKeys } = require('./controllers');
+const { encodeURLValue, decodeData } = require('./dataValues');
+const { getExtensionDataKey } = require('./extensions');
+const { hasPermission } = require('./permissions');
+const { buildDeployTransaction, getContractsCreated } = require('./universalFactory');
+const { toAddress } = require('./utils');
+
+const UNIVERSAL_PROFILE_ABI = [
+	'function initialize(address newOwner) payable',
+	'function setData(bytes32[] dataKeys, bytes[] dataValues) payable',
+	'function transferOwnership(address newOwner)',
+	'function acceptOwnership()',
+];
+
+const KEY_MANAGER_ABI = [
+	'function initialize(address target)',
+	'function execute(bytes payload) payable returns (bytes)',
+];
+
+const UNIVERSAL_PROFILE_INTERFACE = new ethers.utils.Interface(UNIVERSAL_PROFILE_ABI);
+const KEY_MANAGER_INTERFACE = new ethers.utils.Interface(KEY_MANAGER_ABI);
+
+/**
+ * The permissions given to the Universal Receiver Delegate of the Universal Profile,
+ * to register the assets and vaults received (LSP5 and LSP10 data keys).
+ */
+const UNIVERSAL_RECEIVER_DELEGATE_PERMISSIONS = ['SUPER_SETDATA', 'REENTRANCY'];
+
+// the bytecode passed in the config, or the one of the artifacts shipped with the package
+function getBytecode(contractName, bytecodes = {}) {
+	if (bytecodes[contractName] !== undefined) return bytecodes[contractName];
+
+	try {
+		return require(`../artifacts/${contractName}.json`).bytecode;
+	} catch (error) {
+		throw new Error(
+			`profileSetup: no bytecode found for ${contractName} (pass it in \`deployment.bytecodes\`)`,
+		);
+	}
+}
+
+// Deployments
+// ----------
+
+// deploy with `CREATE` from the owner: the addresses depend on the nonce of the owner
+function planContractsDeployment({ owner, deployment, universalReceiverDelegate }) {
+	const { nonce, bytecodes } = deployment;
+
+	if (nonce === undefined) {
+		throw new Error(
+			'profileSetup: the nonce of the owner is required to deploy the contracts directly',
+		);
+	}
+
+	const predict = (offset) =>
+		ethers.utils.getContractAddress({
+			from: owner,
+			nonce: ethers.BigNumber.from(nonce).add(offset),
+		});
+
+	const addresses = { universalProfile: predict(0), keyManager: predict(1) };
+	const abiCoder = ethers.utils.defaultAbiCoder;
+
+	const steps = [
+		{
+			description: 'deploy the Universal Profile',
+			to: null,
+			data: ethers.utils.hexConcat([
+				getBytecode('UniversalProfile', bytecodes),
+				abiCoder.encode(['address'], [owner]),
+			]),
+			contractAddress: addresses.universalProfile,
+		},
+		{
+			description: 'deploy the Key Manager',
+			to: null,
+			data: ethers.utils.hexConcat([
+				getBytecode('LSP6KeyManager', bytecodes),
+				abiCoder.encode(['address'], [addresses.universalProfile]),
+			]),
+			contractAddress: addresses.keyManager,
+		},
+	];
+
+	if (universalReceiverDelegate === undefined) {
+		addresses.universalReceiverDelegate = predict(2);
+
+		steps.push({
+			description: 'deploy the Universal Receiver Delegate',
+			to: null,
+			data: getBytecode('LSP1UniversalReceiverDelegateUP', bytecodes),
+			contractAddress: addresses.universalReceiverDelegate,
+		});
+	}
+
+	return { addresses, steps };
+}
+
+// deploy via the LSP16 Universal Factory: minimal proxies for the Universal Profile and the Key Manager
+function planProxiesDeployment({ owner, deployment, universalReceiverDelegate }) {
+	const { universalFactory, baseContracts = {}, salt, bytecodes } = deployment;
+
+	if (universalFactory === undefined || salt === undefined) {
+		throw new Error(
+			'profileSetup: the universalFactory and the salt are required to deploy the contracts as proxies',
+		);
+	}
+
+	const universalProfile = buildDeployTransaction(universalFactory, {
+		baseContract: toAddress(
+			baseContracts.universalProfile,
+			'baseContracts.universalProfile',
+			'profileSetup',
+		),
+		providedSalt: salt,
+		initializeCalldata: UNIVERSAL_PROFILE_INTERFACE.encodeFunctionData('initialize', [owner]),
+	});
+
+	const keyManager = buildDeployTransaction(universalFactory, {
+		baseContract: toAddress(
+			baseContracts.keyManager,
+			'baseContracts.keyManager',
+			'profileSetup',
+		),
+		providedSalt: salt,
+		initializeCalldata: KEY_MANAGER_INTERFACE.encodeFunctionData('initialize', [
+			universalProfile.contractAddress,
+		]),
+	});
+
+	const addresses = {
+		universalProfile: universalProfile.contractAddress,
+		keyManager: keyManager.contractAddress,
+	};
+
+	const steps = [
+		{ description: 'deploy the Universal Profile', ...universalProfile },
+		{ description: 'deploy the Key Manager', ...keyManager },
+	];
+
+	if (universalReceiverDelegate === undefined) {
+		// not initializable: deployed as a contract, with a salt specific to the Universal Profile
+		// (the same bytecode and salt can only be deployed once)
+		const universalReceiverDelegateDeployment = buildDeployTransaction(universalFactory, {
+			bytecode: getBytecode('LSP1UniversalReceiverDelegateUP', bytecodes),
+			providedSalt: ethers.utils.solidityKeccak256(
+				['bytes32', 'address'],
+				[salt, universalProfile.contractAddress],
+			),
+		});
+
+		addresses.universalReceiverDelegate = universalReceiverDelegateDeployment.contractAddress;
+
+		steps.push({
+			description: 'deploy the Universal Receiver Delegate',
+			...universalReceiverDelegateDeployment,
+		});
+	}
+
+	return { addresses, steps };
+}
+
+// Data
+// ----------
+
+// the values set by `setData(...)` batches executed one after the other, keyed by data key
+function mergeValues(batches) {
+	return batches.reduce((values, { dataKeys, dataValues }) => {
+		dataKeys.forEach((dataKey, index) => {
+			values[dataKey.toLowerCase()] = dataValues[index];
+		});
+		return values;
+	}, {});
+}
+
+// merge `setData(...)` batches into one, keeping the last value set for each data key
+function mergeBatches(batches) {
+	const values = mergeValues(batches);
+	return { dataKeys: Object.keys(values), dataValues: Object.values(values) };
+}
+
+// add the controllers one after the other at the end of `AddressPermissions[]`
+function addControllers(currentControllers, newControllers) {
+	const controllers = [...currentControllers];
+
+	return mergeBatches(
+		newControllers.map((controller) => {
+			const batch = addController(controllers, controller);
+			controllers.push({ address: controller.address });
+			return batch;
+		}),
+	);
+}
+
+/**
+ * Build the ordered list of transactions that set up a Universal Profile controlled by a Key Manager,
+ * and compute the ERC725Y storage of the Universal Profile once they are all executed.
+ *
+ * All the transactions are sent by the `owner`, the first owner of the Universal Profile. It must be one of the
+ * `controllers` with the `CHANGEOWNER` permission, to accept the ownership of the Universal Profile through
+ * the Key Manager at the end of the setup.
+ *
+ * @param {object} config
+ * @param {string} config.owner the address sending the transactions.
+ * @param {object} [config.deployment] how to deploy the contracts:
+ *  - `{ type: 'contracts', nonce, bytecodes }` (default): deploy the contracts with `CREATE` from the owner,
+ *    starting at the `nonce` given.
+ *  - `{ type: 'proxies', universalFactory, baseContracts: { universalProfile, keyManager }, salt, bytecodes }`:
+ *    deploy minimal proxies of the base contracts via the LSP16 Universal Factory, with the `bytes32` salt provided.
+ *    The Universal Receiver Delegate is deployed via the Universal Factory as well.
+ *
+ * The `bytecodes` (e.g: `{ UniversalProfile: '0x...' }`) default to the ones in the artifacts of the package.
+ * @param {object[]} [config.controllers] the controllers to add, as `{ address, permissions, allowedCalls,
+ * allowedERC725YDataKeys }` (see `addController(...)` in `tools/controllers.js`).
+ * Default: the owner, with `ALL_PERMISSIONS`.
+ * @param {string|false} [config.universalReceiverDelegate] the address of an existing Universal Receiver Delegate,
+ * or `false` to not set any. A new one is deployed if not provided.
+ * @param {object} [config.lsp3Profile] the LSP3 metadata, as `{ url, json | hash, hashFunction }`
+ * (see `encodeURLValue(...)` in `tools/dataValues.js`).
+ * @param {object} [config.extensions] the LSP17 extensions, keyed by function selector or signature.
+ * @returns {object} the plan: `{ owner, addresses, steps, state }`, where each step is a transaction to send
+ * `{ description, to, data, value, contractAddress? }` (`to` is `null` for a contract creation), and `state`
+ * maps the data keys set on the Universal Profile to their value.
+ *
+ * @example
+ * buildSetupPlan({
+ *   owner: '0x...',
+ *   deployment: { type: 'contracts', nonce: await provider.getTransactionCount(owner) },
+ *   controllers: [
+ *     { address: owner, permissions: ALL_PERMISSIONS },
+ *     { address: dappAddress, permissions: ['CALL'], allowedCalls: [{ address: dappContract }] },
+ *   ],
+ *   lsp3Profile: { url: 'ipfs://...', json: profileMetadata },
+ * });
+ */
+function buildSetupPlan(config) {
+	const { deployment = {}, lsp3Profile, extensions = {} } = config;
+	const owner = toAddress(config.owner, 'owner', 'profileSetup');
+	const { controllers = [{ address: owner, permissions: ALL_PERMISSIONS }] } = config;
+
+	let { universalReceiverDelegate } = config;
+	if (universalReceiverDelegate) {
+		universalReceiverDelegate = toAddress(
+			universalReceiverDelegate,
+			'universalReceiverDelegate',
+			'profileSetup',
+		);
+	}
+
+	const { type = 'contracts' } = deployment;
+	if (type !== 'contracts' && type !== 'proxies') {
+		throw new Error(
+			`profileSetup: unknown deployment type ${type} (must be 'contracts' or 'proxies')`,
+		);
+	}
+
+	const planDeployment = type === 'contracts' ? planContractsDeployment : planProxiesDeployment;
+	const { addresses, steps } = planDeployment({ owner, deployment, universalReceiverDelegate });
+
+	if (universalReceiverDelegate) addresses.universalReceiverDelegate = universalReceiverDelegate;
+
+	const setData = [];
+
+	if (addresses.universalReceiverDelegate !== undefined) {
+		setData.push({
+			description: 'set the Universal Receiver Delegate and its permissions',
+			batch: mergeBatches([
+				{
+					dataKeys: [ERC725YDataKeys.LSP1.LSP1UniversalReceiverDelegate],
+					dataValues: [addresses.universalReceiverDelegate.toLowerCase()],
+				},
+				addControllers(
+					[],
+					[
+						{
+							address: addresses.universalReceiverDelegate,
+							permissions: UNIVERSAL_RECEIVER_DELEGATE_PERMISSIONS,
+						},
+					],
+				),
+			]),
+		});
+	}
+
+	const controllersBatch = addControllers(
+		addresses.universalReceiverDelegate === undefined
+			? []
+			: [{ address: addresses.universalReceiverDelegate }],
+		controllers,
+	);
+	setData.push({ description: 'set the controllers', batch: controllersBatch });
+
+	const ownerPermissions =
+		controllersBatch.dataValues[
+			controllersBatch.dataKeys.indexOf(getControllerDataKeys(owner).permissions)
+		];
+
+	if (ownerPermissions === undefined || !hasPermission(ownerPermissions, 'CHANGEOWNER')) {
+		throw new Error(
+			`profileSetup: the owner ${owner} must be a controller with the CHANGEOWNER permission, to accept the ownership through the Key Manager`,
+		);
+	}
+
+	const metadataKeys = [];
+	const metadataValues = [];
+
+	if (lsp3Profile !== undefined) {
+		metadataKeys.push(
+			SupportedStandards.LSP3UniversalProfile.key,
+			ERC725YDataKeys.LSP3.LSP3Profile,
+		);
+		metadataValues.push(
+			SupportedStandards.LSP3UniversalProfile.value,
+			encodeURLValue(lsp3Profile),
+		);
+	}
+
+	Object.entries(extensions).forEach(([selectorOrSignature, extension]) => {
+		metadataKeys.push(getExtensionDataKey(selectorOrSignature));
+		metadataValues.push(toAddress(extension, 'extension', 'profileSetup').toLowerCase());
+	});
+
+	if (metadataKeys.length !== 0) {
+		setData.push({
+			description: 'set the LSP3 metadata and the LSP17 extensions',
+			batch: { dataKeys: metadataKeys, dataValues: metadataValues },
+		});
+	}
+
+	setData.forEach(({ description, batch }) => {
+		steps.push({
+			description,
+			to: addresses.universalProfile,
+			data: UNIVERSAL_PROFILE_INTERFACE.encodeFunctionData('setData', [
+				batch.dataKeys,
+				batch.dataValues,
+			]),
+		});
+	});
+
+	steps.push(
+		{
+			description: 'transfer the ownership of the Universal Profile to the Key Manager',
+			to: addresses.universalProfile,
+			data: UNIVERSAL_PROFILE_INTERFACE.encodeFunctionData('transferOwnership', [
+				addresses.keyManager,
+			]),
+		},
+		{
+			description: 'accept the ownership of the Universal Profile through the Key Manager',
+			to: addresses.keyManager,
+			data: KEY_MANAGER_INTERFACE.encodeFunctionData('execute', [
+				UNIVERSAL_PROFILE_INTERFACE.encodeFunctionData('acceptOwnership'),
+			]),
+		},
+	);
+
+	return {
+		owner,
+		addresses,
+		steps: steps.map(
+			({ description, to, data, value = ethers.constants.Zero, contractAddress }) => {
+				const step = { description, to, data, value: ethers.BigNumber.from(value) };
+				if (contractAddress !== undefined) step.contractAddress = contractAddress;
+				return step;
+			},
+		),
+		state: mergeValues(setData.map(({ batch }) => batch)),
+	};
+}
+
+/**
+ * Describe a setup plan in a human readable way: the addresses of the contracts, the transactions to send
+ * and the ERC725Y storage of the Universal Profile once they are all executed.
+ *
+ * @param {object} plan a plan built with `buildSetupPlan(...)`.
+ * @returns {string}
+ */
+function formatSetupPlan({ owner, addresses, steps, state }) {
+	const lines = [
+		`Universal Profile:           ${addresses.universalProfile}`,
+		`Key Manager:                 ${addresses.keyManager}`,
+		`Universal Receiver Delegate: ${addresses.universalReceiverDelegate || '-'}`,
+		'',
+		`Transactions (sent by ${owner}):`,
+	];
+
+	steps.forEach(({ description, to, data, value }, index) => {
+		lines.push(`  ${index + 1}. ${description}`);
+		lines.push(
+			`     to: ${
+				to === null ? '(contract creation)' : to
+			}, value: ${value.toString()}, data: ${ethers.utils.hexDataLength(data)} bytes`,
+		);
+	});
+
+	lines.push('', 'ERC725Y data of the Universal Profile:');
+
+	const dataKeys = Object.keys(state);
+	const names = decodeData(dataKeys, Object.values(state));
+
+	dataKeys.forEach((dataKey, index) => {
+		const { name, dynamicPart } = names[index];
+		const label = name === null ? '(unknown data key)' : name;
+
+		lines.push(`  ${dynamicPart === null ? label : `${label} (${dynamicPart})`}`);
+		lines.push(`     ${dataKey} => ${state[dataKey]}`);
+	});
+
+	return lines.join('\n');
+}
+
+/**
+ * Set up a Universal Profile controlled by a Key Manager: build the plan with `buildSetupPlan(...)`,
+ * then send its transactions one after the other, from the `signer`.
+ *
+ * @param {ethers.Signer} signer the signer sending the transactions, connected to a provider. It is the `owner` of the plan.
+ * @param {object} config the config of the setup, without the `owner` (see `buildSetupPlan(...)`).
+ * The `nonce` of a `contracts` deployment defaults to the transaction count of the signer.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] only build the plan and log it, without sending anything (default: false).
+ * @param {function} [options.log] the function logging the plan in a dry run (default: `console.log`).
+ * @returns {Promise<object>} the plan, with the `receipts` of the transactions sent.
+ *
+ * @example
+ * // review the plan first
+ * await setupUniversalProfile(signer, config, { dryRun: true });
+ *
+ * const { addresses } = await setupUniversalProfile(signer, config);
+ */
+async function setupUniversalProfile(signer, config, options = {}) {
+	const { dryRun = false, log = console.log } = options;
+	const owner = await signer.getAddress();
+	const deployment = { ...config.deployment };
+
+	if ((deployment.type || 'contracts') === 'contracts' && deployment.nonce === undefined) {
+		deployment.nonce = await signer.getTransactionCount('pending');
+	}
+
+	const plan = buildSetupPlan({ ...config, owner, deployment });
+
+	if (dryRun) {
+		log(formatSetupPlan(plan));
+		return { ...plan, receipts: [] };
+	}
+
+	const receipts = [];
+
+	for (const { description, to, data, value, contractAddress } of plan.steps) {
+		const tx = await signer.sendTransaction({ to: to === null ? undefined : to, data, value });
+		const receipt = await tx.wait();
+		receipts.push(receipt);
+
+		if (contractAddress !== undefined) {
+			const deployed =
+				to === null
+					? receipt.contractAddress
+					: getContractsCreated(receipt, { universalFactory: to }).map(
+							({ contractCreated }) => contractCreated,
+					  )[0];
+
+			if (
+				deployed === undefined ||
+				deployed.toLowerCase() !== contractAddress.toLowerCase()
+			) {
+				throw new Error(
+					`profileSetup: ${description} deployed ${deployed} instead of ${contractAddress} (transaction ${receipt.transactionHash})`,
+				);
+			}
+		}
+	}
+
+	return { ...plan, receipts };
+}
+
+module.exports = {
+	UNIVERSAL_RECEIVER_DELEGATE_PERMISSIONS,
+	buildSetupPlan,
+	formatSetupPlan,
+	setupUniversalProfile,
+};
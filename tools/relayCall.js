@@ -0,0 +1,294 @@
+/**
+ * Sign and verify the relay calls executed via `executeRelayCall(...)` on the LSP6 Key Manager, and manage their nonces.
+ *
+ * The message signed is `abi.encodePacked(LSP6_VERSION, chainId, nonce, value, payload)`,
+ * hashed according to EIP-191 version 0 (= data with intended validator), where the validator is the Key Manager:
+ * `keccak256(0x19 || 0x00 || keyManagerAddress || message)`.
+ * @see https://eips.ethereum.org/EIPS/eip-191
+ */
+const { ethers } = require('ethers');
+
+const { LSP6_VERSION } = require('../constants');
+
+const MAX_UINT128 = ethers.BigNumber.from(2).pow(128).sub(1);
+
+const KEY_MANAGER_NONCE_ABI = [
+	'function getNonce(address from, uint128 channelId) view returns (uint256)',
+];
+
+// Message and signature
+// ----------
+
+/**
+ * Encode the message to sign for a relay call, as `LSP6KeyManagerCore._executeRelayCall(...)` does.
+ *
+ * @param {object} relayCall
+ * @param {number|string} relayCall.chainId the chain ID of the network the Key Manager is deployed on.
+ * @param {number|string|ethers.BigNumber} relayCall.nonce the nonce of the signer (channel ID included, see `encodeNonce(...)`).
+ * @param {number|string|ethers.BigNumber} [relayCall.value] the value sent to the Key Manager with this payload (default: 0).
+ * @param {string} relayCall.payload the payload to execute on the linked account.
+ * @returns {string} the encoded message.
+ */
+function encodeRelayCallMessage({ chainId, nonce, value = 0, payload }) {
+	return ethers.utils.solidityPack(
+		['uint256', 'uint256', 'uint256', 'uint256', 'bytes'],
+		[LSP6_VERSION, chainId, nonce, value, payload],
+	);
+}
+
+/**
+ * Hash the message of a relay call according to EIP-191 version 0, with the Key Manager as the intended validator.
+ *
+ * @param {string} keyManager the address of the Key Manager that will verify the signature.
+ * @param {object} relayCall `{ chainId, nonce, value, payload }` (see `encodeRelayCallMessage(...)`).
+ * @returns {string} the `bytes32` digest to sign.
+ */
+function getRelayCallDigest(keyManager, relayCall) {
+	return ethers.utils.keccak256(
+		ethers.utils.solidityPack(
+			['bytes1', 'bytes1', 'address', 'bytes'],
+			['0x19', '0x00', keyManager, encodeRelayCallMessage(relayCall)],
+		),
+	);
+}
+
+// sign a digest as-is (without the `\x19Ethereum Signed Message` prefix added by `signer.signMessage(...)`)
+async function signDigest(signer, digest) {
+	if (typeof signer === 'string') {
+		return ethers.utils.joinSignature(new ethers.utils.SigningKey(signer).signDigest(digest));
+	}
+
+	if (typeof signer === 'function') return signer(digest);
+
+	if (typeof signer.signDigest === 'function') {
+		return ethers.utils.joinSignature(await signer.signDigest(digest));
+	}
+
+	// ethers `Wallet`
+	if (typeof signer._signingKey === 'function') {
+		return ethers.utils.joinSignature(signer._signingKey().signDigest(digest));
+	}
+
+	throw new Error(
+		'relayCall: the signer must be a private key, a `SigningKey`, an ethers `Wallet` or a function signing a digest',
+	);
+}
+
+/**
+ * Sign a relay call, to be executed via `executeRelayCall(bytes,uint256,bytes)` on the Key Manager.
+ *
+ * @param {string|object|function} signer a private key, an ethers `SigningKey` or `Wallet`, or an injected signer:
+ * any object with a `signDigest(digest)` method, or an `async (digest) => signature` function.
+ * @param {object} relayCall
+ * @param {string} relayCall.keyManager the address of the Key Manager.
+ * @param {number|string} relayCall.chainId the chain ID of the network the Key Manager is deployed on.
+ * @param {number|string|ethers.BigNumber} relayCall.nonce the nonce of the signer, obtained via `getNonce(...)`.
+ * @param {number|string|ethers.BigNumber} [relayCall.value] the value to send with this payload (default: 0).
+ * @param {string} relayCall.payload the payload to execute on the linked account.
+ * @returns {Promise<object>} `{ signature, nonce, value, payload }`, the parameters of `executeRelayCall(...)`.
+ *
+ * @example
+ * const { signature, nonce, payload } = await signRelayCall(privateKey, { keyManager, chainId, nonce, payload });
+ * await keyManager.connect(relayer)['executeRelayCall(bytes,uint256,bytes)'](signature, nonce, payload);
+ */
+async function signRelayCall(signer, { keyManager, chainId, nonce, value = 0, payload }) {
+	const signature = await signDigest(
+		signer,
+		getRelayCallDigest(keyManager, { chainId, nonce, value, payload }),
+	);
+
+	return {
+		signature,
+		nonce: ethers.BigNumber.from(nonce).toString(),
+		value: ethers.BigNumber.from(value).toString(),
+		payload,
+	};
+}
+
+/**
+ * Sign a batch of relay calls, to be executed via `executeRelayCall(bytes[],uint256[],uint256[],bytes[])`.
+ * The batch must be sent with `msg.value` equal to the sum of the `values`.
+ *
+ * @param {string|object|function} signer the signer of every relay call (see `signRelayCall(...)`).
+ * @param {object} batch
+ * @param {string} batch.keyManager the address of the Key Manager.
+ * @param {number|string} batch.chainId the chain ID of the network the Key Manager is deployed on.
+ * @param {object[]} batch.calls the list of `{ nonce, value, payload }` to sign.
+ * @returns {Promise<object>} `{ signatures, nonces, values, payloads, totalValue }`.
+ */
+async function signRelayCalls(signer, { keyManager, chainId, calls }) {
+	const signed = [];
+
+	for (const call of calls) {
+		signed.push(await signRelayCall(signer, { keyManager, chainId, ...call }));
+	}
+
+	return {
+		signatures: signed.map(({ signature }) => signature),
+		nonces: signed.map(({ nonce }) => nonce),
+		values: signed.map(({ value }) => value),
+		payloads: signed.map(({ payload }) => payload),
+		totalValue: signed
+			.reduce((total, { value }) => total.add(value), ethers.constants.Zero)
+			.toString(),
+	};
+}
+
+/**
+ * Recover the address that signed a relay call, as the Key Manager does.
+ *
+ * @param {object} relayCall `{ keyManager, chainId, nonce, value, payload, signature }`.
+ * @returns {string} the address of the signer.
+ */
+function recoverRelayCallSigner({ keyManager, chainId, nonce, value = 0, payload, signature }) {
+	return ethers.utils.recoverAddress(
+		getRelayCallDigest(keyManager, { chainId, nonce, value, payload }),
+		signature,
+	);
+}
+
+/**
+ * Verify locally that a relay call was signed by `expectedSigner`, before submitting it.
+ *
+ * @param {object} relayCall `{ keyManager, chainId, nonce, value, payload, signature }`.
+ * @param {string} expectedSigner the address expected to have signed the relay call.
+ * @returns {boolean}
+ */
+function verifyRelayCall(relayCall, expectedSigner) {
+	try {
+		return recoverRelayCallSigner(relayCall) === ethers.utils.getAddress(expectedSigner);
+	} catch (error) {
+		return false;
+	}
+}
+
+// Nonces
+// ----------
+
+/**
+ * Encode a nonce as the Key Manager expects it: the 128 leftmost bits are the channel ID,
+ * the 128 rightmost bits the nonce within this channel.
+ *
+ * @param {number|string|ethers.BigNumber} channelId the channel ID (0 for sequential nonces).
+ * @param {number|string|ethers.BigNumber} nonceInChannel the nonce within the channel.
+ * @returns {string} the nonce, as a decimal string.
+ */
+function encodeNonce(channelId, nonceInChannel) {
+	const channel = ethers.BigNumber.from(channelId);
+	const nonce = ethers.BigNumber.from(nonceInChannel);
+
+	if (channel.isNegative() || channel.gt(MAX_UINT128)) {
+		throw new Error(`relayCall: channelId ${channelId} does not fit in a uint128`);
+	}
+
+	if (nonce.isNegative() || nonce.gt(MAX_UINT128)) {
+		throw new Error(`relayCall: nonce ${nonceInChannel} does not fit in a uint128`);
+	}
+
+	return channel.shl(128).or(nonce).toString();
+}
+
+/**
+ * Decode a nonce returned by `getNonce(...)` into its channel ID and nonce within the channel.
+ *
+ * @param {number|string|ethers.BigNumber} nonce the nonce.
+ * @returns {object} `{ channelId, nonceInChannel }`, as decimal strings.
+ */
+function decodeNonce(nonce) {
+	const value = ethers.BigNumber.from(nonce);
+
+	return {
+		channelId: value.shr(128).toString(),
+		nonceInChannel: value.and(MAX_UINT128).toString(),
+	};
+}
+
+/**
+ * Create a nonce manager for a signer, that tracks the nonces reserved for relay calls not executed yet (= in-flight).
+ * Relay calls in the same channel must be executed in order: use a different channel for each relay call that can be
+ * executed in parallel.
+ *
+ * @param {object} options
+ * @param {string} options.keyManager the address of the Key Manager.
+ * @param {string} options.signer the address of the signer of the relay calls.
+ * @param {ethers.providers.Provider} options.provider the provider connected to the network of the Key Manager.
+ * @returns {object} `{ reserveNonce(channelId), releaseNonce(nonce), getPendingNonces(channelId) }`.
+ *
+ * @example
+ * const nonces = createNonceManager({ keyManager, signer: signerAddress, provider });
+ * const nonce = await nonces.reserveNonce(0);
+ * // if the relay call is never submitted (or fails), free its nonce for the next relay call
+ * nonces.releaseNonce(nonce);
+ */
+function createNonceManager({ keyManager, signer, provider }) {
+	const contract = new ethers.Contract(keyManager, KEY_MANAGER_NONCE_ABI, provider);
+
+	// channel ID -> nonces in channel reserved and not executed yet (as BigNumber)
+	const pending = new Map();
+
+	function getPending(channelId) {
+		const channel = ethers.BigNumber.from(channelId).toString();
+		if (!pending.has(channel)) pending.set(channel, []);
+		return pending.get(channel);
+	}
+
+	return {
+		/**
+		 * Reserve the next nonce of a channel: the nonce on-chain, or the one after the last in-flight nonce.
+		 *
+		 * @param {number|string|ethers.BigNumber} [channelId] the channel ID (default: 0).
+		 * @returns {Promise<string>} the nonce (channel ID included).
+		 */
+		async reserveNonce(channelId = 0) {
+			const { nonceInChannel } = decodeNonce(await contract.getNonce(signer, channelId));
+			const onChainNonce = ethers.BigNumber.from(nonceInChannel);
+
+			// the nonces lower than the nonce on-chain were executed
+			const inFlight = getPending(channelId).filter((nonce) => nonce.gte(onChainNonce));
+
+			const next = inFlight.reduce(
+				(highest, nonce) => (nonce.gte(highest) ? nonce.add(1) : highest),
+				onChainNonce,
+			);
+
+			inFlight.push(next);
+			pending.set(ethers.BigNumber.from(channelId).toString(), inFlight);
+
+			return encodeNonce(channelId, next);
+		},
+
+		/**
+		 * Free a reserved nonce, if its relay call was not submitted or failed.
+		 *
+		 * @param {number|string|ethers.BigNumber} nonce the nonce returned by `reserveNonce(...)`.
+		 */
+		releaseNonce(nonce) {
+			const { channelId, nonceInChannel } = decodeNonce(nonce);
+
+			pending.set(
+				channelId,
+				getPending(channelId).filter((pendingNonce) => !pendingNonce.eq(nonceInChannel)),
+			);
+		},
+
+		/**
+		 * @param {number|string|ethers.BigNumber} [channelId] the channel ID (default: 0).
+		 * @returns {string[]} the nonces reserved in this channel (channel ID included), not released.
+		 */
+		getPendingNonces(channelId = 0) {
+			return getPending(channelId).map((nonce) => encodeNonce(channelId, nonce));
+		},
+	};
+}
+
+module.exports = {
+	encodeRelayCallMessage,
+	getRelayCallDigest,
+	signRelayCall,
+	signRelayCalls,
+	recoverRelayCallSigner,
+	verifyRelayCall,
+	encodeNonce,
+	decodeNonce,
+	createNonceManager,
+};
@@ -0,0 +1,221 @@
+/**
+ * A minimal relayer: an HTTP server that receives relay calls signed with `tools/relayCall.js`,
+ * checks them, and submits them to the Key Manager via `executeRelayCall(...)`, paying for the gas.
+ * Intended for local development and tests (e.g: against a Hardhat node), not for production.
+ */
+const http = require('http');
+const { ethers } = require('ethers');
+
+const { decodeRevertData } = require('./errors');
+const { recoverRelayCallSigner } = require('./relayCall');
+
+const KEY_MANAGER_RELAY_ABI = [
+	'function executeRelayCall(bytes signature, uint256 nonce, bytes payload) payable returns (bytes)',
+	'function executeRelayCall(bytes[] signatures, uint256[] nonces, uint256[] values, bytes[] payloads) payable returns (bytes[])',
+];
+
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// a uint256 sent as a decimal or hex string (or a number)
+function isUint256(value) {
+	return (
+		/^(0x[0-9a-fA-F]+|\d+)$/.test(String(value)) &&
+		ethers.BigNumber.from(String(value)).lte(ethers.constants.MaxUint256)
+	);
+}
+
+// an error sent back to the client, with its HTTP status
+function relayerError(status, message, details) {
+	return Object.assign(new Error(message), { status, details });
+}
+
+function readBody(request) {
+	return new Promise((resolve, reject) => {
+		let body = '';
+
+		const onData = (chunk) => {
+			body += chunk;
+			if (body.length > MAX_BODY_SIZE) {
+				// stop buffering and discard the rest of the body, so that the 413 can still be sent
+				request.removeListener('data', onData);
+				request.resume();
+				reject(relayerError(413, 'request body too large'));
+			}
+		};
+
+		request.on('data', onData);
+		request.on('end', () => resolve(body));
+		request.on('error', reject);
+	});
+}
+
+// find the revert data in the (nested) errors thrown by ethers or the provider
+function findRevertData(error) {
+	if (error === null || typeof error !== 'object') return null;
+	if (ethers.utils.isHexString(error.data)) return error.data;
+	if (typeof error.data === 'object') return findRevertData(error.data);
+
+	return findRevertData(error.error);
+}
+
+// validate a request and return the arguments of the `executeRelayCall(...)` function to call
+function parseRelayRequest(body) {
+	let request;
+	try {
+		request = JSON.parse(body);
+	} catch (error) {
+		throw relayerError(400, 'invalid JSON body');
+	}
+
+	if (request === null || !ethers.utils.isAddress(request.keyManager)) {
+		throw relayerError(400, 'invalid or missing `keyManager` address');
+	}
+
+	const isBatch = Array.isArray(request.signatures);
+
+	const calls = isBatch
+		? request.signatures.map((signature, index) => ({
+				signature,
+				nonce: (request.nonces || [])[index],
+				value: (request.values || [])[index],
+				payload: (request.payloads || [])[index],
+		  }))
+		: [request];
+
+	calls.forEach(({ signature, nonce, value, payload }, index) => {
+		const label = isBatch ? ` at index ${index}` : '';
+
+		if (!ethers.utils.isHexString(signature, 65)) {
+			throw relayerError(400, `invalid or missing signature${label}`);
+		}
+		if (nonce === undefined || !isUint256(nonce)) {
+			throw relayerError(400, `invalid or missing nonce${label}`);
+		}
+		if (value !== undefined && !isUint256(value)) {
+			throw relayerError(400, `invalid value${label}`);
+		}
+		if (!ethers.utils.isHexString(payload) || ethers.utils.hexDataLength(payload) < 4) {
+			throw relayerError(400, `invalid or missing payload${label}`);
+		}
+	});
+
+	return { keyManager: request.keyManager, isBatch, calls };
+}
+
+/**
+ * Create a relayer that submits the signed relay calls it receives with `signer`.
+ *
+ * Requests are sent as `POST` with a JSON body, either:
+ *  - a single relay call: `{ keyManager, signature, nonce, value, payload }` (see `signRelayCall(...)`).
+ *  - a batch of relay calls: `{ keyManager, signatures, nonces, values, payloads }` (see `signRelayCalls(...)`).
+ *
+ * Each relay call is simulated before being submitted: a relay call that would revert is rejected with
+ * a `400` status and the decoded error (see `decodeRevertData(...)`), so the relayer does not pay for it.
+ *
+ * @param {object} options
+ * @param {ethers.Signer} options.signer the account paying for the gas, connected to a provider.
+ * @returns {object} `{ server, listen(port), close() }`, where `server` is the underlying `http.Server`.
+ *
+ * @example
+ * const relayer = createRelayer({ signer: provider.getSigner(0) });
+ * await relayer.listen(3000);
+ *
+ * // POST http://localhost:3000 { keyManager, signature, nonce, value, payload }
+ * // 200 { transactionHash, blockNumber, signers: ['0x...'] }
+ * // 400 { error: 'LSP6: Not authorized (missing permission). NotAuthorised(...)', details: { type: 'custom', name: 'NotAuthorised', ... } }
+ */
+function createRelayer({ signer }) {
+	async function relay(body) {
+		const { keyManager, isBatch, calls } = parseRelayRequest(body);
+		const contract = new ethers.Contract(keyManager, KEY_MANAGER_RELAY_ABI, signer);
+		const { chainId } = await signer.provider.getNetwork();
+
+		const values = calls.map(({ value = 0 }) => ethers.BigNumber.from(value));
+
+		let signers;
+		try {
+			signers = calls.map((call, index) =>
+				recoverRelayCallSigner({ keyManager, chainId, ...call, value: values[index] }),
+			);
+		} catch (error) {
+			throw relayerError(400, 'invalid signature');
+		}
+
+		const [method, args] = isBatch
+			? [
+					'executeRelayCall(bytes[],uint256[],uint256[],bytes[])',
+					[
+						calls.map(({ signature }) => signature),
+						calls.map(({ nonce }) => nonce),
+						values,
+						calls.map(({ payload }) => payload),
+					],
+			  ]
+			: [
+					'executeRelayCall(bytes,uint256,bytes)',
+					[calls[0].signature, calls[0].nonce, calls[0].payload],
+			  ];
+
+		const overrides = {
+			value: values.reduce((total, value) => total.add(value), ethers.constants.Zero),
+		};
+
+		try {
+			await contract.callStatic[method](...args, overrides);
+		} catch (error) {
+			const revertData = findRevertData(error);
+			if (revertData === null) throw error;
+
+			const decodedError = decodeRevertData(revertData);
+			throw relayerError(400, decodedError.message, decodedError);
+		}
+
+		const transaction = await contract[method](...args, overrides);
+		const receipt = await transaction.wait();
+
+		return {
+			transactionHash: receipt.transactionHash,
+			blockNumber: receipt.blockNumber,
+			signers,
+		};
+	}
+
+	const server = http.createServer(async (request, response) => {
+		const send = (status, body) => {
+			response.writeHead(status, {
+				'Content-Type': 'application/json',
+				// close the connection once the 413 is sent
+				...(status === 413 && { Connection: 'close' }),
+			});
+			response.end(JSON.stringify(body));
+		};
+
+		if (request.method !== 'POST') {
+			send(405, { error: 'only POST requests are accepted' });
+			return;
+		}
+
+		try {
+			send(200, await relay(await readBody(request)));
+		} catch (error) {
+			if (error.status !== undefined) {
+				send(error.status, { error: error.message, details: error.details });
+			} else {
+				send(500, { error: error.message });
+			}
+		}
+	});
+
+	return {
+		server,
+		listen: (port) => new Promise((resolve) => server.listen(port, resolve)),
+		close: () =>
+			new Promise((resolve, reject) =>
+				server.close((error) => (error ? reject(error) : resolve())),
+			),
+	};
+}
+
+module.exports = {
+	createRelayer,
+};
@@ -0,0 +1,193 @@
+/**
+ * Encode, decode and validate the restrictions of an LSP6 controller, stored as CompactBytesArray under:
+ *  - `AddressPermissions:AllowedCalls:<address>`
+ *  - `AddressPermissions:AllowedERC725YDataKeys:<address>`
+ *
+ * The validation rules are the same as the ones enforced by the LSP6 Key Manager
+ * (see `LSP6Utils.sol` and `LSP6KeyManagerCore.sol`).
+ */
+const { ethers } = require('ethers');
+
+const {
+	encodeCompactBytesArray,
+	isCompactBytesArray,
+	decodeCompactBytesArray,
+} = require('./compactBytesArray');
+
+// Allowed Calls
+// ----------
+
+/**
+ * Each Allowed Call is 28 bytes long: bytes4 interfaceId + address + bytes4 function selector.
+ */
+const ALLOWED_CALL_LENGTH = 28;
+
+const WILDCARDS = {
+	interfaceId: '0xffffffff',
+	address: '0xffffffffffffffffffffffffffffffffffffffff',
+	functionSelector: '0xffffffff',
+};
+
+/**
+ * Encode a single Allowed Call into its 28 bytes representation.
+ * Any field omitted (or set to its `WILDCARDS` value) allows any standard, address or function.
+ *
+ * @param {object} allowedCall
+ * @param {string} [allowedCall.interfaceId] the ERC165 interface ID the `to` address must support.
+ * @param {string} [allowedCall.address] the address that can be called.
+ * @param {string} [allowedCall.functionSelector] the bytes4 selector of the function that can be called.
+ * @returns {string} the Allowed Call as a bytes28 hex string.
+ */
+function encodeAllowedCall(allowedCall) {
+	if (allowedCall.callTypes !== undefined) {
+		throw new Error(
+			'restrictions: `callTypes` are not part of the Allowed Calls supported by this version of the LSP6 Key Manager',
+		);
+	}
+
+	const {
+		interfaceId = WILDCARDS.interfaceId,
+		address = WILDCARDS.address,
+		functionSelector = WILDCARDS.functionSelector,
+	} = allowedCall;
+
+	if (!ethers.utils.isHexString(interfaceId, 4)) {
+		throw new Error(`restrictions: invalid interfaceId ${interfaceId} (must be bytes4)`);
+	}
+
+	if (!ethers.utils.isHexString(address, 20)) {
+		throw new Error(`restrictions: invalid address ${address}`);
+	}
+
+	if (!ethers.utils.isHexString(functionSelector, 4)) {
+		throw new Error(
+			`restrictions: invalid functionSelector ${functionSelector} (must be bytes4)`,
+		);
+	}
+
+	if (
+		interfaceId.toLowerCase() === WILDCARDS.interfaceId &&
+		address.toLowerCase() === WILDCARDS.address &&
+		functionSelector.toLowerCase() === WILDCARDS.functionSelector
+	) {
+		// the Key Manager reverts with `InvalidWhitelistedCall(address)` for such entry
+		throw new Error(
+			'restrictions: cannot allow any standard, any address and any function at once',
+		);
+	}
+
+	return ethers.utils.hexConcat([interfaceId, address, functionSelector]).toLowerCase();
+}
+
+/**
+ * Encode a list of Allowed Calls as the value to set under `AddressPermissions:AllowedCalls:<address>`.
+ *
+ * @param {object[]} allowedCalls a list of `{ interfaceId, address, functionSelector }` (see `encodeAllowedCall`).
+ * @returns {string} the encoded bytes28[CompactBytesArray].
+ *
+ * @example
+ * encodeAllowedCalls([
+ *   { address: '0xcafecafecafecafecafecafecafecafecafecafe' },
+ *   { interfaceId: INTERFACE_IDS.LSP7DigitalAsset, functionSelector: '0x760d9bba' },
+ * ]);
+ */
+function encodeAllowedCalls(allowedCalls) {
+	return encodeCompactBytesArray(allowedCalls.map(encodeAllowedCall));
+}
+
+/**
+ * Check if a value is a valid `bytes28[CompactBytesArray]` of Allowed Calls.
+ * Same rules as `LSP6Utils.isCompactBytesArrayOfAllowedCalls(...)`.
+ *
+ * @param {string} value the value stored under `AddressPermissions:AllowedCalls:<address>`.
+ * @returns {boolean}
+ */
+function isValidAllowedCalls(value) {
+	return isCompactBytesArray(value, (length) => length === ALLOWED_CALL_LENGTH);
+}
+
+/**
+ * Decode the value stored under `AddressPermissions:AllowedCalls:<address>`.
+ *
+ * @param {string} value the encoded bytes28[CompactBytesArray] of Allowed Calls.
+ * @returns {object[]} a list of `{ interfaceId, address, functionSelector }`.
+ */
+function decodeAllowedCalls(value) {
+	if (!isValidAllowedCalls(value)) {
+		throw new Error(`restrictions: invalid encoded Allowed Calls ${value}`);
+	}
+
+	return decodeCompactBytesArray(value).map((allowedCall) => ({
+		interfaceId: ethers.utils.hexDataSlice(allowedCall, 0, 4),
+		address: ethers.utils.getAddress(ethers.utils.hexDataSlice(allowedCall, 4, 24)),
+		functionSelector: ethers.utils.hexDataSlice(allowedCall, 24, 28),
+	}));
+}
+
+// Allowed ERC725Y Data Keys
+// ----------
+
+/**
+ * Encode a list of Allowed ERC725Y Data Keys as the value to set under
+ * `AddressPermissions:AllowedERC725YDataKeys:<address>`.
+ *
+ * Each element can be a full `bytes32` data key, or a prefix from 1 to 31 bytes long
+ * to allow any data key starting with it (e.g: `ERC725YDataKeys.LSP5.LSP5ReceivedAssetsMap`
+ * or `ERC725YDataKeys.LSP5['LSP5ReceivedAssets[]'].index`).
+ *
+ * @param {string[]} dataKeys the data keys or data key prefixes.
+ * @returns {string} the encoded bytes[CompactBytesArray].
+ */
+function encodeAllowedERC725YDataKeys(dataKeys) {
+	dataKeys.forEach((dataKey) => {
+		const length = ethers.utils.hexDataLength(dataKey);
+
+		if (length === null || length === 0 || length > 32) {
+			throw new Error(
+				`restrictions: invalid Allowed ERC725Y Data Key ${dataKey} (must be from 1 to 32 bytes long)`,
+			);
+		}
+	});
+
+	return encodeCompactBytesArray(dataKeys).toLowerCase();
+}
+
+/**
+ * Check if a value is a valid `bytes[CompactBytesArray]` of Allowed ERC725Y Data Keys.
+ * Same rules as `LSP6Utils.isCompactBytesArrayOfAllowedERC725YDataKeys(...)`.
+ *
+ * @param {string} value the value stored under `AddressPermissions:AllowedERC725YDataKeys:<address>`.
+ * @returns {boolean}
+ */
+function isValidAllowedERC725YDataKeys(value) {
+	return isCompactBytesArray(value, (length) => length !== 0 && length <= 32);
+}
+
+/**
+ * Decode the value stored under `AddressPermissions:AllowedERC725YDataKeys:<address>`.
+ *
+ * @param {string} value the encoded bytes[CompactBytesArray] of Allowed ERC725Y Data Keys.
+ * @returns {object[]} a list of `{ dataKey, isPrefix }`, where `isPrefix` is `true` for dynamic keys
+ * (allowing any data key starting with `dataKey`).
+ */
+function decodeAllowedERC725YDataKeys(value) {
+	if (!isValidAllowedERC725YDataKeys(value)) {
+		throw new Error(`restrictions: invalid encoded Allowed ERC725Y Data Keys ${value}`);
+	}
+
+	return decodeCompactBytesArray(value).map((dataKey) => ({
+		dataKey,
+		isPrefix: ethers.utils.hexDataLength(dataKey) < 32,
+	}));
+}
+
+module.exports = {
+	WILDCARDS,
+	encodeAllowedCall,
+	encodeAllowedCalls,
+	isValidAllowedCalls,
+	decodeAllowedCalls,
+	encodeAllowedERC725YDataKeys,
+	isValidAllowedERC725YDataKeys,
+	decodeAllowedERC725YDataKeys,
+};
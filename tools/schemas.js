@@ -0,0 +1,113 @@
+/**
+ * Find the ERC725Y JSON Schema (see `LSP<N>_Schema` in `constants.js`) that a raw data key belongs to.
+ * @see https://github.com/lukso-network/LIPs/blob/main/LSPs/LSP-2-ERC725YJSONSchema.md
+ */
+const { ethers } = require('ethers');
+
+const {
+	LSP1_Schema,
+	LSP3_Schema,
+	LSP4_Schema,
+	LSP5_Schema,
+	LSP6_Schema,
+	LSP9_Schema,
+	LSP10_Schema,
+	LSP12_Schema,
+	LSP17_Schema,
+} = require('../constants');
+
+/**
+ * The schemas of all the data keys defined by the LSPs, keyed by standard.
+ */
+const SCHEMAS = {
+	LSP1: LSP1_Schema,
+	LSP3: LSP3_Schema,
+	LSP4: LSP4_Schema,
+	LSP5: LSP5_Schema,
+	LSP6: LSP6_Schema,
+	LSP9: LSP9_Schema,
+	LSP10: LSP10_Schema,
+	LSP12: LSP12_Schema,
+	LSP17: LSP17_Schema,
+};
+
+// e.g: `0x812c4334633eb816c80d0000<address>` -> ['0x812c4334633eb816c80d0000', 'address']
+const DYNAMIC_KEY_REGEX = /^(0x[0-9a-fA-F]{24})<(\w+)>$/;
+
+// decode the last 20 bytes of a Mapping / MappingWithGrouping data key, according to its `<type>`
+function decodeDynamicPart(bytes20Value, type) {
+	if (type === 'address') return ethers.utils.getAddress(bytes20Value);
+
+	const [, size] = type.match(/^bytes(\d+)$/) || [];
+
+	// `bytesN` values are right padded, or truncated to their first 20 bytes (e.g: `<bytes32>`)
+	if (size !== undefined && Number(size) < 20) {
+		return ethers.utils.hexDataSlice(bytes20Value, 0, Number(size));
+	}
+
+	return bytes20Value;
+}
+
+/**
+ * Find the schema of a data key, and the dynamic part of this data key if any.
+ *
+ * @param {string} dataKey the raw `bytes32` data key.
+ * @param {object[]} [schemas] the schemas to search in (default: the schemas of every LSP in `SCHEMAS`).
+ * @returns {object|null} `{ schema, dynamicPart }` or `null` if no schema matches the data key, where `dynamicPart` is:
+ *  - `null` for a Singleton data key, or the data key holding the length of an Array.
+ *  - the index (as a decimal string) for an element of an Array.
+ *  - the address, `bytesN` value (...) of the `<type>` in the name of a Mapping / MappingWithGrouping data key.
+ *
+ * @example
+ * findSchemaForKey('0x812c4334633eb816c80d0000cafecafecafecafecafecafecafecafecafecafe');
+ * // {
+ * //   schema: { name: 'LSP5ReceivedAssetsMap:<address>', keyType: 'Mapping', ... },
+ * //   dynamicPart: '0xCAfEcAfeCAfECaFeCaFecaFecaFECafECafeCaFe',
+ * // }
+ */
+function findSchemaForKey(dataKey, schemas = Object.values(SCHEMAS).flat()) {
+	if (!ethers.utils.isHexString(dataKey, 32)) {
+		throw new Error(`schemas: invalid dataKey ${dataKey} (must be bytes32)`);
+	}
+
+	const key = dataKey.toLowerCase();
+
+	const staticSchema = schemas.find((schema) => schema.key.toLowerCase() === key);
+	if (staticSchema !== undefined) {
+		return { schema: staticSchema, dynamicPart: null };
+	}
+
+	const arraySchema = schemas.find(
+		(schema) =>
+			schema.keyType === 'Array' &&
+			ethers.utils.hexDataSlice(schema.key, 0, 16).toLowerCase() ===
+				ethers.utils.hexDataSlice(key, 0, 16),
+	);
+	if (arraySchema !== undefined) {
+		return {
+			schema: arraySchema,
+			dynamicPart: ethers.BigNumber.from(ethers.utils.hexDataSlice(key, 16)).toString(),
+		};
+	}
+
+	for (const schema of schemas) {
+		const [, keyPrefix, type] = schema.key.match(DYNAMIC_KEY_REGEX) || [];
+
+		if (
+			keyPrefix !== undefined &&
+			keyPrefix.toLowerCase() === ethers.utils.hexDataSlice(key, 0, 12)
+		) {
+			return {
+				schema,
+				dynamicPart: decodeDynamicPart(ethers.utils.hexDataSlice(key, 12), type),
+			};
+		}
+	}
+
+	return null;
+}
+
+module.exports = {
+	SCHEMAS,
+	findSchemaForKey,
+};
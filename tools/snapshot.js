@@ -0,0 +1,258 @@
+/**
+ * Read everything set in the ERC725Y storage of a Universal Profile, with a minimum of `getData(bytes32[])` calls.
+ */
+const { ethers } = require('ethers');
+
+const {
+	ERC725YDataKeys,
+	LSP1_TYPE_IDS,
+	LSP3_Schema,
+	LSP5_Schema,
+	LSP10_Schema,
+	LSP12_Schema,
+} = require('../constants');
+const { getControllerDataKeys, decodeController } = require('./controllers');
+const { generateArrayElementKeyAtIndex, generateMappingKey } = require('./dataKeys');
+const { decodeValue } = require('./dataValues');
+const { fetchData } = require('./utils');
+
+const ERC725Y_ABI = ['function getData(bytes32[] dataKeys) view returns (bytes[] dataValues)'];
+
+/**
+ * The functions commonly forwarded to an LSP17 extension, checked when no `extensionSelectors` are provided.
+ */
+const DEFAULT_EXTENSION_SELECTORS = [
+	'onERC721Received(address,address,uint256,bytes)',
+	'onERC1155Received(address,address,uint256,uint256,bytes)',
+	'onERC1155BatchReceived(address,address,uint256[],uint256[],bytes)',
+	'tokensReceived(address,address,address,uint256,bytes,bytes)',
+].map((signature) => ethers.utils.id(signature).substring(0, 10));
+
+// the arrays of addresses read in the snapshot, with the Mapping storing the interface ID and index of each element
+const ADDRESS_ARRAYS = {
+	LSP5ReceivedAssets: {
+		arrayKey: ERC725YDataKeys.LSP5['LSP5ReceivedAssets[]'].length,
+		mapPrefix: ERC725YDataKeys.LSP5.LSP5ReceivedAssetsMap,
+		mapSchema: LSP5_Schema[1],
+	},
+	LSP10Vaults: {
+		arrayKey: ERC725YDataKeys.LSP10['LSP10Vaults[]'].length,
+		mapPrefix: ERC725YDataKeys.LSP10.LSP10VaultsMap,
+		mapSchema: LSP10_Schema[1],
+	},
+	LSP12IssuedAssets: {
+		arrayKey: ERC725YDataKeys.LSP12['LSP12IssuedAssets[]'].length,
+		mapPrefix: ERC725YDataKeys.LSP12.LSP12IssuedAssetsMap,
+		mapSchema: LSP12_Schema[1],
+	},
+};
+
+// `bytes.concat(interfaceId, bytes8(index))`, as set by `LSP5Utils` and `LSP10Utils`: a `(bytes4,bytes8)`
+const MAP_VALUE_LENGTH = 12;
+
+// `bytes12` key prefix + `bytes20` value
+function mappingKey(keyPrefix, bytes20Value) {
+	return generateMappingKey(ethers.utils.hexDataSlice(keyPrefix, 0, 10), bytes20Value);
+}
+
+// the length of an LSP2 Array, tolerating values shorter than 32 bytes (e.g: `0x`)
+function decodeArrayLength(name, value, maxArrayLength) {
+	const length = value === '0x' ? ethers.constants.Zero : ethers.BigNumber.from(value);
+
+	if (length.gt(maxArrayLength)) {
+		throw new Error(
+			`snapshot: ${name}[] has ${length.toString()} elements (more than maxArrayLength = ${maxArrayLength})`,
+		);
+	}
+
+	return length.toNumber();
+}
+
+function decodeAddress(value) {
+	return ethers.utils.hexDataLength(value) === 20 ? ethers.utils.getAddress(value) : null;
+}
+
+/**
+ * Read and decode the ERC725Y storage of a Universal Profile:
+ *  - the LSP3 metadata and supported standard.
+ *  - the default LSP1 Universal Receiver Delegate, and the ones set for each type ID of `LSP1_TYPE_IDS`.
+ *  - the controllers listed in `AddressPermissions[]`, with their permissions, AllowedCalls and AllowedERC725YDataKeys.
+ *  - the LSP5 received assets, LSP10 vaults and LSP12 issued assets, with their interface ID.
+ *  - the LSP17 extensions set for the `extensionSelectors`.
+ *
+ * The data keys are fetched in 3 rounds of `getData(bytes32[])` calls (fixed data keys, Array elements, then Mappings).
+ *
+ * @param {ethers.providers.Provider} provider the provider connected to the network of the Universal Profile.
+ * @param {string} address the address of the Universal Profile (or any ERC725Y contract).
+ * @param {object} [options]
+ * @param {string[]} [options.extensionSelectors] the bytes4 function selectors to look for an LSP17 extension
+ * (default: `DEFAULT_EXTENSION_SELECTORS`). Extensions cannot be enumerated, only these selectors are checked.
+ * @param {number} [options.batchSize] the maximum number of data keys per `getData(bytes32[])` call (default: 100).
+ * @param {number} [options.maxArrayLength] fail if an Array is longer than this (default: 1000).
+ * @param {string} [options.blockTag] read the storage at this block (default: `latest`).
+ * @returns {Promise<object>} a JSON snapshot of the Universal Profile. Values that cannot be decoded are returned raw (hex).
+ *
+ * @example
+ * const snapshot = await getUniversalProfileSnapshot(provider, universalProfile.address);
+ * // {
+ * //   address: '0x...',
+ * //   supportedStandard: true,
+ * //   LSP3Profile: { hashFunction: 'keccak256(utf8)', hash: '0x...', url: 'ipfs://...' },
+ * //   LSP1UniversalReceiverDelegate: { default: '0x...', typeIds: { LSP7Tokens_RecipientNotification: '0x...' } },
+ * //   controllers: [{ address: '0x...', permissions: { value: '0x...', names: ['CALL', 'SETDATA'], unknownBits: [] }, allowedCalls: [...], allowedERC725YDataKeys: [...] }],
+ * //   LSP5ReceivedAssets: [{ address: '0x...', interfaceId: '0xda1f85e4', index: '0' }],
+ * //   LSP10Vaults: [],
+ * //   LSP12IssuedAssets: [],
+ * //   LSP17Extensions: { '0x150b7a02': '0x...' },
+ * // }
+ */
+async function getUniversalProfileSnapshot(provider, address, options = {}) {
+	const {
+		extensionSelectors = DEFAULT_EXTENSION_SELECTORS,
+		batchSize = 100,
+		maxArrayLength = 1000,
+		blockTag = 'latest',
+	} = options;
+
+	const erc725y = new ethers.Contract(address, ERC725Y_ABI, provider);
+
+	const permissionsArrayKey = ERC725YDataKeys.LSP6['AddressPermissions[]'].length;
+
+	// 1. fixed data keys and length of the Arrays
+	const fixed = await fetchData(
+		erc725y,
+		[
+			ERC725YDataKeys.LSP3.SupportedStandards_LSP3,
+			ERC725YDataKeys.LSP3.LSP3Profile,
+			ERC725YDataKeys.LSP1.LSP1UniversalReceiverDelegate,
+			permissionsArrayKey,
+			...Object.values(ADDRESS_ARRAYS).map(({ arrayKey }) => arrayKey),
+		],
+		{ batchSize, blockTag },
+	);
+
+	const lengths = Object.entries({
+		AddressPermissions: { arrayKey: permissionsArrayKey },
+		...ADDRESS_ARRAYS,
+	}).reduce((result, [name, { arrayKey }]) => {
+		result[name] = decodeArrayLength(name, fixed[arrayKey], maxArrayLength);
+		return result;
+	}, {});
+
+	// 2. elements of the Arrays
+	const elementKeys = Object.entries(lengths).reduce((result, [name, length]) => {
+		const arrayKey =
+			name === 'AddressPermissions' ? permissionsArrayKey : ADDRESS_ARRAYS[name].arrayKey;
+
+		result[name] = Array.from({ length }, (_, index) =>
+			generateArrayElementKeyAtIndex(arrayKey, index),
+		);
+		return result;
+	}, {});
+
+	const elements = await fetchData(erc725y, Object.values(elementKeys).flat(), {
+		batchSize,
+		blockTag,
+	});
+
+	const addresses = Object.entries(elementKeys).reduce((result, [name, dataKeys]) => {
+		result[name] = dataKeys.map((dataKey) => decodeAddress(elements[dataKey]));
+		return result;
+	}, {});
+
+	// 3. Mappings: controllers permissions, interface ID and index of each element, LSP1 delegates and LSP17 extensions
+	const controllerKeys = addresses.AddressPermissions.map((controller) =>
+		controller === null ? {} : getControllerDataKeys(controller),
+	);
+
+	const typeIdKeys = Object.entries(LSP1_TYPE_IDS).map(([name, typeId]) => [
+		name,
+		mappingKey(
+			ERC725YDataKeys.LSP1.LSP1UniversalReceiverDelegatePrefix,
+			ethers.utils.hexDataSlice(typeId, 0, 20),
+		),
+	]);
+
+	const extensionKeys = extensionSelectors.map((selector) => [
+		selector,
+		ethers.utils.hexConcat([
+			ERC725YDataKeys.LSP17.LSP17ExtensionPrefix,
+			selector,
+			ethers.utils.hexZeroPad('0x', 16),
+		]),
+	]);
+
+	const mappings = await fetchData(
+		erc725y,
+		[
+			...controllerKeys.flatMap(Object.values),
+			...Object.keys(ADDRESS_ARRAYS).flatMap((name) =>
+				addresses[name]
+					.filter(Boolean)
+					.map((element) => mappingKey(ADDRESS_ARRAYS[name].mapPrefix, element)),
+			),
+			...typeIdKeys.map(([, dataKey]) => dataKey),
+			...extensionKeys.map(([, dataKey]) => dataKey),
+		],
+		{ batchSize, blockTag },
+	);
+
+	const controllers = addresses.AddressPermissions.map((controller, index) => {
+		if (controller === null) {
+			return { address: elements[elementKeys.AddressPermissions[index]] };
+		}
+
+		return decodeController(controller, controllerKeys[index], mappings);
+	});
+
+	const assets = Object.keys(ADDRESS_ARRAYS).reduce((result, name) => {
+		const { mapPrefix, mapSchema } = ADDRESS_ARRAYS[name];
+
+		result[name] = addresses[name].map((element, index) => {
+			if (element === null) return { address: elements[elementKeys[name][index]] };
+
+			const mapValue = mappings[mappingKey(mapPrefix, element)];
+
+			if (ethers.utils.hexDataLength(mapValue) !== MAP_VALUE_LENGTH) {
+				return { address: element, interfaceId: null, index: null };
+			}
+
+			const [interfaceId, mapIndex] = decodeValue(mapSchema, mapValue);
+			return { address: element, interfaceId, index: mapIndex };
+		});
+		return result;
+	}, {});
+
+	// keep the raw value if it is not a JSONURL
+	const LSP3Profile = fixed[ERC725YDataKeys.LSP3.LSP3Profile];
+	const isJSONURL = ethers.utils.hexDataLength(LSP3Profile) >= 36;
+
+	return {
+		address: ethers.utils.getAddress(address),
+		supportedStandard:
+			fixed[ERC725YDataKeys.LSP3.SupportedStandards_LSP3] === LSP3_Schema[0].valueContent,
+		LSP3Profile: isJSONURL
+			? decodeValue(LSP3_Schema[1], LSP3Profile)
+			: decodeValue({ valueType: 'bytes', valueContent: 'Bytes' }, LSP3Profile),
+		LSP1UniversalReceiverDelegate: {
+			default: decodeAddress(fixed[ERC725YDataKeys.LSP1.LSP1UniversalReceiverDelegate]),
+			typeIds: typeIdKeys.reduce((result, [name, dataKey]) => {
+				const delegate = decodeAddress(mappings[dataKey]);
+				if (delegate !== null) result[name] = delegate;
+				return result;
+			}, {}),
+		},
+		controllers,
+		...assets,
+		LSP17Extensions: extensionKeys.reduce((result, [selector, dataKey]) => {
+			const extension = decodeAddress(mappings[dataKey]);
+			if (extension !== null) result[selector] = extension;
+			return result;
+		}, {}),
+	};
+}
+
+module.exports = {
+	DEFAULT_EXTENSION_SELECTORS,
+	getUniversalProfileSnapshot,
+};
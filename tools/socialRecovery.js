@@ -0,0 +1,260 @@
+/**
+ * Coordinate the guardians of an LSP11 Basic Social Recovery contract to recover the access to its target
+ * (e.g: a Universal Profile controlled by a Key Manager):
+ *  1. each guardian selects the address to recover the access with, via `selectNewController(address)`.
+ *  2. once enough guardians selected the same address (`getGuardiansThreshold()`), anyone can call
+ *     `recoverOwnership(recoverer, plainSecret, newSecretHash)` with the plain secret matching `getRecoverySecretHash()`.
+ *
+ * The recoverer is then granted `ALL_REGULAR_PERMISSIONS` on the target through its Key Manager, which requires the
+ * LSP11 contract to have the `ADDCONTROLLER` and `CHANGEPERMISSIONS` permissions on the target.
+ * @see https://github.com/lukso-network/LIPs/blob/main/LSPs/LSP-11-BasicSocialRecovery.md
+ */
+const { ethers } = require('ethers');
+
+const { Errors } = require('../constants');
+const { decodeRevertData } = require('./errors');
+const { toAddress } = require('./utils');
+
+const LSP11_ABI = [
+	'function target() view returns (address)',
+	'function getRecoveryCounter() view returns (uint256)',
+	'function getGuardians() view returns (address[])',
+	'function getGuardiansThreshold() view returns (uint256)',
+	'function getRecoverySecretHash() view returns (bytes32)',
+	'function getGuardianChoice(address guardian) view returns (address)',
+	'function selectNewController(address addressSelected)',
+	'function recoverOwnership(address recoverer, string plainSecret, bytes32 newHash)',
+];
+
+const LSP11_INTERFACE = new ethers.utils.Interface(LSP11_ABI);
+
+const LSP11_ERRORS = new ethers.utils.Interface(
+	Object.values(Errors.LSP11).map(({ error }) => `error ${error}`),
+);
+
+// the error `recoverOwnership(...)` would revert with, decoded by `decodeRevertData(...)`
+function lsp11Error(name, ...args) {
+	return decodeRevertData(LSP11_ERRORS.encodeErrorResult(name, args));
+}
+
+/**
+ * Compute the secret hash to commit to for a plain secret, as checked by `recoverOwnership(...)`:
+ * `keccak256(abi.encodePacked(plainSecret))`.
+ *
+ * @param {string} plainSecret the plain secret.
+ * @returns {string} the secret hash, to set with `setRecoverySecretHash(...)` or pass as `newHash` to
+ * `recoverOwnership(...)`.
+ */
+function computeSecretHash(plainSecret) {
+	if (typeof plainSecret !== 'string') {
+		throw new Error(`socialRecovery: invalid plain secret ${plainSecret} (must be a string)`);
+	}
+
+	return ethers.utils.solidityKeccak256(['string'], [plainSecret]);
+}
+
+/**
+ * Read the recovery state of an LSP11 contract, with the choice of each guardian for the current recovery.
+ *
+ * @param {ethers.providers.Provider} provider
+ * @param {string} contract the address of the LSP11 contract.
+ * @param {object} [options]
+ * @param {number|string} [options.blockTag] read the state at this block (default: `latest`).
+ * @returns {Promise<object>} `{ contract, target, recoveryCounter, guardians, guardiansThreshold, secretHash, choices }`,
+ * where `choices` is keyed by guardian, with the address selected or `null` if the guardian did not select any yet.
+ */
+async function getRecoveryState(provider, contract, options = {}) {
+	const { blockTag = 'latest' } = options;
+	const address = toAddress(contract, 'LSP11 contract', 'socialRecovery');
+	const lsp11 = new ethers.Contract(address, LSP11_ABI, provider);
+
+	const [target, recoveryCounter, guardians, guardiansThreshold, secretHash] = await Promise.all([
+		lsp11.target({ blockTag }),
+		lsp11.getRecoveryCounter({ blockTag }),
+		lsp11.getGuardians({ blockTag }),
+		lsp11.getGuardiansThreshold({ blockTag }),
+		lsp11.getRecoverySecretHash({ blockTag }),
+	]);
+
+	const selected = await Promise.all(
+		guardians.map((guardian) => lsp11.getGuardianChoice(guardian, { blockTag })),
+	);
+
+	return {
+		contract: address,
+		target,
+		recoveryCounter: recoveryCounter.toNumber(),
+		guardians,
+		guardiansThreshold: guardiansThreshold.toNumber(),
+		secretHash,
+		choices: guardians.reduce((choices, guardian, index) => {
+			choices[guardian] =
+				selected[index] === ethers.constants.AddressZero ? null : selected[index];
+			return choices;
+		}, {}),
+	};
+}
+
+/**
+ * Tally the choices of the guardians for the current recovery.
+ *
+ * @param {object} state the recovery state, as returned by `getRecoveryState(...)`.
+ * @returns {object} `{ guardiansThreshold, candidates, undecided }`, where:
+ *  - `candidates` lists the addresses selected, as `{ address, selections, selectedBy, thresholdReached }`,
+ *    the most selected first.
+ *  - `undecided` lists the guardians that did not select any address yet.
+ */
+function getRecoveryProgress(state) {
+	const candidates = {};
+	const undecided = [];
+
+	state.guardians.forEach((guardian) => {
+		const choice = state.choices[guardian];
+
+		if (choice === null) {
+			undecided.push(guardian);
+			return;
+		}
+
+		if (candidates[choice] === undefined) candidates[choice] = [];
+		candidates[choice].push(guardian);
+	});
+
+	return {
+		guardiansThreshold: state.guardiansThreshold,
+		candidates: Object.entries(candidates)
+			.map(([address, selectedBy]) => ({
+				address,
+				selections: selectedBy.length,
+				selectedBy,
+				thresholdReached: selectedBy.length >= state.guardiansThreshold,
+			}))
+			.sort((a, b) => b.selections - a.selections),
+		undecided,
+	};
+}
+
+/**
+ * Build the `selectNewController(addressSelected)` call of a guardian.
+ *
+ * @param {object} state the recovery state, as returned by `getRecoveryState(...)`.
+ * @param {string} guardian the guardian sending the transaction.
+ * @param {string} addressSelected the address to recover the access with.
+ * @returns {{ to: string, data: string }} the transaction the guardian must send.
+ */
+function buildSelectNewController(state, guardian, addressSelected) {
+	const from = toAddress(guardian, 'guardian', 'socialRecovery');
+
+	if (!state.guardians.includes(from)) {
+		throw new Error(`socialRecovery: ${lsp11Error('CallerIsNotGuardian', from).message}`);
+	}
+
+	return {
+		to: state.contract,
+		data: LSP11_INTERFACE.encodeFunctionData('selectNewController', [
+			toAddress(addressSelected, 'address selected', 'socialRecovery'),
+		]),
+	};
+}
+
+/**
+ * Predict if `recoverOwnership(recoverer, plainSecret, newSecretHash)` would pass the checks of
+ * `LSP11BasicSocialRecoveryCore._validateRequirements(...)`, in the same order.
+ *
+ * @param {object} state the recovery state, as returned by `getRecoveryState(...)`.
+ * @param {object} recovery
+ * @param {string} recovery.recoverer the address to recover the access with.
+ * @param {string} recovery.plainSecret the plain secret of the current secret hash.
+ * @param {string} recovery.newSecretHash the secret hash to commit to for the next recovery.
+ * @returns {object} `{ allowed: true }`, or `{ allowed: false, error }` where `error` is the `Errors.LSP11` error
+ * the contract would revert with, decoded by `decodeRevertData(...)`.
+ */
+function checkRecoverOwnership(state, { recoverer, plainSecret, newSecretHash }) {
+	const address = toAddress(recoverer, 'recoverer', 'socialRecovery');
+
+	if (address === ethers.constants.AddressZero) {
+		return { allowed: false, error: lsp11Error('AddressZeroNotAllowed') };
+	}
+
+	const selections = state.guardians.filter(
+		(guardian) => state.choices[guardian] === address,
+	).length;
+
+	if (selections < state.guardiansThreshold) {
+		return {
+			allowed: false,
+			error: lsp11Error(
+				'ThresholdNotReachedForRecoverer',
+				address,
+				selections,
+				state.guardiansThreshold,
+			),
+		};
+	}
+
+	if (ethers.utils.hexlify(newSecretHash) === ethers.constants.HashZero) {
+		return { allowed: false, error: lsp11Error('SecretHashCannotBeZero') };
+	}
+
+	if (computeSecretHash(plainSecret) !== state.secretHash.toLowerCase()) {
+		return { allowed: false, error: lsp11Error('WrongPlainSecret') };
+	}
+
+	return { allowed: true };
+}
+
+/**
+ * Build the `recoverOwnership(...)` call, that anyone can send once the threshold is reached.
+ *
+ * @param {object} state the recovery state, as returned by `getRecoveryState(...)`.
+ * @param {object} recovery
+ * @param {string} recovery.recoverer the address to recover the access with.
+ * @param {string} recovery.plainSecret the plain secret of the current secret hash.
+ * @param {string} [recovery.newPlainSecret] the plain secret for the next recovery, hashed with `computeSecretHash(...)`.
+ * @param {string} [recovery.newSecretHash] or the secret hash for the next recovery, if already computed.
+ * @returns {{ to: string, data: string }} the transaction to send.
+ * @throws if the call would revert, with the `Errors.LSP11` error decoded in `error.error`.
+ */
+function buildRecoverOwnership(state, recovery) {
+	const { recoverer, plainSecret, newPlainSecret } = recovery;
+
+	if ((newPlainSecret === undefined) === (recovery.newSecretHash === undefined)) {
+		throw new Error('socialRecovery: provide either a newPlainSecret or a newSecretHash');
+	}
+
+	const newSecretHash =
+		newPlainSecret === undefined ? recovery.newSecretHash : computeSecretHash(newPlainSecret);
+
+	if (!ethers.utils.isHexString(newSecretHash, 32)) {
+		throw new Error(`socialRecovery: invalid new secret hash ${newSecretHash}`);
+	}
+
+	const { allowed, error } = checkRecoverOwnership(state, {
+		recoverer,
+		plainSecret,
+		newSecretHash,
+	});
+
+	if (!allowed) {
+		throw Object.assign(new Error(`socialRecovery: ${error.message}`), { error });
+	}
+
+	return {
+		to: state.contract,
+		data: LSP11_INTERFACE.encodeFunctionData('recoverOwnership', [
+			recoverer,
+			plainSecret,
+			newSecretHash,
+		]),
+	};
+}
+
+module.exports = {
+	LSP11_ABI,
+	computeSecretHash,
+	getRecoveryState,
+	getRecoveryProgress,
+	buildSelectNewController,
+	checkRecoverOwnership,
+	buildRecoverOwnership,
+};
@@ -0,0 +1,107 @@
+/**
+ * Read the constants and custom errors declared in the Solidity files of this package.
+ */
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const CONTRACTS_DIR = path.join(__dirname, '..', 'contracts');
+
+const SOLIDITY_CONSTANT_REGEX =
+	/\b(?:bytes\d*|uint\d*)\s+constant\s+(\w+)\s*=\s*(?:(0x[0-9a-fA-F]+|\d+)|hex"([0-9a-fA-F]*)")\s*;/g;
+
+// the NatSpec comment is captured only if it is right before the error declaration
+const SOLIDITY_ERROR_REGEX =
+	/(?:\/\*\*((?:(?!\*\/)[\s\S])*)\*\/\s*)?\berror\s+(\w+)\s*\(([^)]*)\)\s*;/g;
+
+function findSolidityFiles(directory, filter) {
+	return fs.readdirSync(directory, { withFileTypes: true }).flatMap((entry) => {
+		const entryPath = path.join(directory, entry.name);
+
+		if (entry.isDirectory()) {
+			return entry.name === 'Mocks' ? [] : findSolidityFiles(entryPath, filter);
+		}
+
+		return entry.name.endsWith('.sol') && filter(entry.name) ? [entryPath] : [];
+	});
+}
+
+/**
+ * Parse the `bytesN` and `uintN` constants declared in the `*Constants.sol` files.
+ *
+ * @param {string} [contractsDir] the folder to search recursively (default: `contracts/` of this package).
+ * @returns {object} the value of each constant, keyed by name: `{ [name]: { value, file } }`.
+ * Values are lowercase hex strings, or decimal strings for numbers (e.g: `LSP6_VERSION`).
+ */
+function readSolidityConstants(contractsDir = CONTRACTS_DIR) {
+	const files = findSolidityFiles(contractsDir, (fileName) => fileName.endsWith('Constants.sol'));
+
+	return files.reduce((result, file) => {
+		const source = fs.readFileSync(file, 'utf8');
+
+		for (const [, name, literal, hexLiteral] of source.matchAll(SOLIDITY_CONSTANT_REGEX)) {
+			result[name] = {
+				value: (literal !== undefined ? literal : `0x${hexLiteral}`).toLowerCase(),
+				file: path.relative(contractsDir, file),
+			};
+		}
+
+		return result;
+	}, {});
+}
+
+// keep the text of the `@dev` (or `@notice`) tag of a NatSpec comment, on a single line
+function parseNatSpecDescription(comment = '') {
+	const text = comment
+		.split('\n')
+		.map((line) => line.replace(/^\s*\*?\s?/, '').trim())
+		.join(' ');
+
+	const [, description = ''] = text.match(/@(?:dev|notice)\s+((?:(?!\s@\w)[\s\S])*)/) || [];
+
+	return description.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse the custom errors declared in the Solidity files (excluding the mocks), in order of declaration.
+ * Errors declared in several files (e.g: in a contract and its proxy version) are listed once.
+ *
+ * @param {string} [contractsDir] the folder to search recursively (default: `contracts/` of this package).
+ * @returns {object[]} a list of `{ name, signature, selector, description, file }`, where `description`
+ * is the `@dev` NatSpec comment of the error (empty if there is none).
+ */
+function readSolidityErrors(contractsDir = CONTRACTS_DIR) {
+	const files = findSolidityFiles(contractsDir, () => true);
+	const errors = [];
+
+	files.forEach((file) => {
+		const source = fs.readFileSync(file, 'utf8');
+
+		for (const [, comment, name, params] of source.matchAll(SOLIDITY_ERROR_REGEX)) {
+			const types = params
+				.split(',')
+				.map((param) => param.trim())
+				.filter((param) => param !== '')
+				.map((param) => ethers.utils.ParamType.from(param).format('sighash'));
+
+			const signature = `${name}(${types.join(',')})`;
+
+			if (errors.some((error) => error.signature === signature)) continue;
+
+			errors.push({
+				name,
+				signature,
+				selector: ethers.utils.id(signature).substring(0, 10),
+				description: parseNatSpecDescription(comment),
+				file: path.relative(contractsDir, file),
+			});
+		}
+	});
+
+	return errors;
+}
+
+module.exports = {
+	readSolidityConstants,
+	readSolidityErrors,
+};
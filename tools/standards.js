@@ -0,0 +1,386 @@
+/**
+ * Detect what an address is (EOA, Universal Profile, Key Manager, Vault, LSP7 / LSP8 asset...), from the ERC165
+ * interface IDs it supports (`INTERFACE_IDS` in constants.js) and the `SupportedStandards:<name>` data keys it sets
+ * (`SupportedStandards`).
+ *
+ * The interface IDs of the previous releases of this package are recognised as well, to flag outdated deployments.
+ * @see https://eips.ethereum.org/EIPS/eip-165
+ */
+const { ethers } = require('ethers');
+
+const { INTERFACE_IDS, SupportedStandards } = require('../constants');
+const { supportsInterface } = require('./utils');
+
+const ABI = [
+	'function getData(bytes32[] dataKeys) view returns (bytes[])',
+	'function getData(bytes32 dataKey) view returns (bytes)',
+];
+
+// ERC165 requires `supportsInterface(0xffffffff)` to return false
+const INVALID_INTERFACE_ID = '0xffffffff';
+
+// `allowance(address,address)`, to detect the LSP7 assets compatible with ERC20 (they do not register its interface ID)
+const ERC20_ALLOWANCE_SELECTOR = ethers.utils.id('allowance(address,address)').substring(0, 10);
+
+// the interface ID of a list of functions (XOR of their selectors), as in `tools/preimages.js`
+function computeInterfaceId(functions) {
+	const interfaceId = functions.reduce(
+		(result, signature) => result.xor(ethers.utils.id(signature).substring(0, 10)),
+		ethers.BigNumber.from(0),
+	);
+
+	return ethers.utils.hexZeroPad(interfaceId.toHexString(), 4);
+}
+
+/**
+ * The interface IDs of the previous releases, replaced since then by the ones in `INTERFACE_IDS`.
+ * Each one is listed with the `standard` it is an older version of, and the `releases` that used it.
+ */
+const LEGACY_INTERFACE_IDS = [
+	{
+		standard: 'ERC725X',
+		releases: '< v0.8.0',
+		functions: ['execute(uint256,address,uint256,bytes)'],
+	},
+	{
+		standard: 'ERC725Y',
+		releases: '< v0.8.0',
+		functions: ['getData(bytes32[])', 'setData(bytes32[],bytes[])'],
+	},
+	{
+		standard: 'ERC725Y',
+		releases: '< v0.8.0',
+		functions: ['getData(bytes32)', 'setData(bytes32,bytes)'],
+	},
+	{
+		standard: 'LSP6KeyManager',
+		releases: 'v0.6.0 - v0.7.0',
+		functions: [
+			'target()',
+			'getNonce(address,uint256)',
+			'execute(bytes)',
+			'executeRelayCall(bytes,uint256,bytes)',
+		],
+	},
+	{
+		standard: 'LSP6KeyManager',
+		releases: '< v0.6.0',
+		functions: [
+			'getNonce(address,uint256)',
+			'execute(bytes)',
+			'executeRelayCall(address,uint256,bytes,bytes)',
+		],
+	},
+	{
+		standard: 'LSP7DigitalAsset',
+		releases: 'v0.7.0',
+		functions: [
+			'decimals()',
+			'totalSupply()',
+			'balanceOf(address)',
+			'authorizeOperator(address,uint256)',
+			'revokeOperator(address)',
+			'authorizedAmountFor(address,address)',
+			'transfer(address,address,uint256,bool,bytes)',
+			'transferBatch(address[],address[],uint256[],bool,bytes[])',
+		],
+	},
+	{
+		standard: 'LSP7DigitalAsset',
+		releases: '< v0.7.0',
+		functions: [
+			'decimals()',
+			'totalSupply()',
+			'balanceOf(address)',
+			'authorizeOperator(address,uint256)',
+			'revokeOperator(address)',
+			'isOperatorFor(address,address)',
+			'transfer(address,address,uint256,bool,bytes)',
+			'transferBatch(address[],address[],uint256[],bool,bytes[])',
+		],
+	},
+	{
+		standard: 'LSP8IdentifiableDigitalAsset',
+		releases: '< v0.8.0',
+		functions: [
+			'totalSupply()',
+			'balanceOf(address)',
+			'tokenOwnerOf(bytes32)',
+			'tokenIdsOf(address)',
+			'authorizeOperator(address,bytes32)',
+			'revokeOperator(address,bytes32)',
+			'isOperatorFor(address,bytes32)',
+			'getOperatorsOf(bytes32)',
+			'transfer(address,address,bytes32,bool,bytes)',
+			'transferBatch(address[],address[],bytes32[],bool,bytes[])',
+		],
+	},
+	{
+		// `_INTERFACE_ID_LSP1DELEGATE` in `contracts/Legacy/UniversalReceiverAddressStore.sol`
+		standard: 'LSP1UniversalReceiverDelegate',
+		releases: 'contracts/Legacy',
+		interfaceId: '0xa245bbda',
+	},
+].map(({ standard, releases, functions, interfaceId }) => ({
+	standard,
+	releases,
+	interfaceId: interfaceId || computeInterfaceId(functions),
+}));
+
+// the labels of each type of address detected
+const LABELS = {
+	EOA: 'Externally Owned Account',
+	UniversalProfile: 'Universal Profile',
+	LSP0ERC725Account: 'ERC725 Account',
+	LSP9Vault: 'Vault',
+	LSP6KeyManager: 'Key Manager',
+	LSP7DigitalAsset: 'LSP7 Digital Asset',
+	LSP8IdentifiableDigitalAsset: 'LSP8 Identifiable Digital Asset',
+	LSP11BasicSocialRecovery: 'Social Recovery',
+	LSP17Extension: 'LSP17 Extension',
+	LSP1UniversalReceiver: 'Universal Receiver',
+	LSP1UniversalReceiverDelegate: 'Universal Receiver Delegate',
+	ERC725: 'ERC725 contract',
+	unknown: 'Contract',
+};
+
+// the values set under the `SupportedStandards:<name>` data keys, with `getData(bytes32[])`
+// or `getData(bytes32)` for the contracts of older releases
+async function getSupportedStandards(contract, blockTag) {
+	const names = Object.keys(SupportedStandards);
+	const dataKeys = names.map((name) => SupportedStandards[name].key);
+
+	let values;
+	try {
+		values = await contract['getData(bytes32[])'](dataKeys, { blockTag });
+	} catch (error) {
+		values = await Promise.all(
+			dataKeys.map((dataKey) =>
+				contract['getData(bytes32)'](dataKey, { blockTag }).catch(() => '0x'),
+			),
+		);
+	}
+
+	return names.filter(
+		(name, index) =>
+			values[index].toLowerCase() === SupportedStandards[name].value.toLowerCase(),
+	);
+}
+
+// if `allowance(address,address)` returns a uint256
+async function hasERC20Allowance(provider, address, blockTag) {
+	try {
+		const result = await provider.call(
+			{
+				to: address,
+				data: ethers.utils.hexConcat([
+					ERC20_ALLOWANCE_SELECTOR,
+					ethers.utils.defaultAbiCoder.encode(
+						['address', 'address'],
+						[ethers.constants.AddressZero, ethers.constants.AddressZero],
+					),
+				]),
+			},
+			blockTag,
+		);
+		return ethers.utils.hexDataLength(result) === 32;
+	} catch (error) {
+		return false;
+	}
+}
+
+// the type of the address, from the interfaces and standards it supports (`null` if none matches)
+function classify(interfaces, supportedStandards) {
+	const supports = (name) => interfaces.includes(name);
+
+	if (supports('LSP0ERC725Account')) {
+		return supportedStandards.includes('LSP3UniversalProfile')
+			? 'UniversalProfile'
+			: 'LSP0ERC725Account';
+	}
+
+	return (
+		[
+			'LSP9Vault',
+			'LSP6KeyManager',
+			'LSP7DigitalAsset',
+			'LSP8IdentifiableDigitalAsset',
+			'LSP11BasicSocialRecovery',
+			'LSP17Extension',
+		].find(supports) ||
+		(supports('ERC725X') && supports('ERC725Y') && 'ERC725') ||
+		(supports('LSP1UniversalReceiver') && 'LSP1UniversalReceiver') ||
+		null
+	);
+}
+
+// the type of a contract deployed with a previous release, from its legacy interface IDs
+function classifyLegacy(legacyInterfaces, supportedStandards) {
+	const standards = legacyInterfaces.map(({ standard }) => standard);
+
+	const match = [
+		'LSP6KeyManager',
+		'LSP7DigitalAsset',
+		'LSP8IdentifiableDigitalAsset',
+		'LSP1UniversalReceiverDelegate',
+	].find((standard) => standards.includes(standard));
+
+	if (match !== undefined) return match;
+
+	if (standards.includes('ERC725X') || standards.includes('ERC725Y')) {
+		if (supportedStandards.includes('LSP3UniversalProfile')) return 'UniversalProfile';
+		if (supportedStandards.includes('LSP9Vault')) return 'LSP9Vault';
+		return 'ERC725';
+	}
+
+	return null;
+}
+
+/**
+ * Detect what an address is.
+ *
+ * The `supportsInterface(...)` calls for every interface ID of `INTERFACE_IDS` and `LEGACY_INTERFACE_IDS` are sent
+ * in parallel (in a single request with an `ethers.providers.JsonRpcBatchProvider`), followed by a `getData(...)` call
+ * for the `SupportedStandards:<name>` data keys.
+ *
+ * @param {ethers.providers.Provider} provider
+ * @param {string} address the address to detect.
+ * @param {object} [options]
+ * @param {number|string} [options.blockTag] read the state at this block (default: `latest`).
+ * @returns {Promise<object>} `{ address, isContract, type, label, interfaces, legacyInterfaces, supportedStandards,
+ * compatibility, isOutdated, warnings }`, where:
+ *  - `type` is `EOA`, `UniversalProfile`, `LSP0ERC725Account`, `LSP9Vault`, `LSP6KeyManager`, `LSP7DigitalAsset`,
+ *    `LSP8IdentifiableDigitalAsset`, `LSP11BasicSocialRecovery`, `LSP17Extension`, `LSP1UniversalReceiver`,
+ *    `LSP1UniversalReceiverDelegate` (legacy only), `ERC725` or `unknown`.
+ *  - `label` is a human readable version of the type (e.g: `LSP7 Digital Asset (ERC20 compatible)`).
+ *  - `interfaces` are the names of the interface IDs of `INTERFACE_IDS` supported.
+ *  - `legacyInterfaces` are the entries of `LEGACY_INTERFACE_IDS` supported.
+ *  - `supportedStandards` are the names of the `SupportedStandards` set (e.g: `LSP3UniversalProfile`).
+ *  - `compatibility` lists `ERC20` or `ERC721` for the LSP7 and LSP8 assets compatible with them.
+ *  - `isOutdated` is `true` if the type was detected from the interface IDs of a previous release.
+ *  - `warnings` explain why the contract may not behave as expected by the current release.
+ *
+ * @example
+ * await detectStandards(provider, '0x...');
+ * // {
+ * //   address: '0x...',
+ * //   isContract: true,
+ * //   type: 'UniversalProfile',
+ * //   label: 'Universal Profile',
+ * //   interfaces: ['ERC165', 'ERC1271', 'ERC725X', 'ERC725Y', 'LSP0ERC725Account', 'LSP1UniversalReceiver', ...],
+ * //   legacyInterfaces: [],
+ * //   supportedStandards: ['LSP3UniversalProfile'],
+ * //   compatibility: [],
+ * //   isOutdated: false,
+ * //   warnings: [],
+ * // }
+ */
+async function detectStandards(provider, address, options = {}) {
+	const { blockTag = 'latest' } = options;
+
+	if (!ethers.utils.isAddress(address)) {
+		throw new Error(`standards: invalid address ${address}`);
+	}
+
+	const result = {
+		address: ethers.utils.getAddress(address),
+		isContract: false,
+		type: 'EOA',
+		label: LABELS.EOA,
+		interfaces: [],
+		legacyInterfaces: [],
+		supportedStandards: [],
+		compatibility: [],
+		isOutdated: false,
+		warnings: [],
+	};
+
+	const code = await provider.getCode(result.address, blockTag);
+	if (code === '0x') return result;
+
+	result.isContract = true;
+
+	const contract = new ethers.Contract(result.address, ABI, provider);
+	const interfaceNames = Object.keys(INTERFACE_IDS);
+
+	const [supported, invalidSupported, ...results] = await Promise.all(
+		[
+			INTERFACE_IDS.ERC165,
+			INVALID_INTERFACE_ID,
+			...interfaceNames.map((name) => INTERFACE_IDS[name]),
+			...LEGACY_INTERFACE_IDS.map(({ interfaceId }) => interfaceId),
+		].map((interfaceId) => supportsInterface(provider, result.address, interfaceId, blockTag)),
+	);
+
+	// not an ERC165 contract: its answers to `supportsInterface(...)` cannot be trusted
+	if (supported && !invalidSupported) {
+		result.interfaces = interfaceNames.filter((name, index) => results[index]);
+		result.legacyInterfaces = LEGACY_INTERFACE_IDS.filter(
+			(legacy, index) => results[interfaceNames.length + index],
+		);
+	}
+
+	const isERC725Y =
+		result.interfaces.includes('ERC725Y') ||
+		result.legacyInterfaces.some(({ standard }) => standard === 'ERC725Y');
+
+	if (isERC725Y) {
+		result.supportedStandards = await getSupportedStandards(contract, blockTag);
+	}
+
+	let type = classify(result.interfaces, result.supportedStandards);
+
+	if (type === null) {
+		type = classifyLegacy(result.legacyInterfaces, result.supportedStandards);
+		result.isOutdated = type !== null;
+	}
+
+	result.type = type || 'unknown';
+	result.label = LABELS[result.type];
+
+	if (
+		result.type === 'LSP7DigitalAsset' &&
+		(await hasERC20Allowance(provider, result.address, blockTag))
+	) {
+		result.compatibility.push('ERC20');
+	}
+
+	if (result.type === 'LSP8IdentifiableDigitalAsset' && result.interfaces.includes('ERC721')) {
+		result.compatibility.push('ERC721');
+	}
+
+	if (result.compatibility.length > 0) {
+		result.label += ` (${result.compatibility.join(', ')} compatible)`;
+	}
+
+	if (result.isOutdated) {
+		result.label += ' (outdated)';
+
+		result.legacyInterfaces.forEach(({ standard, releases, interfaceId }) => {
+			result.warnings.push(
+				`supports the ${standard} interface ID ${interfaceId} of a previous release (${releases})${
+					INTERFACE_IDS[standard] === undefined
+						? ''
+						: `, not the current one ${INTERFACE_IDS[standard]}`
+				}`,
+			);
+		});
+	}
+
+	const expectedStandard = {
+		LSP9Vault: 'LSP9Vault',
+		LSP7DigitalAsset: 'LSP4DigitalAsset',
+		LSP8IdentifiableDigitalAsset: 'LSP4DigitalAsset',
+	}[result.type];
+
+	if (expectedStandard !== undefined && !result.supportedStandards.includes(expectedStandard)) {
+		result.warnings.push(`does not set SupportedStandards:${expectedStandard}`);
+	}
+
+	return result;
+}
+
+module.exports = {
+	LEGACY_INTERFACE_IDS,
+	detectStandards,
+};
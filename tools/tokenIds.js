@@ -0,0 +1,280 @@
+/**
+ * Encode and decode LSP8 token IDs, and read the tokens of a collection with their owner and metadata.
+ *
+ * A token ID is a `bytes32`, that can represent:
+ *  - `Number`: a `uint256`, left-padded (e.g: `1` -> `0x00...01`).
+ *  - `String`: a utf8 string of 32 bytes max, right-padded (e.g: `my-token` -> `0x6d792d746f6b656e00...`).
+ *  - `Address`: an address, left-padded (e.g: the address of a contract representing the token).
+ *  - `Hash`: any `bytes32` value, kept as it is (e.g: `keccak256(...)` of the content of the token).
+ *
+ * The metadata of each token is stored on the collection, under the data keys:
+ *  - `LSP8MetadataAddress:<tokenId>`: the address of a contract holding the metadata of the token.
+ *  - `LSP8MetadataJSON:<tokenId>`: a JSONURL value, pointing to the JSON metadata of the token.
+ * @see https://github.com/lukso-network/LIPs/blob/main/LSPs/LSP-8-IdentifiableDigitalAsset.md
+ */
+const { ethers } = require('ethers');
+
+const { ERC725YDataKeys } = require('../constants');
+const { generateMappingKey } = require('./dataKeys');
+const { decodeURLValue } = require('./dataValues');
+const { verifyMetadata } = require('./metadata');
+const { fetchData } = require('./utils');
+
+const LSP8_ENUMERABLE_ABI = [
+	'function totalSupply() view returns (uint256)',
+	'function tokenAt(uint256 index) view returns (bytes32)',
+	'function tokenOwnerOf(bytes32 tokenId) view returns (address)',
+	'function getData(bytes32[] dataKeys) view returns (bytes[] dataValues)',
+];
+
+/**
+ * The formats a token ID can be encoded from and decoded to.
+ */
+const TOKEN_ID_FORMATS = ['Number', 'String', 'Address', 'Hash'];
+
+function checkFormat(format) {
+	if (!TOKEN_ID_FORMATS.includes(format)) {
+		throw new Error(
+			`tokenIds: unknown format ${format} (must be one of ${TOKEN_ID_FORMATS.join(', ')})`,
+		);
+	}
+}
+
+/**
+ * Encode a value as a `bytes32` token ID.
+ *
+ * @param {number|string|ethers.BigNumber} value the number, string, address or hash to encode.
+ * @param {string} format `Number`, `String`, `Address` or `Hash`.
+ * @returns {string} the token ID, as a `bytes32` hex string.
+ *
+ * @example
+ * encodeTokenId(1, 'Number'); // '0x0000000000000000000000000000000000000000000000000000000000000001'
+ * encodeTokenId('my-token', 'String'); // '0x6d792d746f6b656e000000000000000000000000000000000000000000000000'
+ */
+function encodeTokenId(value, format) {
+	checkFormat(format);
+
+	if (format === 'Number') {
+		let number;
+		try {
+			number = ethers.BigNumber.from(value);
+		} catch (error) {
+			throw new Error(`tokenIds: invalid Number token ID ${value}`);
+		}
+
+		if (number.isNegative() || number.gt(ethers.constants.MaxUint256)) {
+			throw new Error(`tokenIds: Number token ID ${value} out of the uint256 range`);
+		}
+
+		return ethers.utils.hexZeroPad(number.toHexString(), 32);
+	}
+
+	if (format === 'String') {
+		const bytes = ethers.utils.toUtf8Bytes(value);
+
+		if (bytes.length > 32) {
+			throw new Error(`tokenIds: String token ID ${value} longer than 32 bytes`);
+		}
+
+		return ethers.utils.hexlify(
+			ethers.utils.concat([bytes, new Uint8Array(32 - bytes.length)]),
+		);
+	}
+
+	if (format === 'Address') {
+		if (!ethers.utils.isAddress(value)) {
+			throw new Error(`tokenIds: invalid Address token ID ${value}`);
+		}
+
+		return ethers.utils.hexZeroPad(value, 32).toLowerCase();
+	}
+
+	if (!ethers.utils.isHexString(value, 32)) {
+		throw new Error(`tokenIds: invalid Hash token ID ${value} (must be bytes32)`);
+	}
+
+	return value.toLowerCase();
+}
+
+/**
+ * Decode a `bytes32` token ID.
+ *
+ * @param {string} tokenId the token ID.
+ * @param {string} format `Number`, `String`, `Address` or `Hash`.
+ * @returns {string} the number (decimal string), string, checksummed address or hash of the token ID.
+ */
+function decodeTokenId(tokenId, format) {
+	checkFormat(format);
+
+	if (!ethers.utils.isHexString(tokenId, 32)) {
+		throw new Error(`tokenIds: invalid token ID ${tokenId} (must be bytes32)`);
+	}
+
+	if (format === 'Number') return ethers.BigNumber.from(tokenId).toString();
+
+	if (format === 'String') {
+		// strip the right padding
+		const bytes = ethers.utils.arrayify(tokenId);
+		let length = bytes.length;
+		while (length > 0 && bytes[length - 1] === 0) length -= 1;
+
+		try {
+			return ethers.utils.toUtf8String(bytes.slice(0, length));
+		} catch (error) {
+			throw new Error(`tokenIds: token ID ${tokenId} is not a utf8 String`);
+		}
+	}
+
+	if (format === 'Address') {
+		if (!/^0x0{24}/.test(tokenId)) {
+			throw new Error(`tokenIds: token ID ${tokenId} is not a left-padded Address`);
+		}
+
+		return ethers.utils.getAddress(ethers.utils.hexDataSlice(tokenId, 12));
+	}
+
+	return tokenId.toLowerCase();
+}
+
+/**
+ * The data keys storing the metadata of a token on its collection: `<bytes10 prefix>:<bytes2(0)>:<bytes20(tokenId)>`.
+ * Only the first 20 bytes of the token ID are part of the data keys: the token IDs that only differ in their last
+ * 12 bytes (e.g: the `Number` token IDs below 2^96) share the same data keys.
+ *
+ * @param {string} tokenId the token ID, as a `bytes32` hex string.
+ * @returns {object} `{ metadataAddress, metadataJSON }`, the `LSP8MetadataAddress:<tokenId>` and
+ * `LSP8MetadataJSON:<tokenId>` data keys.
+ */
+function getTokenIdDataKeys(tokenId) {
+	if (!ethers.utils.isHexString(tokenId, 32)) {
+		throw new Error(`tokenIds: invalid token ID ${tokenId} (must be bytes32)`);
+	}
+
+	const bytes20TokenId = ethers.utils.hexDataSlice(tokenId, 0, 20);
+
+	return {
+		metadataAddress: generateMappingKey(
+			ethers.utils.hexDataSlice(ERC725YDataKeys.LSP8.LSP8MetadataAddress, 0, 10),
+			bytes20TokenId,
+		),
+		metadataJSON: generateMappingKey(
+			ethers.utils.hexDataSlice(ERC725YDataKeys.LSP8.LSP8MetadataJSON, 0, 10),
+			bytes20TokenId,
+		),
+	};
+}
+
+// Collection
+// ----------
+
+function decodeMetadataAddress(value) {
+	if (value === '0x') return null;
+
+	return ethers.utils.hexDataLength(value) === 20 ? ethers.utils.getAddress(value) : value;
+}
+
+function decodeMetadataJSON(value) {
+	if (value === '0x') return null;
+
+	try {
+		return decodeURLValue(value);
+	} catch (error) {
+		return value;
+	}
+}
+
+/**
+ * Read the tokens of an `LSP8Enumerable` collection (with `tokenAt(uint256)`), with their owner and metadata.
+ *
+ * @param {ethers.providers.Provider} provider the provider connected to the network of the collection.
+ * @param {string} collection the address of the LSP8Enumerable collection.
+ * @param {object} [options]
+ * @param {number} [options.fromIndex] the index of the first token to read (default: 0).
+ * @param {number} [options.count] the number of tokens to read (default: up to the last token).
+ * @param {string} [options.format] decode the token IDs from this format (see `decodeTokenId(...)`).
+ * @param {function} [options.fetcher] fetch and verify the `LSP8MetadataJSON` files with this fetcher
+ * (see `verifyMetadata(...)` in `tools/metadata.js`).
+ * @param {number} [options.batchSize] the maximum number of calls sent at once, and of data keys per
+ * `getData(bytes32[])` call (default: 100).
+ * @param {string} [options.blockTag] read the state at this block (default: `latest`).
+ * @returns {Promise<object>} `{ collection, totalSupply, tokens }`, where each token is
+ * `{ index, tokenId, value?, owner, metadataAddress, metadataJSON, metadata? }`: `value` is the decoded token ID
+ * (with `format`), `metadataJSON` the decoded JSONURL value (`null` if not set), and `metadata` the result of
+ * `verifyMetadata(...)` (with `fetcher`). A value that cannot be decoded is returned raw (hex).
+ *
+ * @example
+ * const { tokens } = await getCollectionTokens(provider, collection.address, { format: 'Number' });
+ * // [{ index: 0, tokenId: '0x00...01', value: '1', owner: '0x...', metadataAddress: null, metadataJSON: { url, ... } }]
+ */
+async function getCollectionTokens(provider, collection, options = {}) {
+	const { fromIndex = 0, count, format, fetcher, batchSize = 100, blockTag = 'latest' } = options;
+
+	if (format !== undefined) checkFormat(format);
+
+	const lsp8 = new ethers.Contract(collection, LSP8_ENUMERABLE_ABI, provider);
+
+	const totalSupply = (await lsp8.totalSupply({ blockTag })).toNumber();
+	const toIndex = count === undefined ? totalSupply : Math.min(totalSupply, fromIndex + count);
+
+	const indexes = Array.from(
+		{ length: Math.max(0, toIndex - fromIndex) },
+		(_, offset) => fromIndex + offset,
+	);
+
+	// `tokenAt(...)` and `tokenOwnerOf(...)` of each token, in batches of `batchSize` calls
+	const tokenIds = [];
+	const owners = [];
+	for (let start = 0; start < indexes.length; start += batchSize) {
+		const chunk = await Promise.all(
+			indexes
+				.slice(start, start + batchSize)
+				.map((index) => lsp8.tokenAt(index, { blockTag })),
+		);
+		tokenIds.push(...chunk);
+		owners.push(
+			...(await Promise.all(
+				chunk.map((tokenId) => lsp8.tokenOwnerOf(tokenId, { blockTag })),
+			)),
+		);
+	}
+
+	const dataKeys = tokenIds.map(getTokenIdDataKeys);
+	const values = await fetchData(lsp8, dataKeys.flatMap(Object.values), {
+		batchSize,
+		blockTag,
+	});
+
+	const tokens = [];
+	for (const [position, tokenId] of tokenIds.entries()) {
+		const token = {
+			index: indexes[position],
+			tokenId,
+			owner: owners[position],
+			metadataAddress: decodeMetadataAddress(values[dataKeys[position].metadataAddress]),
+			metadataJSON: decodeMetadataJSON(values[dataKeys[position].metadataJSON]),
+		};
+
+		if (format !== undefined) token.value = decodeTokenId(tokenId, format);
+
+		// only the JSONURL values can be verified, the others are returned raw
+		if (
+			fetcher !== undefined &&
+			typeof token.metadataJSON === 'object' &&
+			token.metadataJSON !== null
+		) {
+			token.metadata = await verifyMetadata(values[dataKeys[position].metadataJSON], fetcher);
+		}
+
+		tokens.push(token);
+	}
+
+	return { collection, totalSupply, tokens };
+}
+
+module.exports = {
+	TOKEN_ID_FORMATS,
+	encodeTokenId,
+	decodeTokenId,
+	getTokenIdDataKeys,
+	getCollectionTokens,
+};
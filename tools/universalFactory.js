@@ -0,0 +1,323 @@
+/**
+ * Predict the addresses of the contracts deployed via the LSP16 Universal Factory, build the calldata to deploy them,
+ * and find the contracts created in a transaction receipt.
+ *
+ * The Universal Factory deploys with `CREATE2`, using a salt generated from the salt provided by the deployer
+ * (and from the initialization calldata, for initializable contracts). With the same factory address,
+ * the same bytecode (or base contract) and the same parameters, a contract is deployed at the same address on every chain.
+ */
+const { ethers } = require('ethers');
+
+const { decodeLog } = require('./events');
+const { toAddress } = require('./utils');
+
+const UNIVERSAL_FACTORY_ABI = [
+	'function deployCreate2(bytes byteCode, bytes32 providedSalt) payable returns (address)',
+	'function deployCreate2Init(bytes byteCode, bytes32 providedSalt, bytes initializeCalldata, uint256 constructorMsgValue, uint256 initializeCalldataMsgValue) payable returns (address)',
+	'function deployCreate2Proxy(address baseContract, bytes32 providedSalt) returns (address)',
+	'function deployCreate2ProxyInit(address baseContract, bytes32 providedSalt, bytes initializeCalldata) payable returns (address)',
+];
+
+const UNIVERSAL_FACTORY_INTERFACE = new ethers.utils.Interface(UNIVERSAL_FACTORY_ABI);
+
+// the creation code of an EIP-1167 minimal proxy, around the address of the base contract (see OpenZeppelin `Clones.sol`)
+const MINIMAL_PROXY_PREFIX = '0x3d602d80600a3d3981f3363d3d373d3d3d363d73';
+const MINIMAL_PROXY_SUFFIX = '0x5af43d82803e903d91602b57fd5bf3';
+
+function toBytes32(value, name) {
+	if (!ethers.utils.isHexString(value, 32)) {
+		throw new Error(
+			`universalFactory: invalid ${name} ${value} (must be a bytes32 hex string)`,
+		);
+	}
+
+	return value;
+}
+
+function toBytes(value, name) {
+	if (!ethers.utils.isHexString(value) || ethers.utils.hexDataLength(value) === null) {
+		throw new Error(`universalFactory: invalid ${name} ${value} (must be a hex string)`);
+	}
+
+	return value;
+}
+
+// Salt and addresses
+// ----------
+
+/**
+ * Generate the salt used by the Universal Factory to deploy a contract, as `LSP16UniversalFactory._generateSalt(...)` does:
+ *  - initializable: `keccak256(abi.encodePacked(true, initializeCalldata, providedSalt))`
+ *  - not initializable: `keccak256(abi.encodePacked(false, providedSalt))`
+ *
+ * @param {boolean} initializable whether the contract is initialized after being deployed.
+ * @param {string} initializeCalldata the calldata used to initialize the contract (ignored if not initializable).
+ * @param {string} providedSalt the `bytes32` salt provided by the deployer.
+ * @returns {string} the `bytes32` salt passed to `CREATE2`.
+ */
+function generateSalt(initializable, initializeCalldata, providedSalt) {
+	toBytes32(providedSalt, 'providedSalt');
+
+	if (initializable) {
+		return ethers.utils.solidityKeccak256(
+			['bool', 'bytes', 'bytes32'],
+			[true, toBytes(initializeCalldata, 'initializeCalldata'), providedSalt],
+		);
+	}
+
+	return ethers.utils.solidityKeccak256(['bool', 'bytes32'], [false, providedSalt]);
+}
+
+/**
+ * Get the creation bytecode of an EIP-1167 minimal proxy delegating all its calls to `baseContract`.
+ * @see https://eips.ethereum.org/EIPS/eip-1167
+ *
+ * @param {string} baseContract the address of the base contract.
+ * @returns {string} the creation bytecode of the proxy.
+ */
+function getMinimalProxyBytecode(baseContract) {
+	return ethers.utils.hexConcat([
+		MINIMAL_PROXY_PREFIX,
+		toAddress(baseContract, 'baseContract', 'universalFactory'),
+		MINIMAL_PROXY_SUFFIX,
+	]);
+}
+
+/**
+ * Calculate the address of a contract deployed via `deployCreate2(...)` or `deployCreate2Init(...)`,
+ * as `calculateAddress(...)` on the Universal Factory does.
+ *
+ * @param {string} universalFactory the address of the Universal Factory.
+ * @param {object} deployment
+ * @param {string} [deployment.bytecode] the creation bytecode of the contract (constructor arguments included).
+ * @param {string} [deployment.bytecodeHash] the keccak256 hash of the creation bytecode, instead of `bytecode`.
+ * @param {string} deployment.providedSalt the `bytes32` salt provided by the deployer.
+ * @param {boolean} [deployment.initializable] whether the contract is deployed via `deployCreate2Init(...)`
+ * (default: `true` if `initializeCalldata` is provided).
+ * @param {string} [deployment.initializeCalldata] the calldata used to initialize the contract.
+ * @returns {string} the checksummed address of the contract.
+ *
+ * @example
+ * calculateAddress(universalFactory, {
+ *   bytecode: UniversalProfile__factory.bytecode + abiEncodedOwner.substring(2),
+ *   providedSalt: ethers.utils.id('my profile'),
+ * });
+ */
+function calculateAddress(universalFactory, deployment) {
+	const { bytecode, bytecodeHash, providedSalt } = deployment;
+	const { initializable, initializeCalldata } = getInitialization(deployment);
+
+	let hash = bytecodeHash;
+	if (hash === undefined) {
+		if (bytecode === undefined) {
+			throw new Error('universalFactory: either the bytecode or its hash must be provided');
+		}
+
+		hash = ethers.utils.keccak256(toBytes(bytecode, 'bytecode'));
+	}
+
+	return ethers.utils.getCreate2Address(
+		toAddress(universalFactory, 'universalFactory', 'universalFactory'),
+		generateSalt(initializable, initializeCalldata, providedSalt),
+		toBytes32(hash, 'bytecodeHash'),
+	);
+}
+
+/**
+ * Calculate the address of a minimal proxy deployed via `deployCreate2Proxy(...)` or `deployCreate2ProxyInit(...)`,
+ * as `calculateProxyAddress(...)` on the Universal Factory does.
+ *
+ * @param {string} universalFactory the address of the Universal Factory.
+ * @param {object} deployment
+ * @param {string} deployment.baseContract the address of the base contract the proxy delegates to.
+ * @param {string} deployment.providedSalt the `bytes32` salt provided by the deployer.
+ * @param {boolean} [deployment.initializable] whether the proxy is deployed via `deployCreate2ProxyInit(...)`
+ * (default: `true` if `initializeCalldata` is provided).
+ * @param {string} [deployment.initializeCalldata] the calldata used to initialize the proxy.
+ * @returns {string} the checksummed address of the proxy.
+ */
+function calculateProxyAddress(universalFactory, deployment) {
+	const { baseContract, providedSalt } = deployment;
+	const { initializable, initializeCalldata } = getInitialization(deployment);
+
+	return ethers.utils.getCreate2Address(
+		toAddress(universalFactory, 'universalFactory', 'universalFactory'),
+		generateSalt(initializable, initializeCalldata, providedSalt),
+		ethers.utils.keccak256(getMinimalProxyBytecode(baseContract)),
+	);
+}
+
+function getInitialization({ initializable, initializeCalldata }) {
+	const isInitializable =
+		initializable === undefined ? initializeCalldata !== undefined : initializable;
+
+	if (isInitializable && initializeCalldata === undefined) {
+		throw new Error(
+			'universalFactory: the initializeCalldata of an initializable contract is missing',
+		);
+	}
+
+	return { initializable: isInitializable, initializeCalldata };
+}
+
+// Deployment
+// ----------
+
+/**
+ * Build the transaction deploying a contract via the Universal Factory, and predict the address of the contract.
+ *
+ * The function called on the Universal Factory depends on the deployment:
+ *  - `bytecode` without `initializeCalldata`: `deployCreate2(...)`
+ *  - `bytecode` with `initializeCalldata`: `deployCreate2Init(...)`
+ *  - `baseContract` without `initializeCalldata`: `deployCreate2Proxy(...)`
+ *  - `baseContract` with `initializeCalldata`: `deployCreate2ProxyInit(...)`
+ *
+ * @param {string} universalFactory the address of the Universal Factory.
+ * @param {object} deployment
+ * @param {string} [deployment.bytecode] the creation bytecode of the contract to deploy.
+ * @param {string} [deployment.baseContract] the address of the base contract, to deploy a minimal proxy instead.
+ * @param {string} deployment.providedSalt the `bytes32` salt provided by the deployer.
+ * @param {string} [deployment.initializeCalldata] the calldata to initialize the contract with, once deployed.
+ * @param {number|string|ethers.BigNumber} [deployment.constructorMsgValue] the value sent to the constructor (default: 0).
+ * Not supported when deploying a proxy.
+ * @param {number|string|ethers.BigNumber} [deployment.initializeCalldataMsgValue] the value sent with the
+ * initialization calldata (default: 0).
+ * @returns {{ to: string, data: string, value: ethers.BigNumber, contractAddress: string }} the transaction
+ * to send, and the address of the contract it deploys.
+ *
+ * @example
+ * const { to, data, value, contractAddress } = buildDeployTransaction(universalFactory, {
+ *   baseContract: universalProfileInitAddress,
+ *   providedSalt: ethers.utils.id('my profile'),
+ *   initializeCalldata: UniversalProfileInit__factory.createInterface().encodeFunctionData('initialize', [owner]),
+ * });
+ *
+ * await signer.sendTransaction({ to, data, value });
+ */
+function buildDeployTransaction(universalFactory, deployment) {
+	const {
+		bytecode,
+		baseContract,
+		providedSalt,
+		initializeCalldata,
+		constructorMsgValue = 0,
+		initializeCalldataMsgValue = 0,
+	} = deployment;
+
+	if ((bytecode === undefined) === (baseContract === undefined)) {
+		throw new Error(
+			'universalFactory: either the bytecode or the baseContract must be provided',
+		);
+	}
+
+	const constructorValue = ethers.BigNumber.from(constructorMsgValue);
+	const initializeValue = ethers.BigNumber.from(initializeCalldataMsgValue);
+
+	if (!initializeValue.isZero() && initializeCalldata === undefined) {
+		throw new Error(
+			'universalFactory: cannot send value with the initializeCalldata, as there is none',
+		);
+	}
+
+	const initializable = initializeCalldata !== undefined;
+	let data;
+	let contractAddress;
+
+	if (bytecode !== undefined) {
+		contractAddress = calculateAddress(universalFactory, {
+			bytecode,
+			providedSalt,
+			initializable,
+			initializeCalldata,
+		});
+
+		data = initializable
+			? UNIVERSAL_FACTORY_INTERFACE.encodeFunctionData('deployCreate2Init', [
+					bytecode,
+					providedSalt,
+					initializeCalldata,
+					constructorValue,
+					initializeValue,
+			  ])
+			: UNIVERSAL_FACTORY_INTERFACE.encodeFunctionData('deployCreate2', [
+					bytecode,
+					providedSalt,
+			  ]);
+	} else {
+		if (!constructorValue.isZero()) {
+			throw new Error('universalFactory: cannot send value to the constructor of a proxy');
+		}
+
+		contractAddress = calculateProxyAddress(universalFactory, {
+			baseContract,
+			providedSalt,
+			initializable,
+			initializeCalldata,
+		});
+
+		data = initializable
+			? UNIVERSAL_FACTORY_INTERFACE.encodeFunctionData('deployCreate2ProxyInit', [
+					baseContract,
+					providedSalt,
+					initializeCalldata,
+			  ])
+			: UNIVERSAL_FACTORY_INTERFACE.encodeFunctionData('deployCreate2Proxy', [
+					baseContract,
+					providedSalt,
+			  ]);
+	}
+
+	return {
+		to: toAddress(universalFactory, 'universalFactory', 'universalFactory'),
+		data,
+		value: constructorValue.add(initializeValue),
+		contractAddress,
+	};
+}
+
+/**
+ * Find the contracts created via the Universal Factory in a transaction receipt,
+ * from the `ContractCreated` events it emitted.
+ *
+ * @param {object|object[]} receiptOrLogs a transaction receipt, or its `logs`.
+ * @param {object} [options]
+ * @param {string} [options.universalFactory] only consider the events emitted by this Universal Factory.
+ * @returns {{ contractCreated: string, providedSalt: string, initializable: boolean, initializeCalldata: string, universalFactory: string }[]}
+ * the contracts created, in the order they were deployed.
+ */
+function getContractsCreated(receiptOrLogs, options = {}) {
+	const logs = Array.isArray(receiptOrLogs) ? receiptOrLogs : receiptOrLogs.logs || [];
+	const universalFactory =
+		options.universalFactory === undefined
+			? undefined
+			: toAddress(options.universalFactory, 'universalFactory', 'universalFactory');
+
+	return logs
+		.map((log) => decodeLog(log))
+		.filter(
+			(event) =>
+				event !== null &&
+				event.name === 'ContractCreated' &&
+				event.standards.includes('LSP16UniversalFactory') &&
+				(universalFactory === undefined ||
+					(event.address !== undefined &&
+						ethers.utils.getAddress(event.address) === universalFactory)),
+		)
+		.map(({ address, args }) => ({
+			contractCreated: args.contractCreated,
+			providedSalt: args.providedSalt,
+			initializable: args.initializable,
+			initializeCalldata: args.initializeCalldata,
+			universalFactory: ethers.utils.getAddress(address),
+		}));
+}
+
+module.exports = {
+	UNIVERSAL_FACTORY_ABI,
+	generateSalt,
+	getMinimalProxyBytecode,
+	calculateAddress,
+	calculateProxyAddress,
+	buildDeployTransaction,
+	getContractsCreated,
+};
@@ -0,0 +1,291 @@
+/**
+ * Decode the notifications sent to the LSP1 `universalReceiver(bytes32 typeId, bytes data)` function, keyed by the
+ * type IDs listed in `LSP1_TYPE_IDS` (constants.js), and the `UniversalReceiver` events they emit.
+ *
+ * The `data` sent depends on the type ID:
+ *  - `LSP7Tokens_*Notification`: `abi.encodePacked(address from, address to, uint256 amount, bytes data)`.
+ *  - `LSP8Tokens_*Notification`: `abi.encodePacked(address from, address to, bytes32 tokenId, bytes data)`.
+ *  - `LSP0`, `LSP9` and `LSP14` ownership notifications: empty.
+ * @see https://github.com/lukso-network/LIPs/blob/main/LSPs/LSP-1-UniversalReceiver.md
+ */
+const { ethers } = require('ethers');
+
+const { LSP1_TYPE_IDS } = require('../constants');
+const { decodeLog } = require('./events');
+
+/**
+ * The names of the type IDs listed in `LSP1_TYPE_IDS`, keyed by type ID (lowercase).
+ */
+const LSP1_TYPE_NAMES = Object.entries(LSP1_TYPE_IDS).reduce((names, [name, typeId]) => {
+	names[typeId.toLowerCase()] = name;
+	return names;
+}, {});
+
+// the offsets of the fields packed in the LSP7 and LSP8 notifications
+const SENDER_OFFSET = 0;
+const RECEIVER_OFFSET = 20;
+const AMOUNT_OFFSET = 40;
+const DATA_OFFSET = 72;
+
+// the standard a type ID name belongs to (e.g: `LSP7` for `LSP7Tokens_RecipientNotification`)
+function getStandard(typeName) {
+	return typeName === null ? null : typeName.match(/^LSP\d+/)[0];
+}
+
+/**
+ * Retrieve the name of a type ID listed in `LSP1_TYPE_IDS`.
+ *
+ * @param {string} typeId the type ID.
+ * @returns {string|null} the name of the type ID (e.g: `LSP7Tokens_RecipientNotification`), or `null` if unknown.
+ */
+function getTypeIdName(typeId) {
+	return LSP1_TYPE_NAMES[typeId.toLowerCase()] || null;
+}
+
+/**
+ * Decode the `data` sent to `universalReceiver(typeId, data)` for a type ID listed in `LSP1_TYPE_IDS`.
+ *
+ * @param {string} typeId the type ID.
+ * @param {string} data the data sent with the type ID.
+ * @returns {object} `{ typeId, typeName, standard }`, with the fields decoded from `data`:
+ *  - LSP7 notifications: `sender`, `receiver`, `amount` (decimal string) and `data`.
+ *  - LSP8 notifications: `sender`, `receiver`, `tokenId` and `data`.
+ *  - ownership notifications: none.
+ *
+ * `typeName` and `standard` are `null` for a type ID that is not listed in `LSP1_TYPE_IDS`.
+ *
+ * @example
+ * decodeNotification(LSP1_TYPE_IDS.LSP7Tokens_RecipientNotification, '0x...');
+ * // {
+ * //   typeId: '0x20804611b3e2ea21c480dc465142210acf4a2485947541770ec1fb87dee4a55c',
+ * //   typeName: 'LSP7Tokens_RecipientNotification',
+ * //   standard: 'LSP7',
+ * //   sender: '0x...',
+ * //   receiver: '0x...',
+ * //   amount: '10',
+ * //   data: '0x',
+ * // }
+ */
+function decodeNotification(typeId, data) {
+	if (!ethers.utils.isHexString(typeId, 32)) {
+		throw new Error(`universalReceiver: invalid typeId ${typeId}`);
+	}
+
+	if (!ethers.utils.isHexString(data)) {
+		throw new Error(`universalReceiver: invalid data ${data} (must be a hex string)`);
+	}
+
+	const typeName = getTypeIdName(typeId);
+	const notification = {
+		typeId: typeId.toLowerCase(),
+		typeName,
+		standard: getStandard(typeName),
+	};
+
+	if (notification.standard !== 'LSP7' && notification.standard !== 'LSP8') {
+		return notification;
+	}
+
+	if (ethers.utils.hexDataLength(data) < DATA_OFFSET) {
+		throw new Error(
+			`universalReceiver: ${typeName} data must be at least ${DATA_OFFSET} bytes long, got ${data}`,
+		);
+	}
+
+	const amountOrTokenId = ethers.utils.hexDataSlice(data, AMOUNT_OFFSET, DATA_OFFSET);
+
+	return {
+		...notification,
+		sender: ethers.utils.getAddress(
+			ethers.utils.hexDataSlice(data, SENDER_OFFSET, RECEIVER_OFFSET),
+		),
+		receiver: ethers.utils.getAddress(
+			ethers.utils.hexDataSlice(data, RECEIVER_OFFSET, AMOUNT_OFFSET),
+		),
+		...(notification.standard === 'LSP7'
+			? { amount: ethers.BigNumber.from(amountOrTokenId).toString() }
+			: { tokenId: amountOrTokenId }),
+		data: ethers.utils.hexDataSlice(data, DATA_OFFSET),
+	};
+}
+
+// the return value of a Universal Receiver Delegate: the reason it did nothing as a string (e.g: "LSP1: typeId out of scope"),
+// or the raw return value of the Key Manager
+function decodeDelegateResult(data) {
+	let message = null;
+
+	if (ethers.utils.hexDataLength(data) > 0) {
+		try {
+			const text = ethers.utils.toUtf8String(data);
+			// only keep the values that are readable text
+			if (!/[\u0000-\u001f]/.test(text)) message = text;
+		} catch (error) {
+			// not UTF-8 text
+		}
+	}
+
+	return { data, message };
+}
+
+/**
+ * Decode the `returnedValue` of a `UniversalReceiver` event emitted by a Universal Profile or a Vault:
+ * `abi.encode(bytes resultDefaultDelegate, bytes resultTypeIdDelegate)`.
+ *
+ * @param {string} returnedValue the `returnedValue` of the event.
+ * @returns {object|null} `{ defaultDelegate, typeIdDelegate }`, each as `{ data, message }` where `message` is
+ * the return value as text if it is readable (e.g: `LSP1: asset received is already registered`), or `null` if
+ * `returnedValue` is not encoded this way.
+ */
+function decodeReturnedValue(returnedValue) {
+	try {
+		const [defaultDelegate, typeIdDelegate] = ethers.utils.defaultAbiCoder.decode(
+			['bytes', 'bytes'],
+			returnedValue,
+		);
+
+		return {
+			defaultDelegate: decodeDelegateResult(defaultDelegate),
+			typeIdDelegate: decodeDelegateResult(typeIdDelegate),
+		};
+	} catch (error) {
+		return null;
+	}
+}
+
+function describe(notification) {
+	const { notified, caller, typeId, typeName, standard, sender, receiver, amount, tokenId } =
+		notification;
+
+	const isAsset = standard === 'LSP7' || standard === 'LSP8';
+
+	// unknown type ID, or asset notification with malformed data
+	if (typeName === null || (isAsset && sender === undefined)) {
+		return `${notified} was notified by ${caller} (${typeName || typeId})`;
+	}
+
+	if (isAsset) {
+		const assets =
+			standard === 'LSP7' ? `${amount} tokens of ${caller}` : `token ${tokenId} of ${caller}`;
+
+		if (typeName.endsWith('_RecipientNotification')) {
+			return sender === ethers.constants.AddressZero
+				? `${notified} received ${assets} (minted)`
+				: `${notified} received ${assets} from ${sender}`;
+		}
+
+		return receiver === ethers.constants.AddressZero
+			? `${notified} burned ${assets}`
+			: `${notified} sent ${assets} to ${receiver}`;
+	}
+
+	if (typeName.endsWith('OwnershipTransferStarted')) {
+		return `${notified} can accept the ownership of ${caller}`;
+	}
+
+	return typeName.endsWith('_RecipientNotification')
+		? `${notified} is the new owner of ${caller}`
+		: `${notified} is no longer the owner of ${caller}`;
+}
+
+/**
+ * Decode a `UniversalReceiver` event log, with the notification it carries.
+ *
+ * @param {object} log a raw log, as returned by `eth_getLogs` or inside a transaction receipt.
+ * @returns {object|null} the notification, or `null` if the log is not a `UniversalReceiver` event:
+ *  - `notified`: the contract whose `universalReceiver(...)` was called (the address of the log).
+ *  - `caller`: the address that called it (e.g: the LSP7 or LSP8 asset, or the LSP14 contract).
+ *  - `value`: the native tokens sent with the call (decimal string).
+ *  - `typeId`, `typeName`, `standard` and the fields decoded from the `data`, as `decodeNotification(...)`.
+ *  - `receivedData`: the raw `data`.
+ *  - `returnedValue`: the return values of the Universal Receiver Delegates, as `decodeReturnedValue(...)`.
+ *  - `description`: a human readable summary (e.g: `0x... received 10 tokens of 0x... from 0x...`).
+ *  - `blockNumber`, `transactionHash` and `logIndex`, if present in the log.
+ */
+function decodeUniversalReceiverLog(log) {
+	const decoded = decodeLog(log);
+	if (decoded === null || decoded.name !== 'UniversalReceiver') return null;
+
+	const { from, value, typeId, receivedData, returnedValue } = decoded.args;
+
+	let fields;
+	try {
+		fields = decodeNotification(typeId, receivedData);
+	} catch (error) {
+		// malformed data: keep the type ID only
+		const typeName = getTypeIdName(typeId);
+		fields = { typeId: typeId.toLowerCase(), typeName, standard: getStandard(typeName) };
+	}
+
+	const notification = {
+		notified: decoded.address,
+		caller: from,
+		value,
+		...fields,
+		receivedData,
+		returnedValue: decodeReturnedValue(returnedValue),
+	};
+
+	notification.description = describe(notification);
+
+	['blockNumber', 'transactionHash', 'logIndex'].forEach((field) => {
+		if (log[field] !== undefined) notification[field] = log[field];
+	});
+
+	return notification;
+}
+
+/**
+ * Decode the `UniversalReceiver` events in a list of logs (e.g: the logs of a transaction receipt).
+ *
+ * The LSP7 and LSP8 notifications do not include the operator of the transfer: it is taken from the `Transfer`
+ * event the asset emitted before notifying, when it is part of the same logs.
+ *
+ * @param {object[]} logs the raw logs.
+ * @returns {object[]} the notifications, as returned by `decodeUniversalReceiverLog(...)`, with the `operator`
+ * of the LSP7 and LSP8 transfers when found.
+ *
+ * @example
+ * const notifications = decodeUniversalReceiverLogs(receipt.logs);
+ * notifications.map(({ description }) => description);
+ * // ['0x... received 10 tokens of 0x... from 0x...']
+ */
+function decodeUniversalReceiverLogs(logs) {
+	// the last `Transfer` of each asset, keyed by asset address
+	const transfers = {};
+
+	return logs.reduce((notifications, log) => {
+		const decoded = decodeLog(log);
+		if (decoded === null) return notifications;
+
+		if (decoded.name === 'Transfer' && decoded.address !== undefined) {
+			transfers[decoded.address.toLowerCase()] = decoded;
+			return notifications;
+		}
+
+		const notification = decodeUniversalReceiverLog(log);
+		if (notification === null) return notifications;
+
+		const transfer = transfers[notification.caller.toLowerCase()];
+
+		if (
+			transfer !== undefined &&
+			transfer.standards.includes(notification.standard) &&
+			transfer.args.from === notification.sender &&
+			transfer.args.to === notification.receiver
+		) {
+			notification.operator = transfer.args.operator;
+		}
+
+		notifications.push(notification);
+		return notifications;
+	}, []);
+}
+
+module.exports = {
+	LSP1_TYPE_NAMES,
+	getTypeIdName,
+	decodeNotification,
+	decodeReturnedValue,
+	decodeUniversalReceiverLog,
+	decodeUniversalReceiverLogs,
+};
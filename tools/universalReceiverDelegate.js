@@ -0,0 +1,500 @@
+/**
+ * Predict off-chain the data keys that `LSP1UniversalReceiverDelegateUP` and `LSP1UniversalReceiverDelegateVault`
+ * set when their account is notified of an asset or vault transfer, by applying the same rules as the contracts
+ * (and `LSP5Utils` / `LSP10Utils`) to the ERC725Y storage of the account:
+ *  - receiving: the asset (or vault) is appended to `LSP5ReceivedAssets[]` (or `LSP10Vaults[]`), and its interface ID
+ *    and index are set under `LSP5ReceivedAssetsMap:<address>` (or `LSP10VaultsMap:<address>`).
+ *  - sending: the asset (or vault) is removed with a swap-and-pop: the last element of the array is moved to its
+ *    index, and the length of the array is decremented.
+ */
+const { ethers } = require('ethers');
+
+const { ERC725YDataKeys, Errors, INTERFACE_IDS, LSP1_TYPE_IDS } = require('../constants');
+const { generateArrayElementKeyAtIndex } = require('./dataKeys');
+const { ERROR_STRING_SELECTOR, PANIC_SELECTOR, decodeRevertData } = require('./errors');
+const { decodeNotification } = require('./universalReceiver');
+const { supportsInterface } = require('./utils');
+
+const DELEGATE_ERRORS = new ethers.utils.Interface(
+	[
+		...Object.values(Errors.LSP1),
+		...Object.values(Errors.LSP5),
+		...Object.values(Errors.LSP10),
+	].map(({ error }) => `error ${error}`),
+);
+
+// Panic(uint256) code of an arithmetic underflow, e.g: removing an element from an empty array
+const PANIC_ARITHMETIC = 0x11;
+
+const UINT64_MAX = ethers.BigNumber.from(2).pow(64).sub(1);
+const UINT128_MAX = ethers.BigNumber.from(2).pow(128).sub(1);
+
+const RECEIVED_ASSETS = {
+	standard: 'LSP5',
+	arrayKey: ERC725YDataKeys.LSP5['LSP5ReceivedAssets[]'].length,
+	mapPrefix: ERC725YDataKeys.LSP5.LSP5ReceivedAssetsMap,
+};
+
+const VAULTS = {
+	standard: 'LSP10',
+	arrayKey: ERC725YDataKeys.LSP10['LSP10Vaults[]'].length,
+	mapPrefix: ERC725YDataKeys.LSP10.LSP10VaultsMap,
+};
+
+// see `LSP1Utils.getTransferDetails(...)`
+const TRANSFER_DETAILS = {
+	[LSP1_TYPE_IDS.LSP7Tokens_SenderNotification]: {
+		interfaceId: INTERFACE_IDS.LSP7DigitalAsset,
+		isReceiving: false,
+	},
+	[LSP1_TYPE_IDS.LSP7Tokens_RecipientNotification]: {
+		interfaceId: INTERFACE_IDS.LSP7DigitalAsset,
+		isReceiving: true,
+	},
+	[LSP1_TYPE_IDS.LSP8Tokens_SenderNotification]: {
+		interfaceId: INTERFACE_IDS.LSP8IdentifiableDigitalAsset,
+		isReceiving: false,
+	},
+	[LSP1_TYPE_IDS.LSP8Tokens_RecipientNotification]: {
+		interfaceId: INTERFACE_IDS.LSP8IdentifiableDigitalAsset,
+		isReceiving: true,
+	},
+	[LSP1_TYPE_IDS.LSP9OwnershipTransferred_SenderNotification]: {
+		interfaceId: INTERFACE_IDS.LSP9Vault,
+		isReceiving: false,
+	},
+	[LSP1_TYPE_IDS.LSP9OwnershipTransferred_RecipientNotification]: {
+		interfaceId: INTERFACE_IDS.LSP9Vault,
+		isReceiving: true,
+	},
+};
+
+// an error thrown while simulating the delegate, with the data the contract would revert with
+function revertWith(revertData) {
+	return Object.assign(new Error('universalReceiverDelegate: reverted'), { revertData });
+}
+
+function delegateError(name, ...args) {
+	return revertWith(DELEGATE_ERRORS.encodeErrorResult(name, args));
+}
+
+function panic(code) {
+	return revertWith(
+		ethers.utils.hexConcat([
+			PANIC_SELECTOR,
+			ethers.utils.defaultAbiCoder.encode(['uint256'], [code]),
+		]),
+	);
+}
+
+// `require(...)` in `BytesLib.slice(...)`
+function sliceOutOfBounds() {
+	return revertWith(
+		ethers.utils.hexConcat([
+			ERROR_STRING_SELECTOR,
+			ethers.utils.defaultAbiCoder.encode(['string'], ['slice_outOfBounds']),
+		]),
+	);
+}
+
+// `bytesN(value)` in Solidity: the first `length` bytes, right padded with zeros
+function toBytesN(value, length) {
+	return ethers.utils.hexDataSlice(
+		ethers.utils.hexConcat([value, ethers.utils.hexZeroPad('0x', length)]),
+		0,
+		length,
+	);
+}
+
+function toUint256(value) {
+	return ethers.BigNumber.from(toBytesN(value, 32));
+}
+
+function encodeUint256(value) {
+	return ethers.utils.hexZeroPad(ethers.BigNumber.from(value).toHexString(), 32);
+}
+
+// `bytes.concat(interfaceId, bytes8(index))`
+function encodeMapValue(interfaceId, index) {
+	return ethers.utils.hexConcat([
+		interfaceId,
+		ethers.utils.hexZeroPad(ethers.BigNumber.from(index).toHexString(), 8),
+	]);
+}
+
+function mappingKey(mapPrefix, address) {
+	return (mapPrefix + address.substring(2)).toLowerCase();
+}
+
+// `BytesLib.slice(mapValue, 4, 8)` then `BytesLib.toUint64(...)`
+function extractIndexFromMap(mapValue) {
+	if (ethers.utils.hexDataLength(mapValue) < 12) throw sliceOutOfBounds();
+
+	return ethers.BigNumber.from(ethers.utils.hexDataSlice(mapValue, 4, 12));
+}
+
+// see `LSP5Utils.generateReceivedAssetKeys(...)` and `LSP10Utils.generateReceivedVaultKeys(...)`
+function generateReceivedKeys(getData, array, address, interfaceId) {
+	const mapKey = mappingKey(array.mapPrefix, address);
+	const encodedArrayLength = getData(array.arrayKey);
+	const arrayLengthSize = ethers.utils.hexDataLength(encodedArrayLength);
+
+	if (arrayLengthSize === 0) {
+		return [
+			[array.arrayKey, encodeUint256(1)],
+			[generateArrayElementKeyAtIndex(array.arrayKey, 0), address],
+			[mapKey, encodeMapValue(interfaceId, 0)],
+		];
+	}
+
+	if (arrayLengthSize !== 32) {
+		throw delegateError(
+			array.standard === 'LSP5'
+				? 'InvalidLSP5ReceivedAssetsArrayLength'
+				: 'InvalidLSP10ReceivedVaultsArrayLength',
+			encodedArrayLength,
+			arrayLengthSize,
+		);
+	}
+
+	const oldArrayLength = ethers.BigNumber.from(encodedArrayLength);
+	if (oldArrayLength.eq(ethers.constants.MaxUint256)) throw panic(PANIC_ARITHMETIC);
+
+	const newArrayLength = oldArrayLength.add(1);
+
+	// the checks differ slightly between LSP5Utils and LSP10Utils
+	if (array.standard === 'LSP5' && newArrayLength.gte(UINT64_MAX)) {
+		throw delegateError('ReceivedAssetsIndexSuperiorToUint64', oldArrayLength);
+	}
+
+	if (array.standard === 'LSP10' && newArrayLength.gt(UINT64_MAX)) {
+		throw delegateError('VaultIndexSuperiorToUint64', newArrayLength);
+	}
+
+	return [
+		[array.arrayKey, encodeUint256(newArrayLength)],
+		[generateArrayElementKeyAtIndex(array.arrayKey, oldArrayLength), address],
+		[mapKey, encodeMapValue(interfaceId, oldArrayLength)],
+	];
+}
+
+// see `LSP5Utils.generateSentAssetKeys(...)` and `LSP10Utils.generateSentVaultKeys(...)`
+function generateSentKeys(getData, array, mapKey, mapValue) {
+	const oldArrayLength = toUint256(getData(array.arrayKey));
+
+	if (array.standard === 'LSP10' && oldArrayLength.gt(UINT128_MAX)) {
+		throw delegateError('VaultIndexSuperiorToUint128', oldArrayLength);
+	}
+
+	if (oldArrayLength.isZero()) throw panic(PANIC_ARITHMETIC);
+
+	const newArrayLength = oldArrayLength.sub(1);
+	const index = extractIndexFromMap(mapValue);
+	const elementKey = generateArrayElementKeyAtIndex(array.arrayKey, index);
+
+	if (index.eq(newArrayLength)) {
+		return [
+			[array.arrayKey, encodeUint256(newArrayLength)],
+			[elementKey, '0x'],
+			[mapKey, '0x'],
+		];
+	}
+
+	if (array.standard === 'LSP5' && newArrayLength.gte(UINT128_MAX)) {
+		throw delegateError('ReceivedAssetsIndexSuperiorToUint128', newArrayLength);
+	}
+
+	const lastElementKey = generateArrayElementKeyAtIndex(array.arrayKey, newArrayLength);
+	const lastElementAddress = toBytesN(getData(lastElementKey), 20);
+	const lastElementMapKey = mappingKey(array.mapPrefix, lastElementAddress);
+
+	let lastElementInterfaceId = INTERFACE_IDS.LSP9Vault;
+
+	if (array.standard === 'LSP5') {
+		const lastElementMapValue = getData(lastElementMapKey);
+		if (ethers.utils.hexDataLength(lastElementMapValue) < 4) throw sliceOutOfBounds();
+
+		lastElementInterfaceId = ethers.utils.hexDataSlice(lastElementMapValue, 0, 4);
+	}
+
+	return [
+		[array.arrayKey, encodeUint256(newArrayLength)],
+		[mapKey, '0x'],
+		[elementKey, lastElementAddress],
+		[lastElementKey, '0x'],
+		[lastElementMapKey, encodeMapValue(lastElementInterfaceId, index)],
+	];
+}
+
+function requireBalance(balance, account, notifier) {
+	if (balance === undefined) {
+		throw new Error(
+			`universalReceiverDelegate: the balance of ${account} in ${notifier} after the transfer is required`,
+		);
+	}
+
+	return ethers.BigNumber.from(balance);
+}
+
+/**
+ * Simulate the call of the Universal Receiver Delegate of a Universal Profile (`LSP1UniversalReceiverDelegateUP`)
+ * or a Vault (`LSP1UniversalReceiverDelegateVault`), when its account is notified by an asset or a vault.
+ *
+ * @param {object} storage the ERC725Y storage of the account, as raw values keyed by data key. The data keys not
+ * listed are considered empty. Only the keys read by the delegate are needed: the `LSP5ReceivedAssets[]` (or
+ * `LSP10Vaults[]`) length, the Map of the notifier and, when sending, the last element of the array and its Map.
+ * @param {object} notification
+ * @param {string} notification.account the Universal Profile or Vault notified (the caller of the delegate).
+ * @param {string} notification.notifier the asset or vault that called `universalReceiver(...)` on the account.
+ * @param {string} notification.typeId the type ID of the notification.
+ * @param {string} [notification.txOrigin] the EOA that sent the transaction (`tx.origin`).
+ * @param {object} [options]
+ * @param {string} [options.delegate] `UP` (default) or `Vault`.
+ * @param {number|string|ethers.BigNumber} [options.balance] the balance of the account in the asset, after the
+ * transfer (required for the LSP7 and LSP8 notifications).
+ * @param {boolean} [options.ownerIsKeyManager] if the owner of the Universal Profile is an LSP6 Key Manager (default: `true`).
+ * @param {string} [options.keyManagerTarget] the target of this Key Manager (default: the account).
+ * @param {boolean} [options.notifierIsContract] if the notifier is a contract (default: `true`).
+ * @param {boolean} [options.notifierSupportsLSP9] if the notifier supports the LSP9 interface (default: `true`).
+ * @returns {object} what the delegate does:
+ *  - `{ status: 'reverted', error }`: it reverts with `error`, decoded by `decodeRevertData(...)`.
+ *  - `{ status: 'skipped', message }`: it returns `message` without setting any data key.
+ *  - `{ status: 'updated', dataKeys, dataValues, storage }`: it sets `dataKeys` to `dataValues` (`0x` to remove a
+ *    value), in the same order as the contract, and `storage` is the storage of the account afterwards.
+ *
+ * @example
+ * simulateUniversalReceiverDelegate(
+ *   { [ERC725YDataKeys.LSP5['LSP5ReceivedAssets[]'].length]: '0x...01' },
+ *   { account: universalProfile.address, notifier: token.address, typeId: LSP1_TYPE_IDS.LSP7Tokens_RecipientNotification },
+ *   { balance: 100 },
+ * );
+ * // { status: 'updated', dataKeys: [arrayLengthKey, elementKeyAtIndex1, mapKey], dataValues: ['0x...02', token.address, '0xda1f85e4...01'], storage }
+ */
+function simulateUniversalReceiverDelegate(storage, notification, options = {}) {
+	const {
+		delegate = 'UP',
+		balance,
+		ownerIsKeyManager = true,
+		notifierIsContract = true,
+		notifierSupportsLSP9 = true,
+	} = options;
+
+	if (delegate !== 'UP' && delegate !== 'Vault') {
+		throw new Error(
+			`universalReceiverDelegate: unknown delegate ${delegate} (must be UP or Vault)`,
+		);
+	}
+
+	['account', 'notifier'].forEach((name) => {
+		if (!ethers.utils.isAddress(notification[name])) {
+			throw new Error(`universalReceiverDelegate: invalid ${name} ${notification[name]}`);
+		}
+	});
+
+	const account = ethers.utils.getAddress(notification.account);
+	const notifier = ethers.utils.getAddress(notification.notifier);
+	const { keyManagerTarget = account } = options;
+
+	const values = Object.entries(storage).reduce((result, [dataKey, dataValue]) => {
+		result[dataKey.toLowerCase()] = dataValue;
+		return result;
+	}, {});
+	const getData = (dataKey) => values[dataKey.toLowerCase()] || '0x';
+
+	const details = TRANSFER_DETAILS[notification.typeId.toLowerCase()];
+	const isVaultTransfer =
+		details !== undefined && details.interfaceId === INTERFACE_IDS.LSP9Vault;
+
+	if (details === undefined || (delegate === 'Vault' && isVaultTransfer)) {
+		return { status: 'skipped', message: 'LSP1: typeId out of scope' };
+	}
+
+	let entries;
+	try {
+		if (
+			notification.txOrigin !== undefined &&
+			notifier === ethers.utils.getAddress(notification.txOrigin)
+		) {
+			throw delegateError('CannotRegisterEOAsAsAssets', notifier);
+		}
+
+		if (delegate === 'UP') {
+			if (!ownerIsKeyManager) {
+				return {
+					status: 'skipped',
+					message: 'LSP1: account owner is not a LSP6KeyManager',
+				};
+			}
+
+			if (ethers.utils.getAddress(keyManagerTarget) !== account) {
+				throw delegateError('CallerNotLSP6LinkedTarget', account, keyManagerTarget);
+			}
+
+			if (isVaultTransfer && notifierIsContract && !notifierSupportsLSP9) {
+				return { status: 'skipped', message: 'LSP1: not an LSP9Vault ownership transfer' };
+			}
+		}
+
+		const array = isVaultTransfer ? VAULTS : RECEIVED_ASSETS;
+		const mapKey = mappingKey(array.mapPrefix, notifier);
+		const mapValue = getData(mapKey);
+		const isRegistered = toBytesN(mapValue, 12) !== ethers.utils.hexZeroPad('0x', 12);
+
+		if (details.isReceiving) {
+			if (isRegistered) {
+				return {
+					status: 'skipped',
+					message:
+						delegate === 'UP'
+							? 'LSP1: asset received is already registered'
+							: 'URD: asset received is already registered',
+				};
+			}
+
+			if (!isVaultTransfer && requireBalance(balance, account, notifier).isZero()) {
+				return { status: 'skipped', message: 'LSP1: balance not updated' };
+			}
+
+			entries = generateReceivedKeys(getData, array, notifier, details.interfaceId);
+		} else {
+			if (!isRegistered) {
+				return { status: 'skipped', message: 'LSP1: asset sent is not registered' };
+			}
+
+			if (!isVaultTransfer && !requireBalance(balance, account, notifier).isZero()) {
+				return { status: 'skipped', message: 'LSP1: full balance is not sent' };
+			}
+
+			entries = generateSentKeys(getData, array, mapKey, mapValue);
+		}
+	} catch (error) {
+		if (error.revertData === undefined) throw error;
+
+		return { status: 'reverted', error: decodeRevertData(error.revertData) };
+	}
+
+	const dataKeys = entries.map(([dataKey]) => dataKey.toLowerCase());
+	const dataValues = entries.map(([, dataValue]) => dataValue.toLowerCase());
+
+	const updated = { ...values };
+	dataKeys.forEach((dataKey, index) => {
+		if (dataValues[index] === '0x') delete updated[dataKey];
+		else updated[dataKey] = dataValues[index];
+	});
+
+	return { status: 'updated', dataKeys, dataValues, storage: updated };
+}
+
+const PREVIEW_ABI = [
+	'function getData(bytes32[] dataKeys) view returns (bytes[] dataValues)',
+	'function owner() view returns (address)',
+	'function target() view returns (address)',
+	'function balanceOf(address tokenOwner) view returns (uint256)',
+];
+
+/**
+ * Preview, before a transfer, what the Universal Receiver Delegate of the account notified will set: read the
+ * storage of the account and the state of the notifier, then run `simulateUniversalReceiverDelegate(...)`.
+ *
+ * The balance of the account after the transfer is computed from its current balance and the `data` of the
+ * notification (the amount for LSP7, one token for LSP8).
+ *
+ * @param {ethers.providers.Provider} provider
+ * @param {object} notification `{ account, notifier, typeId, data, txOrigin }`, see `simulateUniversalReceiverDelegate(...)`
+ * and `decodeNotification(...)` in `tools/universalReceiver.js`.
+ * @param {object} [options]
+ * @param {string} [options.delegate] `UP` or `Vault` (default: `Vault` if the account supports LSP9, `UP` otherwise).
+ * @param {number|string} [options.blockTag] read the state at this block (default: `latest`).
+ * @returns {Promise<object>} the result of `simulateUniversalReceiverDelegate(...)`.
+ */
+async function previewUniversalReceiverDelegate(provider, notification, options = {}) {
+	const { blockTag = 'latest' } = options;
+	const { typeId, data = '0x' } = notification;
+
+	const account = new ethers.Contract(notification.account, PREVIEW_ABI, provider);
+	const notifier = ethers.utils.getAddress(notification.notifier);
+
+	const delegate =
+		options.delegate ||
+		((await supportsInterface(provider, account.address, INTERFACE_IDS.LSP9Vault, blockTag))
+			? 'Vault'
+			: 'UP');
+
+	const details = TRANSFER_DETAILS[typeId.toLowerCase()];
+	if (details === undefined) {
+		return simulateUniversalReceiverDelegate({}, notification, { delegate });
+	}
+
+	const isVaultTransfer = details.interfaceId === INTERFACE_IDS.LSP9Vault;
+	const array = isVaultTransfer ? VAULTS : RECEIVED_ASSETS;
+	const storage = {};
+
+	const read = async (dataKeys) => {
+		const dataValues = await account.getData(dataKeys, { blockTag });
+		dataKeys.forEach((dataKey, index) => {
+			storage[dataKey] = dataValues[index];
+		});
+	};
+
+	const mapKey = mappingKey(array.mapPrefix, notifier);
+	await read([array.arrayKey, mapKey]);
+
+	// the last element of the array and its Map, moved by the swap-and-pop
+	const arrayLength = toUint256(storage[array.arrayKey]);
+	if (!details.isReceiving && !arrayLength.isZero() && arrayLength.lte(UINT128_MAX)) {
+		const lastElementKey = generateArrayElementKeyAtIndex(array.arrayKey, arrayLength.sub(1));
+		await read([lastElementKey]);
+		await read([mappingKey(array.mapPrefix, toBytesN(storage[lastElementKey], 20))]);
+	}
+
+	const simulationOptions = { delegate };
+
+	if (!isVaultTransfer) {
+		const { amount } = decodeNotification(typeId, data);
+		const balance = await new ethers.Contract(notifier, PREVIEW_ABI, provider).balanceOf(
+			account.address,
+			{ blockTag },
+		);
+		const transferred = amount === undefined ? 1 : amount;
+
+		simulationOptions.balance = details.isReceiving
+			? balance.add(transferred)
+			: balance.sub(transferred);
+	}
+
+	if (delegate === 'UP') {
+		const owner = await account.owner({ blockTag });
+		simulationOptions.ownerIsKeyManager = await supportsInterface(
+			provider,
+			owner,
+			INTERFACE_IDS.LSP6KeyManager,
+			blockTag,
+		);
+
+		if (simulationOptions.ownerIsKeyManager) {
+			simulationOptions.keyManagerTarget = await new ethers.Contract(
+				owner,
+				PREVIEW_ABI,
+				provider,
+			).target({ blockTag });
+		}
+
+		if (isVaultTransfer) {
+			simulationOptions.notifierIsContract =
+				(await provider.getCode(notifier, blockTag)) !== '0x';
+			simulationOptions.notifierSupportsLSP9 = await supportsInterface(
+				provider,
+				notifier,
+				INTERFACE_IDS.LSP9Vault,
+				blockTag,
+			);
+		}
+	}
+
+	return simulateUniversalReceiverDelegate(storage, notification, simulationOptions);
+}
+
+module.exports = {
+	simulateUniversalReceiverDelegate,
+	previewUniversalReceiverDelegate,
+};
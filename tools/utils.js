@@ -0,0 +1,102 @@
+/**
+ * Internal helpers shared between the modules of the `tools/` folder.
+ */
+const { ethers } = require('ethers');
+
+const ERC165_ABI = ['function supportsInterface(bytes4 interfaceId) view returns (bool)'];
+
+/**
+ * Check and checksum an address.
+ *
+ * @param {string} address the address to check.
+ * @param {string} name the name of the parameter, for the error message.
+ * @param {string} module the name of the module, to prefix the error message (e.g: `ownership`).
+ * @returns {string} the checksummed address.
+ */
+function toAddress(address, name, module) {
+	if (!ethers.utils.isAddress(address)) {
+		throw new Error(`${module}: invalid ${name} ${address}`);
+	}
+
+	return ethers.utils.getAddress(address);
+}
+
+/**
+ * Call `supportsInterface(interfaceId)` on a contract.
+ *
+ * @param {ethers.providers.Provider} provider the provider to call the contract with.
+ * @param {string} address the address of the contract.
+ * @param {string} interfaceId the `bytes4` interface ID.
+ * @param {string|number} [blockTag] the block to call the contract at (default: `latest`).
+ * @returns {Promise<boolean>} the result, or false if the call reverts or does not return a bool
+ * (e.g: an EOA or a contract without ERC165).
+ */
+async function supportsInterface(provider, address, interfaceId, blockTag = 'latest') {
+	try {
+		return await new ethers.Contract(address, ERC165_ABI, provider).supportsInterface(
+			interfaceId,
+			{ blockTag },
+		);
+	} catch (error) {
+		return false;
+	}
+}
+
+/**
+ * Convert a value decoded by the ethers ABI coder into a plain JS value
+ * (`BigNumber` are converted to decimal strings).
+ *
+ * @param {any} value a value decoded by the ethers ABI coder.
+ * @returns {any}
+ */
+function toPlainValue(value) {
+	if (ethers.BigNumber.isBigNumber(value)) return value.toString();
+	if (Array.isArray(value)) return value.map(toPlainValue);
+
+	return value;
+}
+
+/**
+ * Convert the values decoded for a list of ABI parameters into an object keyed by parameter name.
+ *
+ * @param {ethers.utils.ParamType[]} params the ABI parameters (e.g: the inputs of an event).
+ * @param {ethers.utils.Result} values the values decoded for these parameters.
+ * @returns {object}
+ */
+function toNamedValues(params, values) {
+	return params.reduce((result, param, index) => {
+		result[param.name] = toPlainValue(values[index]);
+		return result;
+	}, {});
+}
+
+/**
+ * Fetch the values of `dataKeys` with `getData(bytes32[])`, in chunks of `batchSize` data keys.
+ *
+ * @param {ethers.Contract} erc725y an ERC725Y contract, with the `getData(bytes32[])` function in its ABI.
+ * @param {string[]} dataKeys the data keys to fetch.
+ * @param {object} options `{ batchSize, blockTag }`.
+ * @returns {Promise<object>} the values fetched, keyed by data key.
+ */
+async function fetchData(erc725y, dataKeys, { batchSize, blockTag }) {
+	const values = {};
+
+	for (let start = 0; start < dataKeys.length; start += batchSize) {
+		const chunk = dataKeys.slice(start, start + batchSize);
+		const results = await erc725y.getData(chunk, { blockTag });
+
+		chunk.forEach((dataKey, index) => {
+			values[dataKey] = results[index];
+		});
+	}
+
+	return values;
+}
+
+module.exports = {
+	toAddress,
+	supportsInterface,
+	toPlainValue,
+	toNamedValues,
+	fetchData,
+};
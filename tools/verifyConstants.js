@@ -0,0 +1,104 @@
+/**
+ * Recompute the hashes hardcoded in `constants.js` from their preimages (see `tools/preimages.js`)
+ * and compare them against both `constants.js` and the constants declared in the `*Constants.sol` files.
+ */
+const { ethers } = require('ethers');
+
+const { PREIMAGES, deriveConstants, listSolidityNames } = require('./preimages');
+const { readSolidityConstants } = require('./solidity');
+
+function getAt(object, nodePath) {
+	return nodePath.reduce((node, key) => (node === undefined ? undefined : node[key]), object);
+}
+
+// compare `derived` against `actual` in both directions, listing any missing or different value
+function compareValues(derived, actual, nodePath, mismatches) {
+	const isLeaf = typeof derived === 'string' || typeof actual === 'string';
+
+	if (isLeaf || derived === undefined || actual === undefined) {
+		const expected = typeof derived === 'string' ? derived.toLowerCase() : derived;
+		const value = typeof actual === 'string' ? actual.toLowerCase() : actual;
+
+		if (typeof expected !== 'string' || expected !== value) {
+			mismatches.push({
+				path: nodePath.join('.'),
+				expected: typeof derived === 'string' ? derived : '(no preimage)',
+				actual: typeof actual === 'string' ? actual : '(missing)',
+				source: 'constants.js',
+			});
+		}
+		return;
+	}
+
+	const keys = new Set([...Object.keys(derived), ...Object.keys(actual)]);
+	keys.forEach((key) => compareValues(derived[key], actual[key], [...nodePath, key], mismatches));
+}
+
+/**
+ * Recompute every hash from its preimage and compare it against:
+ *  - the value in `constants.js` (every entry of each group must have a preimage, and match it).
+ *  - the Solidity constant declared for this value, if any. Solidity constants shorter than the JS value
+ *    (e.g: a `bytes10` key prefix against `bytes10 + bytes2(0)`) are compared against its first bytes.
+ *
+ * @param {object} [options]
+ * @param {object} [options.constants] the constants to verify (default: `constants.js` of this package).
+ * @param {string} [options.contractsDir] the folder containing the `*Constants.sol` files.
+ * @returns {object[]} the list of mismatches (empty if everything matches), as `{ path, expected, actual, source }`.
+ *
+ * @example
+ * verifyConstants();
+ * // [
+ * //   {
+ * //     path: 'INTERFACE_IDS.LSP8IdentifiableDigitalAsset',
+ * //     expected: '0x622e7a01',
+ * //     actual: '0x49399145',
+ * //     source: 'LSP8IdentifiableDigitalAsset/LSP8Constants.sol (_INTERFACEID_LSP8)',
+ * //   },
+ * // ]
+ */
+function verifyConstants(options = {}) {
+	const { constants = require('../constants'), contractsDir } = options;
+
+	const derived = deriveConstants();
+	const solidityConstants = readSolidityConstants(contractsDir);
+	const mismatches = [];
+
+	Object.keys(PREIMAGES).forEach((group) => {
+		compareValues(derived[group], constants[group], [group], mismatches);
+
+		listSolidityNames(group).forEach(({ path: nodePath, solidity }) => {
+			const expected = getAt(derived, nodePath);
+			const declared = solidityConstants[solidity];
+
+			if (declared === undefined) {
+				mismatches.push({
+					path: nodePath.join('.'),
+					expected,
+					actual: '(missing)',
+					source: `*Constants.sol (${solidity})`,
+				});
+				return;
+			}
+
+			const length = ethers.utils.hexDataLength(declared.value);
+
+			if (
+				length > ethers.utils.hexDataLength(expected) ||
+				ethers.utils.hexDataSlice(expected, 0, length) !== declared.value
+			) {
+				mismatches.push({
+					path: nodePath.join('.'),
+					expected,
+					actual: declared.value,
+					source: `${declared.file} (${solidity})`,
+				});
+			}
+		});
+	});
+
+	return mismatches;
+}
+
+module.exports = {
+	verifyConstants,
+};